@@ -131,6 +131,7 @@ async function buildApp() {
   await app.register(require('./plugins/auth'));
   await app.register(require('./plugins/error-handler'));
   await app.register(require('./plugins/metrics'));
+  await app.register(require('./plugins/grading-worker'));
 
   // Health check
   app.get('/health', async () => ({ status: 'ok', timestamp: new Date().toISOString() }));
@@ -149,6 +150,8 @@ async function buildApp() {
   await app.register(require('./routes/files'), { prefix: '/api/v1/files' });
   await app.register(require('./routes/submissions'), { prefix: '/api/v1/submissions' });
   await app.register(require('./routes/grades'), { prefix: '/api/v1/grades' });
+  await app.register(require('./routes/regrade-requests'), { prefix: '/api/v1/regrade-requests' });
+  await app.register(require('./routes/accommodations'), { prefix: '/api/v1/accommodations' });
   await app.register(require('./routes/rubrics'), { prefix: '/api/v1/rubrics' });
   await app.register(require('./routes/assignments'), { prefix: '/api/v1/assignments' });
   await app.register(require('./routes/courses'), { prefix: '/api/v1/courses' });
@@ -157,6 +160,8 @@ async function buildApp() {
   await app.register(require('./routes/export'), { prefix: '/api/v1/export' });
   await app.register(require('./routes/audit'), { prefix: '/api/v1/audit' });
   await app.register(require('./routes/quiz'), { prefix: '/api/v1/quizzes' });
+  await app.register(require('./routes/prompt-templates'), { prefix: '/api/v1/prompt-templates' });
+  await app.register(require('./routes/ai-usage'), { prefix: '/api/v1/ai-usage' });
 
   return app;
 }
@@ -0,0 +1,14 @@
+-- AutoGradeX Database Schema
+-- Migration 014: AI provider overrides
+-- PostgreSQL 15+
+
+-- Per-course and per-assignment AI provider (NULL = use the deployment default from AI_PROVIDER)
+-- Resolution order: assignment > course > deployment
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(30)
+  CHECK (ai_provider IN ('openai', 'openai_compatible', 'fixture'));
+
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS ai_provider VARCHAR(30)
+  CHECK (ai_provider IN ('openai', 'openai_compatible', 'fixture'));
+
+COMMENT ON COLUMN courses.ai_provider IS 'AI grading provider override for all assignments in the course';
+COMMENT ON COLUMN assignments.ai_provider IS 'AI grading provider override for this assignment (takes precedence over the course)';
@@ -0,0 +1,74 @@
+-- AutoGradeX Database Schema
+-- Migration 015: Durable grading job queue
+-- PostgreSQL 15+
+
+-- ============================================
+-- GRADING JOBS TABLE
+-- ============================================
+-- One row per batch grading request; items below track each submission
+CREATE TABLE IF NOT EXISTS grading_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES users(id),
+  type VARCHAR(20) NOT NULL DEFAULT 'batch' CHECK (type IN ('batch', 'submission')),
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'paused', 'completed', 'cancelled')),
+  force BOOLEAN DEFAULT FALSE,
+  total_items INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_grading_jobs_assignment ON grading_jobs(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_grading_jobs_status ON grading_jobs(status);
+
+-- ============================================
+-- GRADING JOB ITEMS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS grading_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES grading_jobs(id) ON DELETE CASCADE,
+  submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'skipped', 'cancelled')),
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  next_attempt_at TIMESTAMP DEFAULT NOW(),
+  locked_by TEXT,
+  locked_until TIMESTAMP,
+  last_error TEXT,
+  grade_id UUID REFERENCES grades(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  started_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(job_id, submission_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_grading_job_items_job ON grading_job_items(job_id);
+CREATE INDEX IF NOT EXISTS idx_grading_job_items_submission ON grading_job_items(submission_id);
+-- Supports the worker's lease query
+CREATE INDEX IF NOT EXISTS idx_grading_job_items_claim ON grading_job_items(status, next_attempt_at);
+
+DROP TRIGGER IF EXISTS update_grading_jobs_updated_at ON grading_jobs;
+CREATE TRIGGER update_grading_jobs_updated_at
+BEFORE UPDATE ON grading_jobs
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_grading_job_items_updated_at ON grading_job_items;
+CREATE TRIGGER update_grading_job_items_updated_at
+BEFORE UPDATE ON grading_job_items
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE grading_jobs IS 'Durable AI grading jobs processed by the in-process grading worker';
+COMMENT ON COLUMN grading_jobs.force IS 'Re-grade submissions that already have a grade';
+COMMENT ON COLUMN grading_job_items.locked_by IS 'Worker holding the lease on this item';
+COMMENT ON COLUMN grading_job_items.locked_until IS 'Lease expiry; expired items are reclaimed by any worker';
+COMMENT ON COLUMN grading_job_items.next_attempt_at IS 'Earliest time the item may be retried (exponential backoff)';
+
+-- gradeSubmissionById has always written grades.confidence, but no migration created it
+ALTER TABLE grades ADD COLUMN IF NOT EXISTS confidence NUMERIC(4,3);
+COMMENT ON COLUMN grades.confidence IS 'Grader confidence between 0 and 1';
@@ -0,0 +1,25 @@
+-- AutoGradeX Database Schema
+-- Migration 016: Grade review and publish workflow
+-- PostgreSQL 15+
+
+-- Grade lifecycle: draft (AI-proposed) -> reviewed -> published, and published -> retracted
+-- Existing grades were already visible to students, so they start out published
+ALTER TABLE grades
+ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'published'
+  CHECK (status IN ('draft', 'reviewed', 'published', 'retracted')),
+ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS published_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS release_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS retracted_at TIMESTAMP;
+
+UPDATE grades SET published_at = graded_at WHERE status = 'published' AND published_at IS NULL;
+
+-- New grades are inserted with an explicit status; default to the safe (hidden) state
+ALTER TABLE grades ALTER COLUMN status SET DEFAULT 'draft';
+
+CREATE INDEX IF NOT EXISTS idx_grades_status ON grades(status);
+CREATE INDEX IF NOT EXISTS idx_grades_release_at ON grades(release_at) WHERE status = 'reviewed';
+
+COMMENT ON COLUMN grades.status IS 'draft = AI-proposed/awaiting review, reviewed = approved but hidden, published = visible to the student, retracted = withdrawn';
+COMMENT ON COLUMN grades.release_at IS 'Scheduled release time for a reviewed grade; visible to the student from then on';
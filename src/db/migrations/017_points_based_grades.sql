@@ -0,0 +1,92 @@
+-- AutoGradeX Database Schema
+-- Migration 017: Points-based grade storage
+-- PostgreSQL 15+
+
+-- grades.score was an INT capped at 100 holding points for AI/manual grades
+-- and a percentage for quizzes. Grades now store points earned out of points
+-- possible, with the percentage derived from them.
+ALTER TABLE grades
+ADD COLUMN IF NOT EXISTS points_earned NUMERIC(10,2),
+ADD COLUMN IF NOT EXISTS points_possible NUMERIC(10,2);
+
+-- Quiz grades stored a percentage; rebuild their points from the graded answers
+UPDATE grades g
+SET points_earned = q.earned, points_possible = q.possible
+FROM (
+  SELECT sa.submission_id, COALESCE(SUM(sa.points_earned), 0) as earned, SUM(aq.points) as possible
+  FROM submission_answers sa
+  JOIN assignment_questions aq ON sa.question_id = aq.id
+  GROUP BY sa.submission_id
+) q, submissions s, assignments a
+WHERE g.submission_id = q.submission_id
+  AND g.submission_id = s.id AND s.assignment_id = a.id
+  AND a.assignment_type = 'quiz'
+  AND q.possible > 0
+  AND g.points_earned IS NULL;
+
+-- Quiz grades without answers: scale the stored percentage to the assignment's points
+UPDATE grades g
+SET points_possible = COALESCE(a.total_points, 100),
+    points_earned = ROUND(g.score * COALESCE(a.total_points, 100) / 100.0, 2)
+FROM submissions s
+JOIN assignments a ON s.assignment_id = a.id
+WHERE g.submission_id = s.id
+  AND a.assignment_type = 'quiz'
+  AND g.points_earned IS NULL;
+
+-- All other grades stored points out of the assignment's total_points
+UPDATE grades g
+SET points_earned = g.score, points_possible = COALESCE(a.total_points, 100)
+FROM submissions s
+JOIN assignments a ON s.assignment_id = a.id
+WHERE g.submission_id = s.id
+  AND g.points_earned IS NULL;
+
+ALTER TABLE grades
+ALTER COLUMN points_earned SET NOT NULL,
+ALTER COLUMN points_possible SET NOT NULL,
+ADD CONSTRAINT grades_points_check CHECK (points_earned >= 0 AND points_possible >= 0);
+
+ALTER TABLE grades
+ADD COLUMN IF NOT EXISTS percentage NUMERIC(6,2)
+  GENERATED ALWAYS AS (
+    CASE WHEN points_possible > 0 THEN ROUND(points_earned * 100 / points_possible, 2) ELSE 0 END
+  ) STORED;
+
+-- The roster view averaged grades.score; recreate it on percentages before dropping the column
+DROP VIEW IF EXISTS course_roster_view;
+
+ALTER TABLE grades DROP COLUMN IF EXISTS score;
+
+CREATE INDEX IF NOT EXISTS idx_grades_percentage ON grades(percentage);
+
+CREATE OR REPLACE VIEW course_roster_view AS
+SELECT
+  ce.course_id,
+  s.id as student_id,
+  s.user_id,
+  s.name as student_name,
+  s.student_number,
+  u.email,
+  ce.status as enrollment_status,
+  ce.enrolled_at,
+  (
+    SELECT COUNT(*)
+    FROM submissions sub
+    JOIN assignments a ON sub.assignment_id = a.id
+    WHERE sub.student_id = s.id AND a.course_id = ce.course_id
+  ) as submissions_count,
+  (
+    SELECT AVG(g.percentage)
+    FROM grades g
+    JOIN submissions sub ON g.submission_id = sub.id
+    JOIN assignments a ON sub.assignment_id = a.id
+    WHERE sub.student_id = s.id AND a.course_id = ce.course_id
+  ) as avg_score
+FROM course_enrollments ce
+JOIN students s ON ce.student_id = s.id
+JOIN users u ON s.user_id = u.id;
+
+COMMENT ON COLUMN grades.points_earned IS 'Points awarded, out of points_possible (fractional rubric points allowed)';
+COMMENT ON COLUMN grades.points_possible IS 'Points the submission was graded out of (assignment total_points at grading time)';
+COMMENT ON COLUMN grades.percentage IS 'Derived: points_earned / points_possible * 100';
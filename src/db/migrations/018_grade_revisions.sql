@@ -0,0 +1,41 @@
+-- AutoGradeX Database Schema
+-- Migration 018: Grade revision history
+-- PostgreSQL 15+
+
+-- ============================================
+-- GRADE REVISIONS TABLE
+-- ============================================
+-- Append-only history of every value a grade has held. The grades row is
+-- the current revision; each AI grade, instructor override, regrade and
+-- revert adds a row here.
+CREATE TABLE IF NOT EXISTS grade_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  grade_id UUID NOT NULL REFERENCES grades(id) ON DELETE CASCADE,
+  revision_number INT NOT NULL,
+  source VARCHAR(20) NOT NULL
+    CHECK (source IN ('ai', 'regrade', 'manual', 'override', 'quiz', 'revert')),
+  points_earned NUMERIC(10,2) NOT NULL,
+  points_possible NUMERIC(10,2) NOT NULL,
+  feedback TEXT,
+  rubric_scores JSONB,
+  reason TEXT,
+  reverted_from UUID REFERENCES grade_revisions(id) ON DELETE SET NULL,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+
+  UNIQUE(grade_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_grade_revisions_grade ON grade_revisions(grade_id, revision_number DESC);
+
+-- Existing grades become revision 1 of their history
+INSERT INTO grade_revisions (grade_id, revision_number, source, points_earned, points_possible, feedback, rubric_scores, created_by, created_at)
+SELECT g.id, 1,
+       CASE WHEN g.graded_by IS NOT NULL THEN 'manual' ELSE 'ai' END,
+       g.points_earned, g.points_possible, g.feedback, g.rubric_scores, g.graded_by, g.graded_at
+FROM grades g
+WHERE NOT EXISTS (SELECT 1 FROM grade_revisions r WHERE r.grade_id = g.id);
+
+COMMENT ON TABLE grade_revisions IS 'Append-only history of grade values; the grades row holds the latest revision';
+COMMENT ON COLUMN grade_revisions.source IS 'ai = AI grade, regrade = AI regrade, manual = instructor grade, override = instructor edit, quiz = auto-scored quiz, revert = restored an earlier revision';
+COMMENT ON COLUMN grade_revisions.reverted_from IS 'For revert revisions, the revision whose values were restored';
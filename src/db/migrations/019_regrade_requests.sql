@@ -0,0 +1,58 @@
+-- AutoGradeX Database Schema
+-- Migration 019: Student regrade requests
+-- PostgreSQL 15+
+
+-- Days after a grade is released during which students may request a regrade
+-- NULL = no deadline, 0 = regrade requests disabled for the assignment
+ALTER TABLE assignments
+ADD COLUMN IF NOT EXISTS regrade_window_days INT DEFAULT 7
+  CHECK (regrade_window_days IS NULL OR regrade_window_days >= 0);
+
+COMMENT ON COLUMN assignments.regrade_window_days IS 'Days after grade release to file regrade requests (NULL = no deadline, 0 = disabled)';
+
+-- ============================================
+-- REGRADE REQUESTS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS regrade_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  grade_id UUID NOT NULL REFERENCES grades(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  criterion VARCHAR(255),
+  justification TEXT NOT NULL,
+  requested_points NUMERIC(10,2) CHECK (requested_points IS NULL OR requested_points >= 0),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'accepted', 'rejected', 'adjusted', 'withdrawn')),
+  points_before NUMERIC(10,2),
+  points_after NUMERIC(10,2),
+  resolution_note TEXT,
+  resolved_by UUID REFERENCES users(id),
+  resolved_at TIMESTAMP,
+  revision_id UUID REFERENCES grade_revisions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_regrade_requests_grade ON regrade_requests(grade_id);
+CREATE INDEX IF NOT EXISTS idx_regrade_requests_student ON regrade_requests(student_id);
+CREATE INDEX IF NOT EXISTS idx_regrade_requests_status ON regrade_requests(status);
+
+-- One open request per grade and criterion (whole-grade requests use an empty criterion)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_regrade_requests_one_pending
+  ON regrade_requests(grade_id, COALESCE(criterion, ''))
+  WHERE status = 'pending';
+
+DROP TRIGGER IF EXISTS update_regrade_requests_updated_at ON regrade_requests;
+CREATE TRIGGER update_regrade_requests_updated_at
+  BEFORE UPDATE ON regrade_requests
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Grade changes made while resolving a request are their own revision source
+ALTER TABLE grade_revisions DROP CONSTRAINT IF EXISTS grade_revisions_source_check;
+ALTER TABLE grade_revisions ADD CONSTRAINT grade_revisions_source_check
+  CHECK (source IN ('ai', 'regrade', 'manual', 'override', 'quiz', 'revert', 'regrade_request'));
+
+COMMENT ON TABLE regrade_requests IS 'Student disputes of a released grade, resolved by the instructor';
+COMMENT ON COLUMN regrade_requests.criterion IS 'Rubric criterion being disputed; NULL disputes the whole grade';
+COMMENT ON COLUMN regrade_requests.status IS 'pending -> accepted (grade changed as requested), adjusted (grade changed by the instructor), rejected, or withdrawn by the student';
+COMMENT ON COLUMN regrade_requests.revision_id IS 'Grade revision created when the request changed the grade';
@@ -0,0 +1,105 @@
+-- AutoGradeX Database Schema
+-- Migration 020: Late penalty policies
+-- PostgreSQL 15+
+
+-- Late policy: { grace_minutes, deduction_percent, deduction_interval ('hour' | 'day'),
+--                max_deduction_percent, cutoff_hours }
+-- Assignments without a policy use their course's; no policy at all means no deduction
+ALTER TABLE courses ADD COLUMN IF NOT EXISTS late_policy JSONB;
+ALTER TABLE assignments ADD COLUMN IF NOT EXISTS late_policy JSONB;
+
+COMMENT ON COLUMN courses.late_policy IS 'Default late penalty policy for the course''s assignments';
+COMMENT ON COLUMN assignments.late_policy IS 'Late penalty policy; NULL uses the course policy';
+
+-- The penalty is fixed when the work is submitted
+ALTER TABLE submissions
+ADD COLUMN IF NOT EXISTS minutes_late INT NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS late_penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0
+  CHECK (late_penalty_percent >= 0 AND late_penalty_percent <= 100);
+
+COMMENT ON COLUMN submissions.minutes_late IS 'Minutes past the due date at submission time';
+COMMENT ON COLUMN submissions.late_penalty_percent IS 'Deduction (percent of points possible) from the late policy at submission time';
+
+-- ============================================
+-- GRADES: raw points plus the late deduction
+-- ============================================
+-- points_earned stays the grader's (raw) score; final_points and percentage
+-- include the deduction. The percentage column is rebuilt, so the roster view
+-- that reads it is recreated as well.
+DROP VIEW IF EXISTS course_roster_view;
+DROP INDEX IF EXISTS idx_grades_percentage;
+ALTER TABLE grades DROP COLUMN IF EXISTS percentage;
+
+ALTER TABLE grades
+ADD COLUMN IF NOT EXISTS late_penalty_percent NUMERIC(5,2) NOT NULL DEFAULT 0
+  CHECK (late_penalty_percent >= 0 AND late_penalty_percent <= 100);
+
+ALTER TABLE grades
+ADD COLUMN IF NOT EXISTS late_penalty_points NUMERIC(10,2)
+  GENERATED ALWAYS AS (
+    LEAST(points_earned, ROUND(points_possible * late_penalty_percent / 100, 2))
+  ) STORED,
+ADD COLUMN IF NOT EXISTS final_points NUMERIC(10,2)
+  GENERATED ALWAYS AS (
+    points_earned - LEAST(points_earned, ROUND(points_possible * late_penalty_percent / 100, 2))
+  ) STORED,
+ADD COLUMN IF NOT EXISTS percentage NUMERIC(6,2)
+  GENERATED ALWAYS AS (
+    CASE WHEN points_possible > 0
+      THEN ROUND((points_earned - LEAST(points_earned, ROUND(points_possible * late_penalty_percent / 100, 2))) * 100 / points_possible, 2)
+      ELSE 0
+    END
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_grades_percentage ON grades(percentage);
+
+-- New grades take the penalty of their submission
+CREATE OR REPLACE FUNCTION set_grade_late_penalty()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.late_penalty_percent := COALESCE(
+    (SELECT late_penalty_percent FROM submissions WHERE id = NEW.submission_id),
+    0
+  );
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS set_grades_late_penalty ON grades;
+CREATE TRIGGER set_grades_late_penalty
+  BEFORE INSERT ON grades
+  FOR EACH ROW
+  EXECUTE FUNCTION set_grade_late_penalty();
+
+CREATE OR REPLACE VIEW course_roster_view AS
+SELECT
+  ce.course_id,
+  s.id as student_id,
+  s.user_id,
+  s.name as student_name,
+  s.student_number,
+  u.email,
+  ce.status as enrollment_status,
+  ce.enrolled_at,
+  (
+    SELECT COUNT(*)
+    FROM submissions sub
+    JOIN assignments a ON sub.assignment_id = a.id
+    WHERE sub.student_id = s.id AND a.course_id = ce.course_id
+  ) as submissions_count,
+  (
+    SELECT AVG(g.percentage)
+    FROM grades g
+    JOIN submissions sub ON g.submission_id = sub.id
+    JOIN assignments a ON sub.assignment_id = a.id
+    WHERE sub.student_id = s.id AND a.course_id = ce.course_id
+  ) as avg_score
+FROM course_enrollments ce
+JOIN students s ON ce.student_id = s.id
+JOIN users u ON s.user_id = u.id;
+
+COMMENT ON COLUMN grades.points_earned IS 'Raw points awarded by the grader, before any late deduction';
+COMMENT ON COLUMN grades.late_penalty_percent IS 'Late deduction as a percent of points_possible (copied from the submission, instructors may waive it)';
+COMMENT ON COLUMN grades.late_penalty_points IS 'Derived: points deducted for lateness (never more than points_earned)';
+COMMENT ON COLUMN grades.final_points IS 'Derived: points_earned minus late_penalty_points';
+COMMENT ON COLUMN grades.percentage IS 'Derived: final_points / points_possible * 100';
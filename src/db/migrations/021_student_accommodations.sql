@@ -0,0 +1,49 @@
+-- AutoGradeX Database Schema
+-- Migration 021: Per-student accommodations
+-- PostgreSQL 15+
+
+-- ============================================
+-- STUDENT ACCOMMODATIONS TABLE
+-- ============================================
+-- An accommodation applies to one assignment or to every assignment of a course.
+-- NULL fields are not set at that level: an assignment accommodation falls back
+-- field by field to the student's course-wide accommodation.
+CREATE TABLE IF NOT EXISTS student_accommodations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  course_id UUID REFERENCES courses(id) ON DELETE CASCADE,
+  assignment_id UUID REFERENCES assignments(id) ON DELETE CASCADE,
+  due_date_override TIMESTAMP,
+  extension_minutes INT CHECK (extension_minutes IS NULL OR extension_minutes >= 0),
+  time_limit_multiplier NUMERIC(4,2) CHECK (time_limit_multiplier IS NULL OR time_limit_multiplier >= 1),
+  extra_attempts INT CHECK (extra_attempts IS NULL OR extra_attempts >= 0),
+  reason TEXT,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CONSTRAINT student_accommodations_scope_check CHECK ((course_id IS NULL) <> (assignment_id IS NULL)),
+  -- A fixed due date only makes sense for a single assignment
+  CONSTRAINT student_accommodations_due_date_check CHECK (due_date_override IS NULL OR assignment_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_student_accommodations_student ON student_accommodations(student_id);
+
+-- One accommodation per student and course, and per student and assignment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_accommodations_course
+  ON student_accommodations(student_id, course_id)
+  WHERE course_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_student_accommodations_assignment
+  ON student_accommodations(student_id, assignment_id)
+  WHERE assignment_id IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_student_accommodations_updated_at ON student_accommodations;
+CREATE TRIGGER update_student_accommodations_updated_at
+  BEFORE UPDATE ON student_accommodations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE student_accommodations IS 'Per-student deadline, time limit and attempt accommodations, per assignment or course-wide';
+COMMENT ON COLUMN student_accommodations.due_date_override IS 'Replaces the assignment due date for this student (assignment accommodations only)';
+COMMENT ON COLUMN student_accommodations.extension_minutes IS 'Added to the assignment due date when there is no due_date_override';
+COMMENT ON COLUMN student_accommodations.time_limit_multiplier IS 'Multiplies the quiz time limit (e.g. 1.5 for time and a half)';
+COMMENT ON COLUMN student_accommodations.extra_attempts IS 'Added to the assignment max_resubmissions';
@@ -0,0 +1,45 @@
+-- AutoGradeX Database Schema
+-- Migration 022: OCR for image-based PDF submissions
+-- PostgreSQL 15+
+
+-- ============================================
+-- SUBMISSION OCR TABLE
+-- ============================================
+-- Created when a submitted PDF has no text layer. The OCR worker rasterizes
+-- the pages and recognizes them; the instructor checks the text (and may
+-- correct it) before it is used for AI grading.
+CREATE TABLE IF NOT EXISTS submission_ocr (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL UNIQUE REFERENCES submissions(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'processing', 'completed', 'approved', 'failed')),
+  language VARCHAR(50) NOT NULL DEFAULT 'eng',
+  pages JSONB,
+  text TEXT,
+  mean_confidence NUMERIC(5,2),
+  min_confidence NUMERIC(5,2),
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  next_attempt_at TIMESTAMP DEFAULT NOW(),
+  locked_by TEXT,
+  locked_until TIMESTAMP,
+  last_error TEXT,
+  approved_by UUID REFERENCES users(id),
+  approved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Supports the worker's lease query
+CREATE INDEX IF NOT EXISTS idx_submission_ocr_claim ON submission_ocr(status, next_attempt_at);
+
+DROP TRIGGER IF EXISTS update_submission_ocr_updated_at ON submission_ocr;
+CREATE TRIGGER update_submission_ocr_updated_at
+BEFORE UPDATE ON submission_ocr
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE submission_ocr IS 'OCR of image-based PDF submissions, reviewed by the instructor before AI grading';
+COMMENT ON COLUMN submission_ocr.status IS 'queued -> processing -> completed (awaiting review) -> approved; failed after max_attempts';
+COMMENT ON COLUMN submission_ocr.pages IS 'Per-page results: [{ page, text, confidence }] with confidence 0-100';
+COMMENT ON COLUMN submission_ocr.text IS 'Recognized text; replaced by the instructor''s correction on approval';
@@ -0,0 +1,17 @@
+-- AutoGradeX Database Schema
+-- Migration 023: DOCX, Markdown, code and notebook submissions
+-- PostgreSQL 15+
+
+-- ============================================
+-- SUBMISSIONS: EXTRACTED FILE STRUCTURE
+-- ============================================
+-- Uploaded files are converted to text for grading (submissions.content);
+-- the format and document structure are kept so the grader and the UI can
+-- tell markdown cells, code cells and outputs apart.
+ALTER TABLE submissions
+  ADD COLUMN IF NOT EXISTS source_format VARCHAR(20)
+    CHECK (source_format IN ('pdf', 'docx', 'markdown', 'notebook', 'code', 'text')),
+  ADD COLUMN IF NOT EXISTS extracted_structure JSONB;
+
+COMMENT ON COLUMN submissions.source_format IS 'Format of the uploaded file the content was extracted from';
+COMMENT ON COLUMN submissions.extracted_structure IS 'Extracted document structure, e.g. notebook cells { language, cells: [{ index, type, source, outputs }] }';
@@ -0,0 +1,72 @@
+-- AutoGradeX Database Schema
+-- Migration 024: Test cases for coding assignments
+-- PostgreSQL 15+
+
+-- ============================================
+-- ASSIGNMENTS: LANGUAGE OF TYPED CODE
+-- ============================================
+-- Uploaded source files and notebooks carry their own language; this is
+-- used for code typed into the submission form.
+ALTER TABLE assignments
+  ADD COLUMN IF NOT EXISTS code_language VARCHAR(20)
+    CHECK (code_language IN ('python', 'javascript'));
+
+-- ============================================
+-- ASSIGNMENT TEST CASES
+-- ============================================
+-- Standard input / expected output tests. Visible tests are shown to
+-- students; hidden tests are only reported as passed or failed.
+CREATE TABLE IF NOT EXISTS assignment_test_cases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  visibility VARCHAR(10) NOT NULL DEFAULT 'visible'
+    CHECK (visibility IN ('visible', 'hidden')),
+  input TEXT NOT NULL DEFAULT '',
+  expected_output TEXT NOT NULL,
+  weight NUMERIC(6,2) NOT NULL DEFAULT 1 CHECK (weight > 0),
+  time_limit_ms INT NOT NULL DEFAULT 5000 CHECK (time_limit_ms BETWEEN 100 AND 60000),
+  sort_order INT NOT NULL DEFAULT 0,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_test_cases_assignment ON assignment_test_cases(assignment_id, sort_order);
+
+DROP TRIGGER IF EXISTS update_assignment_test_cases_updated_at ON assignment_test_cases;
+CREATE TRIGGER update_assignment_test_cases_updated_at
+BEFORE UPDATE ON assignment_test_cases
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE assignment_test_cases IS 'Tests run against student code in the sandbox before AI grading';
+COMMENT ON COLUMN assignment_test_cases.input IS 'Standard input given to the program';
+COMMENT ON COLUMN assignment_test_cases.expected_output IS 'Expected standard output (compared ignoring trailing whitespace)';
+COMMENT ON COLUMN assignment_test_cases.weight IS 'Share of the functionality score relative to the other tests';
+
+-- ============================================
+-- SUBMISSION TEST RUNS
+-- ============================================
+-- Latest test run of a submission (replaced when it is regraded).
+CREATE TABLE IF NOT EXISTS submission_test_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  submission_id UUID NOT NULL UNIQUE REFERENCES submissions(id) ON DELETE CASCADE,
+  language VARCHAR(20),
+  status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'no_code')),
+  passed INT NOT NULL DEFAULT 0,
+  total INT NOT NULL DEFAULT 0,
+  score_ratio NUMERIC(5,4) NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]',
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_submission_test_runs_updated_at ON submission_test_runs;
+CREATE TRIGGER update_submission_test_runs_updated_at
+BEFORE UPDATE ON submission_test_runs
+FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN submission_test_runs.status IS 'completed, or no_code when the submission has no runnable code';
+COMMENT ON COLUMN submission_test_runs.score_ratio IS 'Weighted share of passed tests (0-1), applied to the functionality criterion';
+COMMENT ON COLUMN submission_test_runs.results IS 'Per-test results: [{ test_id, name, visibility, weight, status, passed, duration_ms, stdout, stderr }]';
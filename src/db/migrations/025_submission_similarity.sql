@@ -0,0 +1,29 @@
+-- AutoGradeX Database Schema
+-- Migration 025: Similarity detection between submissions
+-- PostgreSQL 15+
+
+-- ============================================
+-- ASSIGNMENTS: SIMILARITY THRESHOLD
+-- ============================================
+ALTER TABLE assignments
+  ADD COLUMN IF NOT EXISTS similarity_threshold NUMERIC(3,2) NOT NULL DEFAULT 0.50
+    CHECK (similarity_threshold > 0 AND similarity_threshold <= 1);
+
+COMMENT ON COLUMN assignments.similarity_threshold IS 'Share of matching fingerprints (0-1) at which a submission is flagged as similar';
+
+-- ============================================
+-- SUBMISSION SIMILARITY
+-- ============================================
+-- Highest similarity of each submission from the last check of its
+-- assignment; shown on the instructor's submission list. Kept apart from
+-- submissions so it never reaches student queries.
+CREATE TABLE IF NOT EXISTS submission_similarity (
+  submission_id UUID PRIMARY KEY REFERENCES submissions(id) ON DELETE CASCADE,
+  max_score NUMERIC(5,4) NOT NULL DEFAULT 0,
+  matched_submission_id UUID REFERENCES submissions(id) ON DELETE SET NULL,
+  flagged BOOLEAN NOT NULL DEFAULT FALSE,
+  checked_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE submission_similarity IS 'Highest similarity of each submission to another submission (same assignment or an earlier offering)';
+COMMENT ON COLUMN submission_similarity.flagged IS 'max_score reached the assignment''s similarity_threshold when it was checked';
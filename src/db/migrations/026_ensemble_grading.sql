@@ -0,0 +1,23 @@
+-- AutoGradeX Database Schema
+-- Migration 026: Ensemble grading and review by confidence
+-- PostgreSQL 15+
+
+-- ============================================
+-- ASSIGNMENTS: ENSEMBLE SETTINGS
+-- ============================================
+-- NULL settings fall back to the deployment defaults
+-- (AI_ENSEMBLE_SAMPLES, AI_REVIEW_CONFIDENCE_THRESHOLD).
+ALTER TABLE assignments
+  ADD COLUMN IF NOT EXISTS ensemble_samples INT
+    CHECK (ensemble_samples BETWEEN 1 AND 5),
+  ADD COLUMN IF NOT EXISTS ensemble_providers TEXT[]
+    CHECK (cardinality(ensemble_providers) <= 5
+      AND ensemble_providers <@ ARRAY['openai', 'openai_compatible', 'fixture']::TEXT[]),
+  ADD COLUMN IF NOT EXISTS review_confidence_threshold NUMERIC(3,2)
+    CHECK (review_confidence_threshold BETWEEN 0 AND 1);
+
+COMMENT ON COLUMN assignments.ensemble_samples IS 'Times each submission is graded by the assignment''s provider; the median of each criterion is kept';
+COMMENT ON COLUMN assignments.ensemble_providers IS 'Providers that each grade every submission once (takes precedence over ensemble_samples)';
+COMMENT ON COLUMN assignments.review_confidence_threshold IS 'AI grades with a lower confidence are kept as drafts for instructor review';
+
+COMMENT ON COLUMN grades.confidence IS 'Agreement between ensemble samples (0-1); NULL for grades from a single sample';
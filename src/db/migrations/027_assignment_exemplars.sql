@@ -0,0 +1,24 @@
+-- AutoGradeX Database Schema
+-- Migration 027: Instructor-graded exemplar submissions
+-- PostgreSQL 15+
+
+-- ============================================
+-- ASSIGNMENT EXEMPLARS
+-- ============================================
+-- Submissions an instructor graded by hand and marked as examples of a
+-- high, mid or low quality answer. Their anonymized text and rubric scores
+-- are included in the prompt when the AI grades the rest of the assignment.
+CREATE TABLE IF NOT EXISTS assignment_exemplars (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  submission_id UUID NOT NULL REFERENCES submissions(id) ON DELETE CASCADE,
+  level VARCHAR(10) NOT NULL CHECK (level IN ('high', 'mid', 'low')),
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (submission_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_assignment_exemplars_assignment ON assignment_exemplars(assignment_id);
+
+COMMENT ON TABLE assignment_exemplars IS 'Instructor-graded submissions used as few-shot examples when AI grading an assignment';
+COMMENT ON COLUMN assignment_exemplars.level IS 'Quality band the instructor assigned: high, mid or low';
@@ -0,0 +1,39 @@
+-- AutoGradeX Database Schema
+-- Migration 028: Versioned grading prompt templates and per-assignment instructions
+-- PostgreSQL 15+
+
+-- ============================================
+-- PROMPT TEMPLATES
+-- ============================================
+-- Versions are never edited: a change is saved as the next version. The
+-- active version of a task is used unless an assignment pins another one;
+-- without any versions the built-in prompt (version 0) is used.
+CREATE TABLE IF NOT EXISTS prompt_templates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  task VARCHAR(30) NOT NULL CHECK (task IN ('submission')),
+  version INT NOT NULL CHECK (version >= 1),
+  system_prompt TEXT NOT NULL,
+  user_prompt TEXT NOT NULL,
+  notes TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT false,
+  created_by UUID REFERENCES users(id),
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (task, version)
+);
+
+-- At most one active version per task
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(task) WHERE is_active;
+
+COMMENT ON TABLE prompt_templates IS 'Versioned AI grading prompts with {{placeholder}} variables';
+COMMENT ON COLUMN prompt_templates.is_active IS 'Version used for assignments that do not pin one';
+
+-- ============================================
+-- ASSIGNMENTS: PROMPT SETTINGS
+-- ============================================
+ALTER TABLE assignments
+  ADD COLUMN IF NOT EXISTS grading_instructions TEXT
+    CHECK (char_length(grading_instructions) <= 4000),
+  ADD COLUMN IF NOT EXISTS prompt_template_id UUID REFERENCES prompt_templates(id);
+
+COMMENT ON COLUMN assignments.grading_instructions IS 'Instructor instructions added to the grading prompt (strictness, reading level, feedback language)';
+COMMENT ON COLUMN assignments.prompt_template_id IS 'Pinned prompt template version (NULL = the active version)';
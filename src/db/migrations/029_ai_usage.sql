@@ -0,0 +1,52 @@
+-- AutoGradeX Database Schema
+-- Migration 029: AI usage accounting and course budgets
+-- PostgreSQL 15+
+
+-- ============================================
+-- AI USAGE
+-- ============================================
+-- One row per call to an AI provider, including failed calls and
+-- re-prompts. The cost is estimated from the model's price per token at
+-- the time of the call (NULL when the model has no known price).
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  provider VARCHAR(30) NOT NULL,
+  model VARCHAR(100),
+  task VARCHAR(30),
+  purpose VARCHAR(20) NOT NULL DEFAULT 'grading'
+    CHECK (purpose IN ('grading', 'preview', 'quiz')),
+  status VARCHAR(10) NOT NULL DEFAULT 'success' CHECK (status IN ('success', 'error')),
+  prompt_tokens INT NOT NULL DEFAULT 0,
+  completion_tokens INT NOT NULL DEFAULT 0,
+  estimated_cost NUMERIC(12,6),
+  latency_ms INT,
+  error TEXT,
+  course_id UUID REFERENCES courses(id) ON DELETE SET NULL,
+  assignment_id UUID REFERENCES assignments(id) ON DELETE SET NULL,
+  submission_id UUID REFERENCES submissions(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_course ON ai_usage(course_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_assignment ON ai_usage(assignment_id);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+
+COMMENT ON TABLE ai_usage IS 'Every AI provider call with its token usage, estimated cost and latency';
+COMMENT ON COLUMN ai_usage.user_id IS 'User whose action triggered the call (NULL for automatic grading)';
+
+-- ============================================
+-- COURSES: AI BUDGET
+-- ============================================
+-- Once a course's estimated spend for the period reaches its budget,
+-- further AI grading is blocked, or queued until the next period.
+ALTER TABLE courses
+  ADD COLUMN IF NOT EXISTS ai_budget_usd NUMERIC(10,2) CHECK (ai_budget_usd >= 0),
+  ADD COLUMN IF NOT EXISTS ai_budget_period VARCHAR(10) NOT NULL DEFAULT 'month'
+    CHECK (ai_budget_period IN ('month', 'term')),
+  ADD COLUMN IF NOT EXISTS ai_budget_action VARCHAR(10) NOT NULL DEFAULT 'queue'
+    CHECK (ai_budget_action IN ('block', 'queue'));
+
+COMMENT ON COLUMN courses.ai_budget_usd IS 'Estimated AI spend allowed per period (NULL = no budget)';
+COMMENT ON COLUMN courses.ai_budget_period IS 'month: resets on the first of each month; term: the whole course';
+COMMENT ON COLUMN courses.ai_budget_action IS 'block: refuse AI grading; queue: keep grading jobs waiting until the budget resets';
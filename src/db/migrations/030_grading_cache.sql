@@ -0,0 +1,34 @@
+-- AutoGradeX Database Schema
+-- Migration 030: Grading result cache
+-- PostgreSQL 15+
+
+-- ============================================
+-- GRADING RESULT CACHE
+-- ============================================
+-- AI grading results keyed by a SHA-256 hash of everything sent to the
+-- model: the normalized submission text, rubric criteria, reference answer,
+-- prompt template version, instructions, exemplars and models. Grading the
+-- same inputs again returns the stored result instead of calling the model.
+CREATE TABLE IF NOT EXISTS grading_result_cache (
+  cache_key CHAR(64) PRIMARY KEY,
+  result JSONB NOT NULL,
+  models TEXT[] NOT NULL DEFAULT '{}',
+  prompt_template_id UUID REFERENCES prompt_templates(id) ON DELETE CASCADE,
+  prompt_version INT,
+  hit_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  last_hit_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_grading_result_cache_created ON grading_result_cache(created_at);
+
+COMMENT ON TABLE grading_result_cache IS 'AI grading results by hash of their inputs, so identical inputs get identical grades';
+COMMENT ON COLUMN grading_result_cache.result IS 'Grading result as returned by the ensemble (score, rubric_scores, feedback, ai_response, confidence)';
+
+-- ============================================
+-- GRADING JOBS: CACHE BYPASS
+-- ============================================
+ALTER TABLE grading_jobs
+  ADD COLUMN IF NOT EXISTS bypass_cache BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN grading_jobs.bypass_cache IS 'Call the model even when a cached result exists (and replace the cached result)';
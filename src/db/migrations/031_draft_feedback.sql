@@ -0,0 +1,49 @@
+-- AutoGradeX Database Schema
+-- Migration 031: Formative feedback on drafts ("check my draft")
+-- PostgreSQL 15+
+
+-- ============================================
+-- ASSIGNMENTS: DRAFT FEEDBACK SETTINGS
+-- ============================================
+ALTER TABLE assignments
+  ADD COLUMN IF NOT EXISTS draft_feedback_enabled BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS draft_feedback_max_attempts INT NOT NULL DEFAULT 3
+    CHECK (draft_feedback_max_attempts BETWEEN 1 AND 20),
+  ADD COLUMN IF NOT EXISTS draft_feedback_cooldown_minutes INT NOT NULL DEFAULT 30
+    CHECK (draft_feedback_cooldown_minutes BETWEEN 0 AND 10080);
+
+COMMENT ON COLUMN assignments.draft_feedback_enabled IS 'Students may ask for AI hints on their draft before submitting';
+COMMENT ON COLUMN assignments.draft_feedback_max_attempts IS 'Draft checks each student may use on the assignment';
+COMMENT ON COLUMN assignments.draft_feedback_cooldown_minutes IS 'Minutes a student waits between draft checks';
+
+-- ============================================
+-- DRAFT FEEDBACK REQUESTS
+-- ============================================
+-- One row per draft check. Failed checks do not count against the
+-- student's attempts or start the cooldown.
+CREATE TABLE IF NOT EXISTS draft_feedback_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  assignment_id UUID NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+  student_id UUID NOT NULL REFERENCES students(id) ON DELETE CASCADE,
+  submission_id UUID REFERENCES submissions(id) ON DELETE SET NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'completed', 'failed')),
+  content_length INT NOT NULL DEFAULT 0,
+  feedback JSONB,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_draft_feedback_requests_student
+  ON draft_feedback_requests(assignment_id, student_id, created_at DESC);
+
+COMMENT ON TABLE draft_feedback_requests IS 'Log of students checking drafts against the rubric before submitting';
+COMMENT ON COLUMN draft_feedback_requests.feedback IS 'Criterion-level hints returned to the student (no score)';
+
+-- ============================================
+-- AI USAGE: DRAFT FEEDBACK PURPOSE
+-- ============================================
+ALTER TABLE ai_usage DROP CONSTRAINT IF EXISTS ai_usage_purpose_check;
+ALTER TABLE ai_usage ADD CONSTRAINT ai_usage_purpose_check
+  CHECK (purpose IN ('grading', 'preview', 'quiz', 'draft_feedback'));
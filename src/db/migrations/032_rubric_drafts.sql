@@ -0,0 +1,15 @@
+-- AutoGradeX Database Schema
+-- Migration 032: Rubrics drafted from the assignment
+-- PostgreSQL 15+
+
+-- Drafts are returned to the instructor for editing and saved as ordinary
+-- rubrics when confirmed; only their AI usage is recorded here.
+
+-- ============================================
+-- AI USAGE: RUBRIC DRAFT PURPOSE
+-- ============================================
+ALTER TABLE ai_usage DROP CONSTRAINT IF EXISTS ai_usage_purpose_check;
+ALTER TABLE ai_usage ADD CONSTRAINT ai_usage_purpose_check
+  CHECK (purpose IN ('grading', 'preview', 'quiz', 'draft_feedback', 'rubric_draft'));
+
+COMMENT ON COLUMN rubrics.criteria IS 'Criteria by key: { max_points, description, levels?: [{ label, points, description }] }';
@@ -0,0 +1,25 @@
+-- AutoGradeX Database Schema
+-- Migration 033: Late penalty in grade revisions
+-- PostgreSQL 15+
+
+-- Instructors can change or waive a grade's late penalty, so a revision
+-- records it with the points; reverting restores both and final_points
+-- follows.
+
+-- ============================================
+-- GRADE REVISIONS: LATE PENALTY
+-- ============================================
+ALTER TABLE grade_revisions
+ADD COLUMN IF NOT EXISTS late_penalty_percent NUMERIC(5,2)
+  CHECK (late_penalty_percent >= 0 AND late_penalty_percent <= 100);
+
+-- The latest revision of each grade holds the grade's current penalty;
+-- earlier ones were not recorded and stay NULL
+UPDATE grade_revisions r
+SET late_penalty_percent = g.late_penalty_percent
+FROM grades g
+WHERE r.grade_id = g.id
+  AND r.late_penalty_percent IS NULL
+  AND r.revision_number = (SELECT MAX(revision_number) FROM grade_revisions WHERE grade_id = g.id);
+
+COMMENT ON COLUMN grade_revisions.late_penalty_percent IS 'Late deduction of the grade at this revision; NULL for revisions recorded before it was tracked (reverting keeps the current penalty)';
@@ -4,7 +4,11 @@
  */
 
 const fp = require('fastify-plugin');
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+
+// Return NUMERIC columns (grade points, percentages, confidence) as numbers
+// rather than strings; all of them fit comfortably in a double
+types.setTypeParser(types.builtins.NUMERIC, parseFloat);
 
 async function databasePlugin(fastify, options) {
   const pool = new Pool({
@@ -0,0 +1,72 @@
+/**
+ * Grading Worker Plugin
+ * Runs the grading queue worker, the OCR worker and scheduled grade releases inside the API process
+ *
+ * Set GRADING_WORKER_ENABLED=false to run API-only instances; any instance with
+ * the worker enabled picks up queued jobs, including ones left by a restart.
+ */
+
+const fp = require('fastify-plugin');
+const gradingQueueService = require('../services/grading-queue-service');
+const gradeReviewService = require('../services/grade-review-service');
+const ocrService = require('../services/ocr-service');
+
+// How often scheduled grade releases are materialized (visibility itself never waits for this)
+const RELEASE_INTERVAL_MS = 60 * 1000;
+
+async function gradingWorkerPlugin(fastify, options) {
+  const enabled = process.env.GRADING_WORKER_ENABLED
+    ? process.env.GRADING_WORKER_ENABLED !== 'false'
+    : process.env.NODE_ENV !== 'test';
+
+  if (!enabled) {
+    fastify.log.info('Grading worker disabled');
+    return;
+  }
+
+  let worker = null;
+  let ocrWorker = null;
+  let releaseTimer = null;
+
+  fastify.addHook('onReady', async () => {
+    worker = gradingQueueService.startWorker(fastify, {
+      concurrency: parseInt(process.env.GRADING_WORKER_CONCURRENCY) || 3,
+      pollIntervalMs: parseInt(process.env.GRADING_WORKER_POLL_MS) || 2000
+    });
+
+    // OCR of scanned PDFs is CPU-heavy; OCR_WORKER_ENABLED=false leaves it to other instances
+    if (process.env.OCR_WORKER_ENABLED !== 'false') {
+      ocrWorker = ocrService.startWorker(fastify, {
+        pollIntervalMs: parseInt(process.env.OCR_WORKER_POLL_MS) || 5000
+      });
+    }
+
+    releaseTimer = setInterval(async () => {
+      try {
+        const released = await gradeReviewService.releaseDueGrades(fastify);
+        if (released > 0) {
+          fastify.log.info({ released }, 'Published scheduled grades');
+        }
+      } catch (err) {
+        fastify.log.error({ error: err.message }, 'Scheduled grade release failed');
+      }
+    }, RELEASE_INTERVAL_MS);
+  });
+
+  // Let in-flight items finish before the database pool closes; anything
+  // unfinished keeps its lease and is reclaimed after it expires
+  fastify.addHook('onClose', async () => {
+    clearInterval(releaseTimer);
+    if (worker) {
+      await worker.stop();
+    }
+    if (ocrWorker) {
+      await ocrWorker.stop();
+    }
+  });
+}
+
+module.exports = fp(gradingWorkerPlugin, {
+  name: 'grading-worker',
+  dependencies: ['database']
+});
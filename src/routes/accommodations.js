@@ -0,0 +1,243 @@
+/**
+ * Accommodations Routes
+ * Per-student deadline, quiz time and attempt accommodations
+ */
+
+const accommodationService = require('../services/accommodation-service');
+const auditService = require('../services/audit-service');
+
+const accommodationFields = {
+  due_date_override: { type: ['string', 'null'], format: 'date-time' },
+  extension_minutes: { type: ['integer', 'null'], minimum: 0 },
+  time_limit_multiplier: { type: ['number', 'null'], minimum: 1, maximum: 10 },
+  extra_attempts: { type: ['integer', 'null'], minimum: 0 },
+  reason: { type: ['string', 'null'], maxLength: 2000 }
+};
+
+async function accommodationsRoutes(fastify, options) {
+  /**
+   * Check the current user may manage accommodations for a course or assignment
+   */
+  async function assertCanManage(request, { courseId, assignmentId }) {
+    const result = courseId
+      ? await fastify.db.query('SELECT instructor_id FROM courses WHERE id = $1', [courseId])
+      : await fastify.db.query('SELECT instructor_id FROM assignments WHERE id = $1', [assignmentId]);
+
+    if (result.rows.length === 0) {
+      throw courseId
+        ? fastify.createError(404, 'Course not found', 'COURSE_NOT_FOUND')
+        : fastify.createError(404, 'Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+    }
+
+    const { role, id: userId } = request.user;
+    if (result.rows[0].instructor_id !== userId && role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+  }
+
+  /**
+   * Load an accommodation the current instructor may manage
+   */
+  async function getManagedAccommodation(request, accommodationId) {
+    const accommodation = await accommodationService.getAccommodationById(fastify, accommodationId);
+
+    if (!accommodation) {
+      throw fastify.createError(404, 'Accommodation not found', 'ACCOMMODATION_NOT_FOUND');
+    }
+
+    if (accommodation.instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    return accommodation;
+  }
+
+  /**
+   * Pick the accommodation fields out of a request body
+   */
+  function pickFields(body) {
+    const fields = {};
+    for (const field of accommodationService.ACCOMMODATION_FIELDS) {
+      if (body[field] !== undefined) fields[field] = body[field];
+    }
+    return fields;
+  }
+
+  /**
+   * POST /api/v1/accommodations
+   * Grant a student an accommodation for one assignment or a whole course
+   */
+  fastify.post('/', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['student_id'],
+        properties: {
+          student_id: { type: 'string', format: 'uuid' },
+          course_id: { type: 'string', format: 'uuid' },
+          assignment_id: { type: 'string', format: 'uuid' },
+          ...accommodationFields
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { student_id, course_id, assignment_id, reason } = request.body;
+
+    if (!course_id === !assignment_id) {
+      throw fastify.createError(400, 'Provide either course_id or assignment_id', 'INVALID_SCOPE');
+    }
+
+    if (course_id && request.body.due_date_override) {
+      throw fastify.createError(400, 'due_date_override can only be set for a single assignment', 'INVALID_SCOPE');
+    }
+
+    await assertCanManage(request, { courseId: course_id, assignmentId: assignment_id });
+
+    const studentResult = await fastify.db.query('SELECT id FROM students WHERE id = $1', [student_id]);
+    if (studentResult.rows.length === 0) {
+      throw fastify.createError(404, 'Student not found', 'STUDENT_NOT_FOUND');
+    }
+
+    const accommodation = await accommodationService.createAccommodation(fastify, {
+      studentId: student_id,
+      courseId: course_id || null,
+      assignmentId: assignment_id || null,
+      fields: pickFields(request.body),
+      reason: reason || null,
+      userId: request.user.id
+    });
+
+    if (!accommodation) {
+      throw fastify.createError(409, 'The student already has an accommodation for this course or assignment', 'ACCOMMODATION_EXISTS');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.ACCOMMODATION_CREATE,
+      resourceType: 'student_accommodation',
+      resourceId: accommodation.id,
+      newValue: accommodation,
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return reply.code(201).send({
+      success: true,
+      data: accommodation
+    });
+  });
+
+  /**
+   * GET /api/v1/accommodations
+   * Students see their own accommodations; instructors those on their courses and assignments
+   */
+  fastify.get('/', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          course_id: { type: 'string', format: 'uuid' },
+          assignment_id: { type: 'string', format: 'uuid' },
+          student_id: { type: 'string', format: 'uuid' }
+        }
+      }
+    }
+  }, async (request) => {
+    const { role, id: userId } = request.user;
+    const { course_id, assignment_id, student_id } = request.query;
+
+    let studentId = student_id;
+    if (role === 'student') {
+      const studentResult = await fastify.db.query('SELECT id FROM students WHERE user_id = $1', [userId]);
+      if (studentResult.rows.length === 0) {
+        return { success: true, data: [] };
+      }
+      studentId = studentResult.rows[0].id;
+    }
+
+    let accommodations = await accommodationService.listAccommodations(fastify, {
+      instructorId: role === 'instructor' ? userId : undefined,
+      studentId,
+      courseId: course_id,
+      assignmentId: assignment_id
+    });
+
+    // The reason is an internal note for instructors
+    if (role === 'student') {
+      accommodations = accommodations.map(({ reason, created_by, ...rest }) => rest);
+    }
+
+    return {
+      success: true,
+      data: accommodations
+    };
+  });
+
+  /**
+   * PUT /api/v1/accommodations/:id
+   * Change an accommodation (null clears a field)
+   */
+  fastify.put('/:id', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        properties: accommodationFields
+      }
+    }
+  }, async (request) => {
+    const existing = await getManagedAccommodation(request, request.params.id);
+
+    if (existing.course_id && request.body.due_date_override) {
+      throw fastify.createError(400, 'due_date_override can only be set for a single assignment', 'INVALID_SCOPE');
+    }
+
+    const accommodation = await accommodationService.updateAccommodation(
+      fastify, existing.id, pickFields(request.body), request.body.reason
+    );
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.ACCOMMODATION_UPDATE,
+      resourceType: 'student_accommodation',
+      resourceId: existing.id,
+      oldValue: existing,
+      newValue: accommodation,
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: accommodation
+    };
+  });
+
+  /**
+   * DELETE /api/v1/accommodations/:id
+   * Remove an accommodation
+   */
+  fastify.delete('/:id', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request, reply) => {
+    const existing = await getManagedAccommodation(request, request.params.id);
+
+    await accommodationService.deleteAccommodation(fastify, existing.id);
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.ACCOMMODATION_DELETE,
+      resourceType: 'student_accommodation',
+      resourceId: existing.id,
+      oldValue: existing,
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return reply.code(204).send();
+  });
+}
+
+module.exports = accommodationsRoutes;
@@ -0,0 +1,81 @@
+/**
+ * AI Usage Routes
+ * Token usage and estimated cost of AI calls, and course AI budgets;
+ * instructors see the usage of their own courses and assignments
+ */
+
+const aiUsageService = require('../services/ai-usage-service');
+
+async function aiUsageRoutes(fastify, options) {
+  /**
+   * GET /api/v1/ai-usage/report
+   * Usage grouped by course, instructor, month or assignment
+   */
+  fastify.get('/report', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          group_by: { type: 'string', enum: aiUsageService.REPORT_GROUPS, default: 'course' },
+          course_id: { type: 'string', format: 'uuid' },
+          instructor_id: { type: 'string', format: 'uuid' },
+          from: { type: 'string', format: 'date' },
+          to: { type: 'string', format: 'date' }
+        }
+      }
+    }
+  }, async (request) => {
+    const { group_by, course_id, instructor_id, from, to } = request.query;
+    const { role, id: userId } = request.user;
+
+    const report = await aiUsageService.getUsageReport(fastify, {
+      groupBy: group_by,
+      courseId: course_id || null,
+      instructorId: role === 'admin' ? instructor_id || null : userId,
+      from: from || null,
+      to: to || null
+    });
+
+    return {
+      success: true,
+      data: report
+    };
+  });
+
+  /**
+   * GET /api/v1/ai-usage/courses/:courseId/budget
+   * A course's AI budget and what it has spent this period
+   */
+  fastify.get('/courses/:courseId/budget', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      params: {
+        type: 'object',
+        required: ['courseId'],
+        properties: {
+          courseId: { type: 'string', format: 'uuid' }
+        }
+      }
+    }
+  }, async (request) => {
+    const { courseId } = request.params;
+
+    const courseResult = await fastify.db.query('SELECT instructor_id FROM courses WHERE id = $1', [courseId]);
+
+    if (courseResult.rows.length === 0) {
+      throw fastify.createError(404, 'Course not found', 'COURSE_NOT_FOUND');
+    }
+
+    if (courseResult.rows[0].instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Not authorized to view this course', 'FORBIDDEN');
+    }
+
+    return {
+      success: true,
+      data: await aiUsageService.getBudgetStatus(fastify.db, courseId)
+    };
+  });
+}
+
+module.exports = aiUsageRoutes;
@@ -4,6 +4,41 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { PROVIDER_NAMES } = require('../services/ai-provider-service');
+const { latePolicySchema } = require('../services/late-policy-service');
+const { LANGUAGES } = require('../services/sandbox-service');
+const { MAX_SAMPLES } = require('../services/ensemble-service');
+const { EXEMPLAR_LEVELS } = require('../services/exemplar-service');
+const { createRubricSchema } = require('../schemas/rubric');
+
+const ensembleProperties = {
+  // Times each submission is graded; the median of each criterion is kept
+  ensemble_samples: { type: ['integer', 'null'], minimum: 1, maximum: MAX_SAMPLES },
+  // Providers that each grade once (instead of ensemble_samples)
+  ensemble_providers: {
+    type: ['array', 'null'],
+    items: { type: 'string', enum: PROVIDER_NAMES },
+    maxItems: MAX_SAMPLES,
+    uniqueItems: true
+  },
+  // AI grades below this confidence are held for review
+  review_confidence_threshold: { type: ['number', 'null'], minimum: 0, maximum: 1 }
+};
+
+const promptProperties = {
+  // Added to the grading prompt (e.g. strictness, reading level, feedback language)
+  grading_instructions: { type: ['string', 'null'], maxLength: 4000 },
+  // Pinned prompt template version (null = the active version)
+  prompt_template_id: { type: ['string', 'null'], format: 'uuid' }
+};
+
+const draftFeedbackProperties = {
+  // Students may check drafts against the rubric before submitting
+  draft_feedback_enabled: { type: 'boolean' },
+  // Draft checks per student, and minutes between checks
+  draft_feedback_max_attempts: { type: 'integer', minimum: 1, maximum: 20 },
+  draft_feedback_cooldown_minutes: { type: 'integer', minimum: 0, maximum: 10080 }
+};
 
 const createAssignmentSchema = {
   body: {
@@ -28,12 +63,103 @@ const createAssignmentSchema = {
       allow_late_submissions: { type: 'boolean' },
       ai_grading_enabled: { type: 'boolean' },
       show_feedback_to_students: { type: 'boolean' },
-      require_review_before_publish: { type: 'boolean' }
+      require_review_before_publish: { type: 'boolean' },
+      // Days after release to request a regrade (null = no deadline, 0 = disabled)
+      regrade_window_days: { type: ['integer', 'null'], minimum: 0 },
+      // Late penalty policy (null = course policy)
+      late_policy: latePolicySchema,
+      // AI provider override (null = course/deployment default)
+      ai_provider: { type: ['string', 'null'], enum: [...PROVIDER_NAMES, null] },
+      // Language of code typed into the submission form (for test cases)
+      code_language: { type: ['string', 'null'], enum: [...Object.keys(LANGUAGES), null] },
+      // Similarity score (0-1) at which submissions are flagged
+      similarity_threshold: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+      // Ensemble grading (null = deployment default)
+      ...ensembleProperties,
+      ...promptProperties,
+      ...draftFeedbackProperties
+    }
+  }
+};
+
+const updateAssignmentSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      ai_provider: { type: ['string', 'null'], enum: [...PROVIDER_NAMES, null] },
+      regrade_window_days: { type: ['integer', 'null'], minimum: 0 },
+      late_policy: latePolicySchema,
+      code_language: { type: ['string', 'null'], enum: [...Object.keys(LANGUAGES), null] },
+      similarity_threshold: { type: 'number', exclusiveMinimum: 0, maximum: 1 },
+      ...ensembleProperties,
+      ...promptProperties,
+      ...draftFeedbackProperties
+    }
+  }
+};
+
+const testCaseProperties = {
+  name: { type: 'string', minLength: 1, maxLength: 255 },
+  visibility: { type: 'string', enum: ['visible', 'hidden'] },
+  input: { type: 'string' },
+  expected_output: { type: 'string' },
+  weight: { type: 'number', exclusiveMinimum: 0 },
+  time_limit_ms: { type: 'integer', minimum: 100, maximum: 60000 },
+  sort_order: { type: 'integer' }
+};
+
+const createTestCaseSchema = {
+  body: {
+    type: 'object',
+    required: ['name', 'expected_output'],
+    properties: testCaseProperties
+  }
+};
+
+const updateTestCaseSchema = {
+  body: {
+    type: 'object',
+    properties: testCaseProperties
+  }
+};
+
+const promptPreviewSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      // Preview with a submission's text, or with given text
+      submission_id: { type: 'string', format: 'uuid' },
+      content: { type: 'string' },
+      // Preview unsaved prompt settings
+      ...promptProperties
+    }
+  }
+};
+
+const createExemplarSchema = {
+  body: {
+    type: 'object',
+    required: ['submission_id', 'level'],
+    properties: {
+      submission_id: { type: 'string', format: 'uuid' },
+      level: { type: 'string', enum: EXEMPLAR_LEVELS }
     }
   }
 };
 
 async function assignmentsRoutes(fastify, options) {
+  /**
+   * Check a prompt template version exists
+   */
+  async function assertPromptTemplate(templateId) {
+    const promptTemplateService = require('../services/prompt-template-service');
+    const template = await promptTemplateService.getTemplateById(fastify.db, templateId);
+
+    if (!template || template.task !== 'submission') {
+      throw fastify.createError(404, 'Prompt template not found', 'PROMPT_TEMPLATE_NOT_FOUND');
+    }
+  }
+
   /**
    * POST /api/v1/assignments
    * Create a new assignment
@@ -47,10 +173,17 @@ async function assignmentsRoutes(fastify, options) {
       due_date, max_resubmissions, total_points, status, assignment_type,
       time_limit_minutes, shuffle_questions, show_correct_answers,
       // Assignment settings toggles
-      allow_late_submissions, ai_grading_enabled, show_feedback_to_students, require_review_before_publish
+      allow_late_submissions, ai_grading_enabled, show_feedback_to_students, require_review_before_publish,
+      regrade_window_days, late_policy, ai_provider, code_language, similarity_threshold,
+      ensemble_samples, ensemble_providers, review_confidence_threshold, grading_instructions, prompt_template_id,
+      draft_feedback_enabled, draft_feedback_max_attempts, draft_feedback_cooldown_minutes
     } = request.body;
     const userId = request.user.id;
 
+    if (prompt_template_id) {
+      await assertPromptTemplate(prompt_template_id);
+    }
+
     // Validate rubric if provided
     if (rubric_id) {
       const rubricCheck = await fastify.db.query(
@@ -78,14 +211,24 @@ async function assignmentsRoutes(fastify, options) {
     const result = await fastify.db.query(
       `INSERT INTO assignments (id, title, description, reference_answer, course_code, course_id, instructor_id, rubric_id, 
          due_date, max_resubmissions, total_points, status, assignment_type, time_limit_minutes, shuffle_questions, show_correct_answers,
-         allow_late_submissions, ai_grading_enabled, show_feedback_to_students, require_review_before_publish, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, NOW(), NOW())
+         allow_late_submissions, ai_grading_enabled, show_feedback_to_students, require_review_before_publish, ai_provider,
+         regrade_window_days, late_policy, code_language, similarity_threshold,
+         ensemble_samples, ensemble_providers, review_confidence_threshold, grading_instructions, prompt_template_id,
+         draft_feedback_enabled, draft_feedback_max_attempts, draft_feedback_cooldown_minutes,
+         created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24,
+         COALESCE($25, 0.50), $26, $27, $28, $29, $30, $31, COALESCE($32, 3), COALESCE($33, 30), NOW(), NOW())
        RETURNING *`,
       [
         uuidv4(), title, description || null, reference_answer || null, course_code || null, courseId, userId, rubric_id || null,
         due_date || null, max_resubmissions || 2, total_points || 100, status || 'draft',
         assignment_type || 'standard', time_limit_minutes || null, shuffle_questions || false, show_correct_answers !== false,
-        allow_late_submissions !== false, ai_grading_enabled !== false, show_feedback_to_students !== false, require_review_before_publish || false
+        allow_late_submissions !== false, ai_grading_enabled !== false, show_feedback_to_students !== false, require_review_before_publish || false,
+        ai_provider || null, regrade_window_days === undefined ? 7 : regrade_window_days,
+        late_policy ? JSON.stringify(late_policy) : null, code_language || null, similarity_threshold ?? null,
+        ensemble_samples ?? null, ensemble_providers?.length ? ensemble_providers : null, review_confidence_threshold ?? null,
+        grading_instructions?.trim() || null, prompt_template_id || null,
+        draft_feedback_enabled === true, draft_feedback_max_attempts ?? null, draft_feedback_cooldown_minutes ?? null
       ]
     );
 
@@ -329,6 +472,22 @@ async function assignmentsRoutes(fastify, options) {
       if (assignment.description && assignment.description.includes('--- Reference Answer ---')) {
         assignment.description = assignment.description.split('--- Reference Answer ---')[0].trim();
       }
+
+      // Due date, time limit and attempts for this student, including accommodations
+      const studentResult = await fastify.db.query(
+        'SELECT id FROM students WHERE user_id = $1',
+        [userId]
+      );
+      const accommodationService = require('../services/accommodation-service');
+      const effective = await accommodationService.getEffectiveSettings(fastify, studentResult.rows[0]?.id, assignment);
+      assignment.effective_due_date = effective.dueDate;
+      assignment.effective_time_limit_minutes = effective.timeLimitMinutes;
+      assignment.effective_max_resubmissions = effective.maxResubmissions;
+
+      // Visible test cases double as worked examples; hidden ones stay hidden
+      const testRunnerService = require('../services/test-runner-service');
+      assignment.visible_tests = (await testRunnerService.listTestCases(fastify, id, { visibleOnly: true }))
+        .map(({ id: testId, name, input, expected_output }) => ({ id: testId, name, input, expected_output }));
     }
 
     return {
@@ -342,12 +501,16 @@ async function assignmentsRoutes(fastify, options) {
    * Update assignment
    */
   fastify.put('/:id', {
-    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: updateAssignmentSchema
   }, async (request) => {
     const { id } = request.params;
     const { 
       title, description, course_code, rubric_id, 
-      due_date, max_resubmissions, total_points, status 
+      due_date, max_resubmissions, total_points, status, ai_provider, regrade_window_days, late_policy, code_language,
+      similarity_threshold, ensemble_samples, ensemble_providers, review_confidence_threshold,
+      grading_instructions, prompt_template_id,
+      draft_feedback_enabled, draft_feedback_max_attempts, draft_feedback_cooldown_minutes
     } = request.body;
     const userId = request.user.id;
 
@@ -365,6 +528,10 @@ async function assignmentsRoutes(fastify, options) {
       throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
     }
 
+    if (prompt_template_id) {
+      await assertPromptTemplate(prompt_template_id);
+    }
+
     const result = await fastify.db.query(
       `UPDATE assignments SET
          title = COALESCE($1, title),
@@ -375,10 +542,42 @@ async function assignmentsRoutes(fastify, options) {
          max_resubmissions = COALESCE($6, max_resubmissions),
          total_points = COALESCE($7, total_points),
          status = COALESCE($8, status),
+         ai_provider = CASE WHEN $9::boolean THEN $10 ELSE ai_provider END,
+         regrade_window_days = CASE WHEN $11::boolean THEN $12::int ELSE regrade_window_days END,
+         late_policy = CASE WHEN $13::boolean THEN $14::jsonb ELSE late_policy END,
+         code_language = CASE WHEN $15::boolean THEN $16 ELSE code_language END,
+         similarity_threshold = COALESCE($17, similarity_threshold),
+         ensemble_samples = CASE WHEN $18::boolean THEN $19::int ELSE ensemble_samples END,
+         ensemble_providers = CASE WHEN $20::boolean THEN $21::text[] ELSE ensemble_providers END,
+         review_confidence_threshold = CASE WHEN $22::boolean THEN $23::numeric ELSE review_confidence_threshold END,
+         grading_instructions = CASE WHEN $24::boolean THEN $25 ELSE grading_instructions END,
+         prompt_template_id = CASE WHEN $26::boolean THEN $27::uuid ELSE prompt_template_id END,
+         draft_feedback_enabled = COALESCE($28, draft_feedback_enabled),
+         draft_feedback_max_attempts = COALESCE($29, draft_feedback_max_attempts),
+         draft_feedback_cooldown_minutes = COALESCE($30, draft_feedback_cooldown_minutes),
          updated_at = NOW()
-       WHERE id = $9
+       WHERE id = $31
        RETURNING *`,
-      [title, description, course_code, rubric_id, due_date, max_resubmissions, total_points, status, id]
+      [
+        title, description, course_code, rubric_id, due_date, max_resubmissions, total_points, status,
+        // ai_provider can be explicitly cleared with null to fall back to the course default
+        ai_provider !== undefined, ai_provider ?? null,
+        // regrade_window_days can be cleared with null to remove the deadline
+        regrade_window_days !== undefined, regrade_window_days ?? null,
+        // late_policy can be cleared with null to fall back to the course policy
+        late_policy !== undefined, late_policy ? JSON.stringify(late_policy) : null,
+        code_language !== undefined, code_language ?? null,
+        similarity_threshold,
+        // Ensemble settings can be cleared with null to fall back to the deployment defaults
+        ensemble_samples !== undefined, ensemble_samples ?? null,
+        ensemble_providers !== undefined, ensemble_providers?.length ? ensemble_providers : null,
+        review_confidence_threshold !== undefined, review_confidence_threshold ?? null,
+        // Prompt settings can be cleared with null (no instructions, the active template)
+        grading_instructions !== undefined, grading_instructions?.trim() || null,
+        prompt_template_id !== undefined, prompt_template_id ?? null,
+        draft_feedback_enabled, draft_feedback_max_attempts, draft_feedback_cooldown_minutes,
+        id
+      ]
     );
 
     return {
@@ -450,10 +649,12 @@ async function assignmentsRoutes(fastify, options) {
     }
 
     let query = `
-      SELECT s.*, st.name as student_name, g.score, g.feedback
+      SELECT s.*, st.name as student_name, g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback,
+             sim.max_score as similarity_score, COALESCE(sim.flagged, false) as similarity_flagged
       FROM submissions s
       JOIN students st ON s.student_id = st.id
       LEFT JOIN grades g ON g.submission_id = s.id
+      LEFT JOIN submission_similarity sim ON sim.submission_id = s.id
       WHERE s.assignment_id = $1
       ${status ? 'AND s.status = $2' : ''}
       ORDER BY s.submitted_at DESC
@@ -469,6 +670,48 @@ async function assignmentsRoutes(fastify, options) {
     };
   });
 
+  /**
+   * GET /api/v1/assignments/:id/similarity
+   * Compare the assignment's submissions (and earlier offerings of the course)
+   * and rank the most similar pairs
+   */
+  fastify.get('/:id/similarity', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          include_prior_terms: { type: 'boolean', default: true },
+          limit: { type: 'integer', minimum: 1, maximum: 500, default: 50 }
+        }
+      }
+    }
+  }, async (request) => {
+    const { id } = request.params;
+    const { include_prior_terms: includePriorTerms, limit } = request.query;
+
+    const checkResult = await fastify.db.query(
+      'SELECT instructor_id FROM assignments WHERE id = $1',
+      [id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      throw fastify.createError(404, 'Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+    }
+
+    if (checkResult.rows[0].instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    const similarityService = require('../services/similarity-service');
+    const report = await similarityService.analyzeAssignment(fastify, id, { includePriorTerms, limit });
+
+    return {
+      success: true,
+      data: report
+    };
+  });
+
   /**
    * POST /api/v1/assignments/:id/upload-question
    * Upload a PDF as assignment question
@@ -696,6 +939,343 @@ async function assignmentsRoutes(fastify, options) {
 
     return reply.code(204).send();
   });
+
+  /**
+   * Load an assignment the current instructor owns
+   */
+  async function getOwnedAssignment(request, assignmentId) {
+    const result = await fastify.db.query(
+      'SELECT id, instructor_id FROM assignments WHERE id = $1',
+      [assignmentId]
+    );
+
+    if (result.rows.length === 0) {
+      throw fastify.createError(404, 'Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+    }
+
+    if (result.rows[0].instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * GET /api/v1/assignments/:id/tests
+   * List an assignment's test cases, including hidden ones
+   */
+  fastify.get('/:id/tests', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    await getOwnedAssignment(request, request.params.id);
+
+    const testRunnerService = require('../services/test-runner-service');
+    const testCases = await testRunnerService.listTestCases(fastify, request.params.id);
+
+    return {
+      success: true,
+      data: testCases
+    };
+  });
+
+  /**
+   * POST /api/v1/assignments/:id/tests
+   * Add a test case (standard input and expected output)
+   */
+  fastify.post('/:id/tests', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: createTestCaseSchema
+  }, async (request, reply) => {
+    await getOwnedAssignment(request, request.params.id);
+
+    const testRunnerService = require('../services/test-runner-service');
+    const testCase = await testRunnerService.createTestCase(fastify, request.params.id, request.body, request.user.id);
+
+    return reply.code(201).send({
+      success: true,
+      data: testCase
+    });
+  });
+
+  /**
+   * PUT /api/v1/assignments/:id/tests/:testId
+   * Update a test case
+   */
+  fastify.put('/:id/tests/:testId', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: updateTestCaseSchema
+  }, async (request) => {
+    const { id, testId } = request.params;
+    await getOwnedAssignment(request, id);
+
+    const testRunnerService = require('../services/test-runner-service');
+    const existing = await testRunnerService.getTestCaseById(fastify, testId);
+    if (!existing || existing.assignment_id !== id) {
+      throw fastify.createError(404, 'Test case not found', 'TEST_CASE_NOT_FOUND');
+    }
+
+    const testCase = await testRunnerService.updateTestCase(fastify, testId, request.body);
+
+    return {
+      success: true,
+      data: testCase
+    };
+  });
+
+  /**
+   * DELETE /api/v1/assignments/:id/tests/:testId
+   * Remove a test case
+   */
+  fastify.delete('/:id/tests/:testId', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request, reply) => {
+    const { id, testId } = request.params;
+    await getOwnedAssignment(request, id);
+
+    const testRunnerService = require('../services/test-runner-service');
+    const existing = await testRunnerService.getTestCaseById(fastify, testId);
+    if (!existing || existing.assignment_id !== id) {
+      throw fastify.createError(404, 'Test case not found', 'TEST_CASE_NOT_FOUND');
+    }
+
+    await testRunnerService.deleteTestCase(fastify, testId);
+
+    return reply.code(204).send();
+  });
+
+  /**
+   * POST /api/v1/assignments/:id/prompt-preview
+   * Render the prompt a submission would be graded with (test results are not run)
+   */
+  fastify.post('/:id/prompt-preview', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: promptPreviewSchema
+  }, async (request) => {
+    const { id } = request.params;
+    const { submission_id, content } = request.body || {};
+    await getOwnedAssignment(request, id);
+
+    const assignmentResult = await fastify.db.query(
+      `SELECT a.description, a.reference_answer, a.reference_text_extracted, a.total_points,
+              a.grading_instructions, a.prompt_template_id, r.criteria as rubric_criteria
+       FROM assignments a
+       LEFT JOIN rubrics r ON a.rubric_id = r.id
+       WHERE a.id = $1`,
+      [id]
+    );
+    const assignment = assignmentResult.rows[0];
+
+    let submission = { id: null, student_id: null, assignment_id: id, content: content || '[Student submission]' };
+    if (submission_id) {
+      const submissionResult = await fastify.db.query(
+        'SELECT * FROM submissions WHERE id = $1 AND assignment_id = $2',
+        [submission_id, id]
+      );
+      if (submissionResult.rows.length === 0) {
+        throw fastify.createError(404, 'Submission not found', 'SUBMISSION_NOT_FOUND');
+      }
+      submission = submissionResult.rows[0];
+    }
+
+    // Unsaved settings in the body take precedence over the assignment's
+    const has = field => request.body && request.body[field] !== undefined;
+    const templateId = has('prompt_template_id') ? request.body.prompt_template_id : assignment.prompt_template_id;
+    if (has('prompt_template_id') && templateId) {
+      await assertPromptTemplate(templateId);
+    }
+
+    const promptTemplateService = require('../services/prompt-template-service');
+    const exemplarService = require('../services/exemplar-service');
+    const gradingService = require('../services/grading-service');
+    const openaiService = require('../services/openai-service');
+    const chunkingService = require('../services/chunking-service');
+
+    const studentAnswer = submission.content || '[Student submission]';
+    const prompt = openaiService.buildSubmissionPrompt({
+      studentAnswer,
+      rubric: assignment.rubric_criteria || {},
+      assignmentDescription: assignment.description || '',
+      referenceAnswer: assignment.reference_text_extracted || assignment.reference_answer || '',
+      totalPoints: assignment.total_points || 100,
+      submissionFormat: submission.id ? gradingService.getSubmissionFormat(submission) : null,
+      exemplars: await exemplarService.getPromptExemplars(fastify, submission),
+      promptTemplate: await promptTemplateService.resolveTemplate(fastify.db, 'submission', templateId),
+      instructions: has('grading_instructions') ? request.body.grading_instructions : assignment.grading_instructions
+    });
+
+    return {
+      success: true,
+      data: {
+        prompt_template: promptTemplateService.describeTemplate(prompt.template),
+        system_prompt: prompt.systemPrompt,
+        user_prompt: prompt.userPrompt,
+        estimated_tokens: chunkingService.estimateTokens(prompt.systemPrompt) + chunkingService.estimateTokens(prompt.userPrompt),
+        // Long submissions are graded criterion by criterion with the built-in prompts
+        chunked: chunkingService.needsChunking(studentAnswer),
+        exemplars: prompt.examples.used
+      }
+    };
+  });
+
+  /**
+   * POST /api/v1/assignments/:id/rubric-draft
+   * Draft a rubric from the description, question PDF and reference PDF
+   * The draft is not saved: edit it and send it to rubric-draft/confirm
+   */
+  fastify.post('/:id/rubric-draft', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    await getOwnedAssignment(request, request.params.id);
+
+    const rubricDraftService = require('../services/rubric-draft-service');
+    const assignment = await rubricDraftService.getSources(fastify, request.params.id);
+
+    let draft;
+    try {
+      draft = await rubricDraftService.draftRubric(fastify, assignment, { userId: request.user.id });
+    } catch (error) {
+      switch (error.code) {
+        case 'RUBRIC_SOURCES_MISSING':
+          throw fastify.createError(400, error.message, error.code);
+        case 'AI_BUDGET_EXCEEDED':
+          throw fastify.createError(402, error.message, error.code);
+        default:
+          fastify.log.error({ assignmentId: assignment.id, error: error.message }, 'Rubric draft failed');
+          throw fastify.createError(500, 'Rubric draft failed. Please try again.', 'RUBRIC_DRAFT_FAILED');
+      }
+    }
+
+    // Confirming the draft unchanged must pass the same validation
+    const validate = request.compileValidationSchema(createRubricSchema.body);
+    if (!validate(draft.rubric)) {
+      fastify.log.error({ assignmentId: assignment.id, errors: validate.errors }, 'Rubric draft does not match the rubric schema');
+      throw fastify.createError(500, 'Rubric draft failed. Please try again.', 'RUBRIC_DRAFT_FAILED');
+    }
+
+    return {
+      success: true,
+      data: draft
+    };
+  });
+
+  /**
+   * POST /api/v1/assignments/:id/rubric-draft/confirm
+   * Save an (edited) rubric draft and use it for the assignment
+   */
+  fastify.post('/:id/rubric-draft/confirm', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: { body: createRubricSchema.body }
+  }, async (request, reply) => {
+    await getOwnedAssignment(request, request.params.id);
+
+    const rubricDraftService = require('../services/rubric-draft-service');
+    try {
+      const rubric = await rubricDraftService.saveRubric(fastify, request.params.id, request.body, request.user.id);
+
+      return reply.code(201).send({
+        success: true,
+        data: rubric
+      });
+    } catch (error) {
+      if (error.code === 'RUBRIC_POINTS_MISMATCH') {
+        throw fastify.createError(400, error.message, error.code);
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * GET /api/v1/assignments/:id/exemplars
+   * List the graded submissions used as examples for AI grading
+   */
+  fastify.get('/:id/exemplars', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    await getOwnedAssignment(request, request.params.id);
+
+    const exemplarService = require('../services/exemplar-service');
+    const exemplars = await exemplarService.listExemplars(fastify, request.params.id);
+
+    return {
+      success: true,
+      data: exemplars
+    };
+  });
+
+  /**
+   * POST /api/v1/assignments/:id/exemplars
+   * Mark an instructor-graded submission as a high, mid or low example
+   * (marking it again changes its level)
+   */
+  fastify.post('/:id/exemplars', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: createExemplarSchema
+  }, async (request, reply) => {
+    await getOwnedAssignment(request, request.params.id);
+
+    const exemplarService = require('../services/exemplar-service');
+    try {
+      const exemplar = await exemplarService.addExemplar(fastify, request.params.id, request.body, request.user.id);
+
+      return reply.code(201).send({
+        success: true,
+        data: exemplar
+      });
+    } catch (error) {
+      if (error.code === 'SUBMISSION_NOT_FOUND') {
+        throw fastify.createError(404, error.message, error.code);
+      }
+      if (error.code === 'NOT_INSTRUCTOR_GRADED' || error.code === 'NO_CONTENT') {
+        throw fastify.createError(400, error.message, error.code);
+      }
+      throw error;
+    }
+  });
+
+  /**
+   * GET /api/v1/assignments/:id/draft-feedback
+   * How many times each student checked a draft before submitting
+   */
+  fastify.get('/:id/draft-feedback', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    await getOwnedAssignment(request, request.params.id);
+
+    const draftFeedbackService = require('../services/draft-feedback-service');
+    const settingsResult = await fastify.db.query(
+      `SELECT draft_feedback_enabled as enabled, draft_feedback_max_attempts as max_attempts,
+              draft_feedback_cooldown_minutes as cooldown_minutes
+       FROM assignments WHERE id = $1`,
+      [request.params.id]
+    );
+
+    return {
+      success: true,
+      data: {
+        settings: settingsResult.rows[0],
+        students: await draftFeedbackService.getUsageByStudent(fastify, request.params.id)
+      }
+    };
+  });
+
+  /**
+   * DELETE /api/v1/assignments/:id/exemplars/:exemplarId
+   * Stop using a submission as an example
+   */
+  fastify.delete('/:id/exemplars/:exemplarId', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request, reply) => {
+    const { id, exemplarId } = request.params;
+    await getOwnedAssignment(request, id);
+
+    const exemplarService = require('../services/exemplar-service');
+    const removed = await exemplarService.removeExemplar(fastify, id, exemplarId);
+    if (!removed) {
+      throw fastify.createError(404, 'Exemplar not found', 'EXEMPLAR_NOT_FOUND');
+    }
+
+    return reply.code(204).send();
+  });
 }
 
 module.exports = assignmentsRoutes;
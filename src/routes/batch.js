@@ -1,6 +1,8 @@
 /**
  * Batch Grading Routes
- * POST /api/v1/batch/grade - Grade all pending submissions for an assignment
+ * POST /api/v1/batch/grade - Queue grading of all pending submissions for an assignment
+ * GET  /api/v1/batch/estimate - Estimated AI cost of a batch before it is queued
+ * GET  /api/v1/batch/jobs/:id - Per-submission progress of a grading job
  */
 
 const { batchGradeSchema } = require('../schemas/grade');
@@ -9,7 +11,32 @@ const { batchGradeSchema } = require('../schemas/grade');
  * @param {import('fastify').FastifyInstance} fastify
  */
 async function batchRoutes(fastify, options) {
-  
+
+  /**
+   * Submissions a batch would grade
+   * Drafts are never graded, and submissions that an earlier job is still
+   * working on are skipped
+   */
+  async function getBatchSubmissionIds(assignmentId, force) {
+    let statusFilter = "status IN ('pending', 'submitted')";
+    if (force) {
+      statusFilter = "status IN ('pending', 'submitted', 'graded', 'failed')";
+    }
+
+    const submissionsResult = await fastify.db.query(
+      `SELECT id FROM submissions WHERE assignment_id = $1 AND ${statusFilter}`,
+      [assignmentId]
+    );
+
+    const gradingQueueService = require('../services/grading-queue-service');
+    const alreadyQueued = await gradingQueueService.getQueuedSubmissionIds(fastify, assignmentId);
+
+    return {
+      submissionIds: submissionsResult.rows.map(r => r.id).filter(id => !alreadyQueued.has(id)),
+      alreadyQueued
+    };
+  }
+
   /**
    * POST /api/v1/batch/grade
    * Grade all pending submissions for an assignment
@@ -18,7 +45,7 @@ async function batchRoutes(fastify, options) {
     schema: batchGradeSchema,
     preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
   }, async (request, reply) => {
-    const { assignment_id, force } = request.body;
+    const { assignment_id, force, bypass_cache } = request.body;
     const userId = request.user.id;
 
     // Verify assignment belongs to this instructor
@@ -41,61 +68,99 @@ async function batchRoutes(fastify, options) {
       return reply.status(400).send({ error: 'Assignment has no rubric configured' });
     }
 
-    // Get pending submissions
-    let statusFilter = "status = 'pending'";
-    if (force) {
-      statusFilter = "status IN ('pending', 'graded', 'failed')";
-    }
-
-    const submissionsResult = await fastify.db.query(
-      `SELECT id FROM submissions WHERE assignment_id = $1 AND ${statusFilter}`,
-      [assignment_id]
-    );
+    const { submissionIds, alreadyQueued } = await getBatchSubmissionIds(assignment_id, force);
 
-    if (submissionsResult.rows.length === 0) {
+    if (submissionIds.length === 0) {
       return reply.send({
         message: 'No submissions to grade',
         graded: 0,
-        failed: 0
+        failed: 0,
+        already_queued: alreadyQueued.size
       });
     }
 
-    // Start batch grading (async process)
-    const submissionIds = submissionsResult.rows.map(r => r.id);
-    
+    // Courses over their AI budget either refuse the batch or hold it until the budget resets
+    const gradingService = require('../services/grading-service');
+    const estimate = await gradingService.estimateGradingCost(fastify, assignment_id, submissionIds);
+
+    if (estimate.budget?.exceeded && estimate.budget.action === 'block') {
+      throw fastify.createError(402, "The course's AI grading budget has been used", 'AI_BUDGET_EXCEEDED');
+    }
+
+    const gradingQueueService = require('../services/grading-queue-service');
+    const job = await gradingQueueService.createJob(fastify, {
+      assignmentId: assignment_id,
+      submissionIds,
+      userId,
+      force,
+      bypassCache: bypass_cache
+    });
+
     // Log the batch operation
     const auditService = require('../services/audit-service');
-    await auditService.logAction(fastify.db, {
+    await auditService.logAction(fastify, {
       userId,
-      action: auditService.ACTIONS.GRADE_BATCH,
+      action: auditService.AUDIT_ACTIONS.GRADE_BATCH,
       resourceType: 'assignment',
       resourceId: assignment_id,
-      newValue: { submission_count: submissionIds.length, force },
+      newValue: { job_id: job.id, submission_count: submissionIds.length, force, bypass_cache, estimated_cost: estimate.estimated_cost },
       ipAddress: request.ip,
       userAgent: request.headers['user-agent']
     });
 
-    // For now, return immediately and process async
-    // In production, this would queue to Redis/Bull
-    const gradingService = require('../services/grading-service');
-    
-    // Don't await - let it run in background
-    gradingService.batchGradeAssignment(fastify.db, assignment_id, force)
-      .then(results => {
-        fastify.log.info({ assignment_id, results }, 'Batch grading completed');
-      })
-      .catch(err => {
-        fastify.log.error({ assignment_id, error: err.message }, 'Batch grading failed');
-      });
-
+    // The grading worker picks the job up; progress is at GET /api/v1/batch/jobs/:id
     return reply.status(202).send({
-      message: 'Batch grading started',
+      message: 'Batch grading queued',
       assignment_id,
+      job_id: job.id,
       submissions_queued: submissionIds.length,
-      status: 'processing'
+      status: job.status,
+      estimate
     });
   });
 
+  /**
+   * GET /api/v1/batch/estimate?assignment_id=&force=
+   * Estimated tokens and cost of grading a batch, with the course's AI budget
+   */
+  fastify.get('/estimate', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['assignment_id'],
+        properties: {
+          assignment_id: { type: 'string', format: 'uuid' },
+          force: { type: 'boolean', default: false }
+        }
+      }
+    },
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const { assignment_id, force } = request.query;
+
+    const assignmentResult = await fastify.db.query(
+      'SELECT instructor_id FROM assignments WHERE id = $1',
+      [assignment_id]
+    );
+
+    if (assignmentResult.rows.length === 0) {
+      throw fastify.createError(404, 'Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+    }
+
+    if (assignmentResult.rows[0].instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Not authorized to grade this assignment', 'FORBIDDEN');
+    }
+
+    const { submissionIds, alreadyQueued } = await getBatchSubmissionIds(assignment_id, force);
+    const gradingService = require('../services/grading-service');
+    const estimate = await gradingService.estimateGradingCost(fastify, assignment_id, submissionIds);
+
+    return {
+      success: true,
+      data: { assignment_id, already_queued: alreadyQueued.size, ...estimate }
+    };
+  });
+
   /**
    * GET /api/v1/batch/status/:assignmentId
    * Check batch grading status
@@ -139,6 +204,130 @@ async function batchRoutes(fastify, options) {
         : 0
     });
   });
+
+  const jobParamsSchema = {
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' }
+      }
+    }
+  };
+
+  /**
+   * Load a grading job and check the requester may manage it
+   */
+  async function getAuthorizedJob(request, jobId) {
+    const gradingQueueService = require('../services/grading-queue-service');
+    const job = await gradingQueueService.getJob(fastify, jobId);
+
+    if (!job) {
+      throw fastify.createError(404, 'Grading job not found', 'JOB_NOT_FOUND');
+    }
+
+    if (job.instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Not authorized to manage this grading job', 'FORBIDDEN');
+    }
+
+    return job;
+  }
+
+  /**
+   * GET /api/v1/batch/jobs?assignment_id=
+   * List grading jobs for an assignment
+   */
+  fastify.get('/jobs', {
+    schema: {
+      querystring: {
+        type: 'object',
+        required: ['assignment_id'],
+        properties: {
+          assignment_id: { type: 'string', format: 'uuid' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        }
+      }
+    },
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const { assignment_id, limit, offset } = request.query;
+
+    const assignmentResult = await fastify.db.query(
+      'SELECT instructor_id FROM assignments WHERE id = $1',
+      [assignment_id]
+    );
+
+    if (assignmentResult.rows.length === 0) {
+      throw fastify.createError(404, 'Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+    }
+
+    if (assignmentResult.rows[0].instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Not authorized to view this assignment', 'FORBIDDEN');
+    }
+
+    const gradingQueueService = require('../services/grading-queue-service');
+    const jobs = await gradingQueueService.listJobs(fastify, assignment_id, { limit, offset });
+
+    return { success: true, data: jobs };
+  });
+
+  /**
+   * GET /api/v1/batch/jobs/:id
+   * Grading job with per-submission progress
+   */
+  fastify.get('/jobs/:id', {
+    schema: jobParamsSchema,
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const job = await getAuthorizedJob(request, request.params.id);
+    return { success: true, data: job };
+  });
+
+  /**
+   * POST /api/v1/batch/jobs/:id/:action
+   * Cancel, pause, resume a job or retry its failed items
+   */
+  const jobActions = {
+    cancel: { method: 'cancelJob', message: 'Grading job cancelled' },
+    pause: { method: 'pauseJob', message: 'Grading job paused' },
+    resume: { method: 'resumeJob', message: 'Grading job resumed' },
+    retry: { method: 'retryFailedItems', message: 'Failed items re-queued' }
+  };
+
+  for (const [action, { method, message }] of Object.entries(jobActions)) {
+    fastify.post(`/jobs/:id/${action}`, {
+      schema: jobParamsSchema,
+      preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+    }, async (request) => {
+      const job = await getAuthorizedJob(request, request.params.id);
+
+      const gradingQueueService = require('../services/grading-queue-service');
+      const result = await gradingQueueService[method](fastify, job.id);
+
+      if (result === null) {
+        throw fastify.createError(409, `Cannot ${action} a ${job.status} grading job`, 'INVALID_JOB_STATE');
+      }
+
+      const auditService = require('../services/audit-service');
+      await auditService.logAction(fastify, {
+        userId: request.user.id,
+        action: auditService.AUDIT_ACTIONS.GRADING_JOB_UPDATE,
+        resourceType: 'grading_job',
+        resourceId: job.id,
+        oldValue: { status: job.status },
+        newValue: { action, ...(action === 'retry' && { requeued: result }) },
+        ipAddress: request.ip,
+        userAgent: request.headers['user-agent']
+      });
+
+      return {
+        success: true,
+        message,
+        data: await gradingQueueService.getJob(fastify, job.id)
+      };
+    });
+  }
 }
 
 module.exports = batchRoutes;
@@ -4,6 +4,9 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const { PROVIDER_NAMES } = require('../services/ai-provider-service');
+const { latePolicySchema } = require('../services/late-policy-service');
+const gradeReviewService = require('../services/grade-review-service');
 
 /**
  * Generate a random enrollment code
@@ -30,7 +33,23 @@ const createCourseSchema = {
       year: { type: 'integer', minimum: 2020, maximum: 2100 },
       allow_self_enrollment: { type: 'boolean' },
       max_students: { type: 'integer', minimum: 1 },
-      status: { type: 'string', enum: ['draft', 'active', 'archived'] }
+      status: { type: 'string', enum: ['draft', 'active', 'archived'] },
+      ai_provider: { type: ['string', 'null'], enum: [...PROVIDER_NAMES, null] },
+      late_policy: latePolicySchema
+    }
+  }
+};
+
+const updateCourseSchema = {
+  body: {
+    type: 'object',
+    properties: {
+      ai_provider: { type: ['string', 'null'], enum: [...PROVIDER_NAMES, null] },
+      late_policy: latePolicySchema,
+      // AI budget (admins only; see ai-usage-service)
+      ai_budget_usd: { type: ['number', 'null'], minimum: 0 },
+      ai_budget_period: { type: 'string', enum: ['month', 'term'] },
+      ai_budget_action: { type: 'string', enum: ['block', 'queue'] }
     }
   }
 };
@@ -60,7 +79,7 @@ async function coursesRoutes(fastify, options) {
   }, async (request, reply) => {
     const { 
       code, name, description, term, year, 
-      allow_self_enrollment, max_students, status 
+      allow_self_enrollment, max_students, status, ai_provider, late_policy
     } = request.body;
     const instructorId = request.user.id;
 
@@ -83,13 +102,14 @@ async function coursesRoutes(fastify, options) {
 
     const result = await fastify.db.query(
       `INSERT INTO courses (id, code, name, description, instructor_id, term, year, 
-         enrollment_code, allow_self_enrollment, max_students, status, created_at, updated_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+         enrollment_code, allow_self_enrollment, max_students, status, ai_provider, late_policy, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
        RETURNING *`,
       [
         uuidv4(), code, name, description || null, instructorId,
         term || null, year || null, enrollmentCode,
-        allow_self_enrollment !== false, max_students || 500, status || 'active'
+        allow_self_enrollment !== false, max_students || 500, status || 'active',
+        ai_provider || null, late_policy ? JSON.stringify(late_policy) : null
       ]
     );
 
@@ -455,13 +475,14 @@ async function coursesRoutes(fastify, options) {
       // Grade stats - check both course_id and course_code with instructor_id for data isolation
       fastify.db.query(
         `SELECT 
-           AVG(g.score) as average_score,
-           MIN(g.score) as min_score,
-           MAX(g.score) as max_score
+           AVG(g.percentage) as average_score,
+           MIN(g.percentage) as min_score,
+           MAX(g.percentage) as max_score
          FROM grades g
          JOIN submissions s ON g.submission_id = s.id
          JOIN assignments a ON s.assignment_id = a.id
-         WHERE a.course_id = $1 OR (a.course_code = $2 AND a.instructor_id = $3)`,
+         WHERE (a.course_id = $1 OR (a.course_code = $2 AND a.instructor_id = $3))
+         ${role === 'student' ? `AND ${gradeReviewService.studentVisibleCondition('g')}` : ''}`,
         [id, course.code, course.instructor_id]
       )
     ]);
@@ -477,8 +498,8 @@ async function coursesRoutes(fastify, options) {
         gradedSubmissions: parseInt(submissionStats.rows[0]?.graded_submissions || 0),
         pendingSubmissions: parseInt(submissionStats.rows[0]?.pending_submissions || 0),
         averageScore: gradeStats.rows[0]?.average_score ? parseFloat(gradeStats.rows[0].average_score).toFixed(1) : null,
-        minScore: gradeStats.rows[0]?.min_score || null,
-        maxScore: gradeStats.rows[0]?.max_score || null,
+        minScore: gradeStats.rows[0]?.min_score ?? null,
+        maxScore: gradeStats.rows[0]?.max_score ?? null,
       }
     };
   });
@@ -488,12 +509,14 @@ async function coursesRoutes(fastify, options) {
    * Update course
    */
   fastify.put('/:id', {
-    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: updateCourseSchema
   }, async (request) => {
     const { id } = request.params;
     const { 
       code, name, description, term, year,
-      allow_self_enrollment, max_students, status 
+      allow_self_enrollment, max_students, status, ai_provider, late_policy,
+      ai_budget_usd, ai_budget_period, ai_budget_action
     } = request.body;
     const userId = request.user.id;
 
@@ -511,6 +534,11 @@ async function coursesRoutes(fastify, options) {
       throw fastify.createError(403, 'Not authorized to update this course', 'FORBIDDEN');
     }
 
+    const budgetChanged = [ai_budget_usd, ai_budget_period, ai_budget_action].some(value => value !== undefined);
+    if (budgetChanged && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Only administrators can change AI budgets', 'FORBIDDEN');
+    }
+
     const oldValue = checkResult.rows[0];
 
     // Build update query dynamically
@@ -526,6 +554,11 @@ async function coursesRoutes(fastify, options) {
     if (allow_self_enrollment !== undefined) { updates.push(`allow_self_enrollment = $${paramIndex++}`); values.push(allow_self_enrollment); }
     if (max_students !== undefined) { updates.push(`max_students = $${paramIndex++}`); values.push(max_students); }
     if (status !== undefined) { updates.push(`status = $${paramIndex++}`); values.push(status); }
+    if (ai_provider !== undefined) { updates.push(`ai_provider = $${paramIndex++}`); values.push(ai_provider); }
+    if (late_policy !== undefined) { updates.push(`late_policy = $${paramIndex++}`); values.push(late_policy ? JSON.stringify(late_policy) : null); }
+    if (ai_budget_usd !== undefined) { updates.push(`ai_budget_usd = $${paramIndex++}`); values.push(ai_budget_usd); }
+    if (ai_budget_period !== undefined) { updates.push(`ai_budget_period = $${paramIndex++}`); values.push(ai_budget_period); }
+    if (ai_budget_action !== undefined) { updates.push(`ai_budget_action = $${paramIndex++}`); values.push(ai_budget_action); }
 
     if (updates.length === 0) {
       return { success: true, data: oldValue };
@@ -774,7 +807,7 @@ async function coursesRoutes(fastify, options) {
           WHERE sub.student_id = s.id AND a.course_id = $1
         ) as submissions_count,
         (
-          SELECT ROUND(AVG(g.score)::numeric, 1)
+          SELECT ROUND(AVG(g.percentage), 1)
           FROM grades g 
           JOIN submissions sub ON g.submission_id = sub.id 
           JOIN assignments a ON sub.assignment_id = a.id 
@@ -73,7 +73,14 @@ async function exportRoutes(fastify, options) {
         st.name AS student_name,
         st.student_number,
         u.email AS student_email,
-        g.score,
+        s.is_late,
+        s.minutes_late,
+        g.points_earned,
+        g.points_possible,
+        g.late_penalty_percent,
+        g.late_penalty_points,
+        g.final_points,
+        g.percentage,
         g.feedback,
         g.rubric_scores,
         g.graded_at,
@@ -92,8 +99,12 @@ async function exportRoutes(fastify, options) {
       data = createAnonymizedDataset(data.map(row => ({
         ...row,
         student_id: row.submission_id,
-        grade: row.score ? {
-          score: row.score,
+        grade: row.graded_at ? {
+          points_earned: row.points_earned,
+          points_possible: row.points_possible,
+          late_penalty_points: row.late_penalty_points,
+          final_points: row.final_points,
+          percentage: row.percentage,
           rubric_scores: row.rubric_scores,
           graded_at: row.graded_at,
           graded_by: row.graded_by
@@ -126,10 +137,13 @@ async function exportRoutes(fastify, options) {
 
     // CSV format
     const headers = anonymize
-      ? ['submission_hash', 'student_hash', 'version', 'content_length', 'word_count', 'submitted_at', 'score', 'was_overridden']
-      : ['student_name', 'student_number', 'student_email', 'version', 'status', 'submitted_at', 'score', 'graded_by', 'graded_at'];
+      ? ['submission_hash', 'student_hash', 'version', 'content_length', 'word_count', 'submitted_at', 'points_earned', 'points_possible', 'late_penalty_points', 'final_points', 'percentage', 'was_overridden']
+      : ['student_name', 'student_number', 'student_email', 'version', 'status', 'submitted_at', 'is_late', 'minutes_late',
+        'points_earned', 'points_possible', 'late_penalty_percent', 'late_penalty_points', 'final_points', 'percentage', 'graded_by', 'graded_at'];
 
-    const csvContent = generateCsv(data, headers);
+    // Anonymized rows nest the grade; flatten it into the CSV columns
+    const csvRows = anonymize ? data.map(({ grade, ...row }) => ({ ...row, ...grade })) : data;
+    const csvContent = generateCsv(csvRows, headers);
 
     reply.header('Content-Type', 'text/csv');
     reply.header('Content-Disposition', `attachment; filename="${assignment.title.replace(/[^a-z0-9]/gi, '_')}_grades.csv"`);
@@ -3,7 +3,7 @@
  * Handle file uploads for submissions
  */
 
-const { saveFile, readFile } = require('../services/file-service');
+const { saveFile, readFile, getMimeType } = require('../services/file-service');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -12,7 +12,7 @@ const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 async function filesRoutes(fastify, options) {
   /**
    * POST /api/v1/files/upload
-   * Upload a file (PDF, TXT, CSV)
+   * Upload a file (PDF, TXT, CSV, or a DOCX/Markdown/notebook/code submission)
    */
   fastify.post('/upload', {
     preHandler: [fastify.authenticate]
@@ -177,14 +177,7 @@ async function filesRoutes(fastify, options) {
       const buffer = await readFile(filePath);
       
       // Determine content type based on extension
-      const ext = path.extname(filename).toLowerCase();
-      const contentTypes = {
-        '.pdf': 'application/pdf',
-        '.txt': 'text/plain',
-        '.csv': 'text/csv'
-      };
-      
-      const contentType = contentTypes[ext] || 'application/octet-stream';
+      const contentType = getMimeType(filename);
       
       return reply
         .header('Content-Type', contentType)
@@ -4,6 +4,9 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const gradeReviewService = require('../services/grade-review-service');
+const gradeRevisionService = require('../services/grade-revision-service');
+const auditService = require('../services/audit-service');
 
 async function gradesRoutes(fastify, options) {
   /**
@@ -28,11 +31,12 @@ async function gradesRoutes(fastify, options) {
       }
 
       query = `
-        SELECT g.*, s.version as submission_version, s.is_late, a.title as assignment_title, a.total_points, a.due_date as assignment_due_date
+        SELECT g.*, s.version as submission_version, s.is_late, a.title as assignment_title, a.total_points, a.due_date as assignment_due_date,
+               g.status as grade_status, g.release_at as grade_release_at, a.show_feedback_to_students
         FROM grades g
         JOIN submissions s ON g.submission_id = s.id
         JOIN assignments a ON s.assignment_id = a.id
-        WHERE s.student_id = $1
+        WHERE s.student_id = $1 AND ${gradeReviewService.studentVisibleCondition('g')}
         ${assignment_id ? 'AND s.assignment_id = $2' : ''}
         ORDER BY g.graded_at DESC
         LIMIT $${assignment_id ? 3 : 2}
@@ -64,7 +68,9 @@ async function gradesRoutes(fastify, options) {
 
     return {
       success: true,
-      data: result.rows
+      data: role === 'student'
+        ? result.rows.map(gradeReviewService.applyStudentVisibility)
+        : result.rows
     };
   });
 
@@ -79,7 +85,8 @@ async function gradesRoutes(fastify, options) {
     const result = await fastify.db.query(
       `SELECT g.*, s.content as submission_content, s.version as submission_version,
               st.name as student_name, st.user_id as student_user_id,
-              a.title as assignment_title, a.instructor_id, a.total_points
+              a.title as assignment_title, a.instructor_id, a.total_points,
+              g.status as grade_status, g.release_at as grade_release_at, a.show_feedback_to_students
        FROM grades g
        JOIN submissions s ON g.submission_id = s.id
        JOIN students st ON s.student_id = st.id
@@ -103,6 +110,17 @@ async function gradesRoutes(fastify, options) {
       throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
     }
 
+    if (role === 'student') {
+      // Unpublished grades don't exist as far as the student is concerned
+      if (!gradeReviewService.isVisibleToStudent({ status: grade.grade_status, release_at: grade.grade_release_at })) {
+        throw fastify.createError(404, 'Grade not found', 'GRADE_NOT_FOUND');
+      }
+      return {
+        success: true,
+        data: gradeReviewService.applyStudentVisibility(grade)
+      };
+    }
+
     return {
       success: true,
       data: grade
@@ -120,7 +138,8 @@ async function gradesRoutes(fastify, options) {
     const result = await fastify.db.query(
       `SELECT g.*, s.content as submission_content, s.version as submission_version,
               st.name as student_name, st.user_id as student_user_id,
-              a.title as assignment_title, a.instructor_id, a.total_points
+              a.title as assignment_title, a.instructor_id, a.total_points,
+              g.status as grade_status, g.release_at as grade_release_at, a.show_feedback_to_students
        FROM grades g
        JOIN submissions s ON g.submission_id = s.id
        JOIN students st ON s.student_id = st.id
@@ -144,6 +163,17 @@ async function gradesRoutes(fastify, options) {
       throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
     }
 
+    if (role === 'student') {
+      // Unpublished grades don't exist as far as the student is concerned
+      if (!gradeReviewService.isVisibleToStudent({ status: grade.grade_status, release_at: grade.grade_release_at })) {
+        throw fastify.createError(404, 'Grade not found for submission', 'GRADE_NOT_FOUND');
+      }
+      return {
+        success: true,
+        data: gradeReviewService.applyStudentVisibility(grade)
+      };
+    }
+
     return {
       success: true,
       data: grade
@@ -158,12 +188,14 @@ async function gradesRoutes(fastify, options) {
     preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
   }, async (request) => {
     const { id } = request.params;
-    const { score, feedback, rubric_scores } = request.body;
+    // score is the previous name for points_earned and is still accepted
+    const { points_earned, score, feedback, rubric_scores, late_penalty_percent, reason } = request.body;
+    const pointsEarned = points_earned ?? score;
     const userId = request.user.id;
 
     // Check grade exists and belongs to instructor's assignment
     const checkResult = await fastify.db.query(
-      `SELECT g.id, a.instructor_id 
+      `SELECT g.id, g.points_earned, g.points_possible, g.late_penalty_percent, g.feedback, a.instructor_id 
        FROM grades g
        JOIN submissions s ON g.submission_id = s.id
        JOIN assignments a ON s.assignment_id = a.id
@@ -179,36 +211,68 @@ async function gradesRoutes(fastify, options) {
       throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
     }
 
-    // Update grade
-    const result = await fastify.db.query(
-      `UPDATE grades 
-       SET score = COALESCE($1, score),
-           feedback = COALESCE($2, feedback),
-           rubric_scores = COALESCE($3, rubric_scores),
-           graded_by = $4,
-           graded_at = NOW()
-       WHERE id = $5
-       RETURNING *`,
-      [score, feedback, rubric_scores ? JSON.stringify(rubric_scores) : null, userId, id]
-    );
+    const pointsPossible = checkResult.rows[0].points_possible;
+    if (pointsEarned !== undefined && pointsEarned !== null &&
+        (typeof pointsEarned !== 'number' || pointsEarned < 0 || pointsEarned > pointsPossible)) {
+      throw fastify.createError(400, `Points earned must be between 0 and ${pointsPossible}`, 'INVALID_SCORE');
+    }
+
+    // Instructors may reduce or waive the late deduction
+    if (late_penalty_percent !== undefined && late_penalty_percent !== null &&
+        (typeof late_penalty_percent !== 'number' || late_penalty_percent < 0 || late_penalty_percent > 100)) {
+      throw fastify.createError(400, 'Late penalty must be between 0 and 100 percent', 'INVALID_LATE_PENALTY');
+    }
+
+    // Update grade and record the override as a new revision
+    const grade = await fastify.db.transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE grades 
+         SET points_earned = COALESCE($1, points_earned),
+             feedback = COALESCE($2, feedback),
+             rubric_scores = COALESCE($3, rubric_scores),
+             graded_by = $4,
+             graded_at = NOW(),
+             status = CASE WHEN status = 'draft' THEN 'reviewed' ELSE status END,
+             reviewed_by = $4,
+             reviewed_at = NOW(),
+             late_penalty_percent = COALESCE($6, late_penalty_percent)
+         WHERE id = $5
+         RETURNING *`,
+        [pointsEarned, feedback, rubric_scores ? JSON.stringify(rubric_scores) : null, userId, id, late_penalty_percent ?? null]
+      );
+
+      await gradeRevisionService.recordRevision(client, result.rows[0], {
+        source: 'override',
+        userId,
+        reason
+      });
+
+      return result.rows[0];
+    });
 
     // Log to audit table for compliance (FERPA/GDPR)
+    const previous = checkResult.rows[0];
     try {
-      await fastify.db.query(
-        `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, details, created_at)
-         VALUES ($1, $2, $3, $4, $5, NOW())`,
-        [
-          userId,
-          'GRADE_UPDATED',
-          'grade',
-          id,
-          JSON.stringify({
-            previous_score: checkResult.rows[0].score,
-            new_score: score,
-            feedback_updated: !!feedback,
-          }),
-        ]
-      );
+      await auditService.logAction(fastify, {
+        userId,
+        action: auditService.AUDIT_ACTIONS.GRADE_OVERRIDE,
+        resourceType: 'grade',
+        resourceId: id,
+        oldValue: {
+          points_earned: previous.points_earned,
+          points_possible: previous.points_possible,
+          late_penalty_percent: previous.late_penalty_percent
+        },
+        newValue: {
+          points_earned: grade.points_earned,
+          points_possible: grade.points_possible,
+          late_penalty_percent: grade.late_penalty_percent,
+          feedback_updated: feedback !== undefined && feedback !== previous.feedback,
+          reason: reason || null
+        },
+        ipAddress: request.ip,
+        userAgent: request.headers['user-agent']
+      });
     } catch (auditErr) {
       // Log audit failure but don't fail the request
       fastify.log.warn({ gradeId: id, error: auditErr.message }, 'Failed to write audit log');
@@ -216,7 +280,345 @@ async function gradesRoutes(fastify, options) {
 
     return {
       success: true,
-      data: result.rows[0]
+      data: grade
+    };
+  });
+
+  /**
+   * Check the requester owns the assignment
+   */
+  async function assertAssignmentAccess(request, assignmentId) {
+    const result = await fastify.db.query(
+      'SELECT id, instructor_id FROM assignments WHERE id = $1',
+      [assignmentId]
+    );
+
+    if (result.rows.length === 0) {
+      throw fastify.createError(404, 'Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+    }
+
+    if (result.rows[0].instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+  }
+
+  /**
+   * Load a grade and check the requester owns its assignment
+   */
+  async function getGradeForInstructor(request, gradeId) {
+    const result = await fastify.db.query(
+      `SELECT g.id, g.status, s.assignment_id, a.instructor_id
+       FROM grades g
+       JOIN submissions s ON g.submission_id = s.id
+       JOIN assignments a ON s.assignment_id = a.id
+       WHERE g.id = $1`,
+      [gradeId]
+    );
+
+    if (result.rows.length === 0) {
+      throw fastify.createError(404, 'Grade not found', 'GRADE_NOT_FOUND');
+    }
+
+    if (result.rows[0].instructor_id !== request.user.id && request.user.role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * GET /api/v1/grades/assignment/:assignmentId/review
+   * Review queue for an assignment (drafts first, flagged for prompt injection
+   * ahead of the rest, then lowest confidence first)
+   */
+  fastify.get('/assignment/:assignmentId/review', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: gradeReviewService.GRADE_STATUSES }
+        }
+      }
+    }
+  }, async (request) => {
+    const { assignmentId } = request.params;
+    await assertAssignmentAccess(request, assignmentId);
+
+    const queue = await gradeReviewService.getReviewQueue(fastify, assignmentId, {
+      status: request.query.status
+    });
+
+    return {
+      success: true,
+      data: queue
+    };
+  });
+
+  /**
+   * GET /api/v1/grades/analytics/agreement
+   * How closely AI grades agree with instructors (JSON, or CSV with format=csv)
+   */
+  fastify.get('/analytics/agreement', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          assignment_id: { type: 'string', format: 'uuid' },
+          course_id: { type: 'string', format: 'uuid' },
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          format: { type: 'string', enum: ['json', 'csv'], default: 'json' },
+          section: { type: 'string', enum: ['summary', 'disagreements'], default: 'summary' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { assignment_id, course_id, limit, format, section } = request.query;
+    if (assignment_id) {
+      await assertAssignmentAccess(request, assignment_id);
+    }
+
+    const agreementService = require('../services/agreement-service');
+    const report = await agreementService.getAgreementReport(fastify, {
+      // Instructors see their own assignments; admins see all
+      instructorId: request.user.role === 'admin' ? null : request.user.id,
+      assignmentId: assignment_id,
+      courseId: course_id,
+      limit
+    });
+
+    if (format !== 'csv') {
+      return {
+        success: true,
+        data: report
+      };
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.DATA_EXPORT,
+      resourceType: assignment_id ? 'assignment' : 'course',
+      resourceId: assignment_id || course_id || null,
+      newValue: { report: 'ai_agreement', section, record_count: report.overall.count },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    const { generateCsv } = require('../services/file-service');
+    const { headers, rows } = agreementService.toCsvRows(report, section);
+
+    reply.header('Content-Type', 'text/csv');
+    reply.header('Content-Disposition', `attachment; filename="ai_agreement_${section}.csv"`);
+    return reply.send(generateCsv(rows, headers));
+  });
+
+  /**
+   * POST /api/v1/grades/assignment/:assignmentId/publish
+   * Publish all reviewed grades, now or at release_at
+   */
+  fastify.post('/assignment/:assignmentId/publish', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      body: {
+        type: ['object', 'null'],
+        properties: {
+          release_at: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }, async (request) => {
+    const { assignmentId } = request.params;
+    const { release_at } = request.body || {};
+    await assertAssignmentAccess(request, assignmentId);
+
+    const result = await gradeReviewService.publishReviewedGrades(fastify, assignmentId, {
+      releaseAt: release_at
+    });
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.GRADE_PUBLISH,
+      resourceType: 'assignment',
+      resourceId: assignmentId,
+      newValue: result,
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      message: result.scheduled
+        ? `${result.count} reviewed grade(s) scheduled for release`
+        : `${result.count} reviewed grade(s) published`,
+      data: result
+    };
+  });
+
+  /**
+   * POST /api/v1/grades/:id/review
+   * Mark an AI-proposed (or retracted) grade as reviewed
+   */
+  fastify.post('/:id/review', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const existing = await getGradeForInstructor(request, request.params.id);
+
+    const grade = await gradeReviewService.reviewGrade(fastify, existing.id, request.user.id);
+    if (!grade) {
+      throw fastify.createError(409, `Cannot review a ${existing.status} grade`, 'INVALID_GRADE_STATE');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.GRADE_REVIEW,
+      resourceType: 'grade',
+      resourceId: grade.id,
+      oldValue: { status: existing.status },
+      newValue: { status: grade.status },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: grade
+    };
+  });
+
+  /**
+   * POST /api/v1/grades/:id/publish
+   * Publish a single grade
+   */
+  fastify.post('/:id/publish', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const existing = await getGradeForInstructor(request, request.params.id);
+
+    const grade = await gradeReviewService.publishGrade(fastify, existing.id, request.user.id);
+    if (!grade) {
+      throw fastify.createError(409, 'Grade is already published', 'INVALID_GRADE_STATE');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.GRADE_PUBLISH,
+      resourceType: 'grade',
+      resourceId: grade.id,
+      oldValue: { status: existing.status },
+      newValue: { status: grade.status },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: grade
+    };
+  });
+
+  /**
+   * POST /api/v1/grades/:id/retract
+   * Withdraw a published or scheduled grade from the student
+   */
+  fastify.post('/:id/retract', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      body: {
+        type: ['object', 'null'],
+        properties: {
+          reason: { type: 'string', maxLength: 1000 }
+        }
+      }
+    }
+  }, async (request) => {
+    const existing = await getGradeForInstructor(request, request.params.id);
+
+    const grade = await gradeReviewService.retractGrade(fastify, existing.id);
+    if (!grade) {
+      throw fastify.createError(409, `Cannot retract a ${existing.status} grade`, 'INVALID_GRADE_STATE');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.GRADE_RETRACT,
+      resourceType: 'grade',
+      resourceId: grade.id,
+      oldValue: { status: existing.status },
+      newValue: { status: grade.status, reason: request.body?.reason || null },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: grade
+    };
+  });
+
+  /**
+   * GET /api/v1/grades/:id/history
+   * Revision history of a grade (newest first)
+   */
+  fastify.get('/:id/history', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const existing = await getGradeForInstructor(request, request.params.id);
+
+    const revisions = await gradeRevisionService.getHistory(fastify, existing.id);
+
+    return {
+      success: true,
+      data: revisions
+    };
+  });
+
+  /**
+   * POST /api/v1/grades/:id/revert
+   * Restore the values of an earlier revision (recorded as a new revision)
+   */
+  fastify.post('/:id/revert', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['revision_id'],
+        properties: {
+          revision_id: { type: 'string', format: 'uuid' },
+          reason: { type: 'string', maxLength: 1000 }
+        }
+      }
+    }
+  }, async (request) => {
+    const existing = await getGradeForInstructor(request, request.params.id);
+    const { revision_id, reason } = request.body;
+
+    const result = await gradeRevisionService.revertToRevision(fastify, existing.id, revision_id, {
+      userId: request.user.id,
+      reason
+    });
+    if (!result) {
+      throw fastify.createError(404, 'Revision not found for this grade', 'REVISION_NOT_FOUND');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.GRADE_REVERT,
+      resourceType: 'grade',
+      resourceId: existing.id,
+      newValue: {
+        reverted_to: revision_id,
+        revision_number: result.revision.revision_number,
+        points_earned: result.grade.points_earned,
+        reason: reason || null
+      },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: result
     };
   });
 }
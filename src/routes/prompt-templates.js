@@ -0,0 +1,133 @@
+/**
+ * Prompt Templates Routes
+ * Versioned AI grading prompts; admins save and activate versions,
+ * instructors can read them to pin one on an assignment
+ */
+
+const promptTemplateService = require('../services/prompt-template-service');
+const auditService = require('../services/audit-service');
+
+async function promptTemplatesRoutes(fastify, options) {
+  /**
+   * GET /api/v1/prompt-templates
+   * List saved versions, newest first, with the built-in template of each task
+   */
+  fastify.get('/', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          task: { type: 'string', enum: promptTemplateService.TEMPLATE_TASKS }
+        }
+      }
+    }
+  }, async (request) => {
+    const { task } = request.query;
+    const templates = await promptTemplateService.listTemplates(fastify, { task });
+
+    return {
+      success: true,
+      data: {
+        templates,
+        builtin: promptTemplateService.TEMPLATE_TASKS
+          .filter(name => !task || name === task)
+          .map(name => promptTemplateService.BUILTIN_TEMPLATES[name]),
+        variables: promptTemplateService.TEMPLATE_VARIABLES
+      }
+    };
+  });
+
+  /**
+   * GET /api/v1/prompt-templates/:id
+   * Get a saved version
+   */
+  fastify.get('/:id', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const template = await promptTemplateService.getTemplateById(fastify.db, request.params.id);
+
+    if (!template) {
+      throw fastify.createError(404, 'Prompt template not found', 'PROMPT_TEMPLATE_NOT_FOUND');
+    }
+
+    return {
+      success: true,
+      data: template
+    };
+  });
+
+  /**
+   * POST /api/v1/prompt-templates
+   * Save a template as the next version of its task
+   */
+  fastify.post('/', {
+    preHandler: [fastify.authenticate, fastify.authorize(['admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['task', 'system_prompt', 'user_prompt'],
+        properties: {
+          task: { type: 'string', enum: promptTemplateService.TEMPLATE_TASKS },
+          system_prompt: { type: 'string', minLength: 1, maxLength: 20000 },
+          user_prompt: { type: 'string', minLength: 1, maxLength: 20000 },
+          notes: { type: ['string', 'null'], maxLength: 2000 },
+          activate: { type: 'boolean' }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const errors = promptTemplateService.validateTemplate(request.body.task, request.body);
+    if (errors.length > 0) {
+      throw fastify.createError(400, errors.join('; '), 'INVALID_PROMPT_TEMPLATE');
+    }
+
+    const template = await promptTemplateService.createTemplate(fastify, request.body, request.user.id);
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.PROMPT_TEMPLATE_CREATE,
+      resourceType: 'prompt_template',
+      resourceId: template.id,
+      newValue: template,
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return reply.code(201).send({
+      success: true,
+      data: template
+    });
+  });
+
+  /**
+   * POST /api/v1/prompt-templates/:id/activate
+   * Grade assignments that do not pin a version with this one
+   */
+  fastify.post('/:id/activate', {
+    preHandler: [fastify.authenticate, fastify.authorize(['admin'])]
+  }, async (request) => {
+    const template = await promptTemplateService.activateTemplate(fastify, request.params.id);
+
+    if (!template) {
+      throw fastify.createError(404, 'Prompt template not found', 'PROMPT_TEMPLATE_NOT_FOUND');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.PROMPT_TEMPLATE_ACTIVATE,
+      resourceType: 'prompt_template',
+      resourceId: template.id,
+      newValue: { task: template.task, version: template.version },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: template
+    };
+  });
+}
+
+module.exports = promptTemplatesRoutes;
@@ -179,12 +179,27 @@ async function quizRoutes(fastify, options) {
       });
     }
 
+    // Students get their own time limit (accommodations may extend it)
+    let timeLimitMinutes = assignment.rows[0].time_limit_minutes;
+    if (role === 'student') {
+      const studentResult = await fastify.db.query(
+        'SELECT id FROM students WHERE user_id = $1',
+        [userId]
+      );
+      if (studentResult.rows.length > 0) {
+        const accommodationService = require('../services/accommodation-service');
+        const effective = await accommodationService.getEffectiveSettings(fastify, studentResult.rows[0].id, assignment.rows[0]);
+        timeLimitMinutes = effective.timeLimitMinutes;
+      }
+    }
+
     return {
       success: true,
       data: questions,
       meta: {
         total_questions: questions.length,
-        total_points: questions.reduce((sum, q) => sum + (q.points || 0), 0)
+        total_points: questions.reduce((sum, q) => sum + (q.points || 0), 0),
+        time_limit_minutes: timeLimitMinutes
       }
     };
   });
@@ -350,6 +365,99 @@ async function quizRoutes(fastify, options) {
     return { success: true, message: 'Questions reordered successfully' };
   });
 
+  /**
+   * POST /api/v1/quizzes/:assignmentId/start
+   * Start a timed attempt; the time limit is counted from here
+   */
+  fastify.post('/:assignmentId/start', {
+    preHandler: [fastify.authenticate, fastify.authorize(['student'])]
+  }, async (request) => {
+    const { assignmentId } = request.params;
+
+    const studentResult = await fastify.db.query(
+      'SELECT id FROM students WHERE user_id = $1',
+      [request.user.id]
+    );
+
+    if (studentResult.rows.length === 0) {
+      throw fastify.createError(403, 'Student record not found', 'STUDENT_NOT_FOUND');
+    }
+
+    const studentId = studentResult.rows[0].id;
+
+    const assignment = await fastify.db.query(
+      'SELECT * FROM assignments WHERE id = $1',
+      [assignmentId]
+    );
+
+    if (assignment.rows.length === 0) {
+      throw fastify.createError(404, 'Assignment not found', 'ASSIGNMENT_NOT_FOUND');
+    }
+
+    if (assignment.rows[0].status !== 'active') {
+      throw fastify.createError(400, 'This quiz is not currently active', 'QUIZ_NOT_ACTIVE');
+    }
+
+    const accommodationService = require('../services/accommodation-service');
+    const effective = await accommodationService.getEffectiveSettings(fastify, studentId, assignment.rows[0]);
+
+    const latePolicyService = require('../services/late-policy-service');
+    const lateness = latePolicyService.evaluateSubmission({
+      dueDate: effective.dueDate,
+      allowLate: assignment.rows[0].allow_late_submissions,
+      policy: await latePolicyService.getPolicyForAssignment(fastify, assignmentId)
+    });
+
+    if (!lateness.accepted) {
+      throw fastify.createError(400, lateness.message, lateness.code);
+    }
+
+    const latest = await fastify.db.query(
+      'SELECT * FROM submissions WHERE assignment_id = $1 AND student_id = $2 ORDER BY version DESC LIMIT 1',
+      [assignmentId, studentId]
+    );
+
+    let attempt;
+    if (latest.rows.length === 0 || latest.rows[0].status === 'graded') {
+      const version = latest.rows.length > 0 ? latest.rows[0].version + 1 : 1;
+      if (version > effective.maxResubmissions + 1) {
+        throw fastify.createError(400, 'Maximum resubmissions reached', 'MAX_RESUBMISSIONS');
+      }
+
+      const created = await fastify.db.query(
+        `INSERT INTO submissions (id, student_id, assignment_id, content, version, status, quiz_started_at, submitted_at)
+         VALUES ($1, $2, $3, $4, $5, 'draft', NOW(), NOW())
+         RETURNING *`,
+        [uuidv4(), studentId, assignmentId, 'Quiz submission', version]
+      );
+      attempt = created.rows[0];
+    } else {
+      // Restarting an attempt in progress keeps the original start time
+      const updated = await fastify.db.query(
+        `UPDATE submissions SET quiz_started_at = COALESCE(quiz_started_at, NOW())
+         WHERE id = $1
+         RETURNING *`,
+        [latest.rows[0].id]
+      );
+      attempt = updated.rows[0];
+    }
+
+    const startedAt = new Date(attempt.quiz_started_at);
+
+    return {
+      success: true,
+      data: {
+        submission_id: attempt.id,
+        version: attempt.version,
+        started_at: startedAt,
+        time_limit_minutes: effective.timeLimitMinutes,
+        expires_at: effective.timeLimitMinutes
+          ? new Date(startedAt.getTime() + effective.timeLimitMinutes * 60000)
+          : null
+      }
+    };
+  });
+
   /**
    * POST /api/v1/quizzes/:assignmentId/submit
    * Submit quiz answers
@@ -391,19 +499,43 @@ async function quizRoutes(fastify, options) {
       throw fastify.createError(400, 'This quiz is not currently active', 'QUIZ_NOT_ACTIVE');
     }
 
+    // Due date, time limit and attempt cap including the student's accommodations
+    const accommodationService = require('../services/accommodation-service');
+    const effective = await accommodationService.getEffectiveSettings(fastify, studentId, assignment.rows[0]);
+
+    // Apply the late policy
+    const latePolicyService = require('../services/late-policy-service');
+    const lateness = latePolicyService.evaluateSubmission({
+      dueDate: effective.dueDate,
+      allowLate: assignment.rows[0].allow_late_submissions,
+      policy: await latePolicyService.getPolicyForAssignment(fastify, assignmentId)
+    });
+
+    if (!lateness.accepted) {
+      throw fastify.createError(400, lateness.message, lateness.code);
+    }
+
     // Check for existing submission
     let submission = await fastify.db.query(
       'SELECT * FROM submissions WHERE assignment_id = $1 AND student_id = $2 ORDER BY version DESC LIMIT 1',
       [assignmentId, studentId]
     );
 
+    // Timed quizzes must be started through /start and come in within the student's time limit
+    const timing = accommodationService.checkTimedAttempt(submission.rows[0], effective.timeLimitMinutes);
+    if (timing === 'QUIZ_NOT_STARTED') {
+      throw fastify.createError(400, 'Start this timed quiz before submitting it', timing);
+    }
+    if (timing === 'QUIZ_TIME_EXPIRED') {
+      throw fastify.createError(400, 'The time limit for this quiz has expired', timing);
+    }
+
     let submissionId;
     let version = 1;
 
     if (submission.rows.length > 0 && submission.rows[0].status === 'graded') {
       // Check if resubmission is allowed
-      const maxResubs = assignment.rows[0].max_resubmissions || 0;
-      if (submission.rows[0].version >= maxResubs + 1) {
+      if (submission.rows[0].version >= effective.maxResubmissions + 1) {
         throw fastify.createError(400, 'Maximum resubmissions reached', 'MAX_RESUBMISSIONS');
       }
       version = submission.rows[0].version + 1;
@@ -412,17 +544,18 @@ async function quizRoutes(fastify, options) {
     // Create or update submission
     if (submission.rows.length === 0 || submission.rows[0].status === 'graded') {
       const newSub = await fastify.db.query(
-        `INSERT INTO submissions (id, student_id, assignment_id, content, version, status, submitted_at)
-         VALUES ($1, $2, $3, $4, $5, 'submitted', NOW())
+        `INSERT INTO submissions (id, student_id, assignment_id, content, version, status, is_late, minutes_late, late_penalty_percent, submitted_at)
+         VALUES ($1, $2, $3, $4, $5, 'submitted', $6, $7, $8, NOW())
          RETURNING *`,
-        [uuidv4(), studentId, assignmentId, 'Quiz submission', version]
+        [uuidv4(), studentId, assignmentId, 'Quiz submission', version, lateness.isLate, lateness.minutesLate, lateness.penaltyPercent]
       );
       submissionId = newSub.rows[0].id;
     } else {
       submissionId = submission.rows[0].id;
       await fastify.db.query(
-        "UPDATE submissions SET status = 'submitted', submitted_at = NOW() WHERE id = $1",
-        [submissionId]
+        `UPDATE submissions SET status = 'submitted', is_late = $2, minutes_late = $3, late_penalty_percent = $4, submitted_at = NOW()
+         WHERE id = $1`,
+        [submissionId, lateness.isLate, lateness.minutesLate, lateness.penaltyPercent]
       );
     }
 
@@ -441,10 +574,29 @@ async function quizRoutes(fastify, options) {
 
     const questionsMap = new Map(questions.map(q => [q.id, q]));
 
+    // AI provider for short answer/essay questions (assignment > course > deployment)
+    const aiProviderService = require('../services/ai-provider-service');
+    const provider = await aiProviderService.getProviderForAssignment(fastify.db, assignmentId);
+    // Once the course's AI budget is used, AI-graded answers are left for the instructor
+    const aiUsageService = require('../services/ai-usage-service');
+    const budget = await aiUsageService.getBudgetStatusForAssignment(fastify.db, assignmentId);
+    const ai = {
+      provider,
+      withinBudget: !budget?.exceeded,
+      usageRecorder: aiUsageService.createRecorder(fastify, {
+        assignmentId,
+        submissionId,
+        userId,
+        purpose: 'quiz'
+      })
+    };
+
     // Process each answer
     let totalScore = 0;
     let totalPoints = 0;
     const answerResults = [];
+    // Validation of AI-graded answers, kept in the grade's ai_response for instructors
+    const aiValidations = {};
 
     for (const answer of answers) {
       const question = questionsMap.get(answer.question_id);
@@ -453,8 +605,11 @@ async function quizRoutes(fastify, options) {
       totalPoints += question.points;
 
       // Grade the answer based on question type
-      const gradeResult = await gradeAnswer(fastify, question, answer);
+      const { validation, ...gradeResult } = await gradeAnswer(fastify, question, answer, ai);
       totalScore += gradeResult.points_earned;
+      if (validation) {
+        aiValidations[answer.question_id] = { question_type: question.question_type, validation };
+      }
 
       // Insert or update answer
       await fastify.db.query(
@@ -485,32 +640,56 @@ async function quizRoutes(fastify, options) {
       });
     }
 
-    // Calculate final score as percentage
-    const scorePercent = totalPoints > 0 ? Math.round((totalScore / totalPoints) * 100) : 0;
-
-    // Create grade record
+    // Create grade record (held for review if the assignment requires it)
+    const gradeReviewService = require('../services/grade-review-service');
+    const gradeStatus = gradeReviewService.getInitialStatus(assignment.rows[0].require_review_before_publish);
     const gradeId = uuidv4();
-    await fastify.db.query(
-      `INSERT INTO grades (id, submission_id, score, feedback, graded_at)
-       VALUES ($1, $2, $3, $4, NOW())
-       ON CONFLICT (submission_id) DO UPDATE SET score = $3, feedback = $4, graded_at = NOW()`,
-      [gradeId, submissionId, scorePercent, `Quiz completed. Score: ${totalScore}/${totalPoints} points`]
+    const gradeResult = await fastify.db.query(
+      `INSERT INTO grades (id, submission_id, points_earned, points_possible, feedback, status, published_at, ai_response, graded_at)
+       VALUES ($1, $2, $3, $4, $5, $6, CASE WHEN $7::boolean THEN NOW() END, $8, NOW())
+       ON CONFLICT (submission_id) DO UPDATE SET points_earned = $3, points_possible = $4, feedback = $5, status = $6,
+         late_penalty_percent = EXCLUDED.late_penalty_percent, ai_response = EXCLUDED.ai_response,
+         published_at = EXCLUDED.published_at, reviewed_by = NULL, reviewed_at = NULL, release_at = NULL, graded_at = NOW()
+       RETURNING *`,
+      [
+        gradeId, submissionId, totalScore, totalPoints, `Quiz completed. Score: ${totalScore}/${totalPoints} points`, gradeStatus, gradeStatus === 'published',
+        Object.keys(aiValidations).length > 0 ? JSON.stringify({ provider, questions: aiValidations }) : null
+      ]
     );
 
+    const gradeRevisionService = require('../services/grade-revision-service');
+    await gradeRevisionService.recordRevision(fastify.db, gradeResult.rows[0], { source: 'quiz' });
+
     // Update submission status
     await fastify.db.query(
       "UPDATE submissions SET status = 'graded' WHERE id = $1",
       [submissionId]
     );
 
+    // Score and per-question results stay hidden until the instructor publishes the grade
+    if (gradeStatus !== 'published') {
+      return reply.code(201).send({
+        success: true,
+        data: {
+          submission_id: submissionId,
+          total_points: totalPoints,
+          grade_released: false
+        }
+      });
+    }
+
     return reply.code(201).send({
       success: true,
       data: {
         submission_id: submissionId,
-        score: scorePercent,
         points_earned: totalScore,
+        points_possible: totalPoints,
+        late_penalty_points: gradeResult.rows[0].late_penalty_points,
+        final_points: gradeResult.rows[0].final_points,
+        percentage: gradeResult.rows[0].percentage,
         total_points: totalPoints,
-        answers: assignment.rows[0].show_correct_answers ? answerResults : undefined
+        answers: assignment.rows[0].show_correct_answers ? answerResults : undefined,
+        grade_released: true
       }
     });
   });
@@ -539,10 +718,11 @@ async function quizRoutes(fastify, options) {
 
     // Get submission and answers
     const submission = await fastify.db.query(
-      `SELECT s.*, g.score, g.feedback as grade_feedback
+      `SELECT s.*, g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback as grade_feedback,
+              g.status as grade_status, g.release_at as grade_release_at
        FROM submissions s
        LEFT JOIN grades g ON g.submission_id = s.id
-       WHERE s.assignment_id = $1 AND s.student_id = $2
+       WHERE s.assignment_id = $1 AND s.student_id = $2 AND s.status != 'draft'
        ORDER BY s.version DESC LIMIT 1`,
       [assignmentId, studentId]
     );
@@ -566,11 +746,17 @@ async function quizRoutes(fastify, options) {
 
     // Get assignment to check if we should show correct answers
     const assignment = await fastify.db.query(
-      'SELECT show_correct_answers FROM assignments WHERE id = $1',
+      'SELECT show_correct_answers, show_feedback_to_students FROM assignments WHERE id = $1',
       [assignmentId]
     );
 
-    const showAnswers = assignment.rows[0]?.show_correct_answers !== false;
+    const gradeReviewService = require('../services/grade-review-service');
+    const released = gradeReviewService.isVisibleToStudent({
+      status: submissionData.grade_status,
+      release_at: submissionData.grade_release_at
+    });
+    const showAnswers = released && assignment.rows[0]?.show_correct_answers !== false;
+    const showFeedback = released && assignment.rows[0]?.show_feedback_to_students !== false;
 
     return {
       success: true,
@@ -578,9 +764,15 @@ async function quizRoutes(fastify, options) {
         submission: {
           id: submissionData.id,
           status: submissionData.status,
-          score: submissionData.score,
+          points_earned: released ? submissionData.points_earned : null,
+          points_possible: submissionData.points_possible,
+          late_penalty_points: released ? submissionData.late_penalty_points : null,
+          final_points: released ? submissionData.final_points : null,
+          percentage: released ? submissionData.percentage : null,
+          is_late: submissionData.is_late,
           submitted_at: submissionData.submitted_at,
-          feedback: submissionData.grade_feedback
+          feedback: showFeedback ? submissionData.grade_feedback : null,
+          grade_released: released
         },
         answers: answers.rows.map(a => ({
           question_id: a.question_id,
@@ -588,10 +780,10 @@ async function quizRoutes(fastify, options) {
           question_type: a.question_type,
           your_answer: a.answer_text,
           selected_options: a.selected_options,
-          is_correct: a.is_correct,
-          points_earned: parseFloat(a.points_earned),
+          is_correct: released ? a.is_correct : null,
+          points_earned: released ? parseFloat(a.points_earned) : null,
           points_possible: a.points,
-          feedback: a.ai_feedback,
+          feedback: showFeedback ? a.ai_feedback : null,
           explanation: showAnswers ? a.explanation : undefined,
           correct_answer: showAnswers ? (a.correct_answers || a.reference_answer) : undefined,
           options: showAnswers ? a.options : a.options?.map(o => ({ id: o.id, text: o.text }))
@@ -601,10 +793,25 @@ async function quizRoutes(fastify, options) {
   });
 }
 
+/**
+ * Result of an answer the instructor has to grade
+ */
+function instructorReviewResult() {
+  return {
+    is_correct: false,
+    points_earned: 0,
+    feedback: 'Unable to grade automatically. Instructor will review.'
+  };
+}
+
 /**
  * Grade an individual answer
+ * @param {Object} ai - AI grading of short answer and essay questions
+ * @param {string} [ai.provider] - AI provider
+ * @param {boolean} ai.withinBudget - Whether the course's AI budget allows grading
+ * @param {Object} [ai.usageRecorder] - Recorder for the AI usage (see ai-usage-service)
  */
-async function gradeAnswer(fastify, question, answer) {
+async function gradeAnswer(fastify, question, answer, { provider, withinBudget, usageRecorder }) {
   const { question_type, options, correct_answers, reference_answer, points, allow_partial_credit } = question;
 
   switch (question_type) {
@@ -650,27 +857,28 @@ async function gradeAnswer(fastify, question, answer) {
 
       // If no exact match, use AI for semantic matching
       if (reference_answer) {
+        if (!withinBudget) return instructorReviewResult();
+
         try {
           const openaiService = require('../services/openai-service');
           const aiResult = await openaiService.gradeShortAnswer({
             studentAnswer: answer.answer_text || '',
             referenceAnswer: reference_answer,
             question: question.question_text,
-            points: points
+            points: points,
+            provider,
+            usageRecorder
           });
           
           return {
             is_correct: aiResult.is_correct,
             points_earned: aiResult.score,
-            feedback: aiResult.feedback
+            feedback: aiResult.feedback,
+            validation: aiResult.validation
           };
         } catch (err) {
           fastify.log.error({ err }, 'AI grading failed for short answer');
-          return {
-            is_correct: false,
-            points_earned: 0,
-            feedback: 'Unable to grade automatically. Instructor will review.'
-          };
+          return instructorReviewResult();
         }
       }
 
@@ -691,27 +899,28 @@ async function gradeAnswer(fastify, question, answer) {
         };
       }
 
+      if (!withinBudget) return instructorReviewResult();
+
       try {
         const openaiService = require('../services/openai-service');
         const aiResult = await openaiService.gradeEssay({
           studentAnswer: answer.answer_text,
           question: question.question_text,
           referenceAnswer: reference_answer || '',
-          points: points
+          points: points,
+          provider,
+          usageRecorder
         });
         
         return {
           is_correct: aiResult.is_correct,
           points_earned: aiResult.score,
-          feedback: aiResult.feedback
+          feedback: aiResult.feedback,
+          validation: aiResult.validation
         };
       } catch (err) {
         fastify.log.error({ err }, 'AI grading failed for essay');
-        return {
-          is_correct: false,
-          points_earned: 0,
-          feedback: 'Unable to grade automatically. Instructor will review.'
-        };
+        return instructorReviewResult();
       }
     }
 
@@ -0,0 +1,278 @@
+/**
+ * Regrade Requests Routes
+ * Students dispute released grades; instructors resolve them from a queue
+ */
+
+const regradeRequestService = require('../services/regrade-request-service');
+const gradeReviewService = require('../services/grade-review-service');
+const auditService = require('../services/audit-service');
+
+async function regradeRequestsRoutes(fastify, options) {
+  /**
+   * Get the student record of the current user
+   */
+  async function getStudentId(request) {
+    const result = await fastify.db.query(
+      'SELECT id FROM students WHERE user_id = $1',
+      [request.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw fastify.createError(403, 'Student record not found', 'STUDENT_NOT_FOUND');
+    }
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Load a request and check the requester may see it
+   */
+  async function getAuthorizedRequest(request, requestId) {
+    const regradeRequest = await regradeRequestService.getRequest(fastify, requestId);
+
+    if (!regradeRequest) {
+      throw fastify.createError(404, 'Regrade request not found', 'REGRADE_REQUEST_NOT_FOUND');
+    }
+
+    const { role, id: userId } = request.user;
+    if (role === 'student' && regradeRequest.student_user_id !== userId) {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    if (role === 'instructor' && regradeRequest.instructor_id !== userId) {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    return regradeRequest;
+  }
+
+  /**
+   * POST /api/v1/regrade-requests
+   * File a regrade request for a released grade
+   */
+  fastify.post('/', {
+    preHandler: [fastify.authenticate, fastify.authorize(['student'])],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['grade_id', 'justification'],
+        properties: {
+          grade_id: { type: 'string', format: 'uuid' },
+          criterion: { type: 'string', minLength: 1, maxLength: 255 },
+          justification: { type: 'string', minLength: 10, maxLength: 5000 },
+          requested_points: { type: 'number', minimum: 0 }
+        }
+      }
+    }
+  }, async (request, reply) => {
+    const { grade_id, criterion, justification, requested_points } = request.body;
+
+    const grade = await regradeRequestService.getGradeForRequest(fastify, grade_id);
+
+    // Grades the student cannot see (or someone else's) don't exist as far as they are concerned
+    if (!grade || grade.student_user_id !== request.user.id ||
+        !gradeReviewService.isVisibleToStudent({ status: grade.status, release_at: grade.release_at })) {
+      throw fastify.createError(404, 'Grade not found', 'GRADE_NOT_FOUND');
+    }
+
+    if (!regradeRequestService.isFilingOpen(grade)) {
+      throw fastify.createError(400, 'The regrade request period for this assignment has ended', 'REGRADE_WINDOW_CLOSED');
+    }
+
+    if (criterion && !regradeRequestService.hasCriterion(grade, criterion)) {
+      throw fastify.createError(400, `Unknown rubric criterion: ${criterion}`, 'INVALID_CRITERION');
+    }
+
+    // A criterion request asks for points on that criterion, not on the whole grade
+    const maxPoints = criterion
+      ? regradeRequestService.getCriterionMaxPoints(grade, criterion) ?? grade.points_possible
+      : grade.points_possible;
+    if (requested_points !== undefined && requested_points > maxPoints) {
+      throw fastify.createError(400, `Requested points cannot exceed ${maxPoints}`, 'INVALID_SCORE');
+    }
+
+    const regradeRequest = await regradeRequestService.createRequest(fastify, {
+      gradeId: grade.id,
+      studentId: grade.student_id,
+      justification,
+      criterion: criterion || null,
+      requestedPoints: requested_points ?? null
+    });
+
+    if (!regradeRequest) {
+      throw fastify.createError(409, 'A regrade request for this grade is already pending', 'REGRADE_REQUEST_PENDING');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.REGRADE_REQUEST_CREATE,
+      resourceType: 'grade',
+      resourceId: grade.id,
+      newValue: { regrade_request_id: regradeRequest.id, criterion: regradeRequest.criterion },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return reply.code(201).send({
+      success: true,
+      data: regradeRequest
+    });
+  });
+
+  /**
+   * GET /api/v1/regrade-requests
+   * Students see their own requests; instructors get the queue for their assignments
+   */
+  fastify.get('/', {
+    preHandler: [fastify.authenticate],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          assignment_id: { type: 'string', format: 'uuid' },
+          course_id: { type: 'string', format: 'uuid' },
+          status: { type: 'string', enum: regradeRequestService.REQUEST_STATUSES }
+        }
+      }
+    }
+  }, async (request) => {
+    const { role, id: userId } = request.user;
+    const { assignment_id, course_id, status } = request.query;
+
+    const requests = await regradeRequestService.listRequests(fastify, {
+      studentId: role === 'student' ? await getStudentId(request) : undefined,
+      instructorId: role === 'instructor' ? userId : undefined,
+      assignmentId: assignment_id,
+      courseId: course_id,
+      status
+    });
+
+    return {
+      success: true,
+      data: requests
+    };
+  });
+
+  /**
+   * GET /api/v1/regrade-requests/:id
+   * Get a regrade request
+   */
+  fastify.get('/:id', { preHandler: [fastify.authenticate] }, async (request) => {
+    const regradeRequest = await getAuthorizedRequest(request, request.params.id);
+
+    return {
+      success: true,
+      data: regradeRequest
+    };
+  });
+
+  /**
+   * POST /api/v1/regrade-requests/:id/resolve
+   * Accept, adjust or reject a pending request
+   */
+  fastify.post('/:id/resolve', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        required: ['action'],
+        properties: {
+          action: { type: 'string', enum: Object.keys(regradeRequestService.RESOLUTIONS) },
+          points_earned: { type: 'number', minimum: 0 },
+          rubric_scores: { type: 'object' },
+          note: { type: 'string', maxLength: 5000 }
+        }
+      }
+    }
+  }, async (request) => {
+    const existing = await getAuthorizedRequest(request, request.params.id);
+    const { action, points_earned, rubric_scores, note } = request.body;
+
+    if (existing.status !== 'pending') {
+      throw fastify.createError(409, `Regrade request is already ${existing.status}`, 'INVALID_REQUEST_STATE');
+    }
+
+    if (action !== 'reject') {
+      const newPoints = points_earned ?? (action === 'accept' ? existing.requested_points : undefined);
+      if (newPoints === undefined || newPoints === null) {
+        throw fastify.createError(400, 'points_earned is required to change the grade', 'SCORE_REQUIRED');
+      }
+      if (newPoints > existing.points_possible) {
+        throw fastify.createError(400, `Points earned must be between 0 and ${existing.points_possible}`, 'INVALID_SCORE');
+      }
+    }
+
+    let result;
+    try {
+      result = await regradeRequestService.resolveRequest(fastify, existing.id, {
+        action,
+        userId: request.user.id,
+        pointsEarned: points_earned,
+        rubricScores: rubric_scores,
+        note
+      });
+    } catch (error) {
+      if (error.code === 'INVALID_SCORE') {
+        throw fastify.createError(400, error.message, error.code);
+      }
+      throw error;
+    }
+
+    if (!result) {
+      throw fastify.createError(409, 'Regrade request is no longer pending', 'INVALID_REQUEST_STATE');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.REGRADE_REQUEST_RESOLVE,
+      resourceType: 'grade',
+      resourceId: existing.grade_id,
+      oldValue: { points_earned: result.request.points_before },
+      newValue: {
+        regrade_request_id: existing.id,
+        status: result.request.status,
+        points_earned: result.request.points_after,
+        revision_id: result.request.revision_id
+      },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: result
+    };
+  });
+
+  /**
+   * POST /api/v1/regrade-requests/:id/withdraw
+   * Withdraw a pending request
+   */
+  fastify.post('/:id/withdraw', {
+    preHandler: [fastify.authenticate, fastify.authorize(['student'])]
+  }, async (request) => {
+    const existing = await getAuthorizedRequest(request, request.params.id);
+
+    const regradeRequest = await regradeRequestService.withdrawRequest(fastify, existing.id, existing.student_id);
+    if (!regradeRequest) {
+      throw fastify.createError(409, `Regrade request is already ${existing.status}`, 'INVALID_REQUEST_STATE');
+    }
+
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.REGRADE_REQUEST_WITHDRAW,
+      resourceType: 'grade',
+      resourceId: existing.grade_id,
+      newValue: { regrade_request_id: existing.id },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: regradeRequest
+    };
+  });
+}
+
+module.exports = regradeRequestsRoutes;
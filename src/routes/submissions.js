@@ -34,7 +34,7 @@ async function submissionsRoutes(fastify, options) {
 
     // Validate submission has content (either text or pdf)
     if (!content && !pdf_url) {
-      throw fastify.createError(400, 'Submission must have text content or PDF', 'CONTENT_REQUIRED');
+      throw fastify.createError(400, 'Submission must have text content or a file', 'CONTENT_REQUIRED');
     }
 
     // Get student record
@@ -51,7 +51,8 @@ async function submissionsRoutes(fastify, options) {
 
     // Check assignment exists and is active
     const assignmentResult = await fastify.db.query(
-      `SELECT id, title, max_resubmissions, status, due_date, course_id, course_code 
+      `SELECT id, title, max_resubmissions, status, due_date, course_id, course_code, ai_grading_enabled,
+              allow_late_submissions
        FROM assignments WHERE id = $1`,
       [assignment_id]
     );
@@ -96,6 +97,10 @@ async function submissionsRoutes(fastify, options) {
       }
     }
 
+    // Due date and attempt cap including the student's accommodations
+    const accommodationService = require('../services/accommodation-service');
+    const effective = await accommodationService.getEffectiveSettings(fastify, studentId, assignment);
+
     // Check for existing draft - if saving a draft, update the existing one instead of creating new
     const existingDraftResult = await fastify.db.query(
       `SELECT id, version FROM submissions 
@@ -140,7 +145,7 @@ async function submissionsRoutes(fastify, options) {
     const version = parseInt(versionResult.rows[0].max_version) + 1;
 
     // Only check max resubmissions for actual submissions (not drafts)
-    if (!isDraft && submissionCount >= assignment.max_resubmissions) {
+    if (!isDraft && submissionCount >= effective.maxResubmissions) {
       throw fastify.createError(400, 'Maximum resubmissions reached', 'MAX_RESUBMISSIONS');
     }
 
@@ -158,25 +163,72 @@ async function submissionsRoutes(fastify, options) {
       }
     }
 
-    // Check if submission is late
-    const isLate = assignment.due_date ? new Date() > new Date(assignment.due_date) : false;
+    // Apply the late policy (drafts can still be saved after the deadline)
+    const latePolicyService = require('../services/late-policy-service');
+    const lateness = latePolicyService.evaluateSubmission({
+      dueDate: effective.dueDate,
+      allowLate: assignment.allow_late_submissions,
+      policy: await latePolicyService.getPolicyForAssignment(fastify, assignment_id)
+    });
+
+    if (!isDraft && !lateness.accepted) {
+      throw fastify.createError(400, lateness.message, lateness.code);
+    }
 
     // Create submission (draft or submitted based on request)
     const submissionStatus = isDraft ? 'draft' : 'submitted';
     const result = await fastify.db.query(
-      `INSERT INTO submissions (id, student_id, assignment_id, content, pdf_url, file_name, version, status, is_late, submitted_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
-       RETURNING id, student_id, assignment_id, content, pdf_url, file_name, version, status, is_late, submitted_at`,
-      [uuidv4(), studentId, assignment_id, content || null, pdf_url || null, file_name || null, version, submissionStatus, isLate]
+      `INSERT INTO submissions (id, student_id, assignment_id, content, pdf_url, file_name, version, status, is_late,
+         minutes_late, late_penalty_percent, submitted_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+       RETURNING id, student_id, assignment_id, content, pdf_url, file_name, version, status, is_late,
+         minutes_late, late_penalty_percent, submitted_at`,
+      [
+        uuidv4(), studentId, assignment_id, content || null, pdf_url || null, file_name || null, version, submissionStatus,
+        lateness.isLate, lateness.minutesLate, isDraft ? 0 : lateness.penaltyPercent
+      ]
     );
 
     const submission = result.rows[0];
 
-    // TODO: Trigger AI grading service asynchronously (only for actual submissions)
+    // Documents, notebooks and code files are converted to text right away so
+    // instructors can read them; PDFs are extracted (or OCRed) by the grading job
+    if (!isDraft && !content && pdf_url) {
+      const documentService = require('../services/document-service');
+      const format = documentService.detectFormat(pdf_url);
+      if (format && format !== 'pdf') {
+        try {
+          const extracted = await documentService.extractSubmissionFile(fastify, submission);
+          submission.content = extracted.text;
+          submission.source_format = extracted.format;
+        } catch (err) {
+          fastify.log.warn({ submissionId: submission.id, error: err.message }, 'Failed to extract submission file');
+        }
+      }
+    }
+
+    // Queue AI grading for actual submissions; the grading worker moves the
+    // submission through grading -> graded/failed
+    let gradingQueued = false;
+    if (!isDraft && assignment.ai_grading_enabled !== false) {
+      try {
+        const gradingQueueService = require('../services/grading-queue-service');
+        await gradingQueueService.enqueueSubmission(fastify, {
+          assignmentId: assignment_id,
+          submissionId: submission.id,
+          userId
+        });
+        gradingQueued = true;
+      } catch (err) {
+        // The submission is saved either way; an instructor can still grade it or batch grade later
+        fastify.log.error({ submissionId: submission.id, error: err.message }, 'Failed to queue AI grading');
+      }
+    }
 
     return reply.code(201).send({
       success: true,
-      data: submission
+      data: submission,
+      grading_queued: gradingQueued
     });
   });
 
@@ -221,7 +273,8 @@ async function submissionsRoutes(fastify, options) {
 
       query = `
         SELECT s.*, a.title as assignment_title, a.total_points,
-               g.score, g.feedback, g.graded_at
+               g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback, g.graded_at,
+               g.status as grade_status, g.release_at as grade_release_at, a.show_feedback_to_students
         FROM submissions s
         JOIN assignments a ON s.assignment_id = a.id
         LEFT JOIN grades g ON s.id = g.submission_id
@@ -257,11 +310,13 @@ async function submissionsRoutes(fastify, options) {
       // Use a subquery to get only the latest submission (max version) per student per assignment
       query = `
         SELECT s.*, st.name as student_name, a.title as assignment_title, a.total_points,
-               g.score, g.feedback, g.graded_at
+               g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback, g.graded_at, g.status as grade_status,
+               sim.max_score as similarity_score, COALESCE(sim.flagged, false) as similarity_flagged
         FROM submissions s
         JOIN students st ON s.student_id = st.id
         JOIN assignments a ON s.assignment_id = a.id
         LEFT JOIN grades g ON s.id = g.submission_id
+        LEFT JOIN submission_similarity sim ON sim.submission_id = s.id
         INNER JOIN (
           SELECT student_id, assignment_id, MAX(version) as max_version
           FROM submissions
@@ -279,6 +334,15 @@ async function submissionsRoutes(fastify, options) {
 
     const result = await fastify.db.query(query, params);
 
+    // Students only see published grades (and feedback if the assignment shows it)
+    if (role === 'student') {
+      const gradeReviewService = require('../services/grade-review-service');
+      return {
+        success: true,
+        data: result.rows.map(gradeReviewService.applyStudentVisibility)
+      };
+    }
+
     return {
       success: true,
       data: result.rows
@@ -295,12 +359,13 @@ async function submissionsRoutes(fastify, options) {
 
     const result = await fastify.db.query(
       `SELECT s.id, s.student_id, s.assignment_id, s.content, s.pdf_url, s.file_name,
-              s.image_url, s.submission_type, s.is_late,
+              s.image_url, s.submission_type, s.is_late, s.source_format, s.extracted_structure,
               s.version, s.status, s.submitted_at,
               st.name as student_name, st.user_id as student_user_id,
               a.title as assignment_title, a.instructor_id, a.due_date, a.total_points,
               a.course_code, a.description as assignment_description, a.rubric_id,
-              g.score, g.feedback, g.graded_at, g.graded_by, g.confidence
+              g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback, g.graded_at, g.graded_by, g.confidence,
+              g.status as grade_status, g.release_at as grade_release_at, a.show_feedback_to_students
        FROM submissions s
        JOIN students st ON s.student_id = st.id
        JOIN assignments a ON s.assignment_id = a.id
@@ -329,6 +394,14 @@ async function submissionsRoutes(fastify, options) {
       throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
     }
 
+    if (role === 'student') {
+      const gradeReviewService = require('../services/grade-review-service');
+      return {
+        success: true,
+        data: gradeReviewService.applyStudentVisibility(submission)
+      };
+    }
+
     return {
       success: true,
       data: submission
@@ -343,13 +416,14 @@ async function submissionsRoutes(fastify, options) {
     preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
   }, async (request) => {
     const { id } = request.params;
-    const { score, feedback, autoGrade } = request.body;
+    // score is the previous name for points_earned and is still accepted
+    const { points_earned, score, feedback, reason, autoGrade } = request.body;
     const userId = request.user.id;
 
     // Get submission with assignment info
     const submissionResult = await fastify.db.query(
       `SELECT s.*, a.instructor_id, a.total_points, a.rubric_id, a.description as assignment_description,
-              st.name as student_name
+              a.require_review_before_publish, st.name as student_name
        FROM submissions s
        JOIN assignments a ON s.assignment_id = a.id
        JOIN students st ON s.student_id = st.id
@@ -368,18 +442,28 @@ async function submissionsRoutes(fastify, options) {
       throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
     }
 
-    let gradeScore = score;
+    let gradeScore = points_earned ?? score;
     let gradeFeedback = feedback;
 
     // Auto-grade using AI if requested
     if (autoGrade) {
+      await assertAiBudget(submission.assignment_id);
+
       try {
         const gradingService = require('../services/grading-service');
+        const aiProviderService = require('../services/ai-provider-service');
+        const aiUsageService = require('../services/ai-usage-service');
         const result = await gradingService.gradeSubmission({
           submissionContent: submission.content,
           assignmentDescription: submission.assignment_description,
           totalPoints: submission.total_points,
-          rubricId: submission.rubric_id
+          rubricId: submission.rubric_id,
+          provider: await aiProviderService.getProviderForAssignment(fastify.db, submission.assignment_id),
+          usageRecorder: aiUsageService.createRecorder(fastify, {
+            assignmentId: submission.assignment_id,
+            submissionId: id,
+            userId
+          })
         });
         gradeScore = result.score;
         gradeFeedback = result.feedback;
@@ -389,62 +473,83 @@ async function submissionsRoutes(fastify, options) {
       }
     }
 
-    // Validate score
+    // Validate points
     if (gradeScore === undefined || gradeScore === null) {
-      throw fastify.createError(400, 'Score is required', 'SCORE_REQUIRED');
+      throw fastify.createError(400, 'Points earned are required', 'SCORE_REQUIRED');
     }
 
-    if (gradeScore < 0 || gradeScore > submission.total_points) {
-      throw fastify.createError(400, `Score must be between 0 and ${submission.total_points}`, 'INVALID_SCORE');
+    const pointsPossible = submission.total_points || 100;
+    if (typeof gradeScore !== 'number' || gradeScore < 0 || gradeScore > pointsPossible) {
+      throw fastify.createError(400, `Points earned must be between 0 and ${pointsPossible}`, 'INVALID_SCORE');
     }
 
-    // Check if grade already exists
-    const existingGrade = await fastify.db.query(
-      'SELECT id FROM grades WHERE submission_id = $1',
-      [id]
-    );
+    const gradeRevisionService = require('../services/grade-revision-service');
 
-    let gradeResult;
-
-    if (existingGrade.rows.length > 0) {
-      // Update existing grade
-      gradeResult = await fastify.db.query(
-        `UPDATE grades 
-         SET score = $1, feedback = $2, graded_by = $3, graded_at = NOW()
-         WHERE submission_id = $4
-         RETURNING *`,
-        [gradeScore, gradeFeedback || '', userId, id]
+    const grade = await fastify.db.transaction(async (client) => {
+      // Check if grade already exists
+      const existingGrade = await client.query(
+        'SELECT id FROM grades WHERE submission_id = $1',
+        [id]
       );
-    } else {
-      // Create new grade
-      gradeResult = await fastify.db.query(
-        `INSERT INTO grades (id, submission_id, score, feedback, graded_by, graded_at)
-         VALUES ($1, $2, $3, $4, $5, NOW())
-         RETURNING *`,
-        [uuidv4(), id, gradeScore, gradeFeedback || '', userId]
+
+      let gradeResult;
+
+      if (existingGrade.rows.length > 0) {
+        // Update existing grade; an instructor grading a draft counts as reviewing it
+        gradeResult = await client.query(
+          `UPDATE grades 
+           SET points_earned = $1, points_possible = $2, feedback = $3, graded_by = $4, graded_at = NOW(),
+               status = CASE WHEN status = 'draft' THEN 'reviewed' ELSE status END,
+               reviewed_by = $4, reviewed_at = NOW()
+           WHERE submission_id = $5
+           RETURNING *`,
+          [gradeScore, pointsPossible, gradeFeedback || '', userId, id]
+        );
+      } else {
+        // Create new grade (held as reviewed if the assignment requires publishing)
+        const gradeReviewService = require('../services/grade-review-service');
+        const gradeStatus = gradeReviewService.getInitialStatus(submission.require_review_before_publish, true);
+        gradeResult = await client.query(
+          `INSERT INTO grades (id, submission_id, points_earned, points_possible, feedback, graded_by, status, reviewed_by, reviewed_at, published_at, graded_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $6, NOW(), CASE WHEN $8::boolean THEN NOW() END, NOW())
+           RETURNING *`,
+          [uuidv4(), id, gradeScore, pointsPossible, gradeFeedback || '', userId, gradeStatus, gradeStatus === 'published']
+        );
+      }
+
+      await gradeRevisionService.recordRevision(client, gradeResult.rows[0], {
+        source: existingGrade.rows.length > 0 ? 'override' : 'manual',
+        userId,
+        reason
+      });
+
+      // Update submission status
+      await client.query(
+        `UPDATE submissions SET status = 'graded' WHERE id = $1`,
+        [id]
       );
-    }
 
-    // Update submission status
-    await fastify.db.query(
-      `UPDATE submissions SET status = 'graded' WHERE id = $1`,
-      [id]
-    );
+      return gradeResult.rows[0];
+    });
 
     return {
       success: true,
-      data: gradeResult.rows[0]
+      data: grade
     };
   });
 
   /**
    * POST /api/v1/submissions/:id/ai-preview
    * Get AI grade preview without saving (for instructor review)
+   * Identical inputs previewed or graded before return the cached result
+   * unless bypass_cache is set
    */
   fastify.post('/:id/ai-preview', {
     preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
   }, async (request) => {
     const { id } = request.params;
+    // The body is optional: { bypass_cache }
+    const bypassCache = request.body?.bypass_cache === true;
     const userId = request.user.id;
 
     // Get submission with assignment info including reference answer
@@ -470,37 +575,42 @@ async function submissionsRoutes(fastify, options) {
       throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
     }
 
+    await assertAiBudget(submission.assignment_id);
+
     // Get AI grade preview (does NOT save to database)
     try {
       const gradingService = require('../services/grading-service');
-      const fileService = require('../services/file-service');
-      const path = require('path');
-      const fs = require('fs').promises;
+      const aiProviderService = require('../services/ai-provider-service');
       
       // Use reference_text_extracted (from PDF) if available, otherwise use text reference_answer
       const referenceAnswer = submission.reference_text_extracted || submission.reference_answer || '';
       
-      // Get submission content - extract from PDF if content is empty but pdf_url exists
+      // Get submission content - extract from the uploaded file if content is empty but pdf_url exists
       let submissionContent = submission.content;
       
       if ((!submissionContent || submissionContent.trim().length === 0) && submission.pdf_url) {
-        // Try to extract text from the PDF file
+        // Try to extract text from the file, storing it on the submission for future use
         try {
-          const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
-          const pdfPath = path.join(UPLOAD_DIR, submission.pdf_url.replace(/^\/api\/v1\/files\//, ''));
-          const pdfBuffer = await fs.readFile(pdfPath);
-          submissionContent = await fileService.extractTextFromPdf(pdfBuffer);
-          
-          // Optionally update the submission content in DB for future use
-          await fastify.db.query(
-            'UPDATE submissions SET content = $1 WHERE id = $2',
-            [submissionContent, id]
-          );
+          const documentService = require('../services/document-service');
+          const extracted = await documentService.extractSubmissionFile(fastify, submission);
+          submissionContent = extracted.text;
+          submission.source_format = extracted.format;
+          submission.extracted_structure = extracted.structure && { language: extracted.language, ...extracted.structure };
           
-          fastify.log.info({ submissionId: id }, 'Extracted text from submission PDF');
-        } catch (pdfErr) {
-          fastify.log.error({ submissionId: id, error: pdfErr.message }, 'Failed to extract text from submission PDF');
-          throw new Error('Unable to extract text from the submitted PDF. The PDF may be image-based or corrupted.');
+          fastify.log.info({ submissionId: id, format: extracted.format }, 'Extracted text from submission file');
+        } catch (fileErr) {
+          if (fileErr.code !== 'PDF_NO_TEXT') {
+            fastify.log.error({ submissionId: id, error: fileErr.message }, 'Failed to extract text from submission file');
+            throw new Error(`Unable to extract text from the submitted file: ${fileErr.message}`);
+          }
+
+          // Scanned PDF: preview against the OCR text once it is available
+          const ocrService = require('../services/ocr-service');
+          const ocr = await ocrService.requestOcr(fastify, id);
+          if (!['completed', 'approved'].includes(ocr.status)) {
+            throw fastify.createError(409, `The submitted PDF is image-based; OCR is ${ocr.status}`, 'OCR_PENDING');
+          }
+          submissionContent = ocr.text;
         }
       }
       
@@ -514,6 +624,18 @@ async function submissionsRoutes(fastify, options) {
         }, 'Processing AI preview');
       }
       
+      // Run the assignment's test cases without storing the results
+      const testRunnerService = require('../services/test-runner-service');
+      const testRun = await testRunnerService.runSubmissionTests(fastify, submission, submissionContent, { store: false });
+
+      const ensembleService = require('../services/ensemble-service');
+      const ensemble = await ensembleService.getEnsembleConfigForAssignment(fastify.db, submission.assignment_id);
+      const exemplarService = require('../services/exemplar-service');
+      const exemplars = await exemplarService.getPromptExemplars(fastify, submission);
+      const promptTemplateService = require('../services/prompt-template-service');
+      const promptSettings = await promptTemplateService.getAssignmentPromptSettings(fastify.db, submission.assignment_id);
+      const aiUsageService = require('../services/ai-usage-service');
+
       const result = await gradingService.gradeSubmission({
         submissionContent: submissionContent,
         assignmentDescription: submission.assignment_description,
@@ -521,20 +643,43 @@ async function submissionsRoutes(fastify, options) {
         totalPoints: submission.total_points,
         rubricId: submission.rubric_id,
         db: fastify.db,
+        provider: await aiProviderService.getProviderForAssignment(fastify.db, submission.assignment_id),
         submissionType: submission.submission_type,
-        imageUrl: submission.image_url
+        imageUrl: submission.image_url,
+        submissionFormat: gradingService.getSubmissionFormat(submission),
+        testRun,
+        ensemble,
+        exemplars,
+        promptTemplate: promptSettings.template,
+        instructions: promptSettings.instructions,
+        usageRecorder: aiUsageService.createRecorder(fastify, {
+          assignmentId: submission.assignment_id,
+          submissionId: id,
+          userId,
+          purpose: 'preview'
+        }),
+        useCache: true,
+        bypassCache
       });
 
       return {
         success: true,
         data: {
-          score: result.score,
+          points_earned: result.score,
+          points_possible: submission.total_points || 100,
           feedback: result.feedback,
           confidence: result.confidence,
+          // Whether a stored grade with this confidence would be held for review
+          low_confidence: ensembleService.isLowConfidence(result.confidence, ensemble.threshold),
+          test_run: testRun && { passed: testRun.passed, total: testRun.total, score_ratio: testRun.score_ratio },
+          cached: result.cached,
+          // Suspicious spans; a stored grade of a flagged submission is held for review
+          injection: result.injection,
           preview: true // Indicates this is a preview, not saved
         }
       };
     } catch (error) {
+      if (error.code === 'OCR_PENDING') throw error;
       fastify.log.error('AI preview failed:', error);
       // Return more specific error message
       const errorMessage = error.message || 'AI grading preview failed. Please try again.';
@@ -542,6 +687,297 @@ async function submissionsRoutes(fastify, options) {
     }
   });
 
+  /**
+   * Refuse AI grading once the assignment's course has used its AI budget
+   */
+  async function assertAiBudget(assignmentId) {
+    const aiUsageService = require('../services/ai-usage-service');
+    try {
+      await aiUsageService.assertWithinBudget(fastify.db, assignmentId);
+    } catch (error) {
+      if (error.code === 'AI_BUDGET_EXCEEDED') throw fastify.createError(402, error.message, error.code);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a submission the current instructor may review
+   */
+  async function getOwnedSubmission(request, submissionId) {
+    const result = await fastify.db.query(
+      `SELECT s.id, s.assignment_id, a.instructor_id
+       FROM submissions s
+       JOIN assignments a ON s.assignment_id = a.id
+       WHERE s.id = $1`,
+      [submissionId]
+    );
+
+    if (result.rows.length === 0) {
+      throw fastify.createError(404, 'Submission not found', 'SUBMISSION_NOT_FOUND');
+    }
+
+    const { role, id: userId } = request.user;
+    if (result.rows[0].instructor_id !== userId && role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    return result.rows[0];
+  }
+
+  /**
+   * Load one of the current student's drafts
+   */
+  async function getStudentDraft(request, submissionId) {
+    const draftFeedbackService = require('../services/draft-feedback-service');
+    const draft = await draftFeedbackService.getDraft(fastify, submissionId);
+
+    // Other students' submissions don't exist as far as the student is concerned
+    if (!draft || draft.student_user_id !== request.user.id) {
+      throw fastify.createError(404, 'Submission not found', 'SUBMISSION_NOT_FOUND');
+    }
+
+    return draft;
+  }
+
+  /**
+   * POST /api/v1/submissions/:id/draft-feedback
+   * Check a saved draft against the rubric: hints per criterion, no score
+   * Limited per assignment by attempts and a cooldown between checks
+   */
+  fastify.post('/:id/draft-feedback', {
+    preHandler: [fastify.authenticate, fastify.authorize(['student'])]
+  }, async (request, reply) => {
+    const draftFeedbackService = require('../services/draft-feedback-service');
+    const draft = await getStudentDraft(request, request.params.id);
+
+    if (draft.status !== 'draft') {
+      throw fastify.createError(400, 'Only drafts can be checked before submitting', 'NOT_A_DRAFT');
+    }
+
+    if (draft.assignment_status !== 'active') {
+      throw fastify.createError(400, 'Assignment is not active', 'ASSIGNMENT_INACTIVE');
+    }
+
+    let feedback;
+    try {
+      feedback = await draftFeedbackService.checkDraft(fastify, draft, { userId: request.user.id });
+    } catch (error) {
+      switch (error.code) {
+        case 'DRAFT_FEEDBACK_DISABLED':
+          throw fastify.createError(403, error.message, error.code);
+        case 'DRAFT_EMPTY':
+          throw fastify.createError(400, error.message, error.code);
+        case 'DRAFT_FEEDBACK_LIMIT':
+          throw fastify.createError(429, error.message, error.code);
+        case 'DRAFT_FEEDBACK_COOLDOWN': {
+          const retryAfter = Math.ceil((new Date(error.attempts.next_available_at) - Date.now()) / 1000);
+          reply.header('Retry-After', Math.max(1, retryAfter));
+          throw fastify.createError(429, error.message, error.code);
+        }
+        case 'AI_BUDGET_EXCEEDED':
+          throw fastify.createError(402, error.message, error.code);
+        default:
+          fastify.log.error({ submissionId: draft.id, error: error.message }, 'Draft feedback failed');
+          throw fastify.createError(500, 'Draft feedback failed. Please try again.', 'DRAFT_FEEDBACK_FAILED');
+      }
+    }
+
+    return {
+      success: true,
+      data: feedback
+    };
+  });
+
+  /**
+   * GET /api/v1/submissions/:id/draft-feedback
+   * The student's draft checks on the draft's assignment and attempts left
+   */
+  fastify.get('/:id/draft-feedback', {
+    preHandler: [fastify.authenticate, fastify.authorize(['student'])]
+  }, async (request) => {
+    const draftFeedbackService = require('../services/draft-feedback-service');
+    const draft = await getStudentDraft(request, request.params.id);
+    const settings = draftFeedbackService.getSettings(draft);
+
+    return {
+      success: true,
+      data: {
+        enabled: settings.enabled,
+        attempts: await draftFeedbackService.getAttempts(fastify.db, draft.assignment_id, draft.student_id, settings),
+        requests: await draftFeedbackService.listStudentRequests(fastify, draft.assignment_id, draft.student_id)
+      }
+    };
+  });
+
+  /**
+   * GET /api/v1/submissions/ocr
+   * OCR results of scanned submissions, lowest confidence first
+   */
+  fastify.get('/ocr', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      querystring: {
+        type: 'object',
+        properties: {
+          assignment_id: { type: 'string', format: 'uuid' },
+          status: { type: 'string', enum: ['queued', 'processing', 'completed', 'approved', 'failed'] }
+        }
+      }
+    }
+  }, async (request) => {
+    const ocrService = require('../services/ocr-service');
+    const { role, id: userId } = request.user;
+
+    const results = await ocrService.listOcr(fastify, {
+      instructorId: role === 'admin' ? undefined : userId,
+      assignmentId: request.query.assignment_id,
+      status: request.query.status
+    });
+
+    return {
+      success: true,
+      data: results
+    };
+  });
+
+  /**
+   * GET /api/v1/submissions/:id/ocr
+   * OCR text of a scanned submission with per-page confidence
+   */
+  fastify.get('/:id/ocr', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const submission = await getOwnedSubmission(request, request.params.id);
+    const ocrService = require('../services/ocr-service');
+
+    const ocr = await ocrService.getOcr(fastify, submission.id);
+    if (!ocr) {
+      throw fastify.createError(404, 'No OCR for this submission', 'OCR_NOT_FOUND');
+    }
+
+    return {
+      success: true,
+      data: ocr
+    };
+  });
+
+  /**
+   * POST /api/v1/submissions/:id/ocr/approve
+   * Approve (optionally corrected) OCR text and queue AI grading
+   */
+  fastify.post('/:id/ocr/approve', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])],
+    schema: {
+      body: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }, async (request) => {
+    const submission = await getOwnedSubmission(request, request.params.id);
+    const ocrService = require('../services/ocr-service');
+    const text = request.body?.text;
+
+    const ocr = await ocrService.approveOcr(fastify, submission.id, { userId: request.user.id, text });
+    if (!ocr) {
+      throw fastify.createError(409, 'OCR text is not ready for approval', 'OCR_NOT_READY');
+    }
+
+    const job = await ocrService.queueGrading(fastify, submission.id, request.user.id);
+
+    const auditService = require('../services/audit-service');
+    await auditService.logAction(fastify, {
+      userId: request.user.id,
+      action: auditService.AUDIT_ACTIONS.OCR_APPROVE,
+      resourceType: 'submission',
+      resourceId: submission.id,
+      newValue: { corrected: text !== undefined, mean_confidence: ocr.mean_confidence },
+      ipAddress: request.ip,
+      userAgent: request.headers['user-agent']
+    });
+
+    return {
+      success: true,
+      data: {
+        ...ocr,
+        grading_job_id: job ? job.id : null
+      }
+    };
+  });
+
+  /**
+   * POST /api/v1/submissions/:id/ocr/retry
+   * Run OCR again
+   */
+  fastify.post('/:id/ocr/retry', {
+    preHandler: [fastify.authenticate, fastify.authorize(['instructor', 'admin'])]
+  }, async (request) => {
+    const submission = await getOwnedSubmission(request, request.params.id);
+    const ocrService = require('../services/ocr-service');
+
+    const ocr = await ocrService.retryOcr(fastify, submission.id);
+    if (!ocr) {
+      throw fastify.createError(409, 'OCR is not in a state that can be retried', 'INVALID_OCR_STATE');
+    }
+
+    return {
+      success: true,
+      data: ocr
+    };
+  });
+
+  /**
+   * GET /api/v1/submissions/:id/test-results
+   * Test case results of a coding submission
+   * Students see them once the grade is visible, without hidden test details
+   */
+  fastify.get('/:id/test-results', { preHandler: [fastify.authenticate] }, async (request) => {
+    const { id } = request.params;
+    const { role, id: userId } = request.user;
+
+    const result = await fastify.db.query(
+      `SELECT s.id, st.user_id as student_user_id, a.instructor_id,
+              g.status as grade_status, g.release_at as grade_release_at
+       FROM submissions s
+       JOIN students st ON s.student_id = st.id
+       JOIN assignments a ON s.assignment_id = a.id
+       LEFT JOIN grades g ON g.submission_id = s.id
+       WHERE s.id = $1`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      throw fastify.createError(404, 'Submission not found', 'SUBMISSION_NOT_FOUND');
+    }
+
+    const submission = result.rows[0];
+    const gradeReviewService = require('../services/grade-review-service');
+
+    if (role === 'student') {
+      if (submission.student_user_id !== userId) {
+        throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+      }
+      if (!gradeReviewService.isVisibleToStudent({ status: submission.grade_status, release_at: submission.grade_release_at })) {
+        throw fastify.createError(404, 'No test results for this submission', 'TEST_RESULTS_NOT_FOUND');
+      }
+    } else if (submission.instructor_id !== userId && role !== 'admin') {
+      throw fastify.createError(403, 'Access denied', 'FORBIDDEN');
+    }
+
+    const testRunnerService = require('../services/test-runner-service');
+    const run = await testRunnerService.getTestRun(fastify, id);
+    if (!run) {
+      throw fastify.createError(404, 'No test results for this submission', 'TEST_RESULTS_NOT_FOUND');
+    }
+
+    return {
+      success: true,
+      data: role === 'student' ? testRunnerService.hideHiddenResults(run) : run
+    };
+  });
+
   /**
    * GET /api/v1/submissions/history/:assignmentId
    * Get submission version history for a student on an assignment
@@ -567,7 +1003,7 @@ async function submissionsRoutes(fastify, options) {
 
     // Get assignment details for max resubmissions
     const assignmentResult = await fastify.db.query(
-      `SELECT id, title, max_resubmissions, total_points, status FROM assignments WHERE id = $1`,
+      `SELECT id, title, max_resubmissions, due_date, time_limit_minutes, total_points, status FROM assignments WHERE id = $1`,
       [assignmentId]
     );
 
@@ -584,8 +1020,10 @@ async function submissionsRoutes(fastify, options) {
     if (role === 'student') {
       query = `
         SELECT s.id, s.version, s.status, s.submitted_at, s.is_late,
-               g.score, g.feedback, g.graded_at
+               g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback, g.graded_at,
+               g.status as grade_status, g.release_at as grade_release_at, a.show_feedback_to_students
         FROM submissions s
+        JOIN assignments a ON s.assignment_id = a.id
         LEFT JOIN grades g ON s.id = g.submission_id
         WHERE s.student_id = $1 AND s.assignment_id = $2
         ORDER BY s.version ASC
@@ -599,7 +1037,7 @@ async function submissionsRoutes(fastify, options) {
       }
       query = `
         SELECT s.id, s.version, s.status, s.submitted_at, s.is_late,
-               g.score, g.feedback, g.graded_at, st.name as student_name
+               g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback, g.graded_at, g.status as grade_status, st.name as student_name
         FROM submissions s
         LEFT JOIN grades g ON s.id = g.submission_id
         JOIN students st ON s.student_id = st.id
@@ -611,13 +1049,24 @@ async function submissionsRoutes(fastify, options) {
 
     const versionsResult = await fastify.db.query(query, params);
 
+    // Attempts and due date for this student, including accommodations
+    const accommodationService = require('../services/accommodation-service');
+    const effective = await accommodationService.getEffectiveSettings(
+      fastify, role === 'student' ? studentId : request.query.studentId, assignment
+    );
+
+    if (role === 'student') {
+      const gradeReviewService = require('../services/grade-review-service');
+      versionsResult.rows = versionsResult.rows.map(gradeReviewService.applyStudentVisibility);
+    }
+
     // Count actual submissions (not drafts) for attempt tracking
     const submittedCount = versionsResult.rows.filter(v => v.status !== 'draft').length;
     const isGraded = versionsResult.rows.some(v => v.status === 'graded');
     const latestSubmission = versionsResult.rows[versionsResult.rows.length - 1];
 
     // Calculate remaining attempts
-    const maxAttempts = assignment.max_resubmissions + 1; // +1 for initial submission
+    const maxAttempts = effective.maxResubmissions + 1; // +1 for initial submission
     const remainingAttempts = Math.max(0, maxAttempts - submittedCount);
     const canResubmit = !isGraded && remainingAttempts > 0 && assignment.status === 'active';
 
@@ -627,15 +1076,22 @@ async function submissionsRoutes(fastify, options) {
         assignmentId,
         assignmentTitle: assignment.title,
         totalPoints: assignment.total_points,
+        dueDate: effective.dueDate,
         versions: versionsResult.rows.map(v => ({
           id: v.id,
           version: v.version,
           status: v.status,
           submittedAt: v.submitted_at,
           isLate: v.is_late,
-          score: v.score,
+          pointsEarned: v.points_earned,
+          pointsPossible: v.points_possible,
+          latePenaltyPoints: v.late_penalty_points,
+          finalPoints: v.final_points,
+          percentage: v.percentage,
           feedback: v.feedback,
           gradedAt: v.graded_at,
+          gradeStatus: v.grade_status,
+          gradeReleased: v.grade_released,
           isLatest: v.id === latestSubmission?.id
         })),
         summary: {
@@ -645,7 +1101,9 @@ async function submissionsRoutes(fastify, options) {
           isGraded,
           canResubmit,
           latestVersion: latestSubmission?.version || 0,
-          latestScore: latestSubmission?.score
+          latestPointsEarned: latestSubmission?.points_earned,
+          latestFinalPoints: latestSubmission?.final_points,
+          latestPercentage: latestSubmission?.percentage
         }
       }
     };
@@ -7,6 +7,7 @@ const bcrypt = require('bcrypt');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
+const gradeReviewService = require('../services/grade-review-service');
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 
@@ -33,7 +34,7 @@ async function usersRoutes(fastify, options) {
         COUNT(DISTINCT sub.id) as total_submissions,
         COUNT(DISTINCT sub.assignment_id) as assignments_submitted,
         COUNT(DISTINCT CASE WHEN sub.status = 'graded' THEN sub.id END) as graded_count,
-        AVG(g.score) as avg_score,
+        AVG(g.percentage) as avg_score,
         MAX(sub.submitted_at) as last_active,
         ARRAY_AGG(DISTINCT c.code) FILTER (WHERE c.code IS NOT NULL) as courses
       FROM students s
@@ -72,7 +73,7 @@ async function usersRoutes(fastify, options) {
 
     const result = await fastify.db.query(query, params);
 
-    // Calculate status based on avg score
+    // Calculate status based on average percentage
     const students = result.rows.map(row => ({
       ...row,
       avg_score: row.avg_score ? Math.round(parseFloat(row.avg_score)) : null,
@@ -110,7 +111,8 @@ async function usersRoutes(fastify, options) {
       const studentResult = await fastify.db.query(
         `SELECT s.id as student_id, s.student_number, s.section, s.major,
                 (SELECT COUNT(*) FROM submissions WHERE student_id = s.id) as total_submissions,
-                (SELECT AVG(g.score) FROM grades g JOIN submissions sub ON g.submission_id = sub.id WHERE sub.student_id = s.id) as average_score
+                (SELECT AVG(g.percentage) FROM grades g JOIN submissions sub ON g.submission_id = sub.id
+                 WHERE sub.student_id = s.id AND ${gradeReviewService.studentVisibleCondition('g')}) as average_score
          FROM students s WHERE s.user_id = $1`,
         [userId]
       );
@@ -349,13 +351,13 @@ async function usersRoutes(fastify, options) {
            s.id as student_id,
            COUNT(DISTINCT sub.id) as total_submissions,
            COUNT(DISTINCT sub.assignment_id) as assignments_attempted,
-           AVG(g.score) as average_score,
-           MAX(g.score) as highest_score,
-           MIN(g.score) as lowest_score,
+           AVG(g.percentage) as average_score,
+           MAX(g.percentage) as highest_score,
+           MIN(g.percentage) as lowest_score,
            COUNT(CASE WHEN sub.status IN ('pending', 'submitted') THEN 1 END) as pending_grades
          FROM students s
          LEFT JOIN submissions sub ON sub.student_id = s.id
-         LEFT JOIN grades g ON g.submission_id = sub.id
+         LEFT JOIN grades g ON g.submission_id = sub.id AND ${gradeReviewService.studentVisibleCondition('g')}
          WHERE s.user_id = $1
          GROUP BY s.id`,
         [userId]
@@ -375,7 +377,7 @@ async function usersRoutes(fastify, options) {
            COUNT(DISTINCT sub.id) as total_submissions,
            COUNT(DISTINCT CASE WHEN sub.status IN ('pending', 'submitted') THEN sub.id END) as pending_submissions,
            COUNT(DISTINCT g.id) as total_graded,
-           AVG(g.score) as average_class_score
+           AVG(g.percentage) as average_class_score
          FROM assignments a
          LEFT JOIN submissions sub ON sub.assignment_id = a.id
          LEFT JOIN grades g ON g.submission_id = sub.id
@@ -49,11 +49,21 @@ const updateGradeSchema = {
   body: {
     type: 'object',
     properties: {
+      points_earned: {
+        type: 'number',
+        minimum: 0,
+        description: 'Overridden points, out of the grade\'s points_possible'
+      },
       score: {
-        type: 'integer',
+        type: 'number',
+        minimum: 0,
+        description: 'Deprecated alias of points_earned'
+      },
+      late_penalty_percent: {
+        type: 'number',
         minimum: 0,
         maximum: 100,
-        description: 'Overridden score (0-100)'
+        description: 'Late deduction as a percent of points possible (0 waives it)'
       },
       feedback: {
         type: 'string',
@@ -83,14 +93,16 @@ const listGradesSchema = {
         format: 'uuid'
       },
       min_score: {
-        type: 'integer',
+        type: 'number',
         minimum: 0,
-        maximum: 100
+        maximum: 100,
+        description: 'Minimum percentage'
       },
       max_score: {
-        type: 'integer',
+        type: 'number',
         minimum: 0,
-        maximum: 100
+        maximum: 100,
+        description: 'Maximum percentage'
       },
       limit: {
         type: 'integer',
@@ -112,7 +124,12 @@ const gradeResponseSchema = {
   properties: {
     id: { type: 'string', format: 'uuid' },
     submission_id: { type: 'string', format: 'uuid' },
-    score: { type: 'integer' },
+    points_earned: { type: 'number' },
+    points_possible: { type: 'number' },
+    late_penalty_percent: { type: 'number' },
+    late_penalty_points: { type: 'number' },
+    final_points: { type: 'number' },
+    percentage: { type: 'number' },
     feedback: { type: ['string', 'null'] },
     rubric_scores: { type: ['object', 'null'] },
     graded_at: { type: 'string', format: 'date-time' },
@@ -134,6 +151,11 @@ const batchGradeSchema = {
         type: 'boolean',
         default: false,
         description: 'Re-grade already graded submissions'
+      },
+      bypass_cache: {
+        type: 'boolean',
+        default: false,
+        description: 'Call the AI model even for submissions whose inputs were graded before'
       }
     },
     additionalProperties: false
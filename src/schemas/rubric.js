@@ -3,6 +3,30 @@
  * Used by Fastify's built-in AJV validation
  */
 
+// Performance level of a criterion (e.g. Excellent: 20 points)
+const levelSchema = {
+  type: 'object',
+  required: ['label', 'points', 'description'],
+  properties: {
+    label: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 50
+    },
+    points: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 100
+    },
+    description: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 500
+    }
+  },
+  additionalProperties: false
+};
+
 const criterionSchema = {
   type: 'object',
   required: ['max_points', 'description'],
@@ -16,6 +40,13 @@ const criterionSchema = {
       type: 'string',
       minLength: 1,
       maxLength: 500
+    },
+    levels: {
+      type: 'array',
+      minItems: 2,
+      maxItems: 6,
+      items: levelSchema,
+      description: 'Performance levels, highest first'
     }
   },
   additionalProperties: false
@@ -161,6 +192,7 @@ const rubricResponseSchema = {
 };
 
 module.exports = {
+  levelSchema,
   criterionSchema,
   createRubricSchema,
   updateRubricSchema,
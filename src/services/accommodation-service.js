@@ -0,0 +1,273 @@
+/**
+ * Accommodation Service
+ * Per-student extended deadlines, quiz time multipliers and extra attempts
+ *
+ * Accommodations are set per assignment or course-wide. For each field the
+ * assignment accommodation wins; fields it leaves NULL fall back to the
+ * course-wide accommodation.
+ */
+
+const ACCOMMODATION_FIELDS = ['due_date_override', 'extension_minutes', 'time_limit_multiplier', 'extra_attempts'];
+
+// Allowance for network latency when a timed quiz is submitted at the limit
+const QUIZ_SUBMIT_GRACE_MS = 60 * 1000;
+
+/**
+ * Combine a student's accommodations for one assignment
+ * @param {Array} rows - Matching accommodations (assignment and/or course-wide)
+ * @returns {Object|null} Merged accommodation fields, or null when there are none
+ */
+function mergeAccommodations(rows) {
+  if (!rows || rows.length === 0) return null;
+
+  const assignmentLevel = rows.find(row => row.assignment_id) || {};
+  const courseLevel = rows.find(row => !row.assignment_id) || {};
+
+  const merged = {};
+  for (const field of ACCOMMODATION_FIELDS) {
+    merged[field] = assignmentLevel[field] ?? courseLevel[field] ?? null;
+  }
+  return merged;
+}
+
+/**
+ * Apply an accommodation to an assignment's settings
+ * @param {Object} assignment - Assignment ({ due_date, time_limit_minutes, max_resubmissions })
+ * @param {Object|null} accommodation - Merged accommodation
+ * @returns {{dueDate: Date|null, timeLimitMinutes: number|null, maxResubmissions: number}}
+ */
+function applyAccommodation(assignment, accommodation) {
+  const acc = accommodation || {};
+
+  let dueDate = assignment.due_date ? new Date(assignment.due_date) : null;
+  if (acc.due_date_override) {
+    dueDate = new Date(acc.due_date_override);
+  } else if (dueDate && acc.extension_minutes) {
+    dueDate = new Date(dueDate.getTime() + acc.extension_minutes * 60000);
+  }
+
+  const timeLimitMinutes = assignment.time_limit_minutes
+    ? Math.ceil(assignment.time_limit_minutes * (acc.time_limit_multiplier || 1))
+    : null;
+
+  return {
+    dueDate,
+    timeLimitMinutes,
+    maxResubmissions: (assignment.max_resubmissions || 0) + (acc.extra_attempts || 0)
+  };
+}
+
+/**
+ * Check that a timed quiz attempt may be submitted
+ * A timed quiz must have been started through /start, and is accepted until
+ * the student's time limit (plus a short grace for the request) runs out.
+ * @param {Object|null} attempt - Student's latest submission ({ status, quiz_started_at })
+ * @param {number|null} timeLimitMinutes - Effective time limit (see applyAccommodation)
+ * @param {Date} [now] - Current time
+ * @returns {string|null} QUIZ_NOT_STARTED or QUIZ_TIME_EXPIRED, or null when the submission is allowed
+ */
+function checkTimedAttempt(attempt, timeLimitMinutes, now = new Date()) {
+  if (!timeLimitMinutes) {
+    return null;
+  }
+
+  // A graded submission is the previous attempt; the next one has not been started
+  if (!attempt || attempt.status === 'graded' || !attempt.quiz_started_at) {
+    return 'QUIZ_NOT_STARTED';
+  }
+
+  const expiresAt = new Date(attempt.quiz_started_at).getTime() + timeLimitMinutes * 60000;
+  return now.getTime() > expiresAt + QUIZ_SUBMIT_GRACE_MS ? 'QUIZ_TIME_EXPIRED' : null;
+}
+
+/**
+ * Get a student's merged accommodation for an assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {string} studentId - Student UUID
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getAccommodation(fastify, studentId, assignmentId) {
+  const result = await fastify.db.query(
+    `SELECT sa.*
+     FROM student_accommodations sa
+     JOIN assignments a ON a.id = $2
+     WHERE sa.student_id = $1
+       AND (sa.assignment_id = a.id OR (sa.assignment_id IS NULL AND sa.course_id = a.course_id))`,
+    [studentId, assignmentId]
+  );
+
+  return mergeAccommodations(result.rows);
+}
+
+/**
+ * Resolve the due date, time limit and attempt cap for a student
+ * @param {Object} fastify - Fastify instance
+ * @param {string} studentId - Student UUID
+ * @param {Object} assignment - Assignment row (id, due_date, time_limit_minutes, max_resubmissions)
+ * @returns {Promise<{dueDate: Date|null, timeLimitMinutes: number|null, maxResubmissions: number, accommodation: Object|null}>}
+ */
+async function getEffectiveSettings(fastify, studentId, assignment) {
+  const accommodation = studentId ? await getAccommodation(fastify, studentId, assignment.id) : null;
+  return { ...applyAccommodation(assignment, accommodation), accommodation };
+}
+
+/**
+ * Create an accommodation
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params - Accommodation fields
+ * @param {string} params.studentId - Student UUID
+ * @param {string} [params.courseId] - Course UUID (course-wide)
+ * @param {string} [params.assignmentId] - Assignment UUID (single assignment)
+ * @param {Object} params.fields - due_date_override, extension_minutes, time_limit_multiplier, extra_attempts
+ * @param {string} [params.reason] - Note for instructors (not shown to students)
+ * @param {string} params.userId - Creating user
+ * @returns {Promise<Object|null>} Accommodation, or null if one already exists for this scope
+ */
+async function createAccommodation(fastify, { studentId, courseId = null, assignmentId = null, fields, reason = null, userId }) {
+  const result = await fastify.db.query(
+    `INSERT INTO student_accommodations
+       (student_id, course_id, assignment_id, due_date_override, extension_minutes,
+        time_limit_multiplier, extra_attempts, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [
+      studentId, courseId, assignmentId,
+      fields.due_date_override ?? null, fields.extension_minutes ?? null,
+      fields.time_limit_multiplier ?? null, fields.extra_attempts ?? null,
+      reason, userId
+    ]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get an accommodation with the owner of its course or assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {string} accommodationId - Accommodation UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getAccommodationById(fastify, accommodationId) {
+  const result = await fastify.db.query(
+    `SELECT sa.*, st.name as student_name, st.user_id as student_user_id,
+            a.title as assignment_title, COALESCE(c.instructor_id, a.instructor_id) as instructor_id
+     FROM student_accommodations sa
+     JOIN students st ON sa.student_id = st.id
+     LEFT JOIN assignments a ON sa.assignment_id = a.id
+     LEFT JOIN courses c ON sa.course_id = c.id
+     WHERE sa.id = $1`,
+    [accommodationId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List accommodations
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.instructorId] - Only accommodations on this instructor's courses and assignments
+ * @param {string} [filters.studentId] - Only this student's accommodations
+ * @param {string} [filters.courseId] - Course-wide accommodations of the course and those on its assignments
+ * @param {string} [filters.assignmentId] - Only accommodations for this assignment
+ * @returns {Promise<Array>}
+ */
+async function listAccommodations(fastify, { instructorId, studentId, courseId, assignmentId } = {}) {
+  const conditions = [];
+  const params = [];
+
+  const filters = [
+    ['COALESCE(c.instructor_id, a.instructor_id)', instructorId],
+    ['sa.student_id', studentId],
+    ['COALESCE(sa.course_id, a.course_id)', courseId],
+    ['sa.assignment_id', assignmentId]
+  ];
+  for (const [column, value] of filters) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  }
+
+  const result = await fastify.db.query(
+    `SELECT sa.*, st.name as student_name, a.title as assignment_title
+     FROM student_accommodations sa
+     JOIN students st ON sa.student_id = st.id
+     LEFT JOIN assignments a ON sa.assignment_id = a.id
+     LEFT JOIN courses c ON sa.course_id = c.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY st.name ASC, sa.assignment_id NULLS FIRST, sa.created_at ASC`,
+    params
+  );
+
+  return result.rows;
+}
+
+/**
+ * Update an accommodation's fields
+ * @param {Object} fastify - Fastify instance
+ * @param {string} accommodationId - Accommodation UUID
+ * @param {Object} fields - Fields to change (null clears a field)
+ * @param {string} [reason] - New note
+ * @returns {Promise<Object|null>} Updated accommodation
+ */
+async function updateAccommodation(fastify, accommodationId, fields, reason) {
+  const updates = [];
+  const values = [];
+
+  for (const field of ACCOMMODATION_FIELDS) {
+    if (fields[field] !== undefined) {
+      values.push(fields[field]);
+      updates.push(`${field} = $${values.length}`);
+    }
+  }
+  if (reason !== undefined) {
+    values.push(reason);
+    updates.push(`reason = $${values.length}`);
+  }
+
+  if (updates.length === 0) {
+    return getAccommodationById(fastify, accommodationId);
+  }
+
+  values.push(accommodationId);
+  const result = await fastify.db.query(
+    `UPDATE student_accommodations SET ${updates.join(', ')}
+     WHERE id = $${values.length}
+     RETURNING *`,
+    values
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete an accommodation
+ * @param {Object} fastify - Fastify instance
+ * @param {string} accommodationId - Accommodation UUID
+ * @returns {Promise<boolean>} Whether a row was deleted
+ */
+async function deleteAccommodation(fastify, accommodationId) {
+  const result = await fastify.db.query(
+    'DELETE FROM student_accommodations WHERE id = $1',
+    [accommodationId]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  ACCOMMODATION_FIELDS,
+  mergeAccommodations,
+  applyAccommodation,
+  checkTimedAttempt,
+  getAccommodation,
+  getEffectiveSettings,
+  createAccommodation,
+  getAccommodationById,
+  listAccommodations,
+  updateAccommodation,
+  deleteAccommodation
+};
@@ -0,0 +1,346 @@
+/**
+ * Agreement Service
+ * How closely AI grades agree with instructors
+ *
+ * Each comparison pairs the latest AI revision of a grade (sources ai and
+ * regrade) with the grade's current values, for grades an instructor has
+ * overridden, reviewed or published. Reports give the mean absolute error,
+ * the bias (AI minus instructor) and the quadratic weighted kappa, overall
+ * and per assignment, rubric criterion and instructor.
+ */
+
+// Score bands used as kappa categories when a maximum is above this many points
+const KAPPA_BANDS = 10;
+// Bias within this percentage of the points is reported as no bias
+const BIAS_TOLERANCE_PERCENT = 1;
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals=2] - Decimals
+ * @returns {number}
+ */
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Numeric score of a rubric_scores entry
+ * @param {Object} entry - { score | points }
+ * @returns {number|null}
+ */
+function entryScore(entry) {
+  const value = entry?.score ?? entry?.points;
+  return value === undefined || value === null || isNaN(parseFloat(value)) ? null : parseFloat(value);
+}
+
+/**
+ * Quadratic weighted kappa of paired ratings
+ * Scores are turned into categories: whole points when every maximum is the
+ * same and at most KAPPA_BANDS, otherwise KAPPA_BANDS equal bands.
+ * @param {Array<{ai: number, human: number, max: number}>} pairs - Paired scores
+ * @returns {number|null} Kappa (1 = perfect agreement), or null when it is undefined
+ */
+function quadraticWeightedKappa(pairs) {
+  if (pairs.length === 0) return null;
+
+  const maxima = new Set(pairs.map(pair => pair.max));
+  const [onlyMax] = maxima;
+  const bands = maxima.size === 1 && onlyMax <= KAPPA_BANDS ? Math.max(1, Math.round(onlyMax)) : KAPPA_BANDS;
+  const category = (score, max) => (max > 0 ? Math.min(bands, Math.max(0, Math.round((score / max) * bands))) : 0);
+
+  const size = bands + 1;
+  const observed = Array.from({ length: size }, () => Array(size).fill(0));
+  const aiHistogram = Array(size).fill(0);
+  const humanHistogram = Array(size).fill(0);
+
+  for (const pair of pairs) {
+    const a = category(pair.ai, pair.max);
+    const h = category(pair.human, pair.max);
+    observed[a][h]++;
+    aiHistogram[a]++;
+    humanHistogram[h]++;
+  }
+
+  let observedDisagreement = 0;
+  let expectedDisagreement = 0;
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j < size; j++) {
+      const weight = Math.pow(i - j, 2) / Math.pow(size - 1, 2);
+      observedDisagreement += weight * observed[i][j];
+      expectedDisagreement += weight * (aiHistogram[i] * humanHistogram[j]) / pairs.length;
+    }
+  }
+
+  // Both sides used a single category: agreement is perfect or undefined
+  if (expectedDisagreement === 0) {
+    return observedDisagreement === 0 ? 1 : null;
+  }
+  return round(1 - observedDisagreement / expectedDisagreement, 3);
+}
+
+/**
+ * Agreement statistics of paired scores
+ * @param {Array<{ai: number, human: number, max: number}>} pairs - Paired scores
+ * @returns {{count: number, mae: number|null, mae_percent: number|null, bias: number|null, bias_percent: number|null, bias_direction: string|null, qwk: number|null}}
+ *   mae and bias are in points; the _percent values are relative to each score's maximum
+ */
+function summarize(pairs) {
+  if (pairs.length === 0) {
+    return { count: 0, mae: null, mae_percent: null, bias: null, bias_percent: null, bias_direction: null, qwk: null };
+  }
+
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const percentOf = (value, max) => (max > 0 ? (value / max) * 100 : 0);
+
+  const bias = mean(pairs.map(pair => pair.ai - pair.human));
+  const biasPercent = mean(pairs.map(pair => percentOf(pair.ai - pair.human, pair.max)));
+
+  let biasDirection = 'none';
+  if (biasPercent > BIAS_TOLERANCE_PERCENT) biasDirection = 'ai_higher';
+  else if (biasPercent < -BIAS_TOLERANCE_PERCENT) biasDirection = 'ai_lower';
+
+  return {
+    count: pairs.length,
+    mae: round(mean(pairs.map(pair => Math.abs(pair.ai - pair.human)))),
+    mae_percent: round(mean(pairs.map(pair => percentOf(Math.abs(pair.ai - pair.human), pair.max)))),
+    bias: round(bias),
+    bias_percent: round(biasPercent),
+    bias_direction: biasDirection,
+    qwk: quadraticWeightedKappa(pairs)
+  };
+}
+
+/**
+ * Turn query rows into AI/instructor comparisons
+ * Criterion scores are compared when both sides have them, except when the
+ * instructor changed the total but left the AI's criterion scores untouched
+ * (the criteria were not re-scored, so they say nothing about agreement).
+ * @param {Array<Object>} rows - Rows from loadComparisons
+ * @returns {Array<Object>} Comparisons
+ */
+function buildComparisons(rows) {
+  return rows.map(row => {
+    const ai = parseFloat(row.ai_points);
+    const human = parseFloat(row.human_points);
+    const max = parseFloat(row.points_possible);
+    const aiRubric = row.ai_rubric_scores || {};
+    const humanRubric = row.human_rubric_scores || {};
+
+    const criteria = [];
+    for (const [name, aiEntry] of Object.entries(aiRubric)) {
+      const aiScore = entryScore(aiEntry);
+      const humanScore = entryScore(humanRubric[name]);
+      const maxPoints = parseFloat(aiEntry?.max_points ?? humanRubric[name]?.max_points);
+      if (aiScore === null || humanScore === null || !(maxPoints > 0)) continue;
+      criteria.push({ name, ai: aiScore, human: humanScore, max: maxPoints });
+    }
+
+    const rescored = criteria.some(criterion => criterion.ai !== criterion.human);
+
+    return {
+      grade_id: row.grade_id,
+      submission_id: row.submission_id,
+      assignment_id: row.assignment_id,
+      assignment_title: row.assignment_title,
+      student_name: row.student_name,
+      instructor_id: row.instructor_id,
+      instructor_name: row.instructor_name,
+      overridden: row.overridden,
+      ai,
+      human,
+      max,
+      criteria: ai !== human && !rescored ? [] : criteria
+    };
+  });
+}
+
+/**
+ * Group items by a key
+ * @param {Array<Object>} items - Items
+ * @param {Function} keyOf - Key of an item
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/**
+ * Build the agreement report from comparisons
+ * @param {Array<Object>} comparisons - Result of buildComparisons
+ * @param {Object} [options] - Options
+ * @param {number} [options.limit=20] - Number of largest disagreements listed
+ * @returns {Object} { overall, by_assignment, by_criterion, by_instructor, largest_disagreements }
+ */
+function buildReport(comparisons, { limit = 20 } = {}) {
+  const byAssignment = [...groupBy(comparisons, c => c.assignment_id).values()].map(group => ({
+    assignment_id: group[0].assignment_id,
+    assignment_title: group[0].assignment_title,
+    ...summarize(group)
+  }));
+
+  // Rubrics differ between assignments, so criteria are reported per assignment
+  const criterionScores = comparisons.flatMap(c => c.criteria.map(criterion => ({
+    ...criterion,
+    assignment_id: c.assignment_id,
+    assignment_title: c.assignment_title
+  })));
+  const byCriterion = [...groupBy(criterionScores, c => `${c.assignment_id}:${c.name}`).values()].map(group => ({
+    assignment_id: group[0].assignment_id,
+    assignment_title: group[0].assignment_title,
+    criterion: group[0].name,
+    max_points: group[0].max,
+    ...summarize(group)
+  }));
+
+  const byInstructor = [...groupBy(comparisons, c => c.instructor_id).values()].map(group => ({
+    instructor_id: group[0].instructor_id,
+    instructor_name: group[0].instructor_name,
+    ...summarize(group)
+  }));
+
+  const largestDisagreements = comparisons
+    .filter(c => c.ai !== c.human)
+    .map(c => ({
+      grade_id: c.grade_id,
+      submission_id: c.submission_id,
+      assignment_id: c.assignment_id,
+      assignment_title: c.assignment_title,
+      student_name: c.student_name,
+      instructor_name: c.instructor_name,
+      ai_points: c.ai,
+      instructor_points: c.human,
+      points_possible: c.max,
+      difference: round(c.ai - c.human),
+      difference_percent: c.max > 0 ? round(((c.ai - c.human) / c.max) * 100) : 0,
+      criteria: c.criteria
+        .filter(criterion => criterion.ai !== criterion.human)
+        .map(criterion => ({ criterion: criterion.name, ai: criterion.ai, instructor: criterion.human, max_points: criterion.max }))
+    }))
+    .sort((a, b) => Math.abs(b.difference_percent) - Math.abs(a.difference_percent))
+    .slice(0, limit);
+
+  return {
+    overall: summarize(comparisons),
+    by_assignment: byAssignment,
+    by_criterion: byCriterion,
+    by_instructor: byInstructor,
+    largest_disagreements: largestDisagreements
+  };
+}
+
+/**
+ * Load AI/instructor comparisons
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} filters - Filters
+ * @param {string|null} filters.instructorId - Only this instructor's assignments (null for admins)
+ * @param {string} [filters.assignmentId] - One assignment
+ * @param {string} [filters.courseId] - One course
+ * @returns {Promise<Array<Object>>} Comparisons (see buildComparisons)
+ */
+async function loadComparisons(fastify, { instructorId, assignmentId, courseId }) {
+  const params = [];
+  const conditions = ['(g.graded_by IS NOT NULL OR g.reviewed_by IS NOT NULL)'];
+  if (instructorId) {
+    params.push(instructorId);
+    conditions.push(`a.instructor_id = $${params.length}`);
+  }
+  if (assignmentId) {
+    params.push(assignmentId);
+    conditions.push(`a.id = $${params.length}`);
+  }
+  if (courseId) {
+    params.push(courseId);
+    conditions.push(`a.course_id = $${params.length}`);
+  }
+
+  const result = await fastify.db.query(
+    `SELECT g.id AS grade_id, g.submission_id, g.points_earned AS human_points, g.points_possible,
+            g.rubric_scores AS human_rubric_scores, g.graded_by IS NOT NULL AS overridden,
+            ai.points_earned AS ai_points, ai.rubric_scores AS ai_rubric_scores,
+            COALESCE(g.graded_by, g.reviewed_by) AS instructor_id, u.name AS instructor_name,
+            a.id AS assignment_id, a.title AS assignment_title, st.name AS student_name
+     FROM grades g
+     JOIN submissions s ON g.submission_id = s.id
+     JOIN assignments a ON s.assignment_id = a.id
+     JOIN students st ON s.student_id = st.id
+     JOIN LATERAL (
+       SELECT r.points_earned, r.rubric_scores
+       FROM grade_revisions r
+       WHERE r.grade_id = g.id AND r.source IN ('ai', 'regrade')
+       ORDER BY r.revision_number DESC
+       LIMIT 1
+     ) ai ON TRUE
+     LEFT JOIN users u ON u.id = COALESCE(g.graded_by, g.reviewed_by)
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY a.created_at, st.name`,
+    params
+  );
+
+  return buildComparisons(result.rows);
+}
+
+/**
+ * Get the agreement report
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} filters - See loadComparisons, plus limit (largest disagreements listed)
+ * @returns {Promise<Object>} Report (see buildReport)
+ */
+async function getAgreementReport(fastify, { limit, ...filters }) {
+  const comparisons = await loadComparisons(fastify, filters);
+  return buildReport(comparisons, { limit });
+}
+
+const SUMMARY_CSV_HEADERS = [
+  'scope', 'assignment_title', 'criterion', 'instructor_name', 'count',
+  'mae', 'mae_percent', 'bias', 'bias_percent', 'bias_direction', 'qwk'
+];
+
+const DISAGREEMENT_CSV_HEADERS = [
+  'assignment_title', 'student_name', 'instructor_name', 'ai_points', 'instructor_points', 'points_possible',
+  'difference', 'difference_percent', 'criteria'
+];
+
+/**
+ * Flatten a report into CSV rows
+ * @param {Object} report - Result of buildReport
+ * @param {string} section - summary (one row per group) or disagreements
+ * @returns {{headers: Array<string>, rows: Array<Object>}}
+ */
+function toCsvRows(report, section) {
+  if (section === 'disagreements') {
+    return {
+      headers: DISAGREEMENT_CSV_HEADERS,
+      rows: report.largest_disagreements.map(row => ({
+        ...row,
+        criteria: row.criteria.map(c => `${c.criterion}: ${c.ai} vs ${c.instructor}`).join('; ')
+      }))
+    };
+  }
+
+  return {
+    headers: SUMMARY_CSV_HEADERS,
+    rows: [
+      { scope: 'overall', ...report.overall },
+      ...report.by_assignment.map(row => ({ scope: 'assignment', ...row })),
+      ...report.by_criterion.map(row => ({ scope: 'criterion', ...row })),
+      ...report.by_instructor.map(row => ({ scope: 'instructor', ...row }))
+    ]
+  };
+}
+
+module.exports = {
+  quadraticWeightedKappa,
+  summarize,
+  buildComparisons,
+  buildReport,
+  getAgreementReport,
+  toCsvRows
+};
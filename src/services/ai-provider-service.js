@@ -0,0 +1,428 @@
+/**
+ * AI Provider Service
+ * Pluggable chat-completion backends used by the grading pipeline
+ *
+ * Providers:
+ *   openai            - OpenAI API (default)
+ *   openai_compatible - Any OpenAI-compatible HTTP endpoint (e.g. a self-hosted model)
+ *   fixture           - Deterministic local provider, no network (tests, CI, offline use)
+ *
+ * The deployment default comes from AI_PROVIDER and can be overridden per course
+ * or per assignment via the `ai_provider` column.
+ */
+
+const OpenAI = require('openai');
+const logger = require('./logger');
+
+const PROVIDER_NAMES = ['openai', 'openai_compatible', 'fixture'];
+
+// Provider instances are created lazily so that a missing API key only fails
+// the calls that actually need that provider
+const instances = new Map();
+
+/**
+ * Get the deployment-wide default provider name
+ * @returns {string} Provider name
+ */
+function getDefaultProviderName() {
+  const configured = (process.env.AI_PROVIDER || 'openai').trim().toLowerCase();
+
+  if (!PROVIDER_NAMES.includes(configured)) {
+    logger.warn({ provider: configured }, 'Unknown AI_PROVIDER configured, falling back to openai');
+    return 'openai';
+  }
+
+  return configured;
+}
+
+/**
+ * Check whether a provider name is supported
+ * @param {string} name - Provider name
+ * @returns {boolean}
+ */
+function isValidProvider(name) {
+  return PROVIDER_NAMES.includes(name);
+}
+
+/**
+ * Resolve the effective provider name from a list of overrides
+ * The first valid name wins, e.g. resolveProviderName(assignment.ai_provider, course.ai_provider)
+ * @param {...(string|null|undefined)} candidates - Provider names in priority order
+ * @returns {string} Provider name
+ */
+function resolveProviderName(...candidates) {
+  const match = candidates.find(name => name && isValidProvider(name));
+  return match || getDefaultProviderName();
+}
+
+/**
+ * Resolve the provider configured for an assignment (assignment > course > deployment)
+ * @param {Object} db - Database utilities (fastify.db)
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<string>} Provider name
+ */
+async function getProviderForAssignment(db, assignmentId) {
+  const result = await db.query(
+    `SELECT a.ai_provider, c.ai_provider as course_ai_provider
+     FROM assignments a
+     LEFT JOIN courses c ON a.course_id = c.id
+     WHERE a.id = $1`,
+    [assignmentId]
+  );
+
+  const row = result.rows[0] || {};
+  return resolveProviderName(row.ai_provider, row.course_ai_provider);
+}
+
+/**
+ * Normalize a chat completion response from an OpenAI SDK client
+ * @param {Object} response - SDK response
+ * @returns {{content: string, model: string, usage: Object|null}}
+ */
+function normalizeCompletion(response) {
+  return {
+    content: response.choices?.[0]?.message?.content || '',
+    model: response.model,
+    usage: response.usage || null
+  };
+}
+
+/**
+ * Create a provider backed by the OpenAI SDK
+ * Also used for OpenAI-compatible endpoints by passing a baseURL
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Provider name
+ * @param {string} [config.apiKey] - API key
+ * @param {string} [config.baseURL] - Base URL of an OpenAI-compatible API
+ * @param {Object} config.models - Model names per tier ({ grading, fast })
+ * @param {boolean} [config.jsonMode=true] - Whether the endpoint supports response_format json_object
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider({ name, apiKey, baseURL, models, jsonMode = true }) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({
+        apiKey,
+        ...(baseURL && { baseURL })
+      });
+    }
+    return client;
+  }
+
+  return {
+    name,
+    models,
+
+    /**
+     * Run a chat completion
+     * @param {Object} params - Completion parameters
+     * @param {string} params.model - Model name
+     * @param {Array<Object>} params.messages - Chat messages
+     * @param {number} [params.temperature] - Sampling temperature
+     * @param {number} [params.maxTokens] - Maximum completion tokens
+     * @param {boolean} [params.json=false] - Request a JSON object response
+     * @returns {Promise<{content: string, model: string, usage: Object|null}>}
+     */
+    async complete({ model, messages, temperature, maxTokens, json = false }) {
+      const response = await getClient().chat.completions.create({
+        model,
+        messages,
+        ...(json && jsonMode && { response_format: { type: 'json_object' } }),
+        temperature,
+        max_tokens: maxTokens
+      });
+
+      return normalizeCompletion(response);
+    }
+  };
+}
+
+// ============================================
+// Fixture provider (deterministic, offline)
+// ============================================
+
+/**
+ * Extract the set of significant words from text
+ * @param {string} text - Input text
+ * @returns {Set<string>} Lowercased words longer than 3 characters
+ */
+function significantWords(text) {
+  return new Set(
+    String(text || '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length > 3)
+  );
+}
+
+/**
+ * Fraction of reference words that appear in the student answer
+ * Falls back to a fixed ratio when no reference is available
+ * @param {string} studentAnswer - Student answer
+ * @param {string} referenceAnswer - Reference answer
+ * @returns {number} Ratio between 0 and 1
+ */
+function fixtureCoverage(studentAnswer, referenceAnswer) {
+  const answerWords = significantWords(studentAnswer);
+  if (answerWords.size === 0) return 0;
+
+  const referenceWords = significantWords(referenceAnswer);
+  if (referenceWords.size === 0) return 0.75;
+
+  let matched = 0;
+  for (const word of referenceWords) {
+    if (answerWords.has(word)) matched++;
+  }
+
+  return matched / referenceWords.size;
+}
+
+/**
+ * Evidence quoted by the fixture provider: the start of the first line of the
+ * answer (section labels of chunked excerpts are skipped)
+ * @param {string} studentAnswer - Student answer or excerpts
+ * @returns {Array<{quote: string}>}
+ */
+function fixtureEvidence(studentAnswer) {
+  const line = String(studentAnswer || '')
+    .split('\n')
+    .map(text => text.trim())
+    .find(text => text && !/^\[Section \d+ of \d+/.test(text));
+  return line ? [{ quote: line.slice(0, 80).trim() }] : [];
+}
+
+/**
+ * Round to two decimal places
+ * @param {number} value - Value to round
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build a deterministic response for a grading task
+ * @param {string} task - Task type (submission, criterion_score, feedback_summary, short_answer, essay, criterion_feedback, injection_check, draft_feedback, rubric_draft)
+ * @param {Object} context - Task inputs passed by openai-service
+ * @returns {string} Response content
+ */
+function buildFixtureResponse(task, context = {}) {
+  const coverage = fixtureCoverage(context.studentAnswer, context.referenceAnswer);
+  const percentage = Math.round(coverage * 100);
+
+  switch (task) {
+    case 'submission': {
+      const totalPoints = context.totalPoints || 100;
+      const rubric = context.rubric && typeof context.rubric === 'object' ? context.rubric : {};
+      const rubricScores = {};
+
+      for (const [criterion, details] of Object.entries(rubric)) {
+        const maxPoints = Number(details?.max_points) || 0;
+        rubricScores[criterion] = {
+          score: round2(maxPoints * coverage),
+          max_points: maxPoints,
+          feedback: `Fixture evaluation of ${criterion}: ${percentage}% of expected content found.`,
+          evidence: fixtureEvidence(context.studentAnswer)
+        };
+      }
+
+      const criteriaTotal = Object.values(rubricScores).reduce((sum, c) => sum + c.score, 0);
+      const overallScore = Object.keys(rubricScores).length > 0
+        ? Math.min(totalPoints, round2(criteriaTotal))
+        : round2(totalPoints * coverage);
+
+      return JSON.stringify({
+        overall_score: overallScore,
+        percentage,
+        rubric_scores: rubricScores,
+        strengths: ['Submission received and evaluated by the fixture provider'],
+        areas_for_improvement: coverage < 1 ? ['Cover more of the expected content'] : [],
+        overall_feedback: `Fixture grade: ${overallScore}/${totalPoints}.`,
+        suggestions: []
+      });
+    }
+
+    case 'short_answer':
+      return JSON.stringify({
+        score: percentage,
+        is_correct: percentage >= 80,
+        feedback: `Fixture evaluation: ${percentage}% match with the reference answer.`
+      });
+
+    case 'essay':
+      return JSON.stringify({
+        score_percentage: percentage,
+        criteria_scores: {
+          content_accuracy: { score: round2(40 * coverage), feedback: 'Fixture evaluation.' },
+          completeness: { score: round2(25 * coverage), feedback: 'Fixture evaluation.' },
+          clarity_organization: { score: round2(20 * coverage), feedback: 'Fixture evaluation.' },
+          critical_thinking: { score: round2(15 * coverage), feedback: 'Fixture evaluation.' }
+        },
+        overall_feedback: `Fixture essay grade: ${percentage}%.`,
+        strengths: [],
+        improvements: []
+      });
+
+    case 'criterion_feedback':
+      return `Fixture feedback for ${context.criterion || 'this criterion'}: ${context.score}/${context.maxPoints} points.`;
+
+    case 'criterion_score':
+      return JSON.stringify({
+        score: round2((Number(context.maxPoints) || 0) * coverage),
+        feedback: `Fixture evaluation of ${context.criterion}: ${percentage}% of expected content found.`,
+        evidence: fixtureEvidence(context.studentAnswer)
+      });
+
+    case 'feedback_summary':
+      return JSON.stringify({
+        strengths: ['Submission received and evaluated by the fixture provider'],
+        areas_for_improvement: [],
+        overall_feedback: `Fixture grade: ${context.score}/${context.totalPoints}.`,
+        suggestions: []
+      });
+
+    case 'draft_feedback': {
+      const criteria = context.rubric && typeof context.rubric === 'object' && Object.keys(context.rubric).length > 0
+        ? Object.keys(context.rubric)
+        : ['overall'];
+
+      return JSON.stringify({
+        criteria: Object.fromEntries(criteria.map(criterion => [
+          criterion,
+          { hint: `Fixture hint for ${criterion}: ${coverage < 1 ? 'cover more of the expected content' : 'the expected content is covered'}.` }
+        ])),
+        overall_hint: 'Fixture feedback on your draft.'
+      });
+    }
+
+    case 'rubric_draft': {
+      // Allocations are left unscaled: the validator fits them to totalPoints
+      const criteria = ['understanding', 'application', 'communication'];
+
+      return JSON.stringify({
+        description: 'Fixture rubric drafted from the assignment.',
+        criteria: Object.fromEntries(criteria.map((criterion, index) => [
+          criterion,
+          {
+            max_points: 40 - index * 10,
+            description: `Fixture description of ${criterion}.`,
+            levels: [
+              { label: 'Excellent', points: 40 - index * 10, description: `Fixture excellent ${criterion}.` },
+              { label: 'Developing', points: 20 - index * 5, description: `Fixture developing ${criterion}.` },
+              { label: 'Missing', points: 0, description: `Fixture missing ${criterion}.` }
+            ]
+          }
+        ]))
+      });
+    }
+
+    case 'injection_check':
+      // The heuristic patterns of prompt-injection-service still apply
+      return JSON.stringify({ suspicious: false, spans: [] });
+
+    default:
+      return JSON.stringify({});
+  }
+}
+
+/**
+ * Create the deterministic fixture provider
+ * Responses depend only on the task inputs, so the same submission always gets the same grade
+ * @returns {Object} Provider
+ */
+function createFixtureProvider() {
+  return {
+    name: 'fixture',
+    models: { grading: 'fixture', fast: 'fixture' },
+
+    async complete({ messages, task, context }) {
+      const content = buildFixtureResponse(task, context);
+      const promptChars = (messages || []).reduce((sum, m) => sum + (m.content || '').length, 0);
+
+      return {
+        content,
+        model: 'fixture',
+        usage: {
+          prompt_tokens: Math.ceil(promptChars / 4),
+          completion_tokens: Math.ceil(content.length / 4),
+          total_tokens: Math.ceil(promptChars / 4) + Math.ceil(content.length / 4)
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Build a provider instance from environment configuration
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+function createProvider(name) {
+  switch (name) {
+    case 'openai':
+      return createOpenAIProvider({
+        name,
+        apiKey: process.env.OPENAI_API_KEY,
+        models: {
+          grading: process.env.OPENAI_MODEL_GRADING || 'gpt-4-turbo-preview',
+          fast: process.env.OPENAI_MODEL_FAST || 'gpt-3.5-turbo'
+        }
+      });
+
+    case 'openai_compatible':
+      if (!process.env.AI_COMPATIBLE_BASE_URL) {
+        throw new Error('AI_COMPATIBLE_BASE_URL must be set to use the openai_compatible provider');
+      }
+      return createOpenAIProvider({
+        name,
+        // Many self-hosted servers ignore the key, but the SDK requires a non-empty value
+        apiKey: process.env.AI_COMPATIBLE_API_KEY || 'not-needed',
+        baseURL: process.env.AI_COMPATIBLE_BASE_URL,
+        models: {
+          grading: process.env.AI_COMPATIBLE_MODEL_GRADING || process.env.AI_COMPATIBLE_MODEL || 'default',
+          fast: process.env.AI_COMPATIBLE_MODEL_FAST || process.env.AI_COMPATIBLE_MODEL || 'default'
+        },
+        jsonMode: process.env.AI_COMPATIBLE_JSON_MODE !== 'false'
+      });
+
+    case 'fixture':
+      return createFixtureProvider();
+
+    default:
+      throw new Error(`Unknown AI provider: ${name}`);
+  }
+}
+
+/**
+ * Get a provider instance by name (defaults to the deployment provider)
+ * @param {string} [name] - Provider name
+ * @returns {Object} Provider
+ */
+function getProvider(name) {
+  const providerName = resolveProviderName(name);
+
+  if (!instances.has(providerName)) {
+    instances.set(providerName, createProvider(providerName));
+  }
+
+  return instances.get(providerName);
+}
+
+/**
+ * Drop cached provider instances (used when configuration changes, e.g. in tests)
+ */
+function resetProviders() {
+  instances.clear();
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getProvider,
+  getDefaultProviderName,
+  isValidProvider,
+  resolveProviderName,
+  getProviderForAssignment,
+  resetProviders
+};
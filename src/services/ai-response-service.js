@@ -0,0 +1,800 @@
+/**
+ * AI Response Validation Service
+ * Strict checks of the JSON returned for each grading prompt
+ *
+ * Each validator returns { value, errors, corrections }:
+ * - errors are problems that cannot be fixed without asking the model again
+ *   (missing criteria, scores that are not numbers, missing feedback)
+ * - corrections are inconsistencies fixed in place (scores above their
+ *   maximum, totals that do not add up, misnamed criteria); each records the
+ *   field, the model's value and the value used
+ * Criterion scores are taken as authoritative: totals and percentages are
+ * recomputed from them. Evidence quotes are kept only when they appear
+ * verbatim in the submission, with their character offsets into it.
+ */
+
+const { createRubricSchema, criterionSchema, levelSchema } = require('../schemas/rubric');
+
+// Fixed criteria of quiz essay grading (points out of 100)
+const ESSAY_CRITERIA = {
+  content_accuracy: 40,
+  completeness: 25,
+  clarity_organization: 20,
+  critical_thinking: 15
+};
+
+// Totals within this of the recomputed value are left as they are
+const TOLERANCE = 0.01;
+
+// Most evidence quotes kept per criterion
+const MAX_EVIDENCE_QUOTES = 3;
+
+// Scores written into draft feedback hints ("7/10", "7 out of 10")
+const SCORE_IN_TEXT = /\b\d+(?:\.\d+)?\s*(?:\/|out of)\s*\d+/i;
+
+/**
+ * Round to two decimals
+ * @param {number} value - Value
+ * @returns {number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value is a finite number
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Normalize a criterion name for matching ("Code Quality" matches code_quality)
+ * @param {string} name - Criterion name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Structured criteria of a rubric
+ * @param {Object|string|null} rubric - Rubric
+ * @returns {Array<{name: string, maxPoints: number}>|null} Criteria, or null for free-text rubrics
+ */
+function rubricCriteria(rubric) {
+  if (!isObject(rubric) || Object.keys(rubric).length === 0) {
+    return null;
+  }
+  return Object.entries(rubric).map(([name, details]) => ({
+    name,
+    maxPoints: Number(details?.max_points) || 0
+  }));
+}
+
+/**
+ * Points earned on a rubric, scaled to the assignment's points
+ * Rubric criteria need not add up to the assignment's points. Only the
+ * given criteria count; a score recorded out of other points than its
+ * criterion's (such as the test-scored functionality criterion) counts as
+ * that share of the criterion.
+ * @param {Array<{name: string, maxPoints: number}>} criteria - Rubric criteria
+ * @param {Object} rubricScores - Scores by criterion name ({ score, max_points } or a number)
+ * @param {number} totalPoints - Assignment points
+ * @returns {number|null} Points earned, or null when the criteria are worth no points
+ */
+function scaleRubricScore(criteria, rubricScores, totalPoints) {
+  const criteriaPoints = criteria.reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+  if (!(criteriaPoints > 0)) {
+    return null;
+  }
+
+  const earned = criteria.reduce((sum, { name, maxPoints }) => {
+    const entry = rubricScores?.[name];
+    const score = Number(isObject(entry) ? entry.score : entry) || 0;
+    const outOf = isObject(entry) ? Number(entry.max_points) : NaN;
+    return sum + (outOf > 0 && outOf !== maxPoints ? score * maxPoints / outOf : score);
+  }, 0);
+
+  return round2(earned * totalPoints / criteriaPoints);
+}
+
+/**
+ * Start a validation
+ * @param {*} response - Parsed response
+ * @returns {Object} { value, errors, corrections, correct(field, from, to, message) }
+ */
+function createOutcome(response) {
+  const outcome = {
+    value: isObject(response) ? { ...response } : null,
+    errors: [],
+    corrections: []
+  };
+  outcome.correct = (field, from, to, message) => {
+    outcome.corrections.push({ field, from: from === undefined ? null : from, to, message });
+  };
+  if (!outcome.value) {
+    outcome.errors.push('Response is not a JSON object');
+  }
+  return outcome;
+}
+
+/**
+ * Finish a validation
+ * @param {Object} outcome - Outcome from createOutcome
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function finishOutcome({ value, errors, corrections }) {
+  return { value: errors.length > 0 ? null : value, errors, corrections };
+}
+
+/**
+ * Check a score, clamping it into [0, maxPoints]
+ * @param {Object} outcome - Outcome
+ * @param {string} field - Field path for messages
+ * @param {*} score - Score from the response
+ * @param {number} maxPoints - Maximum
+ * @returns {number|null} Score to use, or null when it is not a number
+ */
+function checkScore(outcome, field, score, maxPoints) {
+  if (!isNumber(score)) {
+    outcome.errors.push(`${field} must be a number`);
+    return null;
+  }
+  if (score < 0) {
+    outcome.correct(field, score, 0, 'Negative score raised to 0');
+    return 0;
+  }
+  if (score > maxPoints) {
+    outcome.correct(field, score, maxPoints, `Score above the maximum of ${maxPoints} lowered to the maximum`);
+    return maxPoints;
+  }
+  return score;
+}
+
+/**
+ * Check a list of strings, wrapping a single string in a list
+ * @param {Object} outcome - Outcome
+ * @param {string} field - Field name
+ * @returns {void}
+ */
+function checkStringList(outcome, field) {
+  const list = outcome.value[field];
+  if (list === undefined || list === null) {
+    outcome.value[field] = [];
+  } else if (typeof list === 'string') {
+    outcome.value[field] = list.trim() ? [list] : [];
+    outcome.correct(field, list, outcome.value[field], 'Text wrapped in a list');
+  } else if (!Array.isArray(list)) {
+    outcome.value[field] = [];
+    outcome.correct(field, list, [], 'Value that is not a list discarded');
+  } else if (list.some(item => typeof item !== 'string')) {
+    outcome.value[field] = list.filter(item => typeof item === 'string');
+    outcome.correct(field, list, outcome.value[field], 'Entries that are not text removed');
+  }
+}
+
+/**
+ * Check a required feedback text
+ * @param {Object} outcome - Outcome
+ * @param {string} field - Field name
+ * @returns {void}
+ */
+function checkFeedback(outcome, field) {
+  if (typeof outcome.value[field] !== 'string' || !outcome.value[field].trim()) {
+    outcome.errors.push(`${field} must be a non-empty string`);
+  }
+}
+
+/**
+ * Find a quoted passage in the submission text
+ * @param {string} text - Submission text
+ * @param {*} quote - Quoted passage
+ * @returns {{start: number, end: number}|null} Character offsets of the first
+ *   verbatim occurrence, or null when the quote is not in the text
+ */
+function locateQuote(text, quote) {
+  const needle = typeof quote === 'string' ? quote.trim() : '';
+  if (!needle || typeof text !== 'string') return null;
+
+  const start = text.indexOf(needle);
+  return start === -1 ? null : { start, end: start + needle.length };
+}
+
+/**
+ * Check a criterion's evidence quotes against the submission text
+ * Quotes that do not appear verbatim are removed; the rest get their offsets.
+ * @param {Object} outcome - Outcome
+ * @param {string} field - Field path for messages
+ * @param {*} evidence - Evidence from the response ([{ quote }] or a list of strings)
+ * @param {string} text - Submission text the quotes must come from
+ * @returns {Array<{quote: string, start: number, end: number}>}
+ */
+function checkEvidence(outcome, field, evidence, text) {
+  if (evidence === undefined || evidence === null) return [];
+
+  const entries = Array.isArray(evidence) ? evidence : [evidence];
+  const verified = [];
+  for (const entry of entries) {
+    const position = locateQuote(text, typeof entry === 'string' ? entry : entry?.quote);
+    if (position && !verified.some(quote => quote.start === position.start && quote.end === position.end)) {
+      verified.push({ quote: text.slice(position.start, position.end), ...position });
+    }
+  }
+
+  if (verified.length < entries.length) {
+    outcome.correct(field, evidence, verified.slice(0, MAX_EVIDENCE_QUOTES), 'Quotes not found verbatim in the submission removed');
+  } else if (verified.length > MAX_EVIDENCE_QUOTES) {
+    outcome.correct(field, evidence, verified.slice(0, MAX_EVIDENCE_QUOTES), `Quotes beyond the first ${MAX_EVIDENCE_QUOTES} removed`);
+  }
+  return verified.slice(0, MAX_EVIDENCE_QUOTES);
+}
+
+/**
+ * Match the response's criterion entries to the expected criteria
+ * Names are matched exactly, then after normalization; entries matching no
+ * criterion are dropped.
+ * @param {Object} outcome - Outcome
+ * @param {string} field - Field holding the entries (rubric_scores, criteria_scores)
+ * @param {Array<{name: string, maxPoints: number}>} criteria - Expected criteria
+ * @returns {Object} Entries by criterion name (missing criteria are absent)
+ */
+function matchCriteria(outcome, field, criteria) {
+  const entries = outcome.value[field];
+  const matched = {};
+
+  if (!isObject(entries)) {
+    outcome.errors.push(`${field} must be an object with an entry for each criterion`);
+    return matched;
+  }
+
+  const unmatched = new Map(Object.keys(entries).map(name => [name, normalizeName(name)]));
+  for (const { name } of criteria) {
+    let key = unmatched.has(name) ? name : null;
+    if (!key) {
+      key = [...unmatched.keys()].find(candidate => unmatched.get(candidate) === normalizeName(name)) || null;
+      if (key) {
+        outcome.correct(`${field}.${key}`, key, name, `Criterion renamed to "${name}"`);
+      }
+    }
+    if (!key) {
+      outcome.errors.push(`${field} is missing criterion "${name}"`);
+      continue;
+    }
+    unmatched.delete(key);
+    matched[name] = entries[key];
+  }
+
+  for (const name of unmatched.keys()) {
+    outcome.correct(`${field}.${name}`, entries[name], null, 'Criterion not in the rubric removed');
+  }
+
+  return matched;
+}
+
+/**
+ * Validate a submission grading response
+ * @param {*} response - Parsed response
+ * @param {Object} options - Options
+ * @param {Object|string} [options.rubric] - Assignment rubric
+ * @param {number} options.totalPoints - Points available
+ * @param {string} [options.studentAnswer] - Submission text the evidence quotes must come from
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateSubmissionResponse(response, { rubric, totalPoints, studentAnswer }) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+  const { value } = outcome;
+
+  const criteria = rubricCriteria(rubric);
+  const rubricScores = {};
+
+  if (criteria) {
+    for (const [name, entry] of Object.entries(matchCriteria(outcome, 'rubric_scores', criteria))) {
+      const { maxPoints } = criteria.find(criterion => criterion.name === name);
+      if (!isObject(entry)) {
+        outcome.errors.push(`rubric_scores.${name} must be an object with a score`);
+        continue;
+      }
+      const score = checkScore(outcome, `rubric_scores.${name}.score`, entry.score, maxPoints);
+      if (entry.max_points !== maxPoints) {
+        outcome.correct(`rubric_scores.${name}.max_points`, entry.max_points, maxPoints, 'Set to the rubric\'s points');
+      }
+      rubricScores[name] = {
+        ...entry,
+        score,
+        max_points: maxPoints,
+        feedback: typeof entry.feedback === 'string' ? entry.feedback : '',
+        evidence: checkEvidence(outcome, `rubric_scores.${name}.evidence`, entry.evidence, studentAnswer)
+      };
+    }
+  } else if (isObject(value.rubric_scores)) {
+    // Free-text rubric: criteria are the model's own, checked against their stated maximum
+    for (const [name, entry] of Object.entries(value.rubric_scores)) {
+      if (!isObject(entry) || !isNumber(entry.max_points) || entry.max_points < 0) {
+        outcome.errors.push(`rubric_scores.${name} must have a numeric score and max_points`);
+        continue;
+      }
+      const score = checkScore(outcome, `rubric_scores.${name}.score`, entry.score, entry.max_points);
+      rubricScores[name] = {
+        ...entry,
+        score,
+        feedback: typeof entry.feedback === 'string' ? entry.feedback : '',
+        evidence: checkEvidence(outcome, `rubric_scores.${name}.evidence`, entry.evidence, studentAnswer)
+      };
+    }
+  } else if (value.rubric_scores !== undefined && value.rubric_scores !== null) {
+    outcome.errors.push('rubric_scores must be an object');
+  }
+  value.rubric_scores = rubricScores;
+
+  // Overall score: the sum of the rubric's criteria, scaled to the assignment's points
+  const expected = criteria ? scaleRubricScore(criteria, rubricScores, totalPoints) : null;
+  if (expected !== null && outcome.errors.length === 0) {
+    if (!isNumber(value.overall_score) || Math.abs(value.overall_score - expected) > TOLERANCE) {
+      outcome.correct('overall_score', value.overall_score, expected, 'Set to the total of the criterion scores');
+      value.overall_score = expected;
+    }
+  } else if (!isNumber(value.overall_score)) {
+    outcome.errors.push('overall_score must be a number');
+  } else if (value.overall_score < 0 || value.overall_score > totalPoints) {
+    outcome.errors.push(`overall_score must be between 0 and ${totalPoints}`);
+  }
+
+  if (isNumber(value.overall_score) && outcome.errors.length === 0) {
+    const percentage = totalPoints > 0 ? Math.round((value.overall_score / totalPoints) * 100) : 0;
+    // Models round percentages their own way; only report real disagreements
+    if (value.percentage !== undefined && !(isNumber(value.percentage) && Math.abs(value.percentage - percentage) <= 1)) {
+      outcome.correct('percentage', value.percentage, percentage, 'Recomputed from the overall score');
+    }
+    value.percentage = percentage;
+  }
+
+  checkFeedback(outcome, 'overall_feedback');
+  for (const field of ['strengths', 'areas_for_improvement', 'suggestions']) {
+    checkStringList(outcome, field);
+  }
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Validate the score of one criterion (long submissions graded in chunks)
+ * @param {*} response - Parsed response
+ * @param {Object} options - Options
+ * @param {number} options.maxPoints - Criterion maximum
+ * @param {string} [options.studentAnswer] - Full submission text the evidence quotes must come from
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateCriterionScoreResponse(response, { maxPoints, studentAnswer }) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+
+  outcome.value.score = checkScore(outcome, 'score', outcome.value.score, maxPoints);
+  checkFeedback(outcome, 'feedback');
+  outcome.value.evidence = checkEvidence(outcome, 'evidence', outcome.value.evidence, studentAnswer);
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Validate the overall feedback written for a chunked grade
+ * @param {*} response - Parsed response
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateFeedbackSummaryResponse(response) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+
+  checkFeedback(outcome, 'overall_feedback');
+  for (const field of ['strengths', 'areas_for_improvement', 'suggestions']) {
+    checkStringList(outcome, field);
+  }
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Validate a quiz short answer response (score is a percentage)
+ * @param {*} response - Parsed response
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateShortAnswerResponse(response) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+  const { value } = outcome;
+
+  value.score = checkScore(outcome, 'score', value.score, 100);
+  if (value.score !== null) {
+    const isCorrect = value.score >= 80;
+    if (typeof value.is_correct === 'boolean' && value.is_correct !== isCorrect) {
+      outcome.correct('is_correct', value.is_correct, isCorrect, 'Set from the score (correct at 80% or more)');
+    }
+    value.is_correct = isCorrect;
+  }
+  if (value.feedback !== undefined && typeof value.feedback !== 'string') {
+    outcome.correct('feedback', value.feedback, '', 'Feedback that is not text discarded');
+    value.feedback = '';
+  }
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Validate a quiz essay response
+ * @param {*} response - Parsed response
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateEssayResponse(response) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+  const { value } = outcome;
+
+  const criteria = Object.entries(ESSAY_CRITERIA).map(([name, maxPoints]) => ({ name, maxPoints }));
+  const criteriaScores = {};
+  for (const [name, entry] of Object.entries(matchCriteria(outcome, 'criteria_scores', criteria))) {
+    if (!isObject(entry)) {
+      outcome.errors.push(`criteria_scores.${name} must be an object with a score`);
+      continue;
+    }
+    const score = checkScore(outcome, `criteria_scores.${name}.score`, entry.score, ESSAY_CRITERIA[name]);
+    criteriaScores[name] = { ...entry, score, feedback: typeof entry.feedback === 'string' ? entry.feedback : '' };
+  }
+  value.criteria_scores = criteriaScores;
+
+  if (outcome.errors.length === 0) {
+    const expected = round2(Object.values(criteriaScores).reduce((sum, entry) => sum + entry.score, 0));
+    if (!isNumber(value.score_percentage) || Math.abs(value.score_percentage - expected) > TOLERANCE) {
+      outcome.correct('score_percentage', value.score_percentage, expected, 'Set to the total of the criterion scores');
+      value.score_percentage = expected;
+    }
+  }
+
+  checkFeedback(outcome, 'overall_feedback');
+  for (const field of ['strengths', 'improvements']) {
+    checkStringList(outcome, field);
+  }
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Validate a prompt injection check response
+ * Span entries without a quote are dropped; suspicious follows the spans.
+ * @param {*} response - Parsed response
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateInjectionCheckResponse(response) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+  const { value } = outcome;
+
+  if (value.spans === undefined || value.spans === null) {
+    value.spans = [];
+  } else if (!Array.isArray(value.spans)) {
+    outcome.errors.push('spans must be a list');
+    return finishOutcome(outcome);
+  }
+
+  const spans = value.spans
+    .filter(span => isObject(span) && typeof span.quote === 'string' && span.quote.trim())
+    .map(span => ({ quote: span.quote, reason: typeof span.reason === 'string' ? span.reason : '' }));
+  if (spans.length !== value.spans.length) {
+    outcome.correct('spans', value.spans, spans, 'Entries without a quoted passage removed');
+  }
+  value.spans = spans;
+
+  const suspicious = spans.length > 0;
+  if (value.suspicious !== suspicious) {
+    outcome.correct('suspicious', value.suspicious, suspicious, 'Set from the quoted passages');
+  }
+  value.suspicious = suspicious;
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Validate formative feedback on a draft: a hint per criterion and no score
+ * Hints that state a score are errors, so the model is asked again.
+ * @param {*} response - Parsed response
+ * @param {Object} options - Options
+ * @param {Object|string} [options.rubric] - Assignment rubric
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateDraftFeedbackResponse(response, { rubric }) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+  const { value } = outcome;
+
+  const criteria = rubricCriteria(rubric);
+  let entries = {};
+  if (criteria) {
+    entries = matchCriteria(outcome, 'criteria', criteria);
+  } else if (isObject(value.criteria)) {
+    // Free-text rubric: criteria are the model's own
+    entries = value.criteria;
+  } else {
+    outcome.errors.push('criteria must be an object');
+  }
+
+  const hints = {};
+  for (const [name, entry] of Object.entries(entries)) {
+    const hint = isObject(entry) ? entry.hint : entry;
+    if (typeof hint !== 'string' || !hint.trim()) {
+      outcome.errors.push(`criteria.${name}.hint must be a non-empty string`);
+      continue;
+    }
+    if (SCORE_IN_TEXT.test(hint)) {
+      outcome.errors.push(`criteria.${name}.hint must not give a score`);
+      continue;
+    }
+    if (!isObject(entry) || Object.keys(entry).some(key => key !== 'hint')) {
+      outcome.correct(`criteria.${name}`, entry, { hint }, 'Kept only the hint');
+    }
+    hints[name] = { hint };
+  }
+  value.criteria = hints;
+
+  checkFeedback(outcome, 'overall_hint');
+  if (typeof value.overall_hint === 'string' && SCORE_IN_TEXT.test(value.overall_hint)) {
+    outcome.errors.push('overall_hint must not give a score');
+  }
+
+  // Scores added anyway are not passed on to the student
+  for (const field of ['score', 'overall_score', 'percentage']) {
+    if (value[field] !== undefined) {
+      outcome.correct(field, value[field], null, 'Score removed from draft feedback');
+      delete value[field];
+    }
+  }
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Check a required text, cutting it to maxLength
+ * @param {Object} outcome - Outcome
+ * @param {string} field - Field path for messages
+ * @param {*} text - Text from the response
+ * @param {number} maxLength - Longest text kept
+ * @returns {string|null} Text to use, or null when it is missing
+ */
+function checkText(outcome, field, text, maxLength) {
+  if (typeof text !== 'string' || !text.trim()) {
+    outcome.errors.push(`${field} must be a non-empty string`);
+    return null;
+  }
+  const trimmed = text.trim();
+  if (trimmed.length > maxLength) {
+    outcome.correct(field, trimmed, trimmed.slice(0, maxLength), `Text cut to ${maxLength} characters`);
+    return trimmed.slice(0, maxLength);
+  }
+  return trimmed;
+}
+
+/**
+ * Split whole points over criteria in proportion to their proposed points
+ * Largest remainders get the points left over after rounding down.
+ * @param {Array<number>} weights - Points proposed per criterion
+ * @param {number} total - Points to split
+ * @returns {Array<number>} Points per criterion, adding up to total
+ */
+function allocatePoints(weights, total) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  const exact = weights.map(weight => (sum > 0 ? weight / sum : 1 / weights.length) * total);
+  const points = exact.map(Math.floor);
+
+  let remaining = total - points.reduce((a, b) => a + b, 0);
+  const order = exact
+    .map((value, index) => ({ index, remainder: value - points[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of order) {
+    if (remaining <= 0) break;
+    points[index]++;
+    remaining--;
+  }
+  return points;
+}
+
+/**
+ * Check a criterion's performance levels, highest first
+ * Level points are scaled with the criterion's points and the highest level
+ * is worth all of them.
+ * @param {Object} outcome - Outcome
+ * @param {string} field - Field path for messages
+ * @param {*} levels - Levels from the response
+ * @param {number} proposedPoints - Criterion points in the response
+ * @param {number} maxPoints - Criterion points used
+ * @returns {Array<{label: string, points: number, description: string}>}
+ */
+function checkLevels(outcome, field, levels, proposedPoints, maxPoints) {
+  const { minItems, maxItems } = criterionSchema.properties.levels;
+  if (!Array.isArray(levels) || levels.length < minItems || levels.length > maxItems) {
+    outcome.errors.push(`${field} must list ${minItems}-${maxItems} performance levels`);
+    return [];
+  }
+
+  const checked = [];
+  levels.forEach((level, index) => {
+    const levelField = `${field}[${index}]`;
+    if (!isObject(level)) {
+      outcome.errors.push(`${levelField} must be an object`);
+      return;
+    }
+    const label = checkText(outcome, `${levelField}.label`, level.label, levelSchema.properties.label.maxLength);
+    const description = checkText(outcome, `${levelField}.description`, level.description, levelSchema.properties.description.maxLength);
+    if (!isNumber(level.points) || level.points < 0 || level.points > proposedPoints) {
+      outcome.errors.push(`${levelField}.points must be a number from 0 to the criterion's max_points`);
+      return;
+    }
+    const points = proposedPoints > 0 ? Math.round(level.points * maxPoints / proposedPoints) : 0;
+    if (points !== level.points) {
+      outcome.correct(`${levelField}.points`, level.points, points, 'Level points scaled with the criterion');
+    }
+    checked.push({ label, points, description });
+  });
+
+  const sorted = [...checked].sort((a, b) => b.points - a.points);
+  if (sorted.some((level, index) => level !== checked[index])) {
+    outcome.correct(field, checked.map(level => level.label), sorted.map(level => level.label), 'Levels ordered from highest to lowest');
+  }
+  if (sorted.length > 0 && sorted[0].points !== maxPoints) {
+    outcome.correct(`${field}[0].points`, sorted[0].points, maxPoints, 'Highest level set to the criterion\'s points');
+    sorted[0] = { ...sorted[0], points: maxPoints };
+  }
+  return sorted;
+}
+
+/**
+ * Validate a drafted rubric: described criteria with performance levels and
+ * whole-point allocations adding up to totalPoints
+ * Limits come from createRubricSchema. Criterion keys are normalized to
+ * snake_case, and allocations that do not add up are scaled to totalPoints.
+ * @param {*} response - Parsed response
+ * @param {Object} options - Options
+ * @param {number} options.totalPoints - Points the rubric is out of
+ * @returns {{value: Object|null, errors: Array<string>, corrections: Array<Object>}}
+ */
+function validateRubricDraftResponse(response, { totalPoints }) {
+  const outcome = createOutcome(response);
+  if (!outcome.value) return finishOutcome(outcome);
+  const { value } = outcome;
+  const { criteria: criteriaLimits, description: descriptionLimits } = createRubricSchema.body.properties;
+
+  const entries = isObject(value.criteria) ? Object.entries(value.criteria) : [];
+  if (entries.length < criteriaLimits.minProperties || entries.length > criteriaLimits.maxProperties) {
+    outcome.errors.push(`criteria must be an object with ${criteriaLimits.minProperties}-${criteriaLimits.maxProperties} criteria`);
+    return finishOutcome(outcome);
+  }
+
+  const drafted = [];
+  for (const [key, entry] of entries) {
+    const name = normalizeName(key);
+    const field = `criteria.${name || key}`;
+    if (!name || drafted.some(criterion => criterion.name === name)) {
+      outcome.errors.push(`criteria.${key} needs a unique key of letters and digits`);
+      continue;
+    }
+    if (name !== key) {
+      outcome.correct(`criteria.${key}`, key, name, `Criterion key changed to "${name}"`);
+    }
+    if (!isObject(entry)) {
+      outcome.errors.push(`${field} must be an object`);
+      continue;
+    }
+    if (!isNumber(entry.max_points) || entry.max_points <= 0) {
+      outcome.errors.push(`${field}.max_points must be a positive number`);
+      continue;
+    }
+    drafted.push({ name, field, entry });
+  }
+  if (outcome.errors.length > 0) return finishOutcome(outcome);
+
+  const allocated = allocatePoints(drafted.map(({ entry }) => entry.max_points), totalPoints);
+  const maxCriterionPoints = criterionSchema.properties.max_points.maximum;
+  const criteria = {};
+  drafted.forEach(({ name, field, entry }, index) => {
+    const maxPoints = allocated[index];
+    if (maxPoints !== entry.max_points) {
+      outcome.correct(`${field}.max_points`, entry.max_points, maxPoints, `Points scaled so the criteria add up to ${totalPoints}`);
+    }
+    if (maxPoints > maxCriterionPoints) {
+      outcome.errors.push(`${field} is worth ${maxPoints} points; split it so no criterion is worth more than ${maxCriterionPoints}`);
+    }
+    criteria[name] = {
+      max_points: maxPoints,
+      description: checkText(outcome, `${field}.description`, entry.description, criterionSchema.properties.description.maxLength),
+      levels: checkLevels(outcome, `${field}.levels`, entry.levels, entry.max_points, maxPoints)
+    };
+  });
+  value.criteria = criteria;
+
+  if (typeof value.description === 'string' && value.description.trim()) {
+    value.description = checkText(outcome, 'description', value.description, descriptionLimits.maxLength);
+  } else {
+    if (value.description !== undefined) {
+      outcome.correct('description', value.description, null, 'Description that is not text discarded');
+    }
+    delete value.description;
+  }
+
+  return finishOutcome(outcome);
+}
+
+/**
+ * Parse a JSON response without throwing
+ * @param {string} content - Response text
+ * @returns {*} Parsed value, or null when it is not JSON
+ */
+function parseJson(content) {
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Summarize a validation for ai_response.validation
+ * @param {Object} outcome - Final outcome
+ * @param {Array<string>|null} [repairErrors] - Errors of the first response, when it was re-prompted
+ * @returns {{status: string, corrections: Array<Object>, repair_errors?: Array<string>}}
+ *   status is valid, reconciled (fixed in place) or repaired (re-prompted)
+ */
+function summarizeValidation(outcome, repairErrors = null) {
+  let status = 'valid';
+  if (repairErrors) status = 'repaired';
+  else if (outcome.corrections.length > 0) status = 'reconciled';
+
+  return {
+    status,
+    corrections: outcome.corrections,
+    ...(repairErrors ? { repair_errors: repairErrors } : {})
+  };
+}
+
+/**
+ * Combine the validations of several calls behind one grade
+ * @param {Array<{prefix: string, validation: Object}>} parts - Validations, with the field prefix of each
+ * @returns {{status: string, corrections: Array<Object>, repair_errors?: Array<string>}}
+ */
+function mergeValidations(parts) {
+  const withPrefix = (prefix, field) => (prefix ? `${prefix}.${field}` : field);
+  const corrections = parts.flatMap(({ prefix, validation }) =>
+    validation.corrections.map(correction => ({ ...correction, field: withPrefix(prefix, correction.field) }))
+  );
+  const repairErrors = parts.flatMap(({ prefix, validation }) =>
+    (validation.repair_errors || []).map(error => (prefix ? `${prefix}: ${error}` : error))
+  );
+
+  return summarizeValidation({ corrections }, repairErrors.length > 0 ? repairErrors : null);
+}
+
+module.exports = {
+  ESSAY_CRITERIA,
+  locateQuote,
+  rubricCriteria,
+  scaleRubricScore,
+  validateSubmissionResponse,
+  validateCriterionScoreResponse,
+  validateFeedbackSummaryResponse,
+  validateShortAnswerResponse,
+  validateEssayResponse,
+  validateInjectionCheckResponse,
+  validateDraftFeedbackResponse,
+  validateRubricDraftResponse,
+  parseJson,
+  summarizeValidation,
+  mergeValidations
+};
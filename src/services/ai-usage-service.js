@@ -0,0 +1,307 @@
+/**
+ * AI Usage Service
+ * Records every AI provider call (tokens, estimated cost, latency and what
+ * triggered it), reports usage, and enforces per-course budgets
+ *
+ * Costs are estimates: tokens × the model's price in USD per million tokens.
+ * AI_MODEL_PRICES (JSON, e.g. {"gpt-4o": {"prompt": 2.5, "completion": 10}})
+ * adds or overrides prices; dated model names use the price of their base
+ * model. Calls to models without a price are recorded without a cost.
+ */
+
+const logger = require('./logger');
+const chunkingService = require('./chunking-service');
+
+const USAGE_PURPOSES = ['grading', 'preview', 'quiz', 'draft_feedback', 'rubric_draft'];
+const REPORT_GROUPS = ['course', 'instructor', 'month', 'assignment'];
+
+// USD per million tokens
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-4': { prompt: 30, completion: 60 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  fixture: { prompt: 0, completion: 0 }
+};
+
+// Typical size of a grading response, for estimates before grading
+const EXPECTED_COMPLETION_TOKENS = 600;
+const EXPECTED_CRITERION_COMPLETION_TOKENS = 200;
+// Instructions and rubric sent with each criterion of a chunked submission
+const CRITERION_PROMPT_OVERHEAD_TOKENS = 800;
+
+/**
+ * Model prices, with overrides from AI_MODEL_PRICES
+ * @returns {Object} Prices by model name
+ */
+function getModelPrices() {
+  if (!process.env.AI_MODEL_PRICES) return DEFAULT_MODEL_PRICES;
+
+  try {
+    return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(process.env.AI_MODEL_PRICES) };
+  } catch (error) {
+    logger.warn({ error: error.message }, 'Invalid AI_MODEL_PRICES, using the default prices');
+    return DEFAULT_MODEL_PRICES;
+  }
+}
+
+/**
+ * Price of a model (exact name, else the longest known prefix)
+ * @param {string} model - Model name, e.g. gpt-4o-2024-08-06
+ * @returns {{prompt: number, completion: number}|null}
+ */
+function getModelPrice(model) {
+  if (!model) return null;
+  const prices = getModelPrices();
+  if (prices[model]) return prices[model];
+
+  const base = Object.keys(prices)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return base ? prices[base] : null;
+}
+
+/**
+ * Estimated cost of a call
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number|null} USD, or null for models without a price
+ */
+function estimateCost(model, promptTokens, completionTokens) {
+  const price = getModelPrice(model);
+  if (!price) return null;
+  const cost = (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Create a recorder that stores the usage of each AI call
+ * Passed to openai-service as usageRecorder. Recording never fails the
+ * call it records.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} context - What triggered the calls
+ * @param {string} [context.courseId] - Course UUID (looked up from the assignment when omitted)
+ * @param {string} [context.assignmentId] - Assignment UUID
+ * @param {string} [context.submissionId] - Submission UUID
+ * @param {string} [context.userId] - User whose action triggered the calls
+ * @param {string} [context.purpose='grading'] - One of USAGE_PURPOSES
+ * @returns {{context: Object, record: Function}}
+ */
+function createRecorder(fastify, { courseId = null, assignmentId = null, submissionId = null, userId = null, purpose = 'grading' } = {}) {
+  const context = { courseId, assignmentId, submissionId, userId, purpose };
+
+  return {
+    context,
+
+    /**
+     * Record one call
+     * @param {Object} call - Call details
+     * @param {string} call.provider - Provider name
+     * @param {string} [call.model] - Model name
+     * @param {string} [call.task] - Completion task
+     * @param {Object} [call.usage] - Token usage reported by the provider
+     * @param {number} [call.latencyMs] - Latency
+     * @param {Error} [call.error] - Error, for failed calls
+     */
+    async record({ provider, model = null, task = null, usage = null, latencyMs = null, error = null }) {
+      const promptTokens = usage?.prompt_tokens || 0;
+      const completionTokens = usage?.completion_tokens || 0;
+
+      try {
+        await fastify.db.query(
+          `INSERT INTO ai_usage
+             (provider, model, task, purpose, status, prompt_tokens, completion_tokens, estimated_cost, latency_ms, error,
+              course_id, assignment_id, submission_id, user_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10,
+             COALESCE($11::uuid, (SELECT course_id FROM assignments WHERE id = $12::uuid)), $12, $13, $14)`,
+          [
+            provider, model, task, purpose, error ? 'error' : 'success', promptTokens, completionTokens,
+            estimateCost(model, promptTokens, completionTokens), latencyMs === null ? null : Math.round(latencyMs),
+            error ? error.message : null, courseId, assignmentId, submissionId, userId
+          ]
+        );
+      } catch (recordError) {
+        logger.error({ error: recordError.message, provider, model }, 'Failed to record AI usage');
+      }
+    }
+  };
+}
+
+/**
+ * Estimate the tokens of grading one submission once
+ * @param {Object} params - Submission details
+ * @param {string} params.prompt - Rendered prompt (system and user), for single-call grading
+ * @param {string} params.content - Submission text
+ * @param {number} params.criteriaCount - Rubric criteria (criterion-by-criterion grading makes one call each)
+ * @returns {{prompt_tokens: number, completion_tokens: number}}
+ */
+function estimateSubmissionTokens({ prompt, content, criteriaCount }) {
+  if (!chunkingService.needsChunking(content)) {
+    return {
+      prompt_tokens: chunkingService.estimateTokens(prompt),
+      completion_tokens: EXPECTED_COMPLETION_TOKENS
+    };
+  }
+
+  const criteria = Math.max(1, criteriaCount);
+  const perCriterion = Math.min(chunkingService.estimateTokens(content), chunkingService.CRITERION_CONTEXT_TOKENS)
+    + CRITERION_PROMPT_OVERHEAD_TOKENS;
+
+  return {
+    prompt_tokens: criteria * perCriterion + CRITERION_PROMPT_OVERHEAD_TOKENS,
+    completion_tokens: criteria * EXPECTED_CRITERION_COMPLETION_TOKENS + EXPECTED_COMPLETION_TOKENS
+  };
+}
+
+/**
+ * Aggregate usage for a report
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} options - Report options
+ * @param {string} [options.groupBy='course'] - One of REPORT_GROUPS
+ * @param {string} [options.instructorId] - Only usage of this instructor's courses and assignments
+ * @param {string} [options.courseId] - Only usage of this course
+ * @param {string} [options.from] - Start date (inclusive)
+ * @param {string} [options.to] - End date (exclusive)
+ * @returns {Promise<{group_by: string, rows: Array<Object>, totals: Object}>}
+ */
+async function getUsageReport(fastify, { groupBy = 'course', instructorId = null, courseId = null, from = null, to = null } = {}) {
+  const groups = {
+    course: { key: 'u.course_id', label: "MAX(c.code || ' ' || c.name)" },
+    instructor: { key: 'COALESCE(c.instructor_id, a.instructor_id)', label: 'MAX(iu.name)' },
+    month: { key: "to_char(date_trunc('month', u.created_at), 'YYYY-MM')", label: "to_char(date_trunc('month', u.created_at), 'YYYY-MM')" },
+    assignment: { key: 'u.assignment_id', label: 'MAX(a.title)' }
+  };
+  const group = groups[groupBy] || groups.course;
+
+  const result = await fastify.db.query(
+    `SELECT ${group.key}::text as key, ${group.label} as label,
+            COUNT(*)::int as calls,
+            COUNT(*) FILTER (WHERE u.status = 'error')::int as failed_calls,
+            COALESCE(SUM(u.prompt_tokens), 0)::bigint as prompt_tokens,
+            COALESCE(SUM(u.completion_tokens), 0)::bigint as completion_tokens,
+            COALESCE(SUM(u.estimated_cost), 0)::numeric(12,4) as estimated_cost,
+            COUNT(*) FILTER (WHERE u.estimated_cost IS NULL)::int as unpriced_calls,
+            ROUND(AVG(u.latency_ms))::int as avg_latency_ms
+     FROM ai_usage u
+     LEFT JOIN courses c ON u.course_id = c.id
+     LEFT JOIN assignments a ON u.assignment_id = a.id
+     LEFT JOIN users iu ON iu.id = COALESCE(c.instructor_id, a.instructor_id)
+     WHERE ($1::uuid IS NULL OR COALESCE(c.instructor_id, a.instructor_id) = $1)
+       AND ($2::uuid IS NULL OR u.course_id = $2)
+       AND ($3::timestamp IS NULL OR u.created_at >= $3)
+       AND ($4::timestamp IS NULL OR u.created_at < $4)
+     GROUP BY 1
+     ORDER BY ${groupBy === 'month' ? 'key DESC' : 'estimated_cost DESC'}`,
+    [instructorId, courseId, from, to]
+  );
+
+  const rows = result.rows.map(row => ({
+    ...row,
+    prompt_tokens: Number(row.prompt_tokens),
+    completion_tokens: Number(row.completion_tokens),
+    estimated_cost: parseFloat(row.estimated_cost)
+  }));
+
+  const totals = rows.reduce((sum, row) => ({
+    calls: sum.calls + row.calls,
+    failed_calls: sum.failed_calls + row.failed_calls,
+    prompt_tokens: sum.prompt_tokens + row.prompt_tokens,
+    completion_tokens: sum.completion_tokens + row.completion_tokens,
+    estimated_cost: Math.round((sum.estimated_cost + row.estimated_cost) * 1e4) / 1e4,
+    unpriced_calls: sum.unpriced_calls + row.unpriced_calls
+  }), { calls: 0, failed_calls: 0, prompt_tokens: 0, completion_tokens: 0, estimated_cost: 0, unpriced_calls: 0 });
+
+  return { group_by: groups[groupBy] ? groupBy : 'course', rows, totals };
+}
+
+/**
+ * Summarize a course's budget
+ * @param {Object} row - Course row with ai_budget_* columns and spent
+ * @param {Date} [now] - Current time
+ * @returns {Object} Budget status
+ */
+function summarizeBudget(row, now = new Date()) {
+  const budget = row.ai_budget_usd === null || row.ai_budget_usd === undefined ? null : parseFloat(row.ai_budget_usd);
+  const spent = Math.round(parseFloat(row.spent || 0) * 1e4) / 1e4;
+  const monthly = row.ai_budget_period !== 'term';
+
+  return {
+    course_id: row.id,
+    budget,
+    period: row.ai_budget_period || 'month',
+    action: row.ai_budget_action || 'queue',
+    spent,
+    remaining: budget === null ? null : Math.max(0, Math.round((budget - spent) * 1e4) / 1e4),
+    exceeded: budget !== null && spent >= budget,
+    resets_at: monthly ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString() : null
+  };
+}
+
+/**
+ * Budget status of a course
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} courseId - Course UUID
+ * @returns {Promise<Object|null>} Budget status, or null if the course does not exist
+ */
+async function getBudgetStatus(db, courseId) {
+  const result = await db.query(
+    `SELECT c.id, c.ai_budget_usd, c.ai_budget_period, c.ai_budget_action,
+            (SELECT COALESCE(SUM(u.estimated_cost), 0) FROM ai_usage u
+             WHERE u.course_id = c.id
+               AND (c.ai_budget_period = 'term' OR u.created_at >= date_trunc('month', NOW()))) as spent
+     FROM courses c
+     WHERE c.id = $1`,
+    [courseId]
+  );
+
+  return result.rows[0] ? summarizeBudget(result.rows[0]) : null;
+}
+
+/**
+ * Budget status of an assignment's course
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Object|null>} Budget status, or null for assignments without a course
+ */
+async function getBudgetStatusForAssignment(db, assignmentId) {
+  const result = await db.query('SELECT course_id FROM assignments WHERE id = $1', [assignmentId]);
+  const courseId = result.rows[0]?.course_id;
+  return courseId ? getBudgetStatus(db, courseId) : null;
+}
+
+/**
+ * Refuse AI grading for an assignment whose course is over budget
+ * The error has code AI_BUDGET_EXCEEDED and the course's budget action and status.
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Object|null>} Budget status
+ */
+async function assertWithinBudget(db, assignmentId) {
+  const status = await getBudgetStatusForAssignment(db, assignmentId);
+
+  if (status && status.exceeded) {
+    const error = new Error(`The course's AI budget of $${status.budget.toFixed(2)} per ${status.period} has been used`);
+    error.code = 'AI_BUDGET_EXCEEDED';
+    error.action = status.action;
+    error.budget = status;
+    throw error;
+  }
+
+  return status;
+}
+
+module.exports = {
+  USAGE_PURPOSES,
+  REPORT_GROUPS,
+  getModelPrice,
+  estimateCost,
+  createRecorder,
+  estimateSubmissionTokens,
+  getUsageReport,
+  summarizeBudget,
+  getBudgetStatus,
+  getBudgetStatusForAssignment,
+  assertWithinBudget
+};
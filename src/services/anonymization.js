@@ -59,7 +59,11 @@ function anonymizeGrade(grade) {
   return {
     id: grade.id,
     submission_id: grade.submission_id,
-    score: grade.score,
+    points_earned: grade.points_earned,
+    points_possible: grade.points_possible,
+    late_penalty_points: grade.late_penalty_points,
+    final_points: grade.final_points,
+    percentage: grade.percentage,
     rubric_scores: grade.rubric_scores,
     graded_at: grade.graded_at,
     // Remove feedback if it might contain PII
@@ -116,7 +120,11 @@ function createAnonymizedDataset(submissions) {
     word_count: sub.content ? sub.content.split(/\s+/).length : 0,
     submitted_at: sub.submitted_at,
     grade: sub.grade ? {
-      score: sub.grade.score,
+      points_earned: sub.grade.points_earned,
+      points_possible: sub.grade.points_possible,
+      late_penalty_points: sub.grade.late_penalty_points,
+      final_points: sub.grade.final_points,
+      percentage: sub.grade.percentage,
       rubric_scores: sub.grade.rubric_scores,
       graded_at: sub.grade.graded_at,
       was_overridden: !!sub.grade.graded_by
@@ -150,7 +158,11 @@ function generateGdprExport(userData) {
     grades: (userData.grades || []).map(grade => ({
       id: grade.id,
       submission_id: grade.submission_id,
-      score: grade.score,
+      points_earned: grade.points_earned,
+      points_possible: grade.points_possible,
+      late_penalty_points: grade.late_penalty_points,
+      final_points: grade.final_points,
+      percentage: grade.percentage,
       feedback: grade.feedback,
       graded_at: grade.graded_at
     })),
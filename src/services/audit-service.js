@@ -195,6 +195,21 @@ const AUDIT_ACTIONS = {
   PASSWORD_CHANGE: 'PASSWORD_CHANGE',
   SUBMISSION_GRADE: 'SUBMISSION_GRADE',
   GRADE_OVERRIDE: 'GRADE_OVERRIDE',
+  GRADE_BATCH: 'GRADE_BATCH',
+  GRADE_REVIEW: 'GRADE_REVIEW',
+  GRADE_PUBLISH: 'GRADE_PUBLISH',
+  GRADE_RETRACT: 'GRADE_RETRACT',
+  GRADE_REVERT: 'GRADE_REVERT',
+  REGRADE_REQUEST_CREATE: 'REGRADE_REQUEST_CREATE',
+  REGRADE_REQUEST_RESOLVE: 'REGRADE_REQUEST_RESOLVE',
+  REGRADE_REQUEST_WITHDRAW: 'REGRADE_REQUEST_WITHDRAW',
+  ACCOMMODATION_CREATE: 'ACCOMMODATION_CREATE',
+  ACCOMMODATION_UPDATE: 'ACCOMMODATION_UPDATE',
+  ACCOMMODATION_DELETE: 'ACCOMMODATION_DELETE',
+  OCR_APPROVE: 'OCR_APPROVE',
+  GRADING_JOB_UPDATE: 'GRADING_JOB_UPDATE',
+  PROMPT_TEMPLATE_CREATE: 'PROMPT_TEMPLATE_CREATE',
+  PROMPT_TEMPLATE_ACTIVATE: 'PROMPT_TEMPLATE_ACTIVATE',
   DATA_EXPORT: 'DATA_EXPORT',
   DATA_DELETION_REQUEST: 'DATA_DELETION_REQUEST'
 };
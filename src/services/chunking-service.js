@@ -0,0 +1,243 @@
+/**
+ * Chunking Service
+ * Splits long submissions into sections and picks the parts relevant to a
+ * rubric criterion, so long reports can be graded within the model's context
+ *
+ * Token counts are estimated at four characters per token, which is close
+ * for English text with OpenAI tokenizers and errs on the safe side for code.
+ */
+
+const CHARS_PER_TOKEN = 4;
+
+// Submissions longer than this are graded criterion by criterion
+const CHUNKING_THRESHOLD_TOKENS = parseInt(process.env.AI_CHUNKING_THRESHOLD_TOKENS) || 6000;
+// Size of each chunk
+const CHUNK_TOKENS = parseInt(process.env.AI_CHUNK_TOKENS) || 1500;
+// Submission text sent with each criterion
+const CRITERION_CONTEXT_TOKENS = parseInt(process.env.AI_CRITERION_CONTEXT_TOKENS) || 4500;
+
+// Section headings commonly used in reports without Markdown formatting
+const REPORT_HEADINGS = /^(abstract|summary|introduction|background|theory|hypothesis|aims?|objectives?|materials( and methods)?|methods?|methodology|procedure|experimental( setup)?|results?|analysis|discussion|evaluation|conclusions?|future work|limitations|recommendations|references|bibliography|appendix( [a-z0-9]+)?|acknowledge?ments)\s*:?$/i;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'with', 'that', 'this', 'from', 'have', 'has', 'was', 'were', 'will', 'been', 'into',
+  'their', 'them', 'they', 'its', 'all', 'any', 'can', 'not', 'but', 'how', 'what', 'when', 'which', 'who', 'why',
+  'should', 'would', 'could', 'each', 'other', 'than', 'then', 'also', 'more', 'most', 'such', 'only', 'own', 'same',
+  'clear', 'good', 'well', 'appropriate', 'points', 'student', 'submission'
+]);
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Whether a submission is too long to grade in a single prompt
+ * @param {string} text - Submission text
+ * @param {number} [thresholdTokens] - Override of AI_CHUNKING_THRESHOLD_TOKENS
+ * @returns {boolean}
+ */
+function needsChunking(text, thresholdTokens = CHUNKING_THRESHOLD_TOKENS) {
+  return estimateTokens(text) > thresholdTokens;
+}
+
+/**
+ * Get the heading a line starts a section with, if any
+ * Recognizes Markdown headings, notebook cell markers, numbered headings
+ * ("2.1 Results") and common report section names
+ * @param {string} line - Line of text
+ * @returns {string|null} Heading text
+ */
+function headingOf(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 100) return null;
+
+  const markdown = trimmed.match(/^#{1,6}\s+(.+?)\s*#*$/);
+  if (markdown) return markdown[1];
+
+  const cell = trimmed.match(/^\[((?:Markdown|Code|Raw) cell \d+)\]$/);
+  if (cell) return cell[1];
+
+  if (/^\d+(\.\d+)*\.?\s+[A-Z][^.!?]*$/.test(trimmed)) return trimmed;
+  if (REPORT_HEADINGS.test(trimmed)) return trimmed.replace(/:$/, '');
+
+  return null;
+}
+
+/**
+ * Split text into sections at headings
+ * @param {string} text - Submission text
+ * @returns {Array<{heading: string|null, start: number, end: number}>} Sections as character ranges
+ */
+function splitSections(text) {
+  const sections = [];
+  let current = { heading: null, start: 0 };
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const heading = headingOf(line);
+    if (heading && offset > current.start) {
+      sections.push({ ...current, end: offset });
+      current = { heading, start: offset };
+    } else if (heading) {
+      current.heading = heading;
+    }
+    offset += line.length + 1;
+  }
+  sections.push({ ...current, end: text.length });
+
+  return sections.filter(section => text.slice(section.start, section.end).trim());
+}
+
+/**
+ * Split a character range into pieces of at most maxChars, preferring
+ * paragraph, then line, then sentence boundaries
+ * @param {string} text - Full text
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @param {number} maxChars - Maximum piece length
+ * @returns {Array<{start: number, end: number}>}
+ */
+function splitRange(text, start, end, maxChars) {
+  const pieces = [];
+  let pieceStart = start;
+
+  while (end - pieceStart > maxChars) {
+    const window = text.slice(pieceStart, pieceStart + maxChars);
+    let cut = -1;
+    for (const boundary of ['\n\n', '\n', '. ']) {
+      const position = window.lastIndexOf(boundary);
+      // Only accept a boundary in the second half, to keep pieces reasonably full
+      if (position > maxChars / 2) {
+        cut = position + boundary.length;
+        break;
+      }
+    }
+    if (cut === -1) cut = maxChars;
+
+    pieces.push({ start: pieceStart, end: pieceStart + cut });
+    pieceStart += cut;
+  }
+  pieces.push({ start: pieceStart, end });
+
+  return pieces;
+}
+
+/**
+ * Split a submission into chunks of whole sections where possible
+ * Small consecutive sections are packed together; large ones are split
+ * @param {string} text - Submission text
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxTokens] - Maximum tokens per chunk (default AI_CHUNK_TOKENS)
+ * @returns {Array<{index: number, heading: string|null, start: number, end: number, tokens: number, text: string}>}
+ */
+function chunkText(text, { maxTokens = CHUNK_TOKENS } = {}) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const ranges = [];
+
+  for (const section of splitSections(text)) {
+    for (const piece of splitRange(text, section.start, section.end, maxChars)) {
+      const last = ranges[ranges.length - 1];
+      if (last && piece.end - last.start <= maxChars && last.end === piece.start) {
+        last.end = piece.end;
+      } else {
+        ranges.push({ heading: section.heading, start: piece.start, end: piece.end });
+      }
+    }
+  }
+
+  return ranges.map((range, index) => {
+    const chunkText = text.slice(range.start, range.end);
+    return {
+      index,
+      heading: range.heading,
+      start: range.start,
+      end: range.end,
+      tokens: estimateTokens(chunkText),
+      text: chunkText
+    };
+  });
+}
+
+/**
+ * Significant lower-cased words of a text
+ * @param {string} text - Text
+ * @returns {Array<string>}
+ */
+function keywords(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Pick the chunks most relevant to a rubric criterion, within a token budget
+ * Relevance is keyword overlap between the criterion (name and description)
+ * and the chunk, with extra weight for matches in the chunk's heading;
+ * chunks with no overlap are left out unless no chunk matches at all
+ * @param {Array<Object>} chunks - Chunks from chunkText
+ * @param {Object} criterion - { name, description }
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxTokens] - Budget (default AI_CRITERION_CONTEXT_TOKENS)
+ * @returns {Array<Object>} Selected chunks in document order (at least one)
+ */
+function selectChunks(chunks, criterion, { maxTokens = CRITERION_CONTEXT_TOKENS } = {}) {
+  if (chunks.length === 0) return [];
+
+  const terms = new Set(keywords(`${criterion.name.replace(/_/g, ' ')} ${criterion.description || ''}`));
+
+  const scored = chunks.map(chunk => {
+    const words = keywords(chunk.text);
+    const matches = words.filter(word => terms.has(word)).length;
+    const headingMatches = keywords(chunk.heading).filter(word => terms.has(word)).length;
+    return {
+      chunk,
+      // Matches per 100 words, so long chunks do not win on length alone
+      relevance: (words.length > 0 ? (matches / words.length) * 100 : 0) + headingMatches * 5
+    };
+  });
+
+  // Most relevant first; ties keep document order
+  scored.sort((a, b) => b.relevance - a.relevance || a.chunk.index - b.chunk.index);
+
+  // General criteria (e.g. writing quality) match no section; they get as
+  // much of the submission as fits, from the start
+  const candidates = scored[0].relevance > 0 ? scored.filter(entry => entry.relevance > 0) : scored;
+
+  const selected = [];
+  let tokens = 0;
+  for (const { chunk } of candidates) {
+    if (selected.length > 0 && tokens + chunk.tokens > maxTokens) continue;
+    selected.push(chunk);
+    tokens += chunk.tokens;
+  }
+
+  return selected.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Cut text to a token budget
+ * @param {string} text - Text
+ * @param {number} maxTokens - Budget
+ * @returns {string}
+ */
+function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (!text || text.length <= maxChars) return text || '';
+  return `${text.slice(0, maxChars)}\n[truncated]`;
+}
+
+module.exports = {
+  estimateTokens,
+  needsChunking,
+  splitSections,
+  chunkText,
+  selectChunks,
+  truncateToTokens,
+  CRITERION_CONTEXT_TOKENS
+};
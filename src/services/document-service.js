@@ -0,0 +1,401 @@
+/**
+ * Document Service
+ * Text extraction for uploaded submission files
+ *
+ * Supported formats:
+ *   pdf      - Text layer via pdf-parse (scanned PDFs go through OCR, see ocr-service)
+ *   docx     - Word documents; headings become Markdown headings
+ *   markdown - .md reports, split into sections
+ *   notebook - Jupyter notebooks, split into markdown cells, code cells and outputs
+ *   code     - Source files, kept verbatim with their language
+ *   text     - Plain text
+ *
+ * Every extractor returns { format, language, text, structure }. `text` is what
+ * the grader sees; `structure` is stored on the submission for display.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const fileService = require('./file-service');
+
+// Source file extension -> language
+const CODE_LANGUAGES = {
+  '.py': 'python',
+  '.java': 'java',
+  '.js': 'javascript',
+  '.ts': 'typescript',
+  '.c': 'c',
+  '.h': 'c',
+  '.cpp': 'cpp',
+  '.hpp': 'cpp',
+  '.cs': 'csharp',
+  '.go': 'go',
+  '.rb': 'ruby',
+  '.rs': 'rust',
+  '.kt': 'kotlin',
+  '.swift': 'swift',
+  '.r': 'r',
+  '.m': 'matlab',
+  '.sql': 'sql',
+  '.sh': 'bash'
+};
+
+const FORMAT_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.ipynb': 'notebook',
+  '.txt': 'text',
+  ...Object.fromEntries(Object.keys(CODE_LANGUAGES).map(ext => [ext, 'code']))
+};
+
+// Notebook outputs longer than this are cut; tracebacks and data dumps add little to grading
+const MAX_OUTPUT_CHARS = 2000;
+// Refuse archives that inflate beyond this (zip bombs)
+const MAX_UNZIPPED_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Get the submission format of a file from its name
+ * @param {string} filename - File name or URL
+ * @returns {string|null} Format, or null if unsupported
+ */
+function detectFormat(filename) {
+  return FORMAT_BY_EXTENSION[path.extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Read selected entries from a ZIP archive (DOCX files are ZIP archives)
+ * Supports stored and deflated entries, which is all Office writes
+ * @param {Buffer} buffer - Archive
+ * @param {Array<string>} names - Entry names to read
+ * @returns {Map<string, Buffer>} Entry contents by name
+ */
+function readZipEntries(buffer, names) {
+  // End of central directory record: at least 22 bytes, followed by a comment of up to 64KB
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw new Error('Not a valid ZIP archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const wanted = new Set(names);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount && offset + 46 <= buffer.length; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    if (wanted.has(name)) {
+      const localNameLength = buffer.readUInt16LE(localOffset + 26);
+      const localExtraLength = buffer.readUInt16LE(localOffset + 28);
+      const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      if (method === 0) {
+        entries.set(name, data);
+      } else if (method === 8) {
+        entries.set(name, zlib.inflateRawSync(data, { maxOutputLength: MAX_UNZIPPED_BYTES }));
+      } else {
+        throw new Error(`Unsupported ZIP compression method ${method}`);
+      }
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Decode the XML entities used in Office documents
+ * @param {string} text - XML text content
+ * @returns {string}
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Extract text from a Word document
+ * @param {Buffer} buffer - DOCX file
+ * @returns {{format: string, language: null, text: string, structure: Object}}
+ */
+function extractDocx(buffer) {
+  const entries = readZipEntries(buffer, ['word/document.xml']);
+  const documentXml = entries.get('word/document.xml');
+  if (!documentXml) {
+    throw new Error('Not a Word document (word/document.xml is missing)');
+  }
+
+  const xml = documentXml.toString('utf8');
+  const paragraphs = [];
+  const headings = [];
+
+  for (const [paragraphXml] of xml.matchAll(/<w:p[ >][\s\S]*?<\/w:p>/g)) {
+    const text = decodeXmlEntities(
+      paragraphXml
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:(br|cr)\/>/g, '\n')
+        .match(/<w:t(?: [^>]*)?>[^<]*<\/w:t>|\t|\n/g)
+        ?.map(part => part.replace(/<[^>]+>/g, ''))
+        .join('') || ''
+    );
+
+    if (!text.trim()) continue;
+
+    const style = paragraphXml.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || '';
+    const headingLevel = style.match(/^(?:Heading|heading)\s?(\d)$/)?.[1] || (style === 'Title' ? '1' : null);
+
+    if (headingLevel) {
+      headings.push({ level: parseInt(headingLevel), text: text.trim() });
+      paragraphs.push(`${'#'.repeat(parseInt(headingLevel))} ${text.trim()}`);
+    } else {
+      paragraphs.push(text);
+    }
+  }
+
+  return {
+    format: 'docx',
+    language: null,
+    text: paragraphs.join('\n\n').trim(),
+    structure: { paragraphs: paragraphs.length, headings }
+  };
+}
+
+/**
+ * Extract a Markdown report, noting its sections
+ * @param {string} source - Markdown text
+ * @returns {{format: string, language: null, text: string, structure: Object}}
+ */
+function extractMarkdown(source) {
+  const text = source.replace(/\r\n/g, '\n').trim();
+  const sections = [];
+  let inFence = false;
+  let codeBlocks = 0;
+
+  for (const line of text.split('\n')) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      if (!inFence) codeBlocks++;
+      inFence = !inFence;
+      continue;
+    }
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      sections.push({ level: heading[1].length, heading: heading[2] });
+    }
+  }
+
+  return {
+    format: 'markdown',
+    language: null,
+    text,
+    structure: { sections, code_blocks: codeBlocks }
+  };
+}
+
+/**
+ * Extract a source code file
+ * @param {string} source - File contents
+ * @param {string} language - Language name
+ * @returns {{format: string, language: string, text: string, structure: Object}}
+ */
+function extractCode(source, language) {
+  const text = source.replace(/\r\n/g, '\n').replace(/\s+$/, '');
+
+  return {
+    format: 'code',
+    language,
+    text,
+    structure: { language, lines: text ? text.split('\n').length : 0 }
+  };
+}
+
+/**
+ * Join a notebook source field (string or list of lines)
+ * @param {string|Array<string>} source - Notebook source
+ * @returns {string}
+ */
+function joinSource(source) {
+  return Array.isArray(source) ? source.join('') : (source || '');
+}
+
+/**
+ * Turn a notebook cell output into text
+ * @param {Object} output - nbformat output
+ * @returns {{type: string, text: string}}
+ */
+function renderOutput(output) {
+  let text;
+  switch (output.output_type) {
+    case 'stream':
+      text = joinSource(output.text);
+      break;
+    case 'execute_result':
+    case 'display_data':
+      text = output.data?.['text/plain'] !== undefined
+        ? joinSource(output.data['text/plain'])
+        : `[${Object.keys(output.data || {}).find(type => type.startsWith('image/')) ? 'image' : 'rich'} output]`;
+      break;
+    case 'error':
+      text = `${output.ename}: ${output.evalue}`;
+      break;
+    default:
+      text = '';
+  }
+
+  text = text.trim();
+  if (text.length > MAX_OUTPUT_CHARS) {
+    text = `${text.slice(0, MAX_OUTPUT_CHARS)}\n[output truncated]`;
+  }
+
+  return { type: output.output_type, text };
+}
+
+/**
+ * Extract a Jupyter notebook into markdown cells, code cells and outputs
+ * @param {Buffer|string} source - .ipynb contents
+ * @returns {{format: string, language: string, text: string, structure: Object}}
+ */
+function extractNotebook(source) {
+  let notebook;
+  try {
+    notebook = JSON.parse(source.toString('utf8'));
+  } catch (err) {
+    throw new Error('Not a valid Jupyter notebook (invalid JSON)');
+  }
+
+  if (!Array.isArray(notebook.cells)) {
+    throw new Error('Not a valid Jupyter notebook (no cells)');
+  }
+
+  const language = notebook.metadata?.kernelspec?.language || notebook.metadata?.language_info?.name || 'python';
+
+  const cells = notebook.cells.map((cell, index) => ({
+    index: index + 1,
+    type: cell.cell_type,
+    source: joinSource(cell.source).trim(),
+    outputs: cell.cell_type === 'code'
+      ? (cell.outputs || []).map(renderOutput).filter(output => output.text)
+      : []
+  }));
+
+  const parts = [];
+  for (const cell of cells) {
+    if (!cell.source && cell.outputs.length === 0) continue;
+
+    if (cell.type === 'code') {
+      parts.push(`[Code cell ${cell.index}]\n\`\`\`${language}\n${cell.source}\n\`\`\``);
+      for (const output of cell.outputs) {
+        parts.push(`[Output of cell ${cell.index}${output.type === 'error' ? ' (error)' : ''}]\n${output.text}`);
+      }
+    } else {
+      parts.push(`[${cell.type === 'markdown' ? 'Markdown' : 'Raw'} cell ${cell.index}]\n${cell.source}`);
+    }
+  }
+
+  return {
+    format: 'notebook',
+    language,
+    text: parts.join('\n\n'),
+    structure: {
+      language,
+      markdown_cells: cells.filter(c => c.type === 'markdown').length,
+      code_cells: cells.filter(c => c.type === 'code').length,
+      cells
+    }
+  };
+}
+
+/**
+ * Extract gradable text from an uploaded file
+ * @param {Buffer} buffer - File contents
+ * @param {string} filename - File name (the extension selects the extractor)
+ * @returns {Promise<{format: string, language: string|null, text: string, structure: Object|null}>}
+ * @throws {Error} For unsupported or unreadable files; PDF errors keep their code (e.g. PDF_NO_TEXT)
+ */
+async function extractDocument(buffer, filename) {
+  const format = detectFormat(filename);
+
+  switch (format) {
+    case 'pdf':
+      return { format, language: null, text: await fileService.extractTextFromPdf(buffer), structure: null };
+    case 'docx':
+      return extractDocx(buffer);
+    case 'markdown':
+      return extractMarkdown(buffer.toString('utf8'));
+    case 'notebook':
+      return extractNotebook(buffer);
+    case 'code':
+      return extractCode(buffer.toString('utf8'), CODE_LANGUAGES[path.extname(filename).toLowerCase()]);
+    case 'text':
+      return { format, language: null, text: buffer.toString('utf8').replace(/\r\n/g, '\n').trim(), structure: null };
+    default:
+      throw new Error(`Unsupported submission file type: ${path.extname(filename || '') || 'unknown'}`);
+  }
+}
+
+/**
+ * Extract the text of a submission's uploaded file and store it on the submission
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} submission - Submission ({ id, pdf_url })
+ * @returns {Promise<{format: string, language: string|null, text: string, structure: Object|null}>}
+ */
+async function extractSubmissionFile(fastify, submission) {
+  const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+  const filePath = path.join(UPLOAD_DIR, submission.pdf_url.replace(/^\/api\/v1\/files\//, ''));
+  const buffer = await fs.readFile(filePath);
+
+  const extracted = await extractDocument(buffer, filePath);
+  if (!extracted.text) {
+    throw new Error('The submitted file contains no text');
+  }
+
+  await fastify.db.query(
+    `UPDATE submissions SET content = $1, source_format = $2, extracted_structure = $3
+     WHERE id = $4`,
+    [
+      extracted.text,
+      extracted.format,
+      extracted.structure ? JSON.stringify({ language: extracted.language, ...extracted.structure }) : null,
+      submission.id
+    ]
+  );
+
+  return extracted;
+}
+
+module.exports = {
+  CODE_LANGUAGES,
+  detectFormat,
+  extractDocx,
+  extractMarkdown,
+  extractCode,
+  extractNotebook,
+  extractDocument,
+  extractSubmissionFile
+};
@@ -0,0 +1,258 @@
+/**
+ * Draft Feedback Service
+ * Formative "check my draft" feedback: students run the rubric against a
+ * draft before submitting and get a hint per criterion, without a score
+ *
+ * Instructors enable it per assignment and set how many checks each student
+ * gets and how long they wait between checks. Every check is logged in
+ * draft_feedback_requests; failed checks do not use an attempt.
+ */
+
+const openaiService = require('./openai-service');
+const aiProviderService = require('./ai-provider-service');
+const aiUsageService = require('./ai-usage-service');
+
+const REQUEST_STATUSES = ['pending', 'completed', 'failed'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Draft feedback settings of an assignment
+ * @param {Object} assignment - Assignment fields (draft_feedback_*)
+ * @returns {{enabled: boolean, maxAttempts: number, cooldownMinutes: number}}
+ */
+function getSettings(assignment) {
+  return {
+    enabled: assignment.draft_feedback_enabled === true,
+    maxAttempts: assignment.draft_feedback_max_attempts ?? 3,
+    cooldownMinutes: assignment.draft_feedback_cooldown_minutes ?? 30
+  };
+}
+
+/**
+ * Attempts a student has used and when they may check again
+ * @param {Object} settings - Settings from getSettings
+ * @param {Object} usage - Checks that count ({ used, last_requested_at })
+ * @param {Date} [now] - Current time
+ * @returns {{used: number, limit: number, remaining: number, cooldown_minutes: number, next_available_at: string|null}}
+ *   next_available_at is set while the cooldown runs
+ */
+function summarizeAttempts(settings, { used = 0, last_requested_at: lastRequestedAt = null } = {}, now = new Date()) {
+  const count = parseInt(used) || 0;
+  const nextAvailable = lastRequestedAt && settings.cooldownMinutes > 0
+    ? new Date(new Date(lastRequestedAt).getTime() + settings.cooldownMinutes * MINUTE_MS)
+    : null;
+
+  return {
+    used: count,
+    limit: settings.maxAttempts,
+    remaining: Math.max(0, settings.maxAttempts - count),
+    cooldown_minutes: settings.cooldownMinutes,
+    next_available_at: nextAvailable && nextAvailable > now ? nextAvailable.toISOString() : null
+  };
+}
+
+/**
+ * Draft checks a student has used on an assignment
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} assignmentId - Assignment UUID
+ * @param {string} studentId - Student UUID
+ * @param {Object} settings - The assignment's settings (see getSettings)
+ * @returns {Promise<Object>} Attempts (see summarizeAttempts)
+ */
+async function getAttempts(db, assignmentId, studentId, settings) {
+  const result = await db.query(
+    `SELECT COUNT(*) as used, MAX(created_at) as last_requested_at
+     FROM draft_feedback_requests
+     WHERE assignment_id = $1 AND student_id = $2 AND status <> 'failed'`,
+    [assignmentId, studentId]
+  );
+
+  return summarizeAttempts(settings, result.rows[0]);
+}
+
+/**
+ * Get a draft with what is needed to check it
+ * @param {Object} fastify - Fastify instance
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Object|null>} Submission with its student, assignment settings and rubric
+ */
+async function getDraft(fastify, submissionId) {
+  const result = await fastify.db.query(
+    `SELECT s.id, s.status, s.content, s.student_id, st.user_id as student_user_id,
+            a.id as assignment_id, a.title as assignment_title, a.description as assignment_description,
+            a.status as assignment_status, a.draft_feedback_enabled, a.draft_feedback_max_attempts,
+            a.draft_feedback_cooldown_minutes, a.course_id,
+            r.criteria as rubric_criteria
+     FROM submissions s
+     JOIN students st ON s.student_id = st.id
+     JOIN assignments a ON s.assignment_id = a.id
+     LEFT JOIN rubrics r ON a.rubric_id = r.id
+     WHERE s.id = $1`,
+    [submissionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Build an error with a code for the route to map
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {Object} [attempts] - The student's attempts
+ * @returns {Error}
+ */
+function draftFeedbackError(message, code, attempts) {
+  const error = new Error(message);
+  error.code = code;
+  if (attempts) error.attempts = attempts;
+  return error;
+}
+
+/**
+ * Use one of the student's draft checks
+ * Serialized per student and assignment, so parallel requests cannot exceed
+ * the limit. Fails with DRAFT_FEEDBACK_LIMIT or DRAFT_FEEDBACK_COOLDOWN.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} draft - Draft from getDraft
+ * @returns {Promise<string>} ID of the logged request
+ */
+async function reserveAttempt(fastify, draft) {
+  return fastify.db.transaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`draft_feedback:${draft.assignment_id}:${draft.student_id}`]);
+
+    const attempts = await getAttempts(client, draft.assignment_id, draft.student_id, getSettings(draft));
+    if (attempts.remaining === 0) {
+      throw draftFeedbackError(`You have used all ${attempts.limit} draft checks for this assignment`, 'DRAFT_FEEDBACK_LIMIT', attempts);
+    }
+    if (attempts.next_available_at) {
+      throw draftFeedbackError(`You can check your draft again at ${attempts.next_available_at}`, 'DRAFT_FEEDBACK_COOLDOWN', attempts);
+    }
+
+    const result = await client.query(
+      `INSERT INTO draft_feedback_requests (assignment_id, student_id, submission_id, content_length)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [draft.assignment_id, draft.student_id, draft.id, draft.content.length]
+    );
+
+    return result.rows[0].id;
+  });
+}
+
+/**
+ * Check a draft against the rubric
+ * The check is logged whether it succeeds or fails; only successful checks
+ * count against the student's attempts.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} draft - Draft from getDraft
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - Student's user ID (recorded with the AI usage)
+ * @returns {Promise<Object>} { request_id, criteria, overall_hint, attempts }
+ */
+async function checkDraft(fastify, draft, { userId = null } = {}) {
+  const settings = getSettings(draft);
+  if (!settings.enabled) {
+    throw draftFeedbackError('Draft feedback is not enabled for this assignment', 'DRAFT_FEEDBACK_DISABLED');
+  }
+  if (!draft.content || draft.content.trim().length === 0) {
+    throw draftFeedbackError('Save some text in your draft before checking it', 'DRAFT_EMPTY');
+  }
+
+  await aiUsageService.assertWithinBudget(fastify.db, draft.assignment_id);
+  const requestId = await reserveAttempt(fastify, draft);
+
+  try {
+    const feedback = await openaiService.generateDraftFeedback({
+      studentAnswer: draft.content,
+      rubric: draft.rubric_criteria || {},
+      assignmentDescription: draft.assignment_description || '',
+      provider: await aiProviderService.getProviderForAssignment(fastify.db, draft.assignment_id),
+      usageRecorder: aiUsageService.createRecorder(fastify, {
+        courseId: draft.course_id,
+        assignmentId: draft.assignment_id,
+        submissionId: draft.id,
+        userId,
+        purpose: 'draft_feedback'
+      })
+    });
+
+    await fastify.db.query(
+      `UPDATE draft_feedback_requests SET status = 'completed', feedback = $2, completed_at = NOW()
+       WHERE id = $1`,
+      [requestId, JSON.stringify({ criteria: feedback.criteria, overall_hint: feedback.overall_hint })]
+    );
+
+    return {
+      request_id: requestId,
+      criteria: feedback.criteria,
+      overall_hint: feedback.overall_hint,
+      attempts: await getAttempts(fastify.db, draft.assignment_id, draft.student_id, settings)
+    };
+  } catch (error) {
+    await fastify.db.query(
+      `UPDATE draft_feedback_requests SET status = 'failed', error = $2, completed_at = NOW()
+       WHERE id = $1`,
+      [requestId, error.message]
+    );
+    throw error;
+  }
+}
+
+/**
+ * A student's draft checks on an assignment, newest first
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {string} studentId - Student UUID
+ * @returns {Promise<Array<Object>>}
+ */
+async function listStudentRequests(fastify, assignmentId, studentId) {
+  const result = await fastify.db.query(
+    `SELECT id, submission_id, status, feedback, created_at, completed_at
+     FROM draft_feedback_requests
+     WHERE assignment_id = $1 AND student_id = $2
+     ORDER BY created_at DESC`,
+    [assignmentId, studentId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * How many draft checks each student used on an assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Array<Object>>} Per student: checks, failed, first and last check
+ */
+async function getUsageByStudent(fastify, assignmentId) {
+  const result = await fastify.db.query(
+    `SELECT st.id as student_id, st.name as student_name,
+            COUNT(*) FILTER (WHERE d.status = 'completed') as checks,
+            COUNT(*) FILTER (WHERE d.status = 'failed') as failed,
+            MIN(d.created_at) as first_checked_at,
+            MAX(d.created_at) as last_checked_at
+     FROM draft_feedback_requests d
+     JOIN students st ON d.student_id = st.id
+     WHERE d.assignment_id = $1
+     GROUP BY st.id, st.name
+     ORDER BY checks DESC, st.name ASC`,
+    [assignmentId]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    checks: parseInt(row.checks),
+    failed: parseInt(row.failed)
+  }));
+}
+
+module.exports = {
+  REQUEST_STATUSES,
+  getSettings,
+  summarizeAttempts,
+  getAttempts,
+  getDraft,
+  checkDraft,
+  listStudentRequests,
+  getUsageByStudent
+};
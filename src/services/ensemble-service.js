@@ -0,0 +1,233 @@
+/**
+ * Ensemble Grading Service
+ * Grades a submission several times (or with several providers), takes the
+ * median score of each criterion, and derives the grade's confidence from
+ * how much the samples disagree
+ *
+ * Confidence is 1 - 2 × the points-weighted range of the criterion scores,
+ * scaled by the share of samples that succeeded: samples 10% of the points
+ * apart give 0.8, 25% apart give 0.5. Single-sample grades have no
+ * confidence (null).
+ */
+
+const openaiService = require('./openai-service');
+const aiResponseService = require('./ai-response-service');
+const aiProviderService = require('./ai-provider-service');
+const logger = require('./logger');
+
+const MAX_SAMPLES = 5;
+// Deployment defaults, overridden per assignment
+const DEFAULT_SAMPLES = Math.min(MAX_SAMPLES, Math.max(1, parseInt(process.env.AI_ENSEMBLE_SAMPLES) || 1));
+const DEFAULT_REVIEW_THRESHOLD = process.env.AI_REVIEW_CONFIDENCE_THRESHOLD !== undefined
+  ? parseFloat(process.env.AI_REVIEW_CONFIDENCE_THRESHOLD)
+  : 0.7;
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} [decimals=2] - Decimals
+ * @returns {number}
+ */
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Values (not empty)
+ * @returns {number}
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Ensemble settings of an assignment, with deployment defaults
+ * @param {Object} row - Row with ensemble_samples, ensemble_providers, review_confidence_threshold
+ * @returns {{samples: number, providers: Array<string>, threshold: number}}
+ */
+function getEnsembleConfig(row = {}) {
+  return {
+    samples: row.ensemble_samples || DEFAULT_SAMPLES,
+    providers: row.ensemble_providers || [],
+    threshold: row.review_confidence_threshold !== null && row.review_confidence_threshold !== undefined
+      ? parseFloat(row.review_confidence_threshold)
+      : DEFAULT_REVIEW_THRESHOLD
+  };
+}
+
+/**
+ * Load the ensemble settings of an assignment
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<{samples: number, providers: Array<string>, threshold: number}>}
+ */
+async function getEnsembleConfigForAssignment(db, assignmentId) {
+  const result = await db.query(
+    'SELECT ensemble_samples, ensemble_providers, review_confidence_threshold FROM assignments WHERE id = $1',
+    [assignmentId]
+  );
+  return getEnsembleConfig(result.rows[0]);
+}
+
+/**
+ * Providers to grade with, one entry per sample
+ * With ensemble_providers each provider grades once; otherwise the
+ * assignment's provider grades `samples` times
+ * @param {Object} config - Ensemble settings
+ * @param {string} provider - The assignment's provider
+ * @returns {Array<string>}
+ */
+function planSamples(config, provider) {
+  if (config.providers.length > 0) {
+    return config.providers.slice(0, MAX_SAMPLES);
+  }
+  return Array(Math.min(MAX_SAMPLES, config.samples)).fill(provider);
+}
+
+/**
+ * The sample whose value is closest to a target (first on ties)
+ * @param {Array<Object>} samples - Samples
+ * @param {Function} valueOf - Value of a sample
+ * @param {number} target - Target value
+ * @returns {Object}
+ */
+function closestSample(samples, valueOf, target) {
+  return samples.reduce((best, sample) =>
+    (Math.abs(valueOf(sample) - target) < Math.abs(valueOf(best) - target) ? sample : best)
+  );
+}
+
+/**
+ * Combine grading samples into one result
+ * Criterion scores are the median of the samples; their feedback comes from
+ * the sample closest to that median. Overall feedback comes from the sample
+ * closest to the median overall score.
+ * @param {Array<Object>} samples - Results of openaiService.gradeSubmission
+ * @param {Object} options - Options
+ * @param {Object|string} [options.rubric] - Rubric the samples were graded with
+ * @param {number} options.totalPoints - Points available
+ * @param {number} [options.requested] - Samples requested (defaults to samples.length)
+ * @returns {Object} Grading result with confidence and ai_response.ensemble
+ */
+function combineSamples(samples, { rubric, totalPoints, requested = samples.length }) {
+  const structured = rubric && typeof rubric === 'object' && Object.keys(rubric).length > 0;
+  let score;
+  let spread;
+  let rubricScores;
+
+  if (structured) {
+    rubricScores = {};
+    let rangePoints = 0;
+    let criteriaPoints = 0;
+
+    for (const [name, details] of Object.entries(rubric)) {
+      const maxPoints = Number(details?.max_points) || 0;
+      const scores = samples.map(sample => sample.rubric_scores[name].score);
+      const criterionMedian = median(scores);
+      const representative = closestSample(samples, sample => sample.rubric_scores[name].score, criterionMedian);
+
+      rubricScores[name] = { ...representative.rubric_scores[name], score: round(criterionMedian) };
+      rangePoints += Math.max(...scores) - Math.min(...scores);
+      criteriaPoints += maxPoints;
+    }
+
+    score = aiResponseService.scaleRubricScore(aiResponseService.rubricCriteria(rubric), rubricScores, totalPoints) ?? 0;
+    spread = criteriaPoints > 0 ? rangePoints / criteriaPoints : 0;
+  } else {
+    const scores = samples.map(sample => sample.score);
+    score = round(median(scores));
+    spread = totalPoints > 0 ? (Math.max(...scores) - Math.min(...scores)) / totalPoints : 0;
+  }
+
+  const representative = closestSample(samples, sample => sample.score, score);
+  const confidence = round(Math.max(0, Math.min(1, 1 - 2 * spread)) * (samples.length / requested), 3);
+
+  return {
+    ...representative,
+    score,
+    percentage: totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0,
+    rubric_scores: rubricScores || representative.rubric_scores,
+    confidence,
+    ai_response: {
+      ...representative.ai_response,
+      overall_score: score,
+      rubric_scores: rubricScores || representative.rubric_scores,
+      ensemble: {
+        method: 'median',
+        requested,
+        spread: round(spread, 3),
+        confidence,
+        samples: samples.map(sample => ({
+          provider: sample.ai_response?.provider,
+          model: sample.ai_response?.model,
+          score: sample.score,
+          rubric_scores: Object.fromEntries(Object.entries(sample.rubric_scores || {}).map(([name, entry]) => [name, entry.score])),
+          validation: sample.ai_response?.validation?.status
+        }))
+      }
+    }
+  };
+}
+
+/**
+ * Grade a submission with the assignment's ensemble settings
+ * Samples run one after another to stay within provider rate limits. Failed
+ * samples lower the confidence; grading fails only when every sample fails.
+ * @param {Object} params - Parameters of openaiService.gradeSubmission
+ * @param {Object} config - Ensemble settings (see getEnsembleConfig)
+ * @returns {Promise<Object>} Grading result with confidence (null for a single sample)
+ */
+async function gradeEnsemble(params, config) {
+  const plan = planSamples(config, params.provider || aiProviderService.resolveProviderName());
+
+  if (plan.length === 1) {
+    const result = await openaiService.gradeSubmission({ ...params, provider: plan[0] });
+    return { ...result, confidence: null };
+  }
+
+  const samples = [];
+  const failures = [];
+  for (const provider of plan) {
+    try {
+      samples.push(await openaiService.gradeSubmission({ ...params, provider }));
+    } catch (error) {
+      logger.warn({ provider, error: error.message }, 'Ensemble grading sample failed');
+      failures.push({ provider, error: error.message });
+    }
+  }
+
+  if (samples.length === 0) {
+    throw new Error(failures[0].error);
+  }
+
+  const result = combineSamples(samples, { rubric: params.rubric, totalPoints: params.totalPoints, requested: plan.length });
+  if (failures.length > 0) {
+    result.ai_response.ensemble.failed = failures;
+  }
+  return result;
+}
+
+/**
+ * Whether a grade's confidence is too low to publish without review
+ * @param {number|null} confidence - Grade confidence
+ * @param {number} threshold - Review threshold
+ * @returns {boolean}
+ */
+function isLowConfidence(confidence, threshold) {
+  return confidence !== null && confidence !== undefined && confidence < threshold;
+}
+
+module.exports = {
+  MAX_SAMPLES,
+  median,
+  getEnsembleConfig,
+  getEnsembleConfigForAssignment,
+  planSamples,
+  combineSamples,
+  gradeEnsemble,
+  isLowConfidence
+};
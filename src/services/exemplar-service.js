@@ -0,0 +1,264 @@
+/**
+ * Exemplar Service
+ * Instructor-graded submissions marked as high, mid or low examples of an
+ * assignment, used as few-shot anchors when the AI grades the rest
+ *
+ * Exemplars are anonymized before they reach a prompt: the student's name,
+ * student number and email are replaced, then emails and phone numbers are
+ * redacted. The examples section is capped at AI_EXEMPLAR_MAX_TOKENS.
+ */
+
+const anonymization = require('./anonymization');
+const chunkingService = require('./chunking-service');
+
+const EXEMPLAR_LEVELS = ['high', 'mid', 'low'];
+
+// Budget of the examples section of a grading prompt
+const EXEMPLAR_MAX_TOKENS = parseInt(process.env.AI_EXEMPLAR_MAX_TOKENS) || 3000;
+// Examples shorter than this are not worth including
+const MIN_EXEMPLAR_TOKENS = 200;
+const MAX_PROMPT_EXEMPLARS = 6;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remove a student's identifiers and other PII from text
+ * @param {string} text - Text
+ * @param {Object} identifiers - Student identifiers
+ * @param {string} [identifiers.name] - Full name (each part of it is replaced too)
+ * @param {string} [identifiers.studentNumber] - Student number
+ * @param {string} [identifiers.email] - Email address
+ * @returns {string}
+ */
+function anonymizeText(text, { name, studentNumber, email } = {}) {
+  if (!text) return text;
+
+  const values = [email, studentNumber, name, ...(name || '').split(/\s+/)]
+    .filter(value => value && value.trim().length >= 2);
+
+  let cleaned = text;
+  for (const value of values) {
+    cleaned = cleaned.replace(new RegExp(`(?<![\\w])${escapeRegExp(value.trim())}(?![\\w])`, 'gi'), '[STUDENT]');
+  }
+
+  return anonymization.redactPii(cleaned);
+}
+
+/**
+ * List an assignment's exemplars (for the instructor)
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Array<Object>>} Exemplars with their student and grade
+ */
+async function listExemplars(fastify, assignmentId) {
+  const result = await fastify.db.query(
+    `SELECT e.id, e.submission_id, e.level, e.created_by, e.created_at,
+            st.name as student_name, g.points_earned, g.points_possible, g.rubric_scores
+     FROM assignment_exemplars e
+     JOIN submissions s ON e.submission_id = s.id
+     JOIN students st ON s.student_id = st.id
+     LEFT JOIN grades g ON g.submission_id = s.id
+     WHERE e.assignment_id = $1
+     ORDER BY array_position(ARRAY['high', 'mid', 'low']::VARCHAR[], e.level), e.created_at`,
+    [assignmentId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Mark a graded submission as an exemplar (or change its level)
+ * Only submissions an instructor graded or reviewed can be exemplars.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} fields - Exemplar fields
+ * @param {string} fields.submission_id - Submission UUID
+ * @param {string} fields.level - One of EXEMPLAR_LEVELS
+ * @param {string} userId - Instructor marking the exemplar
+ * @returns {Promise<Object>} Exemplar
+ */
+async function addExemplar(fastify, assignmentId, { submission_id: submissionId, level }, userId) {
+  const submissionResult = await fastify.db.query(
+    `SELECT s.id, s.content, g.id as grade_id, g.graded_by, g.reviewed_by
+     FROM submissions s
+     LEFT JOIN grades g ON g.submission_id = s.id
+     WHERE s.id = $1 AND s.assignment_id = $2`,
+    [submissionId, assignmentId]
+  );
+
+  const submission = submissionResult.rows[0];
+  if (!submission) {
+    const error = new Error('Submission not found for this assignment');
+    error.code = 'SUBMISSION_NOT_FOUND';
+    throw error;
+  }
+
+  if (!submission.grade_id || (!submission.graded_by && !submission.reviewed_by)) {
+    const error = new Error('Only submissions graded or reviewed by an instructor can be exemplars');
+    error.code = 'NOT_INSTRUCTOR_GRADED';
+    throw error;
+  }
+
+  if (!submission.content || submission.content.trim().length === 0) {
+    const error = new Error('The submission has no text to use as an example');
+    error.code = 'NO_CONTENT';
+    throw error;
+  }
+
+  const result = await fastify.db.query(
+    `INSERT INTO assignment_exemplars (assignment_id, submission_id, level, created_by)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (submission_id) DO UPDATE SET level = EXCLUDED.level
+     RETURNING *`,
+    [assignmentId, submissionId, level, userId]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Unmark an exemplar
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {string} exemplarId - Exemplar UUID
+ * @returns {Promise<boolean>} Whether the exemplar existed
+ */
+async function removeExemplar(fastify, assignmentId, exemplarId) {
+  const result = await fastify.db.query(
+    'DELETE FROM assignment_exemplars WHERE id = $1 AND assignment_id = $2',
+    [exemplarId, assignmentId]
+  );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Load an assignment's exemplars, anonymized for a grading prompt
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Array<Object>>} Exemplars with anonymized content, feedback and rubric scores
+ */
+async function loadPromptExemplars(fastify, assignmentId) {
+  const result = await fastify.db.query(
+    `SELECT e.id, e.level, e.submission_id, s.student_id, s.content,
+            st.name as student_name, st.student_number, u.email as student_email,
+            g.points_earned, g.points_possible, g.feedback, g.rubric_scores
+     FROM assignment_exemplars e
+     JOIN submissions s ON e.submission_id = s.id
+     JOIN students st ON s.student_id = st.id
+     LEFT JOIN users u ON st.user_id = u.id
+     JOIN grades g ON g.submission_id = s.id
+     WHERE e.assignment_id = $1 AND COALESCE(s.content, '') <> ''
+     ORDER BY e.created_at`,
+    [assignmentId]
+  );
+
+  return result.rows.map(row => {
+    const identifiers = { name: row.student_name, studentNumber: row.student_number, email: row.student_email };
+    return {
+      id: row.id,
+      level: row.level,
+      submission_id: row.submission_id,
+      student_id: row.student_id,
+      content: anonymizeText(row.content, identifiers),
+      points_earned: parseFloat(row.points_earned),
+      points_possible: parseFloat(row.points_possible),
+      feedback: anonymizeText(row.feedback || '', identifiers),
+      rubric_scores: Object.fromEntries(Object.entries(row.rubric_scores || {}).map(([name, entry]) => [
+        name,
+        { score: entry?.score, max_points: entry?.max_points, feedback: anonymizeText(entry?.feedback || '', identifiers) }
+      ]))
+    };
+  });
+}
+
+/**
+ * Exemplars usable when grading a submission
+ * Leaves out the submission itself and other work by the same student.
+ * @param {Array<Object>} exemplars - Results of loadPromptExemplars
+ * @param {Object} submission - Submission being graded ({ id, student_id })
+ * @returns {Array<Object>}
+ */
+function exemplarsForSubmission(exemplars, submission) {
+  return exemplars.filter(exemplar =>
+    exemplar.submission_id !== submission.id && exemplar.student_id !== submission.student_id
+  );
+}
+
+/**
+ * Load the exemplars to grade a submission with
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} submission - Submission being graded ({ id, student_id, assignment_id })
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPromptExemplars(fastify, submission) {
+  const exemplars = await loadPromptExemplars(fastify, submission.assignment_id);
+  return exemplarsForSubmission(exemplars, submission);
+}
+
+/**
+ * Render exemplars as the examples section of a grading prompt
+ * Levels take turns (high, mid, low, high, ...) so a tight budget still
+ * shows the range; the budget is split evenly and each submission is
+ * truncated to its share.
+ * @param {Array<Object>} exemplars - Anonymized exemplars
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxTokens] - Budget (default AI_EXEMPLAR_MAX_TOKENS)
+ * @returns {{text: string, used: Array<{id: string, level: string}>}} Empty text without exemplars
+ */
+function formatExemplars(exemplars, { maxTokens = EXEMPLAR_MAX_TOKENS } = {}) {
+  const byLevel = EXEMPLAR_LEVELS.map(level => exemplars.filter(exemplar => exemplar.level === level));
+  const ordered = [];
+  for (let i = 0; byLevel.some(group => group.length > i); i++) {
+    for (const group of byLevel) {
+      if (group[i]) ordered.push(group[i]);
+    }
+  }
+
+  const count = Math.min(ordered.length, MAX_PROMPT_EXEMPLARS, Math.floor(maxTokens / MIN_EXEMPLAR_TOKENS));
+  if (count <= 0) {
+    return { text: '', used: [] };
+  }
+
+  const budget = Math.floor(maxTokens / count);
+  const selected = ordered.slice(0, count);
+
+  const sections = selected.map((exemplar, index) => {
+    const scores = Object.entries(exemplar.rubric_scores || {})
+      .map(([name, entry]) => `- ${name}: ${entry.score}/${entry.max_points}${entry.feedback ? ` (${anonymization.redactPii(entry.feedback)})` : ''}`)
+      .join('\n');
+    const header = `### Example ${index + 1} (${exemplar.level}): ${exemplar.points_earned}/${exemplar.points_possible} points
+${scores ? `Rubric scores:\n${scores}\n` : ''}${exemplar.feedback ? `Instructor feedback: ${chunkingService.truncateToTokens(anonymization.redactPii(exemplar.feedback), 150)}\n` : ''}Submission:
+`;
+    const contentBudget = Math.max(0, budget - chunkingService.estimateTokens(header));
+    return `${header}${chunkingService.truncateToTokens(anonymization.redactPii(exemplar.content), contentBudget)}`;
+  });
+
+  return {
+    text: `## Graded Examples
+The instructor graded these submissions to the same assignment. Use them to calibrate your scores, then grade the student submission on its own merits.
+
+${sections.join('\n\n')}
+`,
+    used: selected.map(exemplar => ({ id: exemplar.id, level: exemplar.level }))
+  };
+}
+
+module.exports = {
+  EXEMPLAR_LEVELS,
+  anonymizeText,
+  listExemplars,
+  addExemplar,
+  removeExemplar,
+  loadPromptExemplars,
+  exemplarsForSubmission,
+  getPromptExemplars,
+  formatExemplars
+};
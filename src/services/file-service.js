@@ -9,6 +9,14 @@ const crypto = require('crypto');
 
 const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
 const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024; // 10MB
+const PDF_MAX_PAGES = parseInt(process.env.PDF_MAX_PAGES) || 300;
+
+// Submission formats handled by document-service besides PDF and plain text
+const SUBMISSION_DOCUMENT_EXTS = [
+  '.docx', '.md', '.markdown', '.ipynb',
+  '.py', '.java', '.js', '.ts', '.c', '.h', '.cpp', '.hpp', '.cs', '.go',
+  '.rb', '.rs', '.kt', '.swift', '.r', '.m', '.sql', '.sh'
+];
 
 /**
  * Save an uploaded file to disk
@@ -23,7 +31,7 @@ async function saveFile(buffer, originalFilename, userId) {
   }
 
   const ext = path.extname(originalFilename).toLowerCase();
-  const allowedExts = ['.pdf', '.csv', '.txt'];
+  const allowedExts = ['.pdf', '.csv', '.txt', ...SUBMISSION_DOCUMENT_EXTS];
   
   if (!allowedExts.includes(ext)) {
     throw new Error(`File type not allowed. Allowed types: ${allowedExts.join(', ')}`);
@@ -89,39 +97,46 @@ async function deleteFile(filePath) {
  * Extract text from a PDF file using pdf-parse
  * @param {Buffer} pdfBuffer - PDF file buffer
  * @returns {Promise<string>} Extracted text content
- * @throws {Error} If PDF parsing fails
+ * @throws {Error} If PDF parsing fails; code PDF_NO_TEXT when the PDF has no text layer (scanned pages)
  */
 async function extractTextFromPdf(pdfBuffer) {
   if (!pdfBuffer || pdfBuffer.length === 0) {
     throw new Error('Empty PDF buffer provided');
   }
 
+  let parser;
+  let data;
   try {
     // Dynamic import to handle optional dependency
-    const pdfParse = require('pdf-parse');
-    
-    const data = await pdfParse(pdfBuffer, {
-      // Limit pages for performance (can be adjusted)
-      max: 50
+    const { PDFParse } = require('pdf-parse');
+
+    parser = new PDFParse({ data: pdfBuffer });
+    data = await parser.getText({
+      // Long submissions are chunked for grading (see chunking-service), so only runaway documents are cut
+      first: PDF_MAX_PAGES,
+      // No "-- 1 of N --" markers, so a PDF without a text layer comes back empty
+      pageJoiner: ''
     });
-    
-    if (!data.text || data.text.trim().length === 0) {
-      throw new Error('No text content found in PDF. The PDF may be image-based or empty.');
-    }
-    
-    // Clean up extracted text
-    let text = data.text
-      .replace(/\r\n/g, '\n')      // Normalize line endings
-      .replace(/\n{3,}/g, '\n\n')  // Remove excessive blank lines
-      .trim();
-    
-    return text;
   } catch (err) {
     if (err.message.includes('Cannot find module')) {
       throw new Error('PDF parsing not available. Please install pdf-parse: npm install pdf-parse');
     }
     throw new Error(`Failed to extract text from PDF: ${err.message}`);
+  } finally {
+    if (parser) await parser.destroy();
+  }
+
+  if (!data.text || data.text.trim().length === 0) {
+    const error = new Error('No text content found in PDF. The PDF may be image-based or empty.');
+    error.code = 'PDF_NO_TEXT';
+    throw error;
   }
+
+  // Clean up extracted text
+  return data.text
+    .replace(/\r\n/g, '\n')      // Normalize line endings
+    .replace(/\n{3,}/g, '\n\n')  // Remove excessive blank lines
+    .trim();
 }
 
 /**
@@ -191,8 +206,16 @@ function getMimeType(filename) {
     '.pdf': 'application/pdf',
     '.csv': 'text/csv',
     '.txt': 'text/plain',
-    '.json': 'application/json'
+    '.json': 'application/json',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.md': 'text/markdown',
+    '.markdown': 'text/markdown',
+    '.ipynb': 'application/x-ipynb+json'
   };
+  // Source files are served as plain text so browsers never execute them
+  if (!mimeTypes[ext] && SUBMISSION_DOCUMENT_EXTS.includes(ext)) {
+    return 'text/plain';
+  }
   return mimeTypes[ext] || 'application/octet-stream';
 }
 
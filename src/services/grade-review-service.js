@@ -0,0 +1,265 @@
+/**
+ * Grade Review Service
+ * Review and publish workflow for grades
+ *
+ * Grade states:
+ *   draft     - AI-proposed (or not yet reviewed), hidden from the student
+ *   reviewed  - Approved by an instructor, hidden until published or its release_at passes
+ *   published - Visible to the student
+ *   retracted - Withdrawn after publishing, hidden from the student
+ */
+
+const GRADE_STATUSES = ['draft', 'reviewed', 'published', 'retracted'];
+
+/**
+ * SQL condition matching grades a student may see
+ * @param {string} [alias='g'] - Alias of the grades table in the query
+ * @returns {string} SQL condition
+ */
+function studentVisibleCondition(alias = 'g') {
+  return `(${alias}.status = 'published' OR (${alias}.status = 'reviewed' AND ${alias}.release_at <= NOW()))`;
+}
+
+/**
+ * Status for a newly created grade
+ * @param {boolean} requireReview - Assignment's require_review_before_publish setting
+ * @param {boolean} [reviewedByInstructor=false] - Grade was entered by an instructor
+ * @returns {string} Grade status
+ */
+function getInitialStatus(requireReview, reviewedByInstructor = false) {
+  if (!requireReview) return 'published';
+  return reviewedByInstructor ? 'reviewed' : 'draft';
+}
+
+/**
+ * Check whether a student may see a grade
+ * @param {Object} grade - Grade fields ({ status, release_at })
+ * @returns {boolean}
+ */
+function isVisibleToStudent(grade) {
+  if (!grade || !grade.status) return false;
+  if (grade.status === 'published') return true;
+  return grade.status === 'reviewed' && !!grade.release_at && new Date(grade.release_at) <= new Date();
+}
+
+/**
+ * Remove grade data a student may not see from a row
+ * Expects the row to carry grade_status, grade_release_at and show_feedback_to_students
+ * @param {Object} row - Query row (submission or grade)
+ * @returns {Object} Row safe to return to a student
+ */
+function applyStudentVisibility(row) {
+  const visible = isVisibleToStudent({ status: row.grade_status, release_at: row.grade_release_at });
+  const { grade_status, grade_release_at, show_feedback_to_students, ai_response, confidence, ...rest } = row;
+
+  if (!visible) {
+    return {
+      ...rest,
+      points_earned: null,
+      late_penalty_points: null,
+      final_points: null,
+      percentage: null,
+      feedback: null,
+      graded_at: null,
+      ...(rest.rubric_scores !== undefined && { rubric_scores: null }),
+      grade_released: false
+    };
+  }
+
+  if (show_feedback_to_students === false) {
+    return {
+      ...rest,
+      feedback: null,
+      ...(rest.rubric_scores && { rubric_scores: stripRubricFeedback(rest.rubric_scores) }),
+      grade_released: true
+    };
+  }
+
+  return { ...rest, grade_released: true };
+}
+
+/**
+ * Remove per-criterion feedback and its evidence quotes, keeping the scores
+ * @param {Object} rubricScores - Rubric scores keyed by criterion
+ * @returns {Object} Rubric scores without feedback
+ */
+function stripRubricFeedback(rubricScores) {
+  const stripped = {};
+  for (const [criterion, value] of Object.entries(rubricScores || {})) {
+    if (value && typeof value === 'object') {
+      const { feedback, evidence, ...scores } = value;
+      stripped[criterion] = scores;
+    } else {
+      stripped[criterion] = value;
+    }
+  }
+  return stripped;
+}
+
+/**
+ * Get the review queue for an assignment
+ * Drafts come first, those flagged for prompt injection (with the suspicious
+ * spans in injection) ahead of the rest, then by ascending confidence.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} [options] - Filters
+ * @param {string} [options.status] - Only grades in this state
+ * @returns {Promise<{grades: Array, counts: Object}>}
+ */
+async function getReviewQueue(fastify, assignmentId, { status } = {}) {
+  const params = [assignmentId];
+  let statusFilter = '';
+  if (status) {
+    params.push(status);
+    statusFilter = 'AND g.status = $2';
+  }
+
+  const result = await fastify.db.query(
+    `SELECT g.id, g.submission_id, g.points_earned, g.points_possible, g.late_penalty_points, g.final_points, g.percentage, g.feedback, g.rubric_scores, g.confidence,
+            g.status, g.graded_at, g.graded_by, g.reviewed_by, g.reviewed_at,
+            g.published_at, g.release_at, g.retracted_at,
+            g.ai_response->'injection' as injection,
+            s.version as submission_version, s.is_late, st.name as student_name
+     FROM grades g
+     JOIN submissions s ON g.submission_id = s.id
+     JOIN students st ON s.student_id = st.id
+     WHERE s.assignment_id = $1 ${statusFilter}
+     ORDER BY
+       CASE g.status WHEN 'draft' THEN 0 WHEN 'reviewed' THEN 1 WHEN 'retracted' THEN 2 ELSE 3 END,
+       COALESCE((g.ai_response->'injection'->>'flagged')::boolean, false) DESC,
+       g.confidence ASC NULLS LAST,
+       st.name ASC`,
+    params
+  );
+
+  const countsResult = await fastify.db.query(
+    `SELECT g.status, COUNT(*) as count
+     FROM grades g
+     JOIN submissions s ON g.submission_id = s.id
+     WHERE s.assignment_id = $1
+     GROUP BY g.status`,
+    [assignmentId]
+  );
+
+  const counts = Object.fromEntries(GRADE_STATUSES.map(s => [s, 0]));
+  for (const row of countsResult.rows) {
+    counts[row.status] = parseInt(row.count);
+  }
+
+  return { grades: result.rows, counts };
+}
+
+/**
+ * Mark a grade as reviewed
+ * @param {Object} fastify - Fastify instance
+ * @param {string} gradeId - Grade UUID
+ * @param {string} userId - Reviewing instructor
+ * @returns {Promise<Object|null>} Updated grade, or null if it cannot be reviewed
+ */
+async function reviewGrade(fastify, gradeId, userId) {
+  const result = await fastify.db.query(
+    `UPDATE grades
+     SET status = 'reviewed', reviewed_by = $2, reviewed_at = NOW(), retracted_at = NULL
+     WHERE id = $1 AND status IN ('draft', 'retracted')
+     RETURNING *`,
+    [gradeId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Publish a single grade (publishing counts as reviewing it)
+ * @param {Object} fastify - Fastify instance
+ * @param {string} gradeId - Grade UUID
+ * @param {string} userId - Publishing instructor
+ * @returns {Promise<Object|null>} Updated grade, or null if already published
+ */
+async function publishGrade(fastify, gradeId, userId) {
+  const result = await fastify.db.query(
+    `UPDATE grades
+     SET status = 'published', published_at = NOW(), release_at = NULL, retracted_at = NULL,
+         reviewed_by = COALESCE(reviewed_by, $2), reviewed_at = COALESCE(reviewed_at, NOW())
+     WHERE id = $1 AND status != 'published'
+     RETURNING *`,
+    [gradeId, userId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Publish all reviewed grades of an assignment, now or at a scheduled time
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} [options] - Options
+ * @param {Date|string} [options.releaseAt] - Release time; omitted or past = publish now
+ * @returns {Promise<{count: number, scheduled: boolean, release_at: Date|null}>}
+ */
+async function publishReviewedGrades(fastify, assignmentId, { releaseAt } = {}) {
+  const releaseDate = releaseAt ? new Date(releaseAt) : null;
+  const scheduled = !!releaseDate && releaseDate > new Date();
+
+  const result = scheduled
+    ? await fastify.db.query(
+      `UPDATE grades g SET release_at = $2
+       FROM submissions s
+       WHERE g.submission_id = s.id AND s.assignment_id = $1 AND g.status = 'reviewed'`,
+      [assignmentId, releaseDate]
+    )
+    : await fastify.db.query(
+      `UPDATE grades g SET status = 'published', published_at = NOW(), release_at = NULL
+       FROM submissions s
+       WHERE g.submission_id = s.id AND s.assignment_id = $1 AND g.status = 'reviewed'`,
+      [assignmentId]
+    );
+
+  return { count: result.rowCount, scheduled, release_at: scheduled ? releaseDate : null };
+}
+
+/**
+ * Retract a published (or scheduled) grade
+ * @param {Object} fastify - Fastify instance
+ * @param {string} gradeId - Grade UUID
+ * @returns {Promise<Object|null>} Updated grade, or null if it is not published or reviewed
+ */
+async function retractGrade(fastify, gradeId) {
+  const result = await fastify.db.query(
+    `UPDATE grades
+     SET status = 'retracted', retracted_at = NOW(), release_at = NULL
+     WHERE id = $1 AND status IN ('published', 'reviewed')
+     RETURNING *`,
+    [gradeId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Publish reviewed grades whose scheduled release time has passed
+ * Visibility checks already honour release_at; this keeps the stored status in step
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<number>} Number of grades published
+ */
+async function releaseDueGrades(fastify) {
+  const result = await fastify.db.query(
+    `UPDATE grades SET status = 'published', published_at = release_at
+     WHERE status = 'reviewed' AND release_at <= NOW()`
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  GRADE_STATUSES,
+  studentVisibleCondition,
+  getInitialStatus,
+  isVisibleToStudent,
+  applyStudentVisibility,
+  getReviewQueue,
+  reviewGrade,
+  publishGrade,
+  publishReviewedGrades,
+  retractGrade,
+  releaseDueGrades
+};
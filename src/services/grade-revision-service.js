@@ -0,0 +1,135 @@
+/**
+ * Grade Revision Service
+ * Append-only history of grade values
+ *
+ * The grades row always holds the current values; every write to it records
+ * a matching revision so earlier values can be listed and restored.
+ */
+
+const REVISION_SOURCES = ['ai', 'regrade', 'manual', 'override', 'quiz', 'revert', 'regrade_request'];
+
+/**
+ * Record the current values of a grade as its next revision
+ * Call with the transaction client that wrote the grade so both commit together
+ * @param {Object} client - Database client (fastify.db or a transaction client)
+ * @param {Object} grade - Grade row as written (id, points_earned, points_possible, feedback, rubric_scores,
+ *   late_penalty_percent)
+ * @param {Object} options - Revision details
+ * @param {string} options.source - One of REVISION_SOURCES
+ * @param {string} [options.userId] - Author; omitted for AI and quiz grades
+ * @param {string} [options.reason] - Why the grade changed
+ * @param {string} [options.revertedFrom] - Revision restored by a revert
+ * @returns {Promise<Object>} Revision row
+ */
+async function recordRevision(client, grade, { source, userId = null, reason = null, revertedFrom = null }) {
+  if (!REVISION_SOURCES.includes(source)) {
+    throw new Error(`Invalid revision source: ${source}`);
+  }
+
+  const result = await client.query(
+    `INSERT INTO grade_revisions
+       (grade_id, revision_number, source, points_earned, points_possible, feedback, rubric_scores, reason, reverted_from, created_by,
+        late_penalty_percent)
+     SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+     FROM grade_revisions WHERE grade_id = $1
+     RETURNING *`,
+    [
+      grade.id,
+      source,
+      grade.points_earned,
+      grade.points_possible,
+      grade.feedback,
+      grade.rubric_scores ? JSON.stringify(grade.rubric_scores) : null,
+      reason,
+      revertedFrom,
+      userId,
+      grade.late_penalty_percent ?? null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Get the revision history of a grade, newest first
+ * @param {Object} fastify - Fastify instance
+ * @param {string} gradeId - Grade UUID
+ * @returns {Promise<Array>} Revisions with author names
+ */
+async function getHistory(fastify, gradeId) {
+  const result = await fastify.db.query(
+    `SELECT r.*, u.name as created_by_name
+     FROM grade_revisions r
+     LEFT JOIN users u ON r.created_by = u.id
+     WHERE r.grade_id = $1
+     ORDER BY r.revision_number DESC`,
+    [gradeId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Restore the values of an earlier revision
+ * The restore is itself recorded as a new revision; history is never rewritten
+ * @param {Object} fastify - Fastify instance
+ * @param {string} gradeId - Grade UUID
+ * @param {string} revisionId - Revision to restore
+ * @param {Object} options - Revert details
+ * @param {string} options.userId - Instructor reverting the grade
+ * @param {string} [options.reason] - Why the grade was reverted
+ * @returns {Promise<{grade: Object, revision: Object}|null>} Null if the revision does not belong to the grade
+ */
+async function revertToRevision(fastify, gradeId, revisionId, { userId, reason = null }) {
+  return fastify.db.transaction(async (client) => {
+    const target = await client.query(
+      'SELECT * FROM grade_revisions WHERE id = $1 AND grade_id = $2',
+      [revisionId, gradeId]
+    );
+
+    if (target.rows.length === 0) {
+      return null;
+    }
+
+    const source = target.rows[0];
+
+    // A reverted draft has been looked at by an instructor, same as an override.
+    // Revisions from before late penalties were recorded keep the current penalty.
+    const gradeResult = await client.query(
+      `UPDATE grades
+       SET points_earned = $1, points_possible = $2, feedback = $3, rubric_scores = $4,
+           late_penalty_percent = COALESCE($7, late_penalty_percent),
+           graded_by = $5, graded_at = NOW(),
+           status = CASE WHEN status = 'draft' THEN 'reviewed' ELSE status END,
+           reviewed_by = $5, reviewed_at = NOW()
+       WHERE id = $6
+       RETURNING *`,
+      [
+        source.points_earned,
+        source.points_possible,
+        source.feedback,
+        source.rubric_scores ? JSON.stringify(source.rubric_scores) : null,
+        userId,
+        gradeId,
+        source.late_penalty_percent
+      ]
+    );
+
+    const grade = gradeResult.rows[0];
+    const revision = await recordRevision(client, grade, {
+      source: 'revert',
+      userId,
+      reason: reason || `Reverted to revision ${source.revision_number}`,
+      revertedFrom: source.id
+    });
+
+    return { grade, revision };
+  });
+}
+
+module.exports = {
+  REVISION_SOURCES,
+  recordRevision,
+  getHistory,
+  revertToRevision
+};
@@ -0,0 +1,224 @@
+/**
+ * Grading Cache Service
+ * Content-addressed cache of AI grading results, so grading identical
+ * inputs again returns the same grade without calling the model
+ *
+ * The key is a SHA-256 hash of everything sent to the model: the
+ * normalized submission text, rubric, reference answer, assignment
+ * description, prompt template version, instructions, exemplars and the
+ * models of each ensemble sample. Changing any of them grades afresh.
+ * Set AI_GRADING_CACHE=false to turn the cache off.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const aiProviderService = require('./ai-provider-service');
+const ensembleService = require('./ensemble-service');
+const metricsService = require('./metrics-service');
+
+// Bump to invalidate every cached result when the key's inputs change
+const CACHE_KEY_VERSION = 2;
+
+/**
+ * Whether grading results are cached
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return process.env.AI_GRADING_CACHE !== 'false';
+}
+
+/**
+ * Normalize submission text so formatting-only differences share a key
+ * Unicode normalization, line endings, trailing spaces and surrounding blank lines.
+ * @param {string} text - Submission text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+$/gm, '')
+    .trim();
+}
+
+/**
+ * JSON with object keys sorted, so equal values serialize identically
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Models that grade a submission, one per ensemble sample
+ * @param {Object} params - Parameters of ensembleService.gradeEnsemble
+ * @param {Object} ensemble - Ensemble settings
+ * @returns {Array<string>} "provider:model" per sample
+ */
+function getSampleModels(params, ensemble) {
+  return ensembleService.planSamples(ensemble, params.provider || aiProviderService.resolveProviderName())
+    .map(name => `${name}:${aiProviderService.getProvider(name).models.grading}`);
+}
+
+/**
+ * Cache key of a grading request
+ * @param {Object} params - Parameters of ensembleService.gradeEnsemble
+ * @param {Object} ensemble - Ensemble settings
+ * @returns {string} SHA-256 hex digest
+ */
+function buildCacheKey(params, ensemble) {
+  const template = params.promptTemplate || null;
+  const inputs = {
+    version: CACHE_KEY_VERSION,
+    submission: normalizeText(params.studentAnswer),
+    rubric: params.rubric || {},
+    reference: normalizeText(params.referenceAnswer),
+    description: normalizeText(params.assignmentDescription),
+    total_points: params.totalPoints ?? 100,
+    format: params.submissionFormat || null,
+    tests: params.testSummary || '',
+    // Template text too: the built-in template is version 0 in every release
+    prompt: template && {
+      id: template.id,
+      version: template.version,
+      system: template.system_prompt,
+      user: template.user_prompt
+    },
+    instructions: normalizeText(params.instructions),
+    exemplars: (params.exemplars || []).map(exemplar => ({
+      level: exemplar.level,
+      content: exemplar.content,
+      points_earned: exemplar.points_earned,
+      points_possible: exemplar.points_possible,
+      feedback: exemplar.feedback,
+      rubric_scores: exemplar.rubric_scores
+    })),
+    models: getSampleModels(params, ensemble)
+  };
+
+  return crypto.createHash('sha256').update(canonicalJson(inputs)).digest('hex');
+}
+
+/**
+ * Get a cached grading result
+ * A lookup that fails is treated as a miss.
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Result with ai_response.cache set, or null
+ */
+async function getCachedResult(db, key) {
+  try {
+    const cached = await db.query(
+      `UPDATE grading_result_cache SET hit_count = hit_count + 1, last_hit_at = NOW()
+       WHERE cache_key = $1
+       RETURNING result, created_at`,
+      [key]
+    );
+
+    if (cached.rows.length === 0) return null;
+
+    const { result, created_at: cachedAt } = cached.rows[0];
+    return {
+      ...result,
+      ai_response: { ...result.ai_response, cache: { hit: true, key, cached_at: cachedAt } }
+    };
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to read the grading cache');
+    return null;
+  }
+}
+
+/**
+ * Store a grading result, replacing any cached result with the same key
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} key - Cache key
+ * @param {Object} result - Grading result
+ * @param {Object} params - Parameters the result was graded with
+ * @param {Object} ensemble - Ensemble settings
+ */
+async function storeResult(db, key, result, params, ensemble) {
+  const template = params.promptTemplate || null;
+
+  try {
+    await db.query(
+      `INSERT INTO grading_result_cache (cache_key, result, models, prompt_template_id, prompt_version)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (cache_key) DO UPDATE SET
+         result = EXCLUDED.result,
+         created_at = NOW(),
+         hit_count = 0,
+         last_hit_at = NULL`,
+      [key, JSON.stringify(result), getSampleModels(params, ensemble), template?.id || null, template?.version ?? null]
+    );
+  } catch (error) {
+    logger.error({ error: error.message }, 'Failed to store the grading result in the cache');
+  }
+}
+
+/**
+ * Look up the cached result of a grading request
+ * Counts the hit, miss or bypass in metrics-service.
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {Object} params - Parameters of ensembleService.gradeEnsemble
+ * @param {Object} ensemble - Ensemble settings
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.bypass=false] - Skip the lookup (the new result replaces the cached one)
+ * @returns {Promise<{key: string|null, result: Object|null}>} key is null when the cache is off
+ */
+async function lookup(db, params, ensemble, { bypass = false } = {}) {
+  if (!isEnabled()) {
+    return { key: null, result: null };
+  }
+
+  const key = buildCacheKey(params, ensemble);
+
+  if (bypass) {
+    metricsService.recordGradingCache('bypass');
+    return { key, result: null };
+  }
+
+  const result = await getCachedResult(db, key);
+  metricsService.recordGradingCache(result ? 'hit' : 'miss');
+  return { key, result };
+}
+
+/**
+ * Grade with the ensemble, using a cached result for identical inputs
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {Object} params - Parameters of ensembleService.gradeEnsemble
+ * @param {Object} ensemble - Ensemble settings
+ * @param {Object} [options] - Cache options
+ * @param {boolean} [options.bypass=false] - Call the model anyway and replace the cached result
+ * @returns {Promise<Object>} Grading result (ai_response.cache is set on hits)
+ */
+async function gradeWithCache(db, params, ensemble, options = {}) {
+  const { key, result: cached } = await lookup(db, params, ensemble, options);
+  if (cached) return cached;
+
+  const result = await ensembleService.gradeEnsemble(params, ensemble);
+  if (key) {
+    await storeResult(db, key, result, params, ensemble);
+  }
+  return result;
+}
+
+module.exports = {
+  isEnabled,
+  normalizeText,
+  canonicalJson,
+  buildCacheKey,
+  getCachedResult,
+  storeResult,
+  lookup,
+  gradeWithCache
+};
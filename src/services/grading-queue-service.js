@@ -0,0 +1,564 @@
+/**
+ * Grading Queue Service
+ * Durable Postgres-backed queue for AI grading jobs
+ *
+ * A job groups the submissions of one grading request; each submission is a
+ * job item. Workers lease items with SELECT ... FOR UPDATE SKIP LOCKED, so
+ * several server instances can share the queue, and an item whose lease
+ * expires (e.g. the server restarted mid-grade) is picked up again.
+ */
+
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const gradingService = require('./grading-service');
+const aiUsageService = require('./ai-usage-service');
+const logger = require('./logger');
+
+const JOB_STATUSES = ['queued', 'running', 'paused', 'completed', 'cancelled'];
+const ITEM_STATUSES = ['queued', 'processing', 'completed', 'failed', 'skipped', 'cancelled'];
+
+// Job states that still have work to do
+const ACTIVE_JOB_STATUSES = ['queued', 'running', 'paused'];
+
+const MAX_ATTEMPTS = parseInt(process.env.GRADING_MAX_ATTEMPTS) || 3;
+const LEASE_SECONDS = parseInt(process.env.GRADING_LEASE_SECONDS) || 300;
+const RETRY_BASE_SECONDS = parseInt(process.env.GRADING_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 3600;
+// How often items held back by a course's AI budget are checked again
+const BUDGET_RECHECK_SECONDS = parseInt(process.env.GRADING_BUDGET_RECHECK_SECONDS) || 3600;
+
+// Errors that will not go away by trying again
+const PERMANENT_ERRORS = ['Submission not found', 'Submission content is empty. Unable to grade.'];
+
+/**
+ * Delay before the next attempt of an item (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+function getRetryDelaySeconds(attempts) {
+  return Math.min(RETRY_MAX_SECONDS, RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+/**
+ * Check whether a grading error should fail the item without further attempts
+ * @param {Error} error - Grading error
+ * @returns {boolean}
+ */
+function isPermanentError(error) {
+  return error.status === 400 || error.status === 401 || error.code === 'OCR_FAILED' ||
+    error.code === 'AI_BUDGET_EXCEEDED' ||
+    PERMANENT_ERRORS.includes(error.message);
+}
+
+/**
+ * Create a grading job with one item per submission
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params - Job parameters
+ * @param {string} params.assignmentId - Assignment UUID
+ * @param {Array<string>} params.submissionIds - Submissions to grade
+ * @param {string} [params.userId] - User who requested the job
+ * @param {boolean} [params.force=false] - Re-grade submissions that already have a grade
+ * @param {boolean} [params.bypassCache=false] - Call the model even for inputs graded before (see grading-cache-service)
+ * @param {string} [params.type='batch'] - Job type (batch, submission)
+ * @returns {Promise<Object>} Created job
+ */
+async function createJob(fastify, { assignmentId, submissionIds, userId, force = false, bypassCache = false, type = 'batch' }) {
+  return fastify.db.transaction(async (client) => {
+    const jobResult = await client.query(
+      `INSERT INTO grading_jobs (id, assignment_id, created_by, type, status, force, bypass_cache, total_items, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, 'queued', $5, $6, $7, NOW(), NOW())
+       RETURNING *`,
+      [uuidv4(), assignmentId, userId || null, type, force, bypassCache, submissionIds.length]
+    );
+
+    const job = jobResult.rows[0];
+
+    if (submissionIds.length > 0) {
+      await client.query(
+        `INSERT INTO grading_job_items (job_id, submission_id, max_attempts)
+         SELECT $1, unnest($2::uuid[]), $3`,
+        [job.id, submissionIds, MAX_ATTEMPTS]
+      );
+    } else {
+      // Nothing to do - close the job right away
+      await client.query(
+        "UPDATE grading_jobs SET status = 'completed', completed_at = NOW() WHERE id = $1",
+        [job.id]
+      );
+      job.status = 'completed';
+    }
+
+    return job;
+  });
+}
+
+/**
+ * Queue a single submission for AI grading (automatic grading on submit)
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params - Parameters
+ * @param {string} params.assignmentId - Assignment UUID
+ * @param {string} params.submissionId - Submission UUID
+ * @param {string} [params.userId] - User who submitted
+ * @returns {Promise<Object>} Created job
+ */
+async function enqueueSubmission(fastify, { assignmentId, submissionId, userId }) {
+  const job = await createJob(fastify, {
+    assignmentId,
+    submissionIds: [submissionId],
+    userId,
+    type: 'submission'
+  });
+
+  logger.info({ jobId: job.id, submissionId }, 'Submission queued for AI grading');
+  return job;
+}
+
+/**
+ * Find submissions of an assignment that are already queued or being graded
+ * Used to avoid enqueuing the same submission twice
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Set<string>>} Submission IDs
+ */
+async function getQueuedSubmissionIds(fastify, assignmentId) {
+  const result = await fastify.db.query(
+    `SELECT DISTINCT i.submission_id
+     FROM grading_job_items i
+     JOIN grading_jobs j ON i.job_id = j.id
+     WHERE j.assignment_id = $1
+       AND j.status IN ('queued', 'running', 'paused')
+       AND i.status IN ('queued', 'processing')`,
+    [assignmentId]
+  );
+
+  return new Set(result.rows.map(r => r.submission_id));
+}
+
+/**
+ * Get a job with per-item progress
+ * @param {Object} fastify - Fastify instance
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<Object|null>} Job with progress and items, or null if not found
+ */
+async function getJob(fastify, jobId) {
+  const jobResult = await fastify.db.query(
+    `SELECT j.*, a.title as assignment_title, a.instructor_id
+     FROM grading_jobs j
+     JOIN assignments a ON j.assignment_id = a.id
+     WHERE j.id = $1`,
+    [jobId]
+  );
+
+  if (jobResult.rows.length === 0) {
+    return null;
+  }
+
+  const job = jobResult.rows[0];
+
+  const itemsResult = await fastify.db.query(
+    `SELECT i.id, i.submission_id, i.status, i.attempts, i.max_attempts, i.next_attempt_at,
+            i.last_error, i.grade_id, i.started_at, i.completed_at,
+            st.name as student_name, s.version as submission_version
+     FROM grading_job_items i
+     JOIN submissions s ON i.submission_id = s.id
+     JOIN students st ON s.student_id = st.id
+     WHERE i.job_id = $1
+     ORDER BY i.created_at ASC, st.name ASC`,
+    [jobId]
+  );
+
+  const items = itemsResult.rows;
+  const counts = Object.fromEntries(ITEM_STATUSES.map(status => [status, 0]));
+  for (const item of items) {
+    counts[item.status]++;
+  }
+
+  const finished = counts.completed + counts.failed + counts.skipped + counts.cancelled;
+
+  return {
+    ...job,
+    progress: {
+      total: items.length,
+      ...counts,
+      progress_percent: items.length > 0 ? Math.round((finished / items.length) * 100) : 100
+    },
+    items
+  };
+}
+
+/**
+ * List grading jobs for an assignment (most recent first)
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} [options] - Pagination
+ * @returns {Promise<Array>} Jobs with item counts
+ */
+async function listJobs(fastify, assignmentId, { limit = 20, offset = 0 } = {}) {
+  const result = await fastify.db.query(
+    `SELECT j.*,
+            COUNT(i.id) FILTER (WHERE i.status = 'completed') as completed_items,
+            COUNT(i.id) FILTER (WHERE i.status = 'failed') as failed_items,
+            COUNT(i.id) FILTER (WHERE i.status IN ('queued', 'processing')) as remaining_items
+     FROM grading_jobs j
+     LEFT JOIN grading_job_items i ON i.job_id = j.id
+     WHERE j.assignment_id = $1
+     GROUP BY j.id
+     ORDER BY j.created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [assignmentId, limit, offset]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    completed_items: parseInt(row.completed_items),
+    failed_items: parseInt(row.failed_items),
+    remaining_items: parseInt(row.remaining_items)
+  }));
+}
+
+/**
+ * Cancel a job; queued items are cancelled, items already being graded finish
+ * @param {Object} fastify - Fastify instance
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<Object|null>} Updated job, or null if the job is not active
+ */
+async function cancelJob(fastify, jobId) {
+  return fastify.db.transaction(async (client) => {
+    const jobResult = await client.query(
+      `UPDATE grading_jobs SET status = 'cancelled', completed_at = NOW()
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      [jobId, ACTIVE_JOB_STATUSES]
+    );
+
+    if (jobResult.rows.length === 0) {
+      return null;
+    }
+
+    await client.query(
+      `UPDATE grading_job_items SET status = 'cancelled', completed_at = NOW()
+       WHERE job_id = $1 AND status = 'queued'`,
+      [jobId]
+    );
+
+    return jobResult.rows[0];
+  });
+}
+
+/**
+ * Pause a job; workers stop leasing its items until it is resumed
+ * @param {Object} fastify - Fastify instance
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<Object|null>} Updated job, or null if the job cannot be paused
+ */
+async function pauseJob(fastify, jobId) {
+  const result = await fastify.db.query(
+    `UPDATE grading_jobs SET status = 'paused'
+     WHERE id = $1 AND status IN ('queued', 'running')
+     RETURNING *`,
+    [jobId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Resume a paused job
+ * @param {Object} fastify - Fastify instance
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<Object|null>} Updated job, or null if the job is not paused
+ */
+async function resumeJob(fastify, jobId) {
+  const result = await fastify.db.query(
+    `UPDATE grading_jobs
+     SET status = CASE WHEN started_at IS NULL THEN 'queued' ELSE 'running' END
+     WHERE id = $1 AND status = 'paused'
+     RETURNING *`,
+    [jobId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Re-queue the failed items of a job with fresh attempts
+ * @param {Object} fastify - Fastify instance
+ * @param {string} jobId - Job UUID
+ * @returns {Promise<number|null>} Number of items re-queued, or null if the job was cancelled
+ */
+async function retryFailedItems(fastify, jobId) {
+  return fastify.db.transaction(async (client) => {
+    const jobResult = await client.query(
+      "SELECT status FROM grading_jobs WHERE id = $1 AND status != 'cancelled' FOR UPDATE",
+      [jobId]
+    );
+
+    if (jobResult.rows.length === 0) {
+      return null;
+    }
+
+    const itemsResult = await client.query(
+      `UPDATE grading_job_items
+       SET status = 'queued', attempts = 0, next_attempt_at = NOW(), last_error = NULL,
+           locked_by = NULL, locked_until = NULL, completed_at = NULL
+       WHERE job_id = $1 AND status = 'failed'`,
+      [jobId]
+    );
+
+    if (itemsResult.rowCount > 0 && jobResult.rows[0].status === 'completed') {
+      await client.query(
+        "UPDATE grading_jobs SET status = 'running', completed_at = NULL WHERE id = $1",
+        [jobId]
+      );
+    }
+
+    return itemsResult.rowCount;
+  });
+}
+
+/**
+ * Lease up to `limit` items that are ready to be graded
+ * Also reclaims items whose lease expired (worker crashed or restarted)
+ * @param {Object} fastify - Fastify instance
+ * @param {string} workerId - Worker identifier
+ * @param {number} limit - Maximum items to lease
+ * @returns {Promise<Array>} Leased items (with the job's force and bypass_cache flags, assignment and requester)
+ */
+async function claimItems(fastify, workerId, limit) {
+  const result = await fastify.db.query(
+    `WITH claimable AS (
+       SELECT i.id
+       FROM grading_job_items i
+       JOIN grading_jobs j ON i.job_id = j.id
+       WHERE j.status IN ('queued', 'running')
+         AND i.attempts < i.max_attempts
+         AND (
+           (i.status = 'queued' AND i.next_attempt_at <= NOW())
+           OR (i.status = 'processing' AND i.locked_until < NOW())
+         )
+       ORDER BY i.next_attempt_at ASC, i.created_at ASC
+       LIMIT $2
+       FOR UPDATE OF i SKIP LOCKED
+     )
+     UPDATE grading_job_items i
+     SET status = 'processing',
+         attempts = i.attempts + 1,
+         locked_by = $1,
+         locked_until = NOW() + make_interval(secs => $3),
+         started_at = COALESCE(i.started_at, NOW())
+     FROM claimable c, grading_jobs j
+     WHERE i.id = c.id AND j.id = i.job_id
+     RETURNING i.*, j.force, j.bypass_cache, j.assignment_id, j.created_by as requested_by`,
+    [workerId, limit, LEASE_SECONDS]
+  );
+
+  const jobIds = [...new Set(result.rows.map(item => item.job_id))];
+  if (jobIds.length > 0) {
+    await fastify.db.query(
+      `UPDATE grading_jobs SET status = 'running', started_at = COALESCE(started_at, NOW())
+       WHERE id = ANY($1::uuid[]) AND status = 'queued'`,
+      [jobIds]
+    );
+  }
+
+  return result.rows;
+}
+
+/**
+ * Fail items whose lease expired on their final attempt
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<Array<string>>} Job IDs that had items failed
+ */
+async function failExpiredItems(fastify) {
+  const result = await fastify.db.query(
+    `UPDATE grading_job_items
+     SET status = 'failed', locked_by = NULL, locked_until = NULL, completed_at = NOW(),
+         last_error = COALESCE(last_error, 'Grading did not finish before the lease expired')
+     WHERE status = 'processing' AND locked_until < NOW() AND attempts >= max_attempts
+     RETURNING job_id`
+  );
+
+  return [...new Set(result.rows.map(r => r.job_id))];
+}
+
+/**
+ * Mark a job completed once none of its items are left to grade
+ * @param {Object} fastify - Fastify instance
+ * @param {string} jobId - Job UUID
+ */
+async function completeJobIfDone(fastify, jobId) {
+  await fastify.db.query(
+    `UPDATE grading_jobs SET status = 'completed', completed_at = NOW()
+     WHERE id = $1 AND status IN ('queued', 'running')
+       AND NOT EXISTS (
+         SELECT 1 FROM grading_job_items
+         WHERE job_id = $1 AND status IN ('queued', 'processing')
+       )`,
+    [jobId]
+  );
+}
+
+/**
+ * Record the outcome of a leased item
+ * Only applies while this worker still holds the lease
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} item - Leased item
+ * @param {Object} outcome - Fields to set
+ * @param {boolean} [outcome.releaseAttempt=false] - Do not count this attempt (the item was not graded)
+ */
+async function finishItem(fastify, item, { status, gradeId = null, error = null, retryInSeconds = null, releaseAttempt = false }) {
+  await fastify.db.query(
+    `UPDATE grading_job_items
+     SET status = $3::varchar,
+         attempts = CASE WHEN $7::boolean THEN GREATEST(attempts - 1, 0) ELSE attempts END,
+         grade_id = COALESCE($4, grade_id),
+         last_error = $5,
+         next_attempt_at = CASE WHEN $6::int IS NULL THEN next_attempt_at ELSE NOW() + make_interval(secs => $6::int) END,
+         completed_at = CASE WHEN $3::varchar = 'queued' THEN NULL ELSE NOW() END,
+         locked_by = NULL,
+         locked_until = NULL
+     WHERE id = $1 AND locked_by = $2 AND status = 'processing'`,
+    [item.id, item.locked_by, status, gradeId, error, retryInSeconds, releaseAttempt]
+  );
+}
+
+/**
+ * Grade one leased item
+ * Transient provider errors are retried in place around each provider call
+ * (see openai-service); anything still failing is re-queued with backoff
+ * until the item runs out of attempts.
+ * Items of a course over its AI budget fail, or wait without using up
+ * attempts when the course's budget action is queue.
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} item - Leased item (from claimItems)
+ * @returns {Promise<string>} Final item status
+ */
+async function processItem(fastify, item) {
+  try {
+    await aiUsageService.assertWithinBudget(fastify.db, item.assignment_id);
+
+    const result = await gradingService.gradeSubmissionById(fastify, item.submission_id, {
+      regrade: item.force,
+      userId: item.requested_by,
+      bypassCache: item.bypass_cache
+    });
+
+    await finishItem(fastify, item, { status: 'completed', gradeId: result.grade.id });
+    return 'completed';
+  } catch (error) {
+    // Scanned PDFs are queued again once their OCR text is approved
+    if (error.message === 'Submission already graded' || error.code === 'OCR_PENDING') {
+      await finishItem(fastify, item, { status: 'skipped', error: error.message });
+      return 'skipped';
+    }
+
+    if (error.code === 'AI_BUDGET_EXCEEDED' && error.action === 'queue') {
+      logger.info({ itemId: item.id, submissionId: item.submission_id }, 'Course AI budget used, holding grading job item');
+      await finishItem(fastify, item, {
+        status: 'queued', error: error.message, retryInSeconds: BUDGET_RECHECK_SECONDS, releaseAttempt: true
+      });
+      return 'queued';
+    }
+
+    if (isPermanentError(error) || item.attempts >= item.max_attempts) {
+      logger.error({ itemId: item.id, submissionId: item.submission_id, error: error.message }, 'Grading job item failed');
+      await finishItem(fastify, item, { status: 'failed', error: error.message });
+      return 'failed';
+    }
+
+    const retryInSeconds = getRetryDelaySeconds(item.attempts);
+    logger.warn(
+      { itemId: item.id, submissionId: item.submission_id, attempt: item.attempts, retryInSeconds, error: error.message },
+      'Grading job item failed, will retry'
+    );
+    await finishItem(fastify, item, { status: 'queued', error: error.message, retryInSeconds });
+
+    // gradeSubmissionById marked the submission failed; it is still waiting for another attempt
+    await fastify.db.query(
+      "UPDATE submissions SET status = 'submitted' WHERE id = $1 AND status = 'failed'",
+      [item.submission_id]
+    );
+    return 'queued';
+  } finally {
+    await completeJobIfDone(fastify, item.job_id);
+  }
+}
+
+/**
+ * Start an in-process worker that polls the queue
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.concurrency=3] - Items graded in parallel
+ * @param {number} [options.pollIntervalMs=2000] - Delay between polls when idle
+ * @returns {{id: string, stop: Function}} Worker handle; stop() resolves once in-flight items finish
+ */
+function startWorker(fastify, { concurrency = 3, pollIntervalMs = 2000 } = {}) {
+  const workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+  let stopped = false;
+  let timer = null;
+  let currentTick = null;
+
+  async function tick() {
+    try {
+      const expiredJobIds = await failExpiredItems(fastify);
+      for (const jobId of expiredJobIds) {
+        await completeJobIfDone(fastify, jobId);
+      }
+
+      const items = await claimItems(fastify, workerId, concurrency);
+      if (items.length > 0) {
+        logger.info({ workerId, count: items.length }, 'Grading job items leased');
+        await Promise.all(items.map(item => processItem(fastify, item)));
+      }
+
+      return items.length;
+    } catch (error) {
+      logger.error({ workerId, error: error.message }, 'Grading worker poll failed');
+      return 0;
+    }
+  }
+
+  function schedule(delay) {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      currentTick = tick();
+      const processed = await currentTick;
+      currentTick = null;
+      // Keep draining while there is work, otherwise wait for the next poll
+      schedule(processed > 0 ? 0 : pollIntervalMs);
+    }, delay);
+  }
+
+  schedule(0);
+  logger.info({ workerId, concurrency }, 'Grading worker started');
+
+  return {
+    id: workerId,
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (currentTick) {
+        await currentTick;
+      }
+      logger.info({ workerId }, 'Grading worker stopped');
+    }
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  ITEM_STATUSES,
+  createJob,
+  enqueueSubmission,
+  getQueuedSubmissionIds,
+  getJob,
+  listJobs,
+  cancelJob,
+  pauseJob,
+  resumeJob,
+  retryFailedItems,
+  claimItems,
+  processItem,
+  startWorker,
+  getRetryDelaySeconds
+};
@@ -5,24 +5,88 @@
 
 const { v4: uuidv4 } = require('uuid');
 const openaiService = require('./openai-service');
+const aiProviderService = require('./ai-provider-service');
+const ensembleService = require('./ensemble-service');
+const exemplarService = require('./exemplar-service');
+const promptTemplateService = require('./prompt-template-service');
+const aiUsageService = require('./ai-usage-service');
+const gradingCacheService = require('./grading-cache-service');
+const promptInjectionService = require('./prompt-injection-service');
+const gradeReviewService = require('./grade-review-service');
+const gradeRevisionService = require('./grade-revision-service');
+const testRunnerService = require('./test-runner-service');
 const logger = require('./logger');
 
+/**
+ * Describe the file a submission's content was extracted from, for the grading prompt
+ * @param {Object} submission - Submission row ({ source_format, extracted_structure })
+ * @returns {Object|null} { format, language, structure }, or null for typed answers
+ */
+function getSubmissionFormat(submission) {
+  if (!submission.source_format) {
+    return null;
+  }
+
+  const structure = submission.extracted_structure || null;
+  return { format: submission.source_format, language: structure?.language || null, structure };
+}
+
+/**
+ * Status of a new AI grade
+ * AI grades wait for instructor review when the assignment requires it;
+ * low-confidence ensemble grades (marked in ai_response.ensemble) and
+ * submissions flagged for prompt injection (ai_response.injection) always do
+ * @param {boolean} requireReview - Assignment's require_review_before_publish
+ * @param {Object} gradingResult - Grading result with confidence
+ * @param {number} threshold - Review confidence threshold
+ * @returns {string} Grade status
+ */
+function getAiGradeStatus(requireReview, gradingResult, threshold) {
+  if (ensembleService.isLowConfidence(gradingResult.confidence, threshold)) {
+    gradingResult.ai_response.ensemble.routed_to_review = true;
+    return 'draft';
+  }
+  if (gradingResult.ai_response?.injection?.flagged) {
+    return 'draft';
+  }
+  return gradeReviewService.getInitialStatus(requireReview);
+}
+
+/**
+ * Record a prompt injection scan in a grading result
+ * @param {Object} gradingResult - Grading result
+ * @param {Object} scan - Scan from promptInjectionService.scanSubmission
+ * @returns {Object} The grading result
+ */
+function attachInjectionScan(gradingResult, scan) {
+  gradingResult.ai_response = { ...gradingResult.ai_response, injection: scan };
+  return gradingResult;
+}
+
 /**
  * Grade a submission and store the result
  * Handles text submissions
  * @param {Object} fastify - Fastify instance
  * @param {string} submissionId - Submission UUID
+ * @param {Object} [options] - Grading options
+ * @param {boolean} [options.regrade=false] - Replace an existing grade instead of failing
+ * @param {string} [options.userId] - User who requested the grading (recorded with the AI usage)
+ * @param {boolean} [options.bypassCache=false] - Call the model even if identical inputs were graded before
  * @returns {Promise<Object>} Grading result
  */
-async function gradeSubmissionById(fastify, submissionId) {
+async function gradeSubmissionById(fastify, submissionId, { regrade = false, userId = null, bypassCache = false } = {}) {
   // Get submission with assignment and rubric details
   // Include reference_text_extracted for PDF-based reference answers
   const submissionResult = await fastify.db.query(
     `SELECT s.*, a.description as assignment_description, a.reference_answer, 
-            a.reference_text_extracted, a.total_points,
+            a.reference_text_extracted, a.total_points, a.ai_provider, a.require_review_before_publish,
+            a.ensemble_samples, a.ensemble_providers, a.review_confidence_threshold,
+            a.grading_instructions, a.prompt_template_id, a.course_id,
+            c.ai_provider as course_ai_provider,
             r.criteria as rubric_criteria
      FROM submissions s
      JOIN assignments a ON s.assignment_id = a.id
+     LEFT JOIN courses c ON a.course_id = c.id
      LEFT JOIN rubrics r ON a.rubric_id = r.id
      WHERE s.id = $1`,
     [submissionId]
@@ -34,31 +98,33 @@ async function gradeSubmissionById(fastify, submissionId) {
 
   const submission = submissionResult.rows[0];
   
-  // Get submission content - extract from PDF if content is empty but pdf_url exists
+  // Get submission content - extract from the uploaded file if content is empty but pdf_url exists
   let submissionContent = submission.content;
   
   if ((!submissionContent || submissionContent.trim().length === 0) && submission.pdf_url) {
-    // Try to extract text from the PDF file
+    // Try to extract text from the file (PDF, DOCX, Markdown, notebook or source code)
     try {
-      const fileService = require('./file-service');
-      const path = require('path');
-      const fs = require('fs').promises;
+      const documentService = require('./document-service');
+      const extracted = await documentService.extractSubmissionFile(fastify, submission);
+      submissionContent = extracted.text;
+      submission.source_format = extracted.format;
+      submission.extracted_structure = extracted.structure && { language: extracted.language, ...extracted.structure };
       
-      const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
-      const pdfPath = path.join(UPLOAD_DIR, submission.pdf_url.replace(/^\/api\/v1\/files\//, ''));
-      const pdfBuffer = await fs.readFile(pdfPath);
-      submissionContent = await fileService.extractTextFromPdf(pdfBuffer);
-      
-      // Update the submission content in DB for future use
-      await fastify.db.query(
-        'UPDATE submissions SET content = $1 WHERE id = $2',
-        [submissionContent, submissionId]
-      );
-      
-      logger.info({ submissionId }, 'Extracted text from submission PDF');
-    } catch (pdfErr) {
-      logger.error({ submissionId, error: pdfErr.message }, 'Failed to extract text from submission PDF');
-      throw new Error('Unable to extract text from the submitted PDF. The PDF may be image-based or corrupted.');
+      logger.info({ submissionId, format: extracted.format }, 'Extracted text from submission file');
+    } catch (fileErr) {
+      // Scanned PDFs go through OCR (and instructor review) before they can be graded
+      if (fileErr.code === 'PDF_NO_TEXT') {
+        const ocrService = require('./ocr-service');
+        const ocr = await ocrService.requestOcr(fastify, submissionId);
+        const error = ocr.status === 'failed'
+          ? new Error(`OCR of the scanned PDF failed: ${ocr.last_error || 'unknown error'}`)
+          : new Error('The submitted PDF is image-based; waiting for OCR and instructor review');
+        error.code = ocr.status === 'failed' ? 'OCR_FAILED' : 'OCR_PENDING';
+        throw error;
+      }
+
+      logger.error({ submissionId, error: fileErr.message }, 'Failed to extract text from submission file');
+      throw new Error(`Unable to extract text from the submitted file: ${fileErr.message}`);
     }
   }
 
@@ -68,10 +134,13 @@ async function gradeSubmissionById(fastify, submissionId) {
     [submissionId]
   );
 
-  if (existingGrade.rows.length > 0) {
+  if (existingGrade.rows.length > 0 && !regrade) {
     throw new Error('Submission already graded');
   }
 
+  // Courses over their AI budget are not graded (error code AI_BUDGET_EXCEEDED)
+  await aiUsageService.assertWithinBudget(fastify.db, submission.assignment_id);
+
   // Update submission status to grading
   await fastify.db.query(
     "UPDATE submissions SET status = 'grading' WHERE id = $1",
@@ -84,33 +153,93 @@ async function gradeSubmissionById(fastify, submissionId) {
     // Use reference_text_extracted (from PDF) if available, otherwise use text reference_answer
     const referenceAnswer = submission.reference_text_extracted || submission.reference_answer || '';
 
-    // Grade text submission using standard GPT-4 API
-    gradingResult = await openaiService.gradeSubmission({
+    // Coding assignments: the test cases score the functionality criterion and the AI grades the rest
+    const testRun = await testRunnerService.runSubmissionTests(fastify, submission, submissionContent);
+    const applied = testRun
+      ? testRunnerService.applyTestRun(submission.rubric_criteria || {}, submission.total_points || 100, testRun)
+      : null;
+
+    // Grade text submission with the provider configured for this assignment/course
+    // (several times when the assignment uses ensemble grading); identical
+    // inputs graded before get the cached result
+    const ensemble = ensembleService.getEnsembleConfig(submission);
+    const exemplars = await exemplarService.getPromptExemplars(fastify, submission);
+    const promptTemplate = await promptTemplateService.resolveTemplate(fastify.db, 'submission', submission.prompt_template_id);
+    const provider = aiProviderService.resolveProviderName(submission.ai_provider, submission.course_ai_provider);
+    const usageRecorder = aiUsageService.createRecorder(fastify, {
+      courseId: submission.course_id,
+      assignmentId: submission.assignment_id,
+      submissionId,
+      userId
+    });
+
+    // Flagged submissions are graded with the delimited prompt but held for review
+    const injectionScan = await promptInjectionService.scanSubmission(submissionContent, { provider, usageRecorder });
+    if (injectionScan.flagged) {
+      fastify.log.warn({ submission_id: submissionId, spans: injectionScan.spans.length }, 'Possible prompt injection in submission');
+    }
+
+    gradingResult = await gradingCacheService.gradeWithCache(fastify.db, {
       studentAnswer: submissionContent,
-      rubric: submission.rubric_criteria || {},
+      rubric: applied ? applied.rubric : (submission.rubric_criteria || {}),
       assignmentDescription: submission.assignment_description || '',
       referenceAnswer: referenceAnswer,
-      totalPoints: submission.total_points || 100
-    });
+      totalPoints: applied ? applied.totalPoints : (submission.total_points || 100),
+      provider,
+      submissionFormat: getSubmissionFormat(submission),
+      testSummary: applied?.testSummary,
+      exemplars,
+      promptTemplate,
+      instructions: submission.grading_instructions,
+      usageRecorder
+    }, ensemble, { bypass: bypassCache });
+
+    if (applied) {
+      gradingResult = testRunnerService.combineResult(gradingResult, applied);
+    }
+    attachInjectionScan(gradingResult, injectionScan);
+
+    const gradeStatus = getAiGradeStatus(submission.require_review_before_publish, gradingResult, ensemble.threshold);
 
     // Store grade in transaction
     const grade = await fastify.db.transaction(async (client) => {
-      // Insert grade
+      // Insert grade (or replace the existing one when regrading)
       const gradeResult = await client.query(
-        `INSERT INTO grades (id, submission_id, score, feedback, rubric_scores, ai_response, confidence, graded_at)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+        `INSERT INTO grades (id, submission_id, points_earned, points_possible, feedback, rubric_scores, ai_response, confidence, status, published_at, graded_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CASE WHEN $10::boolean THEN NOW() END, NOW())
+         ON CONFLICT (submission_id) DO UPDATE SET
+           points_earned = EXCLUDED.points_earned,
+           points_possible = EXCLUDED.points_possible,
+           feedback = EXCLUDED.feedback,
+           rubric_scores = EXCLUDED.rubric_scores,
+           ai_response = EXCLUDED.ai_response,
+           confidence = EXCLUDED.confidence,
+           status = EXCLUDED.status,
+           published_at = EXCLUDED.published_at,
+           reviewed_by = NULL,
+           reviewed_at = NULL,
+           release_at = NULL,
+           graded_at = NOW(),
+           graded_by = NULL
          RETURNING *`,
         [
           uuidv4(),
           submissionId,
           gradingResult.score,
+          submission.total_points || 100,
           gradingResult.feedback,
           JSON.stringify(gradingResult.rubric_scores),
           JSON.stringify(gradingResult.ai_response),
-          gradingResult.confidence || 1.0
+          gradingResult.confidence,
+          gradeStatus,
+          gradeStatus === 'published'
         ]
       );
 
+      await gradeRevisionService.recordRevision(client, gradeResult.rows[0], {
+        source: existingGrade.rows.length > 0 ? 'regrade' : 'ai'
+      });
+
       // Update submission status
       await client.query(
         "UPDATE submissions SET status = 'graded' WHERE id = $1",
@@ -142,105 +271,6 @@ async function gradeSubmissionById(fastify, submissionId) {
   }
 }
 
-/**
- * Batch grade all pending submissions for an assignment
- * @param {Object} fastify - Fastify instance
- * @param {string} assignmentId - Assignment UUID
- * @returns {Promise<Object>} Batch grading results
- */
-async function batchGradeAssignment(fastify, assignmentId) {
-  // Get assignment with rubric
-  const assignmentResult = await fastify.db.query(
-    `SELECT a.*, r.criteria as rubric_criteria
-     FROM assignments a
-     LEFT JOIN rubrics r ON a.rubric_id = r.id
-     WHERE a.id = $1`,
-    [assignmentId]
-  );
-
-  if (assignmentResult.rows.length === 0) {
-    throw new Error('Assignment not found');
-  }
-
-  const assignment = assignmentResult.rows[0];
-
-  // Get pending submissions
-  const submissionsResult = await fastify.db.query(
-    `SELECT s.* FROM submissions s
-     LEFT JOIN grades g ON g.submission_id = s.id
-     WHERE s.assignment_id = $1 AND s.status = 'pending' AND g.id IS NULL
-     ORDER BY s.submitted_at ASC`,
-    [assignmentId]
-  );
-
-  if (submissionsResult.rows.length === 0) {
-    return {
-      success: true,
-      message: 'No pending submissions to grade',
-      graded: 0,
-      failed: 0
-    };
-  }
-
-  const submissions = submissionsResult.rows;
-
-  // Batch grade
-  const results = await openaiService.batchGrade(
-    submissions,
-    assignment.rubric_criteria || {},
-    assignment.description || '',
-    assignment.reference_answer || '',
-    assignment.total_points || 100
-  );
-
-  // Store results
-  let graded = 0;
-  let failed = 0;
-
-  for (const result of results) {
-    if (result.error) {
-      failed++;
-      await fastify.db.query(
-        "UPDATE submissions SET status = 'failed' WHERE id = $1",
-        [result.submission_id]
-      );
-    } else {
-      try {
-        await fastify.db.transaction(async (client) => {
-          await client.query(
-            `INSERT INTO grades (id, submission_id, score, feedback, rubric_scores, ai_response, graded_at)
-             VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-            [
-              uuidv4(),
-              result.submission_id,
-              result.score,
-              result.feedback,
-              JSON.stringify(result.rubric_scores),
-              JSON.stringify(result.ai_response)
-            ]
-          );
-
-          await client.query(
-            "UPDATE submissions SET status = 'graded' WHERE id = $1",
-            [result.submission_id]
-          );
-        });
-        graded++;
-      } catch (error) {
-        failed++;
-        fastify.log.error({ error: error.message, submission_id: result.submission_id }, 'Failed to store grade');
-      }
-    }
-  }
-
-  return {
-    success: true,
-    total: submissions.length,
-    graded,
-    failed
-  };
-}
-
 /**
  * Get grading statistics for an assignment
  * @param {Object} fastify - Fastify instance
@@ -254,10 +284,10 @@ async function getAssignmentStats(fastify, assignmentId) {
        COUNT(DISTINCT g.id) as graded_count,
        COUNT(DISTINCT CASE WHEN s.status = 'pending' THEN s.id END) as pending_count,
        COUNT(DISTINCT CASE WHEN s.status = 'failed' THEN s.id END) as failed_count,
-       AVG(g.score) as average_score,
-       MIN(g.score) as min_score,
-       MAX(g.score) as max_score,
-       STDDEV(g.score) as score_stddev
+       AVG(g.percentage) as average_score,
+       MIN(g.percentage) as min_score,
+       MAX(g.percentage) as max_score,
+       STDDEV(g.percentage) as score_stddev
      FROM submissions s
      LEFT JOIN grades g ON g.submission_id = s.id
      WHERE s.assignment_id = $1`,
@@ -276,9 +306,20 @@ async function getAssignmentStats(fastify, assignmentId) {
  * @param {number} [options.totalPoints] - Total points for the assignment
  * @param {string} [options.rubricId] - Rubric ID if available
  * @param {Object} [options.db] - Database connection for fetching rubric
- * @returns {Promise<{score: number, feedback: string, confidence?: number}>}
+ * @param {string} [options.provider] - AI provider name (see ai-provider-service)
+ * @param {Object} [options.submissionFormat] - Uploaded file format (see getSubmissionFormat)
+ * @param {Object} [options.testRun] - Test case results scoring the functionality criterion (see test-runner-service)
+ * @param {Object} [options.ensemble] - Ensemble settings (see ensemble-service; default: a single sample)
+ * @param {Array<Object>} [options.exemplars] - Anonymized instructor-graded examples (see exemplar-service)
+ * @param {Object} [options.promptTemplate] - Prompt template version (see prompt-template-service)
+ * @param {string} [options.instructions] - The assignment's grading instructions
+ * @param {Object} [options.usageRecorder] - Recorder for the AI usage (see ai-usage-service)
+ * @param {boolean} [options.useCache=false] - Use and fill the grading result cache (requires db)
+ * @param {boolean} [options.bypassCache=false] - Call the model even if identical inputs were graded before
+ * @returns {Promise<{score: number, feedback: string, confidence: number|null, cached: boolean, injection: Object}>}
+ *   confidence is null for single-sample grades; injection is the prompt injection scan (see prompt-injection-service)
  */
-async function gradeSubmission({ submissionContent, assignmentDescription, referenceAnswer = '', totalPoints = 100, rubricId, db }) {
+async function gradeSubmission({ submissionContent, assignmentDescription, referenceAnswer = '', totalPoints = 100, rubricId, db, provider, submissionFormat = null, testRun = null, ensemble = null, exemplars = [], promptTemplate = null, instructions = null, usageRecorder = null, useCache = false, bypassCache = false }) {
   // Check if content is a placeholder (file not properly extracted)
   if (!submissionContent || submissionContent.trim().length === 0) {
     throw new Error('Submission content is empty. Unable to grade.');
@@ -306,29 +347,139 @@ async function gradeSubmission({ submissionContent, assignmentDescription, refer
     }
   }
 
+  const applied = testRun ? testRunnerService.applyTestRun(rubricCriteria, totalPoints, testRun) : null;
+
   try {
-    const result = await openaiService.gradeSubmission({
+    const injection = await promptInjectionService.scanSubmission(submissionContent, { provider, usageRecorder });
+    const params = {
       studentAnswer: submissionContent,
       referenceAnswer: referenceAnswer,
-      rubric: rubricCriteria,
+      rubric: applied ? applied.rubric : rubricCriteria,
       assignmentDescription: assignmentDescription || '',
-      totalPoints
-    });
+      totalPoints: applied ? applied.totalPoints : totalPoints,
+      provider,
+      submissionFormat,
+      testSummary: applied?.testSummary,
+      exemplars,
+      promptTemplate,
+      instructions,
+      usageRecorder
+    };
+    const config = ensemble || ensembleService.getEnsembleConfig({ ensemble_samples: 1 });
+    let result = useCache && db
+      ? await gradingCacheService.gradeWithCache(db, params, config, { bypass: bypassCache })
+      : await ensembleService.gradeEnsemble(params, config);
+
+    if (applied) {
+      result = testRunnerService.combineResult(result, applied);
+    }
 
     return {
       score: result.score,
       feedback: result.feedback,
-      confidence: 1.0
+      confidence: result.confidence,
+      cached: Boolean(result.ai_response?.cache),
+      injection
     };
   } catch (error) {
-    // Fallback: if OpenAI fails, throw error to let caller handle it
+    // Fallback: if the AI provider fails, throw error to let caller handle it
     throw new Error(`AI grading failed: ${error.message}`);
   }
 }
 
+/**
+ * Estimate the AI cost of grading submissions of an assignment
+ * Counts the prompt tokens of each submission and every ensemble sample;
+ * test runs, prompt injection model checks and re-prompts after invalid
+ * responses are not included.
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Array<string>} submissionIds - Submissions to grade
+ * @returns {Promise<Object>} Token and cost estimate with the course's budget status
+ */
+async function estimateGradingCost(fastify, assignmentId, submissionIds) {
+  const assignmentResult = await fastify.db.query(
+    `SELECT a.*, r.criteria as rubric_criteria, c.ai_provider as course_ai_provider
+     FROM assignments a
+     LEFT JOIN courses c ON a.course_id = c.id
+     LEFT JOIN rubrics r ON a.rubric_id = r.id
+     WHERE a.id = $1`,
+    [assignmentId]
+  );
+
+  if (assignmentResult.rows.length === 0) {
+    throw new Error('Assignment not found');
+  }
+
+  const assignment = assignmentResult.rows[0];
+  const submissionsResult = await fastify.db.query(
+    'SELECT id, student_id, content FROM submissions WHERE assignment_id = $1 AND id = ANY($2::uuid[])',
+    [assignmentId, submissionIds]
+  );
+
+  const provider = aiProviderService.resolveProviderName(assignment.ai_provider, assignment.course_ai_provider);
+  const models = ensembleService.planSamples(ensembleService.getEnsembleConfig(assignment), provider)
+    .map(name => aiProviderService.getProvider(name).models.grading);
+  const exemplars = await exemplarService.loadPromptExemplars(fastify, assignmentId);
+  const promptTemplate = await promptTemplateService.resolveTemplate(fastify.db, 'submission', assignment.prompt_template_id);
+  const rubric = assignment.rubric_criteria || {};
+
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let cost = 0;
+  let priced = true;
+
+  for (const submission of submissionsResult.rows) {
+    // Files are extracted at grading time; until then their size is unknown
+    const content = submission.content || '';
+    const { systemPrompt, userPrompt } = openaiService.buildSubmissionPrompt({
+      studentAnswer: content,
+      rubric,
+      assignmentDescription: assignment.description || '',
+      referenceAnswer: assignment.reference_text_extracted || assignment.reference_answer || '',
+      totalPoints: assignment.total_points || 100,
+      exemplars: exemplarService.exemplarsForSubmission(exemplars, submission),
+      promptTemplate,
+      instructions: assignment.grading_instructions
+    });
+    const tokens = aiUsageService.estimateSubmissionTokens({
+      prompt: `${systemPrompt}\n${userPrompt}`,
+      content,
+      criteriaCount: Object.keys(rubric).length
+    });
+
+    for (const model of models) {
+      promptTokens += tokens.prompt_tokens;
+      completionTokens += tokens.completion_tokens;
+      const sampleCost = aiUsageService.estimateCost(model, tokens.prompt_tokens, tokens.completion_tokens);
+      if (sampleCost === null) {
+        priced = false;
+      } else {
+        cost += sampleCost;
+      }
+    }
+  }
+
+  const budget = assignment.course_id ? await aiUsageService.getBudgetStatus(fastify.db, assignment.course_id) : null;
+  const estimatedCost = Math.round(cost * 1e4) / 1e4;
+
+  return {
+    submissions: submissionsResult.rows.length,
+    samples_per_submission: models.length,
+    models: [...new Set(models)],
+    estimated_prompt_tokens: promptTokens,
+    estimated_completion_tokens: completionTokens,
+    estimated_cost: estimatedCost,
+    priced,
+    budget,
+    exceeds_budget: Boolean(budget && budget.budget !== null && estimatedCost > budget.remaining)
+  };
+}
+
 module.exports = {
   gradeSubmissionById,
-  batchGradeAssignment,
+  estimateGradingCost,
   getAssignmentStats,
-  gradeSubmission
+  gradeSubmission,
+  getSubmissionFormat
 };
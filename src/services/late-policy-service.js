@@ -0,0 +1,154 @@
+/**
+ * Late Policy Service
+ * Late penalty policies and their evaluation at submission time
+ *
+ * A policy deducts deduction_percent of the assignment's points for every
+ * started hour or day past the due date (after grace_minutes), up to
+ * max_deduction_percent. Past cutoff_hours after the due date nothing is accepted.
+ */
+
+const INTERVAL_MINUTES = {
+  hour: 60,
+  day: 24 * 60
+};
+
+const DEFAULT_POLICY = {
+  grace_minutes: 0,
+  deduction_percent: 0,
+  deduction_interval: 'day',
+  max_deduction_percent: 100,
+  cutoff_hours: null
+};
+
+// JSON schema for late_policy request fields (null clears the policy)
+const latePolicySchema = {
+  type: ['object', 'null'],
+  properties: {
+    grace_minutes: { type: 'integer', minimum: 0 },
+    deduction_percent: { type: 'number', minimum: 0, maximum: 100 },
+    deduction_interval: { type: 'string', enum: Object.keys(INTERVAL_MINUTES) },
+    max_deduction_percent: { type: 'number', minimum: 0, maximum: 100 },
+    cutoff_hours: { type: ['number', 'null'], minimum: 0 }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Fill in defaults for a stored policy
+ * @param {Object|null} policy - Stored policy
+ * @returns {Object|null} Complete policy, or null when there is none
+ */
+function normalizePolicy(policy) {
+  if (!policy) return null;
+  return { ...DEFAULT_POLICY, ...policy };
+}
+
+/**
+ * Pick the policy that applies to an assignment
+ * @param {Object|null} assignmentPolicy - assignments.late_policy
+ * @param {Object|null} coursePolicy - courses.late_policy
+ * @returns {Object|null} Effective policy
+ */
+function resolvePolicy(assignmentPolicy, coursePolicy) {
+  return normalizePolicy(assignmentPolicy || coursePolicy || null);
+}
+
+/**
+ * Deduction for a submission a number of minutes past the due date
+ * @param {Object|null} policy - Effective policy
+ * @param {number} minutesLate - Minutes past the due date
+ * @returns {number} Deduction as a percent of points possible
+ */
+function calculatePenaltyPercent(policy, minutesLate) {
+  const effective = normalizePolicy(policy);
+  if (!effective || minutesLate <= effective.grace_minutes) {
+    return 0;
+  }
+
+  const intervalMinutes = INTERVAL_MINUTES[effective.deduction_interval] || INTERVAL_MINUTES.day;
+  const intervals = Math.ceil((minutesLate - effective.grace_minutes) / intervalMinutes);
+  const percent = Math.min(effective.max_deduction_percent, intervals * effective.deduction_percent);
+
+  return Math.round(Math.min(100, percent) * 100) / 100;
+}
+
+/**
+ * Decide whether a submission is accepted and what it costs
+ * @param {Object} params - Submission context
+ * @param {Date|string|null} params.dueDate - Due date (null = no due date)
+ * @param {boolean} [params.allowLate=true] - assignments.allow_late_submissions
+ * @param {Object|null} [params.policy] - Effective late policy
+ * @param {Date} [params.submittedAt] - Submission time
+ * @returns {{accepted: boolean, isLate: boolean, minutesLate: number, penaltyPercent: number, code?: string, message?: string}}
+ */
+function evaluateSubmission({ dueDate, allowLate = true, policy = null, submittedAt = new Date() }) {
+  if (!dueDate) {
+    return { accepted: true, isLate: false, minutesLate: 0, penaltyPercent: 0 };
+  }
+
+  const minutesLate = Math.max(0, Math.ceil((new Date(submittedAt) - new Date(dueDate)) / 60000));
+  if (minutesLate === 0) {
+    return { accepted: true, isLate: false, minutesLate: 0, penaltyPercent: 0 };
+  }
+
+  const effective = normalizePolicy(policy);
+
+  if (allowLate === false && minutesLate > (effective ? effective.grace_minutes : 0)) {
+    return {
+      accepted: false,
+      isLate: true,
+      minutesLate,
+      penaltyPercent: 0,
+      code: 'LATE_SUBMISSION_NOT_ALLOWED',
+      message: 'The due date has passed and late submissions are not accepted'
+    };
+  }
+
+  if (effective && effective.cutoff_hours !== null && effective.cutoff_hours !== undefined &&
+      minutesLate > effective.cutoff_hours * 60) {
+    return {
+      accepted: false,
+      isLate: true,
+      minutesLate,
+      penaltyPercent: 0,
+      code: 'SUBMISSION_CUTOFF_PASSED',
+      message: 'The late submission cutoff for this assignment has passed'
+    };
+  }
+
+  return {
+    accepted: true,
+    isLate: true,
+    minutesLate,
+    penaltyPercent: calculatePenaltyPercent(effective, minutesLate)
+  };
+}
+
+/**
+ * Load the effective policy for an assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Object|null>} Effective policy
+ */
+async function getPolicyForAssignment(fastify, assignmentId) {
+  const result = await fastify.db.query(
+    `SELECT a.late_policy, c.late_policy as course_late_policy
+     FROM assignments a
+     LEFT JOIN courses c ON a.course_id = c.id
+     WHERE a.id = $1`,
+    [assignmentId]
+  );
+
+  if (result.rows.length === 0) return null;
+  return resolvePolicy(result.rows[0].late_policy, result.rows[0].course_late_policy);
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  latePolicySchema,
+  normalizePolicy,
+  resolvePolicy,
+  calculatePenaltyPercent,
+  evaluateSubmission,
+  getPolicyForAssignment
+};
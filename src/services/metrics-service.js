@@ -27,6 +27,13 @@ class MetricsService {
       signups: 0
     };
 
+    // AI grading result cache (see grading-cache-service)
+    this.gradingCache = {
+      hits: 0,
+      misses: 0,
+      bypassed: 0
+    };
+
     // Error tracking
     this.errors = [];
     this.maxErrorsStored = 1000;
@@ -101,6 +108,16 @@ class MetricsService {
     logger.info('User action', { action, ...metadata });
   }
 
+  /**
+   * Record a grading cache lookup
+   * @param {string} outcome - 'hit', 'miss' or 'bypass'
+   */
+  recordGradingCache(outcome) {
+    if (outcome === 'hit') this.gradingCache.hits++;
+    else if (outcome === 'miss') this.gradingCache.misses++;
+    else if (outcome === 'bypass') this.gradingCache.bypassed++;
+  }
+
   /**
    * Record error for tracking
    * @param {Error} error - Error object
@@ -241,6 +258,12 @@ class MetricsService {
           : '0ms'
       },
       userActions: { ...this.userActions },
+      gradingCache: {
+        ...this.gradingCache,
+        hitRate: this.gradingCache.hits + this.gradingCache.misses > 0
+          ? `${((this.gradingCache.hits / (this.gradingCache.hits + this.gradingCache.misses)) * 100).toFixed(2)}%`
+          : '0%'
+      },
       memory: process.memoryUsage(),
       timestamp: new Date().toISOString()
     };
@@ -272,7 +295,7 @@ class MetricsService {
     this.apiMetrics.errors.clear();
     this.apiMetrics.statusCodes.clear();
     
-    // Keep user actions as cumulative
+    // Keep user actions and grading cache counters as cumulative
     this.lastReset = Date.now();
     
     logger.info('Metrics reset');
@@ -0,0 +1,525 @@
+/**
+ * OCR Service
+ * Text recognition for image-based (scanned) PDF submissions
+ *
+ * When a submitted PDF has no text layer, grading queues it here instead of
+ * failing. A background worker rasterizes the pages with pdf-parse, recognizes
+ * them with tesseract.js and stores the text with per-page confidence. The
+ * instructor checks (and may correct) the text; approving it copies it to the
+ * submission and queues AI grading.
+ *
+ * Items are leased with SELECT ... FOR UPDATE SKIP LOCKED like grading job items.
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+const OCR_STATUSES = ['queued', 'processing', 'completed', 'approved', 'failed'];
+
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+const MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 20;
+// Render at twice the PDF's size; small handwriting is unreadable at 72 dpi
+const RENDER_SCALE = 2;
+const LEASE_SECONDS = parseInt(process.env.OCR_LEASE_SECONDS) || 600;
+const RETRY_BASE_SECONDS = 60;
+// Mean page confidence (0-100) at or above which OCR text is used without instructor review
+const AUTO_APPROVE_CONFIDENCE = process.env.OCR_AUTO_APPROVE_CONFIDENCE
+  ? parseFloat(process.env.OCR_AUTO_APPROVE_CONFIDENCE)
+  : null;
+
+// One tesseract worker per process, created on first use; loading the model is slow
+let tesseractWorker = null;
+
+/**
+ * Render PDF pages to PNG images
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} [options] - Render options
+ * @param {number} [options.maxPages] - Pages to render from the start of the document
+ * @param {number} [options.scale] - Render scale
+ * @returns {Promise<Array<{pageNumber: number, data: Buffer}>>}
+ */
+async function rasterizePdf(pdfBuffer, { maxPages = MAX_PAGES, scale = RENDER_SCALE } = {}) {
+  const { PDFParse } = require('pdf-parse');
+  const parser = new PDFParse({ data: pdfBuffer });
+
+  try {
+    const result = await parser.getScreenshot({
+      first: maxPages,
+      scale,
+      imageBuffer: true,
+      imageDataUrl: false
+    });
+
+    return result.pages.map(page => ({
+      pageNumber: page.pageNumber,
+      data: Buffer.from(page.data)
+    }));
+  } finally {
+    await parser.destroy();
+  }
+}
+
+/**
+ * Get the shared tesseract worker
+ * tesseract.js reports language download failures only through errorHandler,
+ * so that is turned into a rejection here
+ * @returns {Promise<Object>} Tesseract worker
+ */
+async function getTesseractWorker() {
+  if (!tesseractWorker) {
+    const { createWorker } = require('tesseract.js');
+
+    let fail;
+    const failed = new Promise((resolve, reject) => { fail = reject; });
+    failed.catch(() => {});
+
+    const options = {
+      errorHandler: (err) => fail(err instanceof Error ? err : new Error(String(err)))
+    };
+    if (process.env.OCR_LANG_PATH) {
+      options.langPath = process.env.OCR_LANG_PATH;
+    }
+
+    tesseractWorker = Promise.race([createWorker(OCR_LANGUAGE, 1, options), failed])
+      .catch((err) => {
+        tesseractWorker = null;
+        throw new Error(`OCR engine could not be started: ${err.message}`);
+      });
+  }
+
+  return tesseractWorker;
+}
+
+/**
+ * Stop the shared tesseract worker
+ * @returns {Promise<void>}
+ */
+async function terminateTesseract() {
+  if (!tesseractWorker) return;
+
+  const pending = tesseractWorker;
+  tesseractWorker = null;
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch (err) {
+    // Never started
+  }
+}
+
+/**
+ * Recognize the text on rendered pages
+ * @param {Array<{pageNumber: number, data: Buffer}>} images - Page images
+ * @returns {Promise<Array<{page: number, text: string, confidence: number}>>} Confidence is 0-100
+ */
+async function recognizePages(images) {
+  const worker = await getTesseractWorker();
+  const pages = [];
+
+  // Pages go one at a time; OCR is CPU-bound
+  for (const image of images) {
+    const { data } = await worker.recognize(image.data);
+    pages.push({
+      page: image.pageNumber,
+      text: (data.text || '').trim(),
+      confidence: Math.round((data.confidence || 0) * 100) / 100
+    });
+  }
+
+  return pages;
+}
+
+/**
+ * Combine per-page results into the submission text and confidence summary
+ * @param {Array<{page: number, text: string, confidence: number}>} pages - Page results
+ * @returns {{text: string, meanConfidence: number|null, minConfidence: number|null}}
+ */
+function summarizePages(pages) {
+  if (!pages || pages.length === 0) {
+    return { text: '', meanConfidence: null, minConfidence: null };
+  }
+
+  const confidences = pages.map(p => p.confidence);
+  const mean = confidences.reduce((sum, c) => sum + c, 0) / confidences.length;
+
+  return {
+    text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+    meanConfidence: Math.round(mean * 100) / 100,
+    minConfidence: Math.min(...confidences)
+  };
+}
+
+/**
+ * Check whether OCR text may be used for grading without instructor review
+ * @param {{text: string, meanConfidence: number|null}} summary - From summarizePages
+ * @param {number|null} [threshold] - Minimum mean confidence (null = always review)
+ * @returns {boolean}
+ */
+function shouldAutoApprove(summary, threshold = AUTO_APPROVE_CONFIDENCE) {
+  return threshold !== null && !!summary.text && summary.meanConfidence !== null &&
+    summary.meanConfidence >= threshold;
+}
+
+/**
+ * Queue OCR for a submission (no-op if it already has an OCR record)
+ * @param {Object} fastify - Fastify instance
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Object>} OCR record
+ */
+async function requestOcr(fastify, submissionId) {
+  const inserted = await fastify.db.query(
+    `INSERT INTO submission_ocr (submission_id, language)
+     VALUES ($1, $2)
+     ON CONFLICT (submission_id) DO NOTHING
+     RETURNING *`,
+    [submissionId, OCR_LANGUAGE]
+  );
+
+  if (inserted.rows.length > 0) {
+    logger.info({ submissionId }, 'Submission PDF has no text layer, queued for OCR');
+    return inserted.rows[0];
+  }
+
+  return getOcr(fastify, submissionId);
+}
+
+/**
+ * Get the OCR record of a submission
+ * @param {Object} fastify - Fastify instance
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getOcr(fastify, submissionId) {
+  const result = await fastify.db.query(
+    'SELECT * FROM submission_ocr WHERE submission_id = $1',
+    [submissionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List OCR records for an instructor's review
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.instructorId] - Only this instructor's assignments
+ * @param {string} [filters.assignmentId] - Only this assignment
+ * @param {string} [filters.status] - Only records in this state
+ * @returns {Promise<Array>} Records without page text, lowest confidence first
+ */
+async function listOcr(fastify, { instructorId, assignmentId, status } = {}) {
+  const conditions = [];
+  const params = [];
+
+  const filters = [
+    ['a.instructor_id', instructorId],
+    ['a.id', assignmentId],
+    ['o.status', status]
+  ];
+  for (const [column, value] of filters) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  }
+
+  const result = await fastify.db.query(
+    `SELECT o.id, o.submission_id, o.status, o.language, o.mean_confidence, o.min_confidence,
+            jsonb_array_length(COALESCE(o.pages, '[]'::jsonb)) as page_count,
+            o.attempts, o.last_error, o.approved_by, o.approved_at, o.created_at, o.completed_at,
+            s.version as submission_version, st.name as student_name,
+            a.id as assignment_id, a.title as assignment_title
+     FROM submission_ocr o
+     JOIN submissions s ON o.submission_id = s.id
+     JOIN students st ON s.student_id = st.id
+     JOIN assignments a ON s.assignment_id = a.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY o.mean_confidence ASC NULLS LAST, o.created_at ASC`,
+    params
+  );
+
+  return result.rows;
+}
+
+/**
+ * Lease OCR items that are ready to run
+ * Also reclaims items whose lease expired
+ * @param {Object} fastify - Fastify instance
+ * @param {string} workerId - Worker identifier
+ * @param {number} limit - Maximum items to lease
+ * @returns {Promise<Array>} Leased items
+ */
+async function claimItems(fastify, workerId, limit) {
+  const result = await fastify.db.query(
+    `WITH claimable AS (
+       SELECT id
+       FROM submission_ocr
+       WHERE attempts < max_attempts
+         AND (
+           (status = 'queued' AND next_attempt_at <= NOW())
+           OR (status = 'processing' AND locked_until < NOW())
+         )
+       ORDER BY next_attempt_at ASC, created_at ASC
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED
+     )
+     UPDATE submission_ocr o
+     SET status = 'processing',
+         attempts = o.attempts + 1,
+         locked_by = $1,
+         locked_until = NOW() + make_interval(secs => $3)
+     FROM claimable c
+     WHERE o.id = c.id
+     RETURNING o.*`,
+    [workerId, limit, LEASE_SECONDS]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Fail items whose lease expired on their final attempt
+ * @param {Object} fastify - Fastify instance
+ * @returns {Promise<number>} Items failed
+ */
+async function failExpiredItems(fastify) {
+  const result = await fastify.db.query(
+    `UPDATE submission_ocr
+     SET status = 'failed', locked_by = NULL, locked_until = NULL,
+         last_error = COALESCE(last_error, 'OCR did not finish before the lease expired')
+     WHERE status = 'processing' AND locked_until < NOW() AND attempts >= max_attempts`
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Approve OCR text for grading; the (possibly corrected) text becomes the submission content
+ * @param {Object} fastify - Fastify instance
+ * @param {string} submissionId - Submission UUID
+ * @param {Object} params - Approval details
+ * @param {string|null} params.userId - Approving instructor (null when auto-approved)
+ * @param {string} [params.text] - Corrected text (defaults to the recognized text)
+ * @returns {Promise<Object|null>} Approved record, or null if there is no text to approve
+ */
+async function approveOcr(fastify, submissionId, { userId, text }) {
+  return fastify.db.transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE submission_ocr
+       SET status = 'approved', text = COALESCE($2, text), approved_by = $3, approved_at = NOW()
+       WHERE submission_id = $1
+         AND (status = 'completed' OR ($2::text IS NOT NULL AND status IN ('failed', 'approved')))
+       RETURNING *`,
+      [submissionId, text ?? null, userId]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].text) {
+      return null;
+    }
+
+    await client.query(
+      'UPDATE submissions SET content = $1 WHERE id = $2',
+      [result.rows[0].text, submissionId]
+    );
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Queue AI grading of a submission whose OCR text was approved
+ * @param {Object} fastify - Fastify instance
+ * @param {string} submissionId - Submission UUID
+ * @param {string|null} userId - User who approved the text
+ * @returns {Promise<Object|null>} Grading job, or null when AI grading is off for the assignment
+ */
+async function queueGrading(fastify, submissionId, userId) {
+  const result = await fastify.db.query(
+    `SELECT s.assignment_id, a.ai_grading_enabled
+     FROM submissions s
+     JOIN assignments a ON s.assignment_id = a.id
+     WHERE s.id = $1`,
+    [submissionId]
+  );
+
+  const submission = result.rows[0];
+  if (!submission || submission.ai_grading_enabled === false) {
+    return null;
+  }
+
+  // Required here: the grading queue depends on grading-service, which depends on this service
+  const gradingQueueService = require('./grading-queue-service');
+  return gradingQueueService.enqueueSubmission(fastify, {
+    assignmentId: submission.assignment_id,
+    submissionId,
+    userId
+  });
+}
+
+/**
+ * Send a failed (or finished) OCR record back to the queue
+ * @param {Object} fastify - Fastify instance
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Object|null>} Re-queued record, or null if it is queued, running or approved
+ */
+async function retryOcr(fastify, submissionId) {
+  const result = await fastify.db.query(
+    `UPDATE submission_ocr
+     SET status = 'queued', attempts = 0, next_attempt_at = NOW(), last_error = NULL,
+         locked_by = NULL, locked_until = NULL, completed_at = NULL
+     WHERE submission_id = $1 AND status IN ('failed', 'completed')
+     RETURNING *`,
+    [submissionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Run OCR for one leased item
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} item - Leased item (from claimItems)
+ * @returns {Promise<string>} Resulting status
+ */
+async function processItem(fastify, item) {
+  try {
+    const submissionResult = await fastify.db.query(
+      'SELECT pdf_url FROM submissions WHERE id = $1',
+      [item.submission_id]
+    );
+    const pdfUrl = submissionResult.rows[0]?.pdf_url;
+    if (!pdfUrl) {
+      throw new Error('Submission has no PDF');
+    }
+
+    const UPLOAD_DIR = process.env.UPLOAD_DIR || './uploads';
+    const pdfPath = path.join(UPLOAD_DIR, pdfUrl.replace(/^\/api\/v1\/files\//, ''));
+    const pdfBuffer = await fs.readFile(pdfPath);
+
+    const images = await rasterizePdf(pdfBuffer);
+    const pages = await recognizePages(images);
+    const summary = summarizePages(pages);
+
+    if (!summary.text) {
+      throw new Error('No text was recognized in the PDF');
+    }
+
+    await fastify.db.query(
+      `UPDATE submission_ocr
+       SET status = 'completed', pages = $3, text = $4, mean_confidence = $5, min_confidence = $6,
+           last_error = NULL, locked_by = NULL, locked_until = NULL, completed_at = NOW()
+       WHERE id = $1 AND locked_by = $2 AND status = 'processing'`,
+      [item.id, item.locked_by, JSON.stringify(pages), summary.text, summary.meanConfidence, summary.minConfidence]
+    );
+
+    logger.info(
+      { submissionId: item.submission_id, pages: pages.length, meanConfidence: summary.meanConfidence },
+      'OCR completed'
+    );
+
+    if (shouldAutoApprove(summary)) {
+      await approveOcr(fastify, item.submission_id, { userId: null });
+      await queueGrading(fastify, item.submission_id, null);
+      return 'approved';
+    }
+
+    return 'completed';
+  } catch (error) {
+    const finalAttempt = item.attempts >= item.max_attempts;
+    logger.warn(
+      { submissionId: item.submission_id, attempt: item.attempts, error: error.message },
+      finalAttempt ? 'OCR failed' : 'OCR failed, will retry'
+    );
+
+    await fastify.db.query(
+      `UPDATE submission_ocr
+       SET status = $3::varchar, last_error = $4,
+           next_attempt_at = NOW() + make_interval(secs => $5::int),
+           locked_by = NULL, locked_until = NULL
+       WHERE id = $1 AND locked_by = $2 AND status = 'processing'`,
+      [
+        item.id, item.locked_by, finalAttempt ? 'failed' : 'queued', error.message,
+        RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, item.attempts - 1))
+      ]
+    );
+
+    return finalAttempt ? 'failed' : 'queued';
+  }
+}
+
+/**
+ * Start an in-process worker that polls for OCR items
+ * Items run one at a time; OCR is CPU-bound
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} [options] - Worker options
+ * @param {number} [options.pollIntervalMs=5000] - Delay between polls when idle
+ * @returns {{id: string, stop: Function}} Worker handle; stop() resolves once the current item finishes
+ */
+function startWorker(fastify, { pollIntervalMs = 5000 } = {}) {
+  const workerId = `${os.hostname()}:${process.pid}:ocr-${uuidv4().slice(0, 8)}`;
+  let stopped = false;
+  let timer = null;
+  let currentTick = null;
+
+  async function tick() {
+    try {
+      await failExpiredItems(fastify);
+
+      const items = await claimItems(fastify, workerId, 1);
+      for (const item of items) {
+        await processItem(fastify, item);
+      }
+
+      return items.length;
+    } catch (error) {
+      logger.error({ workerId, error: error.message }, 'OCR worker poll failed');
+      return 0;
+    }
+  }
+
+  function schedule(delay) {
+    if (stopped) return;
+    timer = setTimeout(async () => {
+      currentTick = tick();
+      const processed = await currentTick;
+      currentTick = null;
+      schedule(processed > 0 ? 0 : pollIntervalMs);
+    }, delay);
+  }
+
+  schedule(0);
+  logger.info({ workerId }, 'OCR worker started');
+
+  return {
+    id: workerId,
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      if (currentTick) {
+        await currentTick;
+      }
+      await terminateTesseract();
+      logger.info({ workerId }, 'OCR worker stopped');
+    }
+  };
+}
+
+module.exports = {
+  OCR_STATUSES,
+  rasterizePdf,
+  recognizePages,
+  summarizePages,
+  shouldAutoApprove,
+  requestOcr,
+  getOcr,
+  listOcr,
+  claimItems,
+  approveOcr,
+  queueGrading,
+  retryOcr,
+  processItem,
+  startWorker
+};
@@ -0,0 +1,307 @@
+/**
+ * Prompt Template Service
+ * Versioned grading prompts stored in the database, with {{placeholder}}
+ * variables filled in at grading time
+ *
+ * Versions are immutable; saving a change creates the next version. The
+ * active version of a task is used unless an assignment pins one. Without
+ * any stored versions the built-in template (version 0) is used.
+ */
+
+const TEMPLATE_TASKS = ['submission'];
+
+// Variables a template of each task may use
+const TEMPLATE_VARIABLES = {
+  submission: [
+    'assignment_description', 'rubric', 'reference_section', 'reference_guideline', 'total_points',
+    'examples_section', 'format_note', 'student_submission', 'test_results_section', 'instructions_section'
+  ]
+};
+
+// Variables a template of each task must use
+const REQUIRED_VARIABLES = {
+  submission: ['student_submission']
+};
+
+const PLACEHOLDER = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+const BUILTIN_TEMPLATES = {
+  submission: {
+    id: null,
+    task: 'submission',
+    version: 0,
+    system_prompt: `You are an expert educational grading assistant. Your task is to grade student submissions fairly, consistently, and constructively.
+
+Guidelines:
+1. Evaluate the submission against the provided rubric criteria
+2. Provide specific, actionable feedback for improvement
+3. Be encouraging while maintaining high standards
+4. Score each rubric criterion individually
+5. Provide an overall score and summary feedback
+{{reference_guideline}}
+
+Support each criterion's feedback with 1-3 short quotes from the student submission as evidence, copied exactly, character for character.
+
+Response Format (JSON):
+{
+  "overall_score": <number 0-{{total_points}}>,
+  "percentage": <number 0-100>,
+  "rubric_scores": {
+    "<criterion_name>": {
+      "score": <number>,
+      "max_points": <number>,
+      "feedback": "<specific feedback for this criterion>",
+      "evidence": [{"quote": "<passage copied exactly from the submission>"}]
+    }
+  },
+  "strengths": ["<strength 1>", "<strength 2>"],
+  "areas_for_improvement": ["<area 1>", "<area 2>"],
+  "overall_feedback": "<comprehensive summary feedback>",
+  "suggestions": ["<actionable suggestion 1>", "<actionable suggestion 2>"]
+}{{instructions_section}}`,
+    user_prompt: `Please grade the following student submission.
+
+## Assignment Description
+{{assignment_description}}
+
+## Grading Rubric
+{{rubric}}
+{{reference_section}}
+
+## Total Points Available
+{{total_points}}
+{{examples_section}}
+## Student Submission
+{{format_note}}{{student_submission}}
+{{test_results_section}}
+Please evaluate this submission and provide detailed feedback in the specified JSON format.`
+  }
+};
+
+/**
+ * Placeholders used in a template text
+ * @param {string} text - Template text
+ * @returns {Array<string>} Variable names
+ */
+function listPlaceholders(text) {
+  return [...(text || '').matchAll(PLACEHOLDER)].map(match => match[1]);
+}
+
+/**
+ * Check a template's placeholders
+ * @param {string} task - Template task
+ * @param {Object} template - Template ({ system_prompt, user_prompt })
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateTemplate(task, { system_prompt: systemPrompt, user_prompt: userPrompt }) {
+  const errors = [];
+  const allowed = TEMPLATE_VARIABLES[task] || [];
+  const used = [...listPlaceholders(systemPrompt), ...listPlaceholders(userPrompt)];
+
+  for (const name of new Set(used)) {
+    if (!allowed.includes(name)) {
+      errors.push(`Unknown placeholder {{${name}}}`);
+    }
+  }
+
+  for (const name of REQUIRED_VARIABLES[task] || []) {
+    if (!listPlaceholders(userPrompt).includes(name)) {
+      errors.push(`user_prompt must include {{${name}}}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in a template text's placeholders
+ * Values are inserted in a single pass, so placeholders inside the values
+ * (e.g. in a student's submission) are left as they are.
+ * @param {string} text - Template text
+ * @param {Object} variables - Values by variable name
+ * @returns {string}
+ */
+function renderTemplate(text, variables) {
+  return text.replace(PLACEHOLDER, (match, name) =>
+    (variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : '')
+  );
+}
+
+/**
+ * Section of a system prompt carrying the assignment's instructions
+ * @param {string} [instructions] - Instructor instructions
+ * @returns {string} Empty without instructions
+ */
+function instructionsSection(instructions) {
+  if (!instructions || !instructions.trim()) return '';
+  return `
+
+Instructor instructions for this assignment (follow them unless they conflict with the response format):
+${instructions.trim()}`;
+}
+
+/**
+ * Render a template into system and user prompts
+ * Instructions are appended to the system prompt when the template has no
+ * {{instructions_section}} placeholder.
+ * @param {Object} template - Template ({ system_prompt, user_prompt })
+ * @param {Object} variables - Values by variable name (without instructions_section)
+ * @param {string} [instructions] - Instructor instructions
+ * @returns {{system: string, user: string}}
+ */
+function renderPrompt(template, variables, instructions) {
+  const section = instructionsSection(instructions);
+  const placed = listPlaceholders(template.system_prompt).includes('instructions_section')
+    || listPlaceholders(template.user_prompt).includes('instructions_section');
+  const values = { ...variables, instructions_section: section };
+
+  return {
+    system: `${renderTemplate(template.system_prompt, values)}${placed ? '' : section}`,
+    user: renderTemplate(template.user_prompt, values)
+  };
+}
+
+/**
+ * List stored template versions, newest first
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.task] - Template task
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTemplates(fastify, { task } = {}) {
+  const result = await fastify.db.query(
+    `SELECT t.*, u.name as created_by_name
+     FROM prompt_templates t
+     LEFT JOIN users u ON t.created_by = u.id
+     WHERE ($1::varchar IS NULL OR t.task = $1)
+     ORDER BY t.task, t.version DESC`,
+    [task || null]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a stored template version
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} templateId - Template UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getTemplateById(db, templateId) {
+  const result = await db.query('SELECT * FROM prompt_templates WHERE id = $1', [templateId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Save a template as the next version of its task
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} fields - Template fields
+ * @param {string} fields.task - Template task
+ * @param {string} fields.system_prompt - System prompt template
+ * @param {string} fields.user_prompt - User prompt template
+ * @param {string} [fields.notes] - What changed
+ * @param {boolean} [fields.activate] - Make it the active version
+ * @param {string} userId - User saving the template
+ * @returns {Promise<Object>} Created version
+ */
+async function createTemplate(fastify, { task, system_prompt, user_prompt, notes = null, activate = false }, userId) {
+  return fastify.db.transaction(async (client) => {
+    // Serialize version numbering per task
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`prompt_templates:${task}`]);
+
+    if (activate) {
+      await client.query('UPDATE prompt_templates SET is_active = false WHERE task = $1 AND is_active', [task]);
+    }
+
+    const result = await client.query(
+      `INSERT INTO prompt_templates (task, version, system_prompt, user_prompt, notes, is_active, created_by)
+       VALUES ($1, (SELECT COALESCE(MAX(version), 0) + 1 FROM prompt_templates WHERE task = $1), $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [task, system_prompt, user_prompt, notes, activate, userId]
+    );
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Make a stored version the active one of its task
+ * @param {Object} fastify - Fastify instance
+ * @param {string} templateId - Template UUID
+ * @returns {Promise<Object|null>} Activated version, or null if not found
+ */
+async function activateTemplate(fastify, templateId) {
+  return fastify.db.transaction(async (client) => {
+    const template = await getTemplateById(client, templateId);
+    if (!template) return null;
+
+    await client.query('UPDATE prompt_templates SET is_active = false WHERE task = $1 AND is_active AND id <> $2', [template.task, templateId]);
+    const result = await client.query('UPDATE prompt_templates SET is_active = true WHERE id = $1 RETURNING *', [templateId]);
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Template to grade with: the pinned version, else the active one, else the built-in one
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} task - Template task
+ * @param {string} [pinnedId] - Version pinned by the assignment
+ * @returns {Promise<Object>} Template ({ id, task, version, system_prompt, user_prompt })
+ */
+async function resolveTemplate(db, task, pinnedId = null) {
+  const result = await db.query(
+    `SELECT id, task, version, system_prompt, user_prompt FROM prompt_templates
+     WHERE task = $1 AND (id = $2 OR ($2::uuid IS NULL AND is_active))
+     LIMIT 1`,
+    [task, pinnedId]
+  );
+
+  return result.rows[0] || BUILTIN_TEMPLATES[task];
+}
+
+/**
+ * Prompt settings of an assignment
+ * @param {Object} db - Database connection (fastify.db or a client)
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<{template: Object, instructions: string|null}>}
+ */
+async function getAssignmentPromptSettings(db, assignmentId) {
+  const result = await db.query(
+    'SELECT grading_instructions, prompt_template_id FROM assignments WHERE id = $1',
+    [assignmentId]
+  );
+  const row = result.rows[0] || {};
+
+  return {
+    template: await resolveTemplate(db, 'submission', row.prompt_template_id || null),
+    instructions: row.grading_instructions || null
+  };
+}
+
+/**
+ * Reference to a template for ai_response
+ * @param {Object} template - Template
+ * @returns {{id: string|null, task: string, version: number}}
+ */
+function describeTemplate(template) {
+  return { id: template.id, task: template.task, version: template.version };
+}
+
+module.exports = {
+  TEMPLATE_TASKS,
+  TEMPLATE_VARIABLES,
+  BUILTIN_TEMPLATES,
+  listPlaceholders,
+  validateTemplate,
+  renderTemplate,
+  instructionsSection,
+  renderPrompt,
+  listTemplates,
+  getTemplateById,
+  createTemplate,
+  activateTemplate,
+  resolveTemplate,
+  getAssignmentPromptSettings,
+  describeTemplate
+};
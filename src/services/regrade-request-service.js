@@ -0,0 +1,365 @@
+/**
+ * Regrade Request Service
+ * Student disputes of released grades and their resolution by instructors
+ *
+ * Request states:
+ *   pending   - Filed by the student, waiting for the instructor
+ *   accepted  - Grade changed to what the student asked for
+ *   adjusted  - Grade changed to a value chosen by the instructor
+ *   rejected  - Grade left unchanged
+ *   withdrawn - Cancelled by the student before resolution
+ */
+
+const gradeRevisionService = require('./grade-revision-service');
+const aiResponseService = require('./ai-response-service');
+
+const REQUEST_STATUSES = ['pending', 'accepted', 'rejected', 'adjusted', 'withdrawn'];
+
+// Resolution action -> resulting request status
+const RESOLUTIONS = {
+  accept: 'accepted',
+  adjust: 'adjusted',
+  reject: 'rejected'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Last moment a regrade may be requested for a grade
+ * The window starts when the grade became visible to the student
+ * @param {Object} grade - Grade fields ({ published_at, release_at, graded_at, regrade_window_days })
+ * @returns {Date|null} Deadline, or null when the assignment sets no deadline
+ */
+function getFilingDeadline(grade) {
+  const windowDays = grade.regrade_window_days;
+  if (windowDays === null || windowDays === undefined) {
+    return null;
+  }
+
+  const releasedAt = new Date(grade.published_at || grade.release_at || grade.graded_at);
+  return new Date(releasedAt.getTime() + windowDays * DAY_MS);
+}
+
+/**
+ * Check whether a regrade may still be requested for a grade
+ * @param {Object} grade - Grade fields (see getFilingDeadline)
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+function isFilingOpen(grade, now = new Date()) {
+  if (grade.regrade_window_days === 0) {
+    return false;
+  }
+
+  const deadline = getFilingDeadline(grade);
+  return !deadline || now <= deadline;
+}
+
+/**
+ * Get a grade with what is needed to file a request against it
+ * @param {Object} fastify - Fastify instance
+ * @param {string} gradeId - Grade UUID
+ * @returns {Promise<Object|null>} Grade with student, assignment and rubric details
+ */
+async function getGradeForRequest(fastify, gradeId) {
+  const result = await fastify.db.query(
+    `SELECT g.id, g.status, g.points_earned, g.points_possible, g.rubric_scores,
+            g.graded_at, g.published_at, g.release_at,
+            s.student_id, st.user_id as student_user_id,
+            a.id as assignment_id, a.title as assignment_title, a.regrade_window_days,
+            r.criteria as rubric_criteria
+     FROM grades g
+     JOIN submissions s ON g.submission_id = s.id
+     JOIN students st ON s.student_id = st.id
+     JOIN assignments a ON s.assignment_id = a.id
+     LEFT JOIN rubrics r ON a.rubric_id = r.id
+     WHERE g.id = $1`,
+    [gradeId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Check whether a criterion name exists on a grade or its rubric
+ * @param {Object} grade - Grade from getGradeForRequest
+ * @param {string} criterion - Criterion name
+ * @returns {boolean}
+ */
+function hasCriterion(grade, criterion) {
+  return [grade.rubric_scores, grade.rubric_criteria].some(
+    criteria => !!criteria && Object.prototype.hasOwnProperty.call(criteria, criterion)
+  );
+}
+
+/**
+ * Points a criterion is worth on a grade
+ * @param {Object} grade - Grade fields ({ rubric_scores, rubric_criteria })
+ * @param {string} criterion - Criterion name
+ * @returns {number|null} Criterion maximum, or null when neither the rubric nor the grade gives one
+ */
+function getCriterionMaxPoints(grade, criterion) {
+  for (const criteria of [grade.rubric_criteria, grade.rubric_scores]) {
+    const maxPoints = criteria?.[criterion]?.max_points;
+    if (maxPoints !== null && maxPoints !== undefined && Number.isFinite(Number(maxPoints))) return Number(maxPoints);
+  }
+  return null;
+}
+
+/**
+ * Set one criterion's score and recompute the grade's points from the rubric
+ * The criteria are scaled to the grade's points as in grading; without a
+ * structured rubric, the grade's own criteria with max_points are used.
+ * @param {Object} grade - Grade fields ({ rubric_scores, rubric_criteria, points_possible, grade_points })
+ * @param {string} criterion - Criterion name
+ * @param {number} score - New criterion score (out of getCriterionMaxPoints)
+ * @returns {{rubricScores: Object, pointsEarned: number}}
+ */
+function applyCriterionScore(grade, criterion, score) {
+  const current = grade.rubric_scores?.[criterion];
+  const maxPoints = getCriterionMaxPoints(grade, criterion);
+  const rubricScores = {
+    ...(grade.rubric_scores || {}),
+    [criterion]: {
+      ...(current && typeof current === 'object' && current),
+      score,
+      ...(maxPoints !== null && { max_points: maxPoints })
+    }
+  };
+
+  const criteria = aiResponseService.rubricCriteria(grade.rubric_criteria) ||
+    Object.entries(rubricScores)
+      .filter(([, entry]) => Number(entry?.max_points) > 0)
+      .map(([name, entry]) => ({ name, maxPoints: Number(entry.max_points) }));
+  const pointsEarned = aiResponseService.scaleRubricScore(criteria, rubricScores, Number(grade.points_possible));
+
+  if (pointsEarned === null) {
+    // Nothing to scale by: move the grade by the change in the criterion
+    const previous = Number(current && typeof current === 'object' ? current.score : current) || 0;
+    return { rubricScores, pointsEarned: Math.round((Number(grade.grade_points) + score - previous) * 100) / 100 };
+  }
+
+  return { rubricScores, pointsEarned };
+}
+
+/**
+ * File a regrade request
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} params - Request fields
+ * @param {string} params.gradeId - Grade UUID
+ * @param {string} params.studentId - Student UUID
+ * @param {string} params.justification - Why the grade should change
+ * @param {string} [params.criterion] - Disputed rubric criterion
+ * @param {number} [params.requestedPoints] - Points the student believes are due
+ * @returns {Promise<Object|null>} Request, or null if one is already pending for this grade and criterion
+ */
+async function createRequest(fastify, { gradeId, studentId, justification, criterion = null, requestedPoints = null }) {
+  const result = await fastify.db.query(
+    `INSERT INTO regrade_requests (grade_id, student_id, criterion, justification, requested_points)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (grade_id, COALESCE(criterion, '')) WHERE status = 'pending' DO NOTHING
+     RETURNING *`,
+    [gradeId, studentId, criterion, justification, requestedPoints]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Get a regrade request with its grade, student and assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {string} requestId - Regrade request UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getRequest(fastify, requestId) {
+  const result = await fastify.db.query(
+    `SELECT rr.*, st.name as student_name, st.user_id as student_user_id,
+            g.points_earned, g.points_possible, g.rubric_scores, g.submission_id,
+            a.id as assignment_id, a.title as assignment_title, a.course_id, a.instructor_id
+     FROM regrade_requests rr
+     JOIN grades g ON rr.grade_id = g.id
+     JOIN submissions s ON g.submission_id = s.id
+     JOIN students st ON rr.student_id = st.id
+     JOIN assignments a ON s.assignment_id = a.id
+     WHERE rr.id = $1`,
+    [requestId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * List regrade requests
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} filters - Query filters
+ * @param {string} [filters.instructorId] - Only requests on this instructor's assignments
+ * @param {string} [filters.studentId] - Only this student's requests
+ * @param {string} [filters.assignmentId] - Only requests for this assignment
+ * @param {string} [filters.courseId] - Only requests for assignments in this course
+ * @param {string} [filters.status] - Only requests in this state
+ * @returns {Promise<Array>} Requests, oldest pending first
+ */
+async function listRequests(fastify, { instructorId, studentId, assignmentId, courseId, status } = {}) {
+  const conditions = [];
+  const params = [];
+
+  const filters = [
+    ['a.instructor_id', instructorId],
+    ['rr.student_id', studentId],
+    ['a.id', assignmentId],
+    ['a.course_id', courseId],
+    ['rr.status', status]
+  ];
+  for (const [column, value] of filters) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${column} = $${params.length}`);
+    }
+  }
+
+  const result = await fastify.db.query(
+    `SELECT rr.*, st.name as student_name,
+            g.points_earned, g.points_possible, g.submission_id,
+            a.id as assignment_id, a.title as assignment_title, a.course_id
+     FROM regrade_requests rr
+     JOIN grades g ON rr.grade_id = g.id
+     JOIN submissions s ON g.submission_id = s.id
+     JOIN students st ON rr.student_id = st.id
+     JOIN assignments a ON s.assignment_id = a.id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY CASE rr.status WHEN 'pending' THEN 0 ELSE 1 END, rr.created_at ASC`,
+    params
+  );
+
+  return result.rows;
+}
+
+/**
+ * Resolve a pending request; accepting or adjusting changes the grade and records a revision
+ * @param {Object} fastify - Fastify instance
+ * @param {string} requestId - Regrade request UUID
+ * @param {Object} resolution - Resolution details
+ * @param {string} resolution.action - accept, adjust or reject
+ * @param {string} resolution.userId - Resolving instructor
+ * @param {number} [resolution.pointsEarned] - New points (adjust; accept defaults to the requested points)
+ * @param {Object} [resolution.rubricScores] - Replacement rubric scores
+ *   Accepting a criterion request without either sets that criterion to the
+ *   requested points and recomputes the grade's points from the rubric scores.
+ *   Throws INVALID_SCORE when the new points are outside 0..points_possible.
+ * @param {string} [resolution.note] - Explanation shown to the student
+ * @returns {Promise<{request: Object, grade: Object, revision: Object|null}|null>} Null if the request is no longer pending
+ */
+async function resolveRequest(fastify, requestId, { action, userId, pointsEarned, rubricScores, note = null }) {
+  const status = RESOLUTIONS[action];
+  if (!status) {
+    throw new Error(`Invalid resolution action: ${action}`);
+  }
+
+  return fastify.db.transaction(async (client) => {
+    const current = await client.query(
+      `SELECT rr.*, g.points_earned as grade_points, g.points_possible, g.rubric_scores, r.criteria as rubric_criteria
+       FROM regrade_requests rr
+       JOIN grades g ON rr.grade_id = g.id
+       JOIN submissions s ON g.submission_id = s.id
+       JOIN assignments a ON s.assignment_id = a.id
+       LEFT JOIN rubrics r ON a.rubric_id = r.id
+       WHERE rr.id = $1 AND rr.status = 'pending'
+       FOR UPDATE OF rr`,
+      [requestId]
+    );
+
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const request = current.rows[0];
+    let grade = null;
+    let revision = null;
+
+    if (status !== 'rejected') {
+      let newPoints = pointsEarned ?? request.requested_points;
+      let newRubricScores = rubricScores;
+
+      // requested_points of a criterion request are that criterion's score
+      if (status === 'accepted' && request.criterion && pointsEarned === undefined && !rubricScores) {
+        ({ rubricScores: newRubricScores, pointsEarned: newPoints } = applyCriterionScore(request, request.criterion, request.requested_points));
+      }
+
+      const pointsPossible = Number(request.points_possible);
+      if (!(newPoints >= 0 && newPoints <= pointsPossible)) {
+        const error = new Error(`Points earned must be between 0 and ${pointsPossible}`);
+        error.code = 'INVALID_SCORE';
+        throw error;
+      }
+
+      const gradeResult = await client.query(
+        `UPDATE grades
+         SET points_earned = $1, rubric_scores = COALESCE($2, rubric_scores),
+             graded_by = $3, graded_at = NOW()
+         WHERE id = $4
+         RETURNING *`,
+        [newPoints, newRubricScores ? JSON.stringify(newRubricScores) : null, userId, request.grade_id]
+      );
+      grade = gradeResult.rows[0];
+
+      revision = await gradeRevisionService.recordRevision(client, grade, {
+        source: 'regrade_request',
+        userId,
+        reason: note || `Regrade request ${status}`
+      });
+    }
+
+    const updated = await client.query(
+      `UPDATE regrade_requests
+       SET status = $1, resolution_note = $2, resolved_by = $3, resolved_at = NOW(),
+           points_before = $4, points_after = $5, revision_id = $6
+       WHERE id = $7
+       RETURNING *`,
+      [
+        status,
+        note,
+        userId,
+        request.grade_points,
+        grade ? grade.points_earned : request.grade_points,
+        revision ? revision.id : null,
+        requestId
+      ]
+    );
+
+    return { request: updated.rows[0], grade, revision };
+  });
+}
+
+/**
+ * Withdraw a pending request
+ * @param {Object} fastify - Fastify instance
+ * @param {string} requestId - Regrade request UUID
+ * @param {string} studentId - Student who filed it
+ * @returns {Promise<Object|null>} Updated request, or null if it is not pending
+ */
+async function withdrawRequest(fastify, requestId, studentId) {
+  const result = await fastify.db.query(
+    `UPDATE regrade_requests SET status = 'withdrawn'
+     WHERE id = $1 AND student_id = $2 AND status = 'pending'
+     RETURNING *`,
+    [requestId, studentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  REQUEST_STATUSES,
+  RESOLUTIONS,
+  getFilingDeadline,
+  isFilingOpen,
+  getGradeForRequest,
+  hasCriterion,
+  getCriterionMaxPoints,
+  applyCriterionScore,
+  createRequest,
+  getRequest,
+  listRequests,
+  resolveRequest,
+  withdrawRequest
+};
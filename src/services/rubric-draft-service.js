@@ -0,0 +1,174 @@
+/**
+ * Rubric Draft Service
+ * Drafts a rubric from an assignment's description, question PDF and
+ * reference PDF for the instructor to edit
+ *
+ * Drafts are not stored: the instructor edits the returned rubric and
+ * confirms it, which saves it as an ordinary rubric and attaches it to the
+ * assignment.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const openaiService = require('./openai-service');
+const aiProviderService = require('./ai-provider-service');
+const aiUsageService = require('./ai-usage-service');
+
+// Longest rubric name (see createRubricSchema)
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Build an error with a code for the route to map
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function rubricDraftError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Get an assignment with the sources a rubric is drafted from
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getSources(fastify, assignmentId) {
+  const result = await fastify.db.query(
+    `SELECT id, course_id, title, description, question_text_extracted, reference_text_extracted,
+            reference_answer, total_points, assignment_type, code_language
+     FROM assignments
+     WHERE id = $1`,
+    [assignmentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Rubric type matching an assignment
+ * @param {Object} assignment - Assignment fields (assignment_type, code_language)
+ * @returns {string} essay, coding or quiz
+ */
+function getRubricType(assignment) {
+  if (assignment.assignment_type === 'quiz') return 'quiz';
+  return assignment.code_language ? 'coding' : 'essay';
+}
+
+/**
+ * Check the points of a rubric
+ * Criteria must add up to total_points and no level may be worth more than
+ * its criterion.
+ * @param {Object} rubric - Rubric ({ criteria, total_points })
+ * @returns {Array<string>} Problems (empty when the points are consistent)
+ */
+function checkPoints({ criteria, total_points: totalPoints }) {
+  const problems = [];
+  const sum = Object.values(criteria).reduce((total, criterion) => total + criterion.max_points, 0);
+  if (sum !== totalPoints) {
+    problems.push(`Criteria add up to ${sum} points, not ${totalPoints}`);
+  }
+
+  for (const [name, criterion] of Object.entries(criteria)) {
+    if ((criterion.levels || []).some(level => level.points > criterion.max_points)) {
+      problems.push(`A level of ${name} is worth more than the criterion's ${criterion.max_points} points`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Draft a rubric for an assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} assignment - Assignment from getSources
+ * @param {Object} [options] - Options
+ * @param {string} [options.userId] - Instructor's user ID (recorded with the AI usage)
+ * @returns {Promise<Object>} { rubric, sources, validation }; rubric has the
+ *   fields of POST /api/v1/rubrics
+ */
+async function draftRubric(fastify, assignment, { userId = null } = {}) {
+  const referenceText = assignment.reference_text_extracted || assignment.reference_answer || '';
+  const sources = {
+    description: !!assignment.description?.trim(),
+    question_text_extracted: !!assignment.question_text_extracted?.trim(),
+    reference_text_extracted: !!referenceText.trim()
+  };
+  if (!Object.values(sources).some(Boolean)) {
+    throw rubricDraftError('Add a description, question PDF or reference answer before drafting a rubric', 'RUBRIC_SOURCES_MISSING');
+  }
+
+  await aiUsageService.assertWithinBudget(fastify.db, assignment.id);
+
+  const points = assignment.total_points || 100;
+  const type = getRubricType(assignment);
+  const draft = await openaiService.generateRubricDraft({
+    assignmentDescription: assignment.description || '',
+    questionText: assignment.question_text_extracted || '',
+    referenceText,
+    totalPoints: points,
+    rubricType: type,
+    provider: await aiProviderService.getProviderForAssignment(fastify.db, assignment.id),
+    usageRecorder: aiUsageService.createRecorder(fastify, {
+      courseId: assignment.course_id,
+      assignmentId: assignment.id,
+      userId,
+      purpose: 'rubric_draft'
+    })
+  });
+
+  return {
+    rubric: {
+      name: `${assignment.title} Rubric`.slice(0, MAX_NAME_LENGTH),
+      ...(draft.description && { description: draft.description }),
+      type,
+      criteria: draft.criteria,
+      total_points: points
+    },
+    sources: Object.keys(sources).filter(source => sources[source]),
+    validation: draft.validation
+  };
+}
+
+/**
+ * Save a confirmed rubric and attach it to the assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} rubric - Rubric fields (validated against createRubricSchema)
+ * @param {string} userId - Confirming instructor
+ * @returns {Promise<Object>} Saved rubric
+ */
+async function saveRubric(fastify, assignmentId, rubric, userId) {
+  const problems = checkPoints(rubric);
+  if (problems.length > 0) {
+    throw rubricDraftError(problems.join('; '), 'RUBRIC_POINTS_MISMATCH');
+  }
+
+  return fastify.db.transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO rubrics (id, name, description, type, criteria, total_points, is_template, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+       RETURNING *`,
+      [
+        uuidv4(), rubric.name, rubric.description || null, rubric.type || 'other', JSON.stringify(rubric.criteria),
+        rubric.total_points, rubric.is_template || false, userId
+      ]
+    );
+
+    await client.query(
+      'UPDATE assignments SET rubric_id = $1, updated_at = NOW() WHERE id = $2',
+      [result.rows[0].id, assignmentId]
+    );
+
+    return result.rows[0];
+  });
+}
+
+module.exports = {
+  getSources,
+  getRubricType,
+  checkPoints,
+  draftRubric,
+  saveRubric
+};
@@ -0,0 +1,270 @@
+/**
+ * Sandbox Service
+ * Runs untrusted student programs in child processes
+ *
+ * Each run gets a fresh temporary directory, an empty environment, CPU time,
+ * memory, file size and process limits (ulimit) and a wall-clock timeout.
+ * With SANDBOX_ISOLATION=bwrap (the default) the program runs in bubblewrap:
+ * new user, PID, network and IPC namespaces and a mount namespace whose root
+ * holds only read-only system directories (and SANDBOX_READONLY_PATHS) plus
+ * the run's directory, which is the only writable place. The server's files,
+ * its .env and other students' uploads are not visible to the program. When
+ * the server runs as root, the program also runs under SANDBOX_UID/SANDBOX_GID
+ * (default 65534, nobody). SANDBOX_ISOLATION=none runs the program as the
+ * server's user with the limits only; use it for local development, never
+ * with real submissions.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const MEMORY_LIMIT_MB = parseInt(process.env.SANDBOX_MEMORY_LIMIT_MB) || 512;
+const MAX_OUTPUT_BYTES = parseInt(process.env.SANDBOX_MAX_OUTPUT_BYTES) || 64 * 1024;
+const MAX_PROCESSES = parseInt(process.env.SANDBOX_MAX_PROCESSES) || 64;
+const ISOLATION = process.env.SANDBOX_ISOLATION || 'bwrap';
+const UID = parseInt(process.env.SANDBOX_UID) || 65534;
+const GID = parseInt(process.env.SANDBOX_GID) || 65534;
+
+// Where the run's directory is mounted inside the sandbox
+const SANDBOX_DIR = '/sandbox';
+
+// Read-only system directories the interpreters need (missing ones are skipped)
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib64', '/etc/alternatives', '/etc/ld.so.cache'];
+const READONLY_PATHS = (process.env.SANDBOX_READONLY_PATHS || '').split(':').filter(Boolean);
+
+// What the interpreters print when an allocation fails under the memory limit
+const OUT_OF_MEMORY = /^MemoryError\b|JavaScript heap out of memory|Cannot allocate memory/m;
+
+// Interpreter per language; the program file is appended to the arguments
+const LANGUAGES = {
+  python: {
+    file: 'main.py',
+    command: process.env.SANDBOX_PYTHON || 'python3',
+    // Isolated mode: ignore PYTHON* variables and the user site directory
+    args: ['-I']
+  },
+  javascript: {
+    file: 'main.js',
+    command: process.env.SANDBOX_NODE || 'node',
+    // V8 reserves far more address space than it uses, so its heap is capped here instead of by ulimit -v
+    args: [`--max-old-space-size=${MEMORY_LIMIT_MB}`],
+    limitAddressSpace: false
+  }
+};
+
+/**
+ * Check whether a language can be run in the sandbox
+ * @param {string} language - Language name
+ * @returns {boolean}
+ */
+function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+}
+
+/**
+ * Build the command line for a sandboxed run
+ * @param {Object} config - Language config from LANGUAGES
+ * @param {string} workDir - The run's directory (holds the program file)
+ * @param {number} timeLimitMs - Wall-clock limit, also used for the CPU limit
+ * @param {string} [isolation] - bwrap or none (default: SANDBOX_ISOLATION)
+ * @returns {{command: string, args: Array<string>, cwd: string}} cwd is the
+ *   run's directory as the program sees it
+ */
+function buildCommand(config, workDir, timeLimitMs, isolation = ISOLATION) {
+  const limits = [
+    `ulimit -t ${Math.ceil(timeLimitMs / 1000) + 1}`,
+    'ulimit -f 10240',
+    'ulimit -c 0'
+  ];
+  if (config.limitAddressSpace !== false) {
+    limits.push(`ulimit -v ${MEMORY_LIMIT_MB * 1024}`);
+  }
+
+  if (isolation === 'none') {
+    const shellArgs = ['-c', `${limits.join('; ')}; exec "$@"`, 'sandbox', config.command, ...config.args, path.join(workDir, config.file)];
+    return { command: 'sh', args: shellArgs, cwd: workDir };
+  }
+
+  // Counted per user, so only effective with a dedicated SANDBOX_UID
+  limits.push(`ulimit -u ${MAX_PROCESSES}`);
+
+  const mounts = [...SYSTEM_PATHS, ...READONLY_PATHS].flatMap(dir => ['--ro-bind-try', dir, dir]);
+  const args = [
+    '--unshare-all',
+    '--die-with-parent',
+    '--new-session',
+    '--uid', '65534',
+    '--gid', '65534',
+    ...mounts,
+    '--proc', '/proc',
+    '--dev', '/dev',
+    '--tmpfs', '/tmp',
+    '--bind', workDir, SANDBOX_DIR,
+    '--chdir', SANDBOX_DIR,
+    'sh', '-c', `${limits.join('; ')}; exec "$@"`, 'sandbox', config.command, ...config.args, `${SANDBOX_DIR}/${config.file}`
+  ];
+
+  return { command: 'bwrap', args, cwd: SANDBOX_DIR };
+}
+
+/**
+ * Host user the sandboxed program runs as
+ * Switching users needs root; otherwise the program keeps the server's user
+ * on the host (and is nobody inside the sandbox).
+ * @returns {{uid: number, gid: number}|null}
+ */
+function getRunUser() {
+  if (ISOLATION === 'none' || typeof process.getuid !== 'function' || process.getuid() !== 0) {
+    return null;
+  }
+  return { uid: UID, gid: GID };
+}
+
+/**
+ * Status of a program that exited on its own (not stopped by the wall-clock
+ * timer or the output limit)
+ * Under bwrap the program is not the spawned process: bwrap exits with
+ * 128 + signal when the program is killed by a signal.
+ * @param {number|null} exitCode - Exit code of the spawned process
+ * @param {string|null} signal - Signal that killed the spawned process
+ * @param {string} stderr - Program's standard error
+ * @param {string} [isolation] - bwrap or none (default: SANDBOX_ISOLATION)
+ * @returns {string} 'ok', 'runtime_error', 'timeout' or 'memory_limit'
+ */
+function getExitStatus(exitCode, signal, stderr, isolation = ISOLATION) {
+  let killedBy = signal;
+  if (!killedBy && isolation !== 'none' && exitCode > 128) {
+    killedBy = Object.keys(os.constants.signals).find(name => os.constants.signals[name] === exitCode - 128) || null;
+  }
+
+  if (exitCode !== 0 && OUT_OF_MEMORY.test(stderr)) {
+    return 'memory_limit';
+  }
+  // The CPU limit (ulimit -t) sends SIGXCPU, or SIGKILL once the hard limit is reached
+  if (killedBy === 'SIGXCPU' || killedBy === 'SIGKILL') {
+    return 'timeout';
+  }
+  return exitCode === 0 ? 'ok' : 'runtime_error';
+}
+
+/**
+ * Run a program with the given standard input
+ * @param {Object} options - Run options
+ * @param {string} options.language - Language (see LANGUAGES)
+ * @param {string} options.source - Program source
+ * @param {string} [options.input=''] - Standard input
+ * @param {number} [options.timeLimitMs=5000] - Wall-clock limit
+ * @returns {Promise<{status: string, exitCode: number|null, stdout: string, stderr: string, durationMs: number}>}
+ *   status is 'ok', 'runtime_error', 'timeout', 'memory_limit' or 'output_limit'
+ * @throws {Error} When the sandbox itself cannot be started (code SANDBOX_UNAVAILABLE)
+ */
+async function runProgram({ language, source, input = '', timeLimitMs = 5000 }) {
+  const config = LANGUAGES[language];
+  if (!config) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'autogradex-sandbox-'));
+
+  try {
+    const programPath = path.join(workDir, config.file);
+    await fs.writeFile(programPath, source);
+
+    const runUser = getRunUser();
+    if (runUser) {
+      // The run's directory is the only place the program may write
+      await fs.chown(workDir, runUser.uid, runUser.gid);
+      await fs.chown(programPath, runUser.uid, runUser.gid);
+    }
+
+    const { command, args, cwd } = buildCommand(config, workDir, timeLimitMs);
+    const startedAt = Date.now();
+
+    return await new Promise((resolve, reject) => {
+      const child = spawn(command, args, {
+        cwd: workDir,
+        env: { PATH: ISOLATION === 'none' ? process.env.PATH : '/usr/local/bin:/usr/bin:/bin', HOME: cwd, LANG: 'C.UTF-8', PYTHONDONTWRITEBYTECODE: '1' },
+        ...runUser,
+        // Own process group, so the whole tree can be killed on timeout
+        // (bwrap --die-with-parent takes the sandboxed processes with it)
+        detached: true,
+        stdio: ['pipe', 'pipe', 'pipe']
+      });
+
+      const stdout = [];
+      const stderr = [];
+      let outputBytes = 0;
+      let limitStatus = null;
+
+      const stop = (status) => {
+        if (limitStatus) return;
+        limitStatus = status;
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (err) {
+          // Already exited
+        }
+      };
+
+      const timer = setTimeout(() => stop('timeout'), timeLimitMs);
+
+      const collect = (chunks) => (chunk) => {
+        outputBytes += chunk.length;
+        if (outputBytes > MAX_OUTPUT_BYTES) {
+          stop('output_limit');
+          return;
+        }
+        chunks.push(chunk);
+      };
+      child.stdout.on('data', collect(stdout));
+      child.stderr.on('data', collect(stderr));
+
+      child.on('error', (err) => {
+        clearTimeout(timer);
+        const error = new Error(`Sandbox could not start ${command}: ${err.message}`);
+        error.code = 'SANDBOX_UNAVAILABLE';
+        reject(error);
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        const stderrText = Buffer.concat(stderr).toString('utf8');
+
+        // bwrap prints this when it cannot set up the sandbox (e.g. user namespaces are disabled)
+        if (exitCode !== 0 && /^bwrap: /m.test(stderrText) && !stdout.length) {
+          const error = new Error(`Sandbox isolation failed: ${stderrText.trim()}`);
+          error.code = 'SANDBOX_UNAVAILABLE';
+          reject(error);
+          return;
+        }
+
+        const status = limitStatus || getExitStatus(exitCode, signal, stderrText);
+
+        resolve({
+          status,
+          exitCode,
+          stdout: Buffer.concat(stdout).toString('utf8'),
+          stderr: stderrText,
+          durationMs: Date.now() - startedAt
+        });
+      });
+
+      child.stdin.on('error', () => {
+        // The program exited without reading its input
+      });
+      child.stdin.end(input);
+    });
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  LANGUAGES,
+  isSupportedLanguage,
+  buildCommand,
+  getExitStatus,
+  runProgram
+};
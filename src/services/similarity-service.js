@@ -0,0 +1,447 @@
+/**
+ * Similarity Service
+ * Finds suspiciously similar submissions within an assignment
+ *
+ * Each submission is reduced to winnowed fingerprints (Schleimer et al.,
+ * "Winnowing: local algorithms for document fingerprinting"): hashes of
+ * overlapping k-grams of tokens, of which only the minimum in each window is
+ * kept. Prose is tokenized into lower-cased words; code into tokens with
+ * identifiers, numbers and strings normalized and comments dropped, so
+ * renaming variables does not hide copying. Two submissions are compared by
+ * the share of their fingerprints they have in common.
+ *
+ * Fingerprints found in the assignment description (starter code, quoted
+ * question text) or in most submissions are ignored as boilerplate.
+ */
+
+const PROSE_FINGERPRINT = { k: 5, window: 4 };
+const CODE_FINGERPRINT = { k: 10, window: 5 };
+
+// Submissions with fewer fingerprints are too short to compare meaningfully
+const MIN_FINGERPRINTS = 3;
+// Pairs below this score are not reported
+const MIN_REPORTED_SCORE = 0.1;
+// Matched spans returned per pair, and characters of each excerpt
+const MAX_MATCHES = 20;
+const MAX_EXCERPT_CHARS = 300;
+
+// Kept as-is in code fingerprints; all other identifiers become ID
+const CODE_KEYWORDS = new Set([
+  'and', 'as', 'assert', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'def', 'default',
+  'del', 'do', 'elif', 'else', 'except', 'export', 'extends', 'false', 'False', 'final', 'finally', 'for', 'from',
+  'function', 'global', 'if', 'import', 'in', 'instanceof', 'int', 'interface', 'is', 'lambda', 'let', 'new', 'None',
+  'nonlocal', 'not', 'null', 'or', 'pass', 'private', 'protected', 'public', 'raise', 'return', 'static', 'struct',
+  'super', 'switch', 'this', 'throw', 'true', 'True', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+// Comments, strings, numbers, identifiers and single punctuation characters
+const CODE_TOKEN_PATTERN = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*|"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`|\d[\w.]*|[A-Za-z_$][\w$]*|\S/g;
+
+// Lines added by document-service around notebook cells
+const NOTEBOOK_MARKER_PATTERN = /^(?:\[(?:Markdown|Code|Raw) cell \d+\]|\[Output of cell \d+(?: \(error\))?\]|```\w*)$/gm;
+
+/**
+ * Split prose into lower-cased word tokens
+ * @param {string} text - Submission text
+ * @returns {Array<{value: string, start: number, end: number}>} Tokens with character offsets
+ */
+function tokenizeProse(text) {
+  return Array.from(text.matchAll(/[\p{L}\p{N}]+/gu), match => ({
+    value: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Split code into normalized tokens
+ * Comments are dropped; identifiers, numbers and strings are replaced by
+ * placeholders so renaming does not change the fingerprints
+ * @param {string} text - Submission code
+ * @returns {Array<{value: string, start: number, end: number}>} Tokens with character offsets
+ */
+function tokenizeCode(text) {
+  // Blank out notebook markers, keeping offsets into the original text
+  const source = text.replace(NOTEBOOK_MARKER_PATTERN, marker => ' '.repeat(marker.length));
+  const tokens = [];
+
+  for (const match of source.matchAll(CODE_TOKEN_PATTERN)) {
+    const token = match[0];
+    let value;
+
+    if (token.startsWith('//') || token.startsWith('/*') || token.startsWith('#')) {
+      continue;
+    } else if (/^["'`]/.test(token)) {
+      value = 'STR';
+    } else if (/^\d/.test(token)) {
+      value = 'NUM';
+    } else if (/^[A-Za-z_$]/.test(token)) {
+      value = CODE_KEYWORDS.has(token) ? token : 'ID';
+    } else {
+      value = token;
+    }
+
+    tokens.push({ value, start: match.index, end: match.index + token.length });
+  }
+
+  return tokens;
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text - Text to hash
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Winnow a token stream into fingerprints
+ * @param {Array<Object>} tokens - Tokens from tokenizeProse or tokenizeCode
+ * @param {Object} options - Fingerprint parameters
+ * @param {number} options.k - Tokens per k-gram
+ * @param {number} options.window - K-grams per winnowing window
+ * @returns {Array<{hash: number, start: number, end: number}>} Fingerprints with the character span they cover
+ */
+function fingerprint(tokens, { k, window }) {
+  if (tokens.length < k) {
+    return [];
+  }
+
+  const grams = [];
+  for (let i = 0; i + k <= tokens.length; i++) {
+    grams.push({
+      hash: hashString(tokens.slice(i, i + k).map(token => token.value).join(' ')),
+      start: tokens[i].start,
+      end: tokens[i + k - 1].end
+    });
+  }
+
+  const fingerprints = [];
+  let lastSelected = -1;
+  const windowSize = Math.min(window, grams.length);
+
+  for (let i = 0; i + windowSize <= grams.length; i++) {
+    // Rightmost minimum in the window
+    let selected = i;
+    for (let j = i + 1; j < i + windowSize; j++) {
+      if (grams[j].hash <= grams[selected].hash) {
+        selected = j;
+      }
+    }
+    if (selected !== lastSelected) {
+      fingerprints.push(grams[selected]);
+      lastSelected = selected;
+    }
+  }
+
+  return fingerprints;
+}
+
+/**
+ * Fingerprint a submission
+ * @param {string} text - Submission text
+ * @param {string} mode - 'code' or 'prose'
+ * @returns {Map<number, {start: number, end: number}>} First span of each distinct fingerprint
+ */
+function fingerprintDocument(text, mode) {
+  const tokens = mode === 'code' ? tokenizeCode(text) : tokenizeProse(text);
+  const fingerprints = fingerprint(tokens, mode === 'code' ? CODE_FINGERPRINT : PROSE_FINGERPRINT);
+
+  const spans = new Map();
+  for (const { hash, start, end } of fingerprints) {
+    if (!spans.has(hash)) {
+      spans.set(hash, { start, end });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Whether a submission should be compared as code
+ * @param {Object} submission - Submission ({ source_format })
+ * @param {Object} assignment - Assignment ({ code_language })
+ * @returns {string} 'code' or 'prose'
+ */
+function getMode(submission, assignment) {
+  if (submission.source_format === 'code' || submission.source_format === 'notebook') {
+    return 'code';
+  }
+  if (!submission.source_format && assignment.code_language) {
+    return 'code';
+  }
+  return 'prose';
+}
+
+/**
+ * Merge the spans of shared fingerprints into contiguous matches
+ * @param {Object} a - Document ({ text, spans })
+ * @param {Object} b - Document ({ text, spans })
+ * @param {Array<number>} sharedHashes - Fingerprints both documents contain
+ * @returns {Array<Object>} Matches, longest first
+ */
+function findMatches(a, b, sharedHashes) {
+  const pairs = sharedHashes
+    .map(hash => ({ a: { ...a.spans.get(hash) }, b: { ...b.spans.get(hash) } }))
+    .sort((x, y) => x.a.start - y.a.start);
+
+  const merged = [];
+  for (const pair of pairs) {
+    const last = merged[merged.length - 1];
+    const continues = last &&
+      pair.a.start <= last.a.end + 1 &&
+      pair.b.start <= last.b.end + 1 &&
+      pair.b.end >= last.b.start;
+
+    if (continues) {
+      last.a.end = Math.max(last.a.end, pair.a.end);
+      last.b.start = Math.min(last.b.start, pair.b.start);
+      last.b.end = Math.max(last.b.end, pair.b.end);
+    } else {
+      merged.push(pair);
+    }
+  }
+
+  return merged
+    .sort((x, y) => (y.a.end - y.a.start) - (x.a.end - x.a.start))
+    .slice(0, MAX_MATCHES)
+    .map(match => ({
+      a_start: match.a.start,
+      a_end: match.a.end,
+      b_start: match.b.start,
+      b_end: match.b.end,
+      excerpt: a.text.slice(match.a.start, Math.min(match.a.end, match.a.start + MAX_EXCERPT_CHARS))
+    }));
+}
+
+/**
+ * Compare documents with each other
+ * Documents marked prior are only compared with current ones
+ * @param {Array<Object>} documents - { id, student_id, text, mode, prior }
+ * @param {Object} [options] - Options
+ * @param {string} [options.template=''] - Text whose fingerprints are ignored (assignment description)
+ * @returns {Array<Object>} Pairs { a, b, shared, score, a_coverage, b_coverage, matches }, highest score first
+ */
+function comparePairs(documents, { template = '' } = {}) {
+  const ignored = {
+    code: new Set(fingerprintDocument(template, 'code').keys()),
+    prose: new Set(fingerprintDocument(template, 'prose').keys())
+  };
+
+  const docs = documents.map(doc => {
+    const spans = fingerprintDocument(doc.text, doc.mode);
+    for (const hash of ignored[doc.mode]) {
+      spans.delete(hash);
+    }
+    return { ...doc, spans };
+  }).filter(doc => doc.spans.size >= MIN_FINGERPRINTS);
+
+  // Fingerprint -> documents containing it, separately per mode
+  const index = new Map();
+  docs.forEach((doc, position) => {
+    for (const hash of doc.spans.keys()) {
+      const key = `${doc.mode}:${hash}`;
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(position);
+    }
+  });
+
+  // Fingerprints in most submissions are boilerplate rather than copying
+  const boilerplateLimit = Math.max(4, Math.ceil(docs.length * 0.5));
+  const sharedByPair = new Map();
+
+  for (const [key, positions] of index) {
+    if (positions.length < 2 || positions.length > boilerplateLimit) continue;
+    const hash = Number(key.slice(key.indexOf(':') + 1));
+
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) {
+        const a = docs[positions[i]];
+        const b = docs[positions[j]];
+        if ((a.prior && b.prior) || a.student_id === b.student_id) continue;
+
+        const pairKey = `${positions[i]}:${positions[j]}`;
+        if (!sharedByPair.has(pairKey)) sharedByPair.set(pairKey, []);
+        sharedByPair.get(pairKey).push(hash);
+      }
+    }
+  }
+
+  const pairs = [];
+  for (const [pairKey, sharedHashes] of sharedByPair) {
+    let [a, b] = pairKey.split(':').map(position => docs[Number(position)]);
+    // Current-term submission first
+    if (a.prior) [a, b] = [b, a];
+
+    const aCoverage = sharedHashes.length / a.spans.size;
+    const bCoverage = sharedHashes.length / b.spans.size;
+    const score = Math.round(Math.max(aCoverage, bCoverage) * 10000) / 10000;
+    if (score < MIN_REPORTED_SCORE) continue;
+
+    pairs.push({
+      a,
+      b,
+      shared: sharedHashes.length,
+      score,
+      a_coverage: Math.round(aCoverage * 10000) / 10000,
+      b_coverage: Math.round(bCoverage * 10000) / 10000,
+      sharedHashes
+    });
+  }
+
+  return pairs
+    .sort((x, y) => y.score - x.score || y.shared - x.shared)
+    .map(({ sharedHashes, ...pair }) => ({ ...pair, matches: findMatches(pair.a, pair.b, sharedHashes) }));
+}
+
+/**
+ * Load the latest submission of each student for an assignment, and for the
+ * same assignment in earlier offerings of the course (same course code and
+ * assignment title)
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} assignment - Assignment ({ id, title, course_id })
+ * @param {boolean} includePriorTerms - Also load earlier offerings
+ * @returns {Promise<Array<Object>>} Submission rows with a prior flag
+ */
+async function loadSubmissions(fastify, assignment, includePriorTerms) {
+  const latestSubmission = `
+    SELECT DISTINCT ON (s.student_id, s.assignment_id)
+           s.id, s.student_id, s.assignment_id, s.content, s.source_format, st.name as student_name
+    FROM submissions s
+    JOIN students st ON s.student_id = st.id
+    WHERE s.status != 'draft'`;
+
+  const current = await fastify.db.query(
+    `${latestSubmission} AND s.assignment_id = $1
+     ORDER BY s.student_id, s.assignment_id, s.version DESC`,
+    [assignment.id]
+  );
+
+  let prior = { rows: [] };
+  if (includePriorTerms && assignment.course_id) {
+    prior = await fastify.db.query(
+      `SELECT latest.*, c.term, c.year FROM (
+         ${latestSubmission}
+           AND s.assignment_id IN (
+             SELECT a.id FROM assignments a
+             JOIN courses c ON a.course_id = c.id
+             JOIN courses current_course ON current_course.id = $1
+             WHERE c.code = current_course.code AND c.id != current_course.id
+               AND LOWER(a.title) = LOWER($2)
+           )
+         ORDER BY s.student_id, s.assignment_id, s.version DESC
+       ) latest
+       JOIN assignments a ON latest.assignment_id = a.id
+       JOIN courses c ON a.course_id = c.id`,
+      [assignment.course_id, assignment.title]
+    );
+  }
+
+  return [
+    ...current.rows.map(row => ({ ...row, prior: false })),
+    ...prior.rows.map(row => ({ ...row, prior: true }))
+  ];
+}
+
+/**
+ * Compare all submissions of an assignment and record each submission's
+ * highest similarity for the submission list
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includePriorTerms=true] - Also compare with earlier offerings of the course
+ * @param {number} [options.limit=50] - Maximum pairs returned
+ * @returns {Promise<Object|null>} Report, or null if the assignment does not exist
+ */
+async function analyzeAssignment(fastify, assignmentId, { includePriorTerms = true, limit = 50 } = {}) {
+  const assignmentResult = await fastify.db.query(
+    'SELECT id, title, description, course_id, code_language, similarity_threshold FROM assignments WHERE id = $1',
+    [assignmentId]
+  );
+  if (assignmentResult.rows.length === 0) {
+    return null;
+  }
+  const assignment = assignmentResult.rows[0];
+  const threshold = Number(assignment.similarity_threshold);
+
+  const submissions = await loadSubmissions(fastify, assignment, includePriorTerms);
+  const documents = submissions
+    .filter(submission => submission.content && submission.content.trim())
+    .map(submission => ({
+      ...submission,
+      text: submission.content,
+      mode: getMode(submission, assignment)
+    }));
+
+  const pairs = comparePairs(documents, { template: assignment.description || '' });
+
+  // Highest score of each current submission, for the instructor's submission list
+  const best = new Map();
+  for (const pair of pairs) {
+    for (const [doc, other] of [[pair.a, pair.b], [pair.b, pair.a]]) {
+      if (!doc.prior && (!best.has(doc.id) || best.get(doc.id).score < pair.score)) {
+        best.set(doc.id, { score: pair.score, matched: other.id });
+      }
+    }
+  }
+
+  const currentIds = documents.filter(doc => !doc.prior).map(doc => doc.id);
+  if (currentIds.length > 0) {
+    await fastify.db.query(
+      `INSERT INTO submission_similarity (submission_id, max_score, matched_submission_id, flagged, checked_at)
+       SELECT id, score, matched, score >= $4, NOW()
+       FROM UNNEST($1::uuid[], $2::numeric[], $3::uuid[]) AS t(id, score, matched)
+       ON CONFLICT (submission_id) DO UPDATE SET
+         max_score = EXCLUDED.max_score,
+         matched_submission_id = EXCLUDED.matched_submission_id,
+         flagged = EXCLUDED.flagged,
+         checked_at = EXCLUDED.checked_at`,
+      [
+        currentIds,
+        currentIds.map(id => best.get(id)?.score ?? 0),
+        currentIds.map(id => best.get(id)?.matched ?? null),
+        threshold
+      ]
+    );
+  }
+
+  const describe = (doc, coverage) => ({
+    submission_id: doc.id,
+    student_id: doc.student_id,
+    student_name: doc.student_name,
+    coverage,
+    ...(doc.prior ? { prior_term: true, assignment_id: doc.assignment_id, term: doc.term, year: doc.year } : {})
+  });
+
+  return {
+    assignment_id: assignmentId,
+    threshold,
+    submissions_compared: currentIds.length,
+    prior_submissions_compared: documents.filter(doc => doc.prior).length,
+    skipped_without_text: submissions.filter(submission => !submission.prior).length - currentIds.length,
+    flagged: Array.from(best.values()).filter(entry => entry.score >= threshold).length,
+    pairs: pairs.slice(0, limit).map(pair => ({
+      score: pair.score,
+      flagged: pair.score >= threshold,
+      shared_fingerprints: pair.shared,
+      a: describe(pair.a, pair.a_coverage),
+      b: describe(pair.b, pair.b_coverage),
+      matches: pair.matches
+    }))
+  };
+}
+
+module.exports = {
+  tokenizeProse,
+  tokenizeCode,
+  fingerprint,
+  fingerprintDocument,
+  comparePairs,
+  analyzeAssignment
+};
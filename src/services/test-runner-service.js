@@ -0,0 +1,407 @@
+/**
+ * Test Runner Service
+ * Test cases for coding assignments and their use in grading
+ *
+ * Before the AI grades a coding submission, the student's program is run
+ * against the assignment's test cases in the sandbox (see sandbox-service).
+ * The weighted share of passed tests scores the rubric's functionality
+ * criterion; the AI grades the remaining criteria with the test results as
+ * context.
+ */
+
+const sandboxService = require('./sandbox-service');
+
+// Rubric criterion scored from the test results
+const TEST_CRITERION = 'functionality';
+
+const TEST_CASE_FIELDS = ['name', 'visibility', 'input', 'expected_output', 'weight', 'time_limit_ms', 'sort_order'];
+
+// Program output kept per test result
+const MAX_STORED_OUTPUT = 2000;
+
+/**
+ * Compare program output with the expected output
+ * Trailing whitespace on each line and trailing blank lines are ignored
+ * @param {string} actual - Program output
+ * @param {string} expected - Expected output
+ * @returns {boolean}
+ */
+function outputsMatch(actual, expected) {
+  const normalize = (text) => text.replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trimEnd();
+  return normalize(actual) === normalize(expected);
+}
+
+/**
+ * Get the program to test from a submission
+ * @param {Object} submission - Submission row ({ content, source_format, extracted_structure })
+ * @param {string} content - Extracted submission text
+ * @param {string|null} assignmentLanguage - Assignment's code_language (for typed code)
+ * @returns {{language: string|null, source: string|null}}
+ */
+function resolveProgram(submission, content, assignmentLanguage) {
+  const structure = submission.extracted_structure || {};
+
+  switch (submission.source_format) {
+    case 'code':
+      return { language: structure.language || null, source: content };
+    case 'notebook':
+      // Code cells run top to bottom as one program
+      return {
+        language: structure.language || null,
+        source: (structure.cells || []).filter(cell => cell.type === 'code').map(cell => cell.source).join('\n\n')
+      };
+    case undefined:
+    case null:
+    case 'text':
+      return { language: assignmentLanguage || null, source: content };
+    default:
+      // Documents and PDFs have no runnable program
+      return { language: null, source: null };
+  }
+}
+
+/**
+ * Run a program against test cases
+ * @param {string} language - Program language
+ * @param {string} source - Program source
+ * @param {Array<Object>} testCases - Test cases
+ * @returns {Promise<Object>} Run { language, status, passed, total, score_ratio, results }
+ */
+async function runTests(language, source, testCases) {
+  const results = [];
+
+  // One at a time: a submission's tests share the grading worker's CPU
+  for (const testCase of testCases) {
+    const run = await sandboxService.runProgram({
+      language,
+      source,
+      input: testCase.input,
+      timeLimitMs: testCase.time_limit_ms
+    });
+    const passed = run.status === 'ok' && outputsMatch(run.stdout, testCase.expected_output);
+
+    results.push({
+      test_id: testCase.id,
+      name: testCase.name,
+      visibility: testCase.visibility,
+      weight: Number(testCase.weight),
+      status: passed ? 'passed' : run.status === 'ok' ? 'failed' : run.status,
+      passed,
+      duration_ms: run.durationMs,
+      stdout: run.stdout.slice(0, MAX_STORED_OUTPUT),
+      stderr: run.stderr.slice(0, MAX_STORED_OUTPUT)
+    });
+  }
+
+  const totalWeight = results.reduce((sum, result) => sum + result.weight, 0);
+  const passedWeight = results.filter(result => result.passed).reduce((sum, result) => sum + result.weight, 0);
+
+  return {
+    language,
+    status: 'completed',
+    passed: results.filter(result => result.passed).length,
+    total: results.length,
+    score_ratio: totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 10000) / 10000 : 0,
+    results,
+    error: null
+  };
+}
+
+/**
+ * Run a submission's code against its assignment's test cases
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} submission - Submission row (id, assignment_id, source_format, extracted_structure)
+ * @param {string} content - Extracted submission text
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.store=true] - Save the run on the submission (previews don't)
+ * @returns {Promise<Object|null>} Run, or null when the assignment has no test cases
+ * @throws {Error} When the sandbox is unavailable (code SANDBOX_UNAVAILABLE)
+ */
+async function runSubmissionTests(fastify, submission, content, { store = true } = {}) {
+  const testCases = await listTestCases(fastify, submission.assignment_id);
+  if (testCases.length === 0) {
+    return null;
+  }
+
+  const assignmentResult = await fastify.db.query(
+    'SELECT code_language FROM assignments WHERE id = $1',
+    [submission.assignment_id]
+  );
+  const { language, source } = resolveProgram(submission, content, assignmentResult.rows[0]?.code_language);
+
+  let run;
+  if (!source || !source.trim() || !sandboxService.isSupportedLanguage(language)) {
+    // Nothing we can execute: every test fails, and the reason is kept for the instructor
+    run = {
+      language,
+      status: 'no_code',
+      passed: 0,
+      total: testCases.length,
+      score_ratio: 0,
+      results: [],
+      error: !source || !source.trim()
+        ? 'The submission contains no runnable code'
+        : `Tests can only run Python and JavaScript code (submission language: ${language || 'unknown'})`
+    };
+  } else {
+    run = await runTests(language, source, testCases);
+  }
+
+  if (store) {
+    await fastify.db.query(
+      `INSERT INTO submission_test_runs (submission_id, language, status, passed, total, score_ratio, results, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (submission_id) DO UPDATE SET
+         language = EXCLUDED.language,
+         status = EXCLUDED.status,
+         passed = EXCLUDED.passed,
+         total = EXCLUDED.total,
+         score_ratio = EXCLUDED.score_ratio,
+         results = EXCLUDED.results,
+         error = EXCLUDED.error`,
+      [submission.id, run.language, run.status, run.passed, run.total, run.score_ratio, JSON.stringify(run.results), run.error]
+    );
+  }
+
+  return run;
+}
+
+/**
+ * Summarize a test run for the grading prompt
+ * Hidden tests are listed by name only, so their inputs never reach feedback
+ * @param {Object} run - Test run
+ * @returns {string}
+ */
+function summarizeRun(run) {
+  if (run.status === 'no_code') {
+    return `The instructor's tests could not be run: ${run.error}.`;
+  }
+
+  const lines = run.results.map(result => {
+    const detail = result.status === 'runtime_error' && result.visibility === 'visible' && result.stderr
+      ? ` (${result.stderr.trim().split('\n').pop()})`
+      : '';
+    return `- ${result.name}: ${result.status}${detail}`;
+  });
+
+  return `The code was run against the instructor's tests; ${run.passed} of ${run.total} passed.\n${lines.join('\n')}`;
+}
+
+/**
+ * Split grading between the test results and the AI
+ * Scores the functionality criterion from the run and leaves the remaining
+ * criteria (and points) to the AI
+ * @param {Object} rubric - Rubric criteria ({ name: { max_points, description } })
+ * @param {number} totalPoints - Assignment points
+ * @param {Object} run - Test run
+ * @returns {{rubric: Object, totalPoints: number, functionality: Object|null, testSummary: string, run: Object}}
+ */
+function applyTestRun(rubric, totalPoints, run) {
+  const criteria = rubric && typeof rubric === 'object' ? rubric : {};
+  const criterionName = Object.keys(criteria).find(name => name.toLowerCase() === TEST_CRITERION);
+  const testSummary = summarizeRun(run);
+
+  if (!criterionName) {
+    return { rubric: criteria, totalPoints, functionality: null, testSummary, run };
+  }
+
+  // The criterion's share of the assignment's points
+  const rubricPoints = Object.values(criteria).reduce((sum, criterion) => sum + (Number(criterion?.max_points) || 0), 0);
+  const criterionPoints = Number(criteria[criterionName].max_points) || 0;
+  const maxPoints = rubricPoints > 0 ? Math.round((totalPoints * criterionPoints / rubricPoints) * 100) / 100 : 0;
+
+  const { [criterionName]: omitted, ...remaining } = criteria;
+
+  return {
+    rubric: remaining,
+    totalPoints: Math.round((totalPoints - maxPoints) * 100) / 100,
+    functionality: {
+      name: criterionName,
+      score: Math.round(maxPoints * run.score_ratio * 100) / 100,
+      max_points: maxPoints,
+      feedback: run.status === 'no_code'
+        ? `Scored by automated tests: ${run.error}.`
+        : `Scored by automated tests: ${run.passed} of ${run.total} passed.`
+    },
+    testSummary: `The "${criterionName}" criterion has already been scored from these results and is not part of the rubric above; ` +
+      `use them as evidence for the remaining criteria.\n${testSummary}`,
+    run
+  };
+}
+
+/**
+ * Add the test-scored criterion to an AI grading result
+ * @param {Object} aiResult - Result of openaiService.gradeSubmission for the remaining criteria
+ * @param {Object} applied - Result of applyTestRun
+ * @returns {Object} Grading result for the whole rubric
+ */
+function combineResult(aiResult, applied) {
+  const testRun = { passed: applied.run.passed, total: applied.run.total, score_ratio: applied.run.score_ratio };
+
+  if (!applied.functionality) {
+    return { ...aiResult, ai_response: { ...aiResult.ai_response, test_run: testRun } };
+  }
+
+  const { name, ...criterionScore } = applied.functionality;
+  const score = Math.round((aiResult.score + criterionScore.score) * 100) / 100;
+  const totalPoints = applied.totalPoints + criterionScore.max_points;
+
+  return {
+    ...aiResult,
+    score,
+    percentage: totalPoints > 0 ? Math.round((score / totalPoints) * 100) : 0,
+    rubric_scores: { [name]: criterionScore, ...aiResult.rubric_scores },
+    ai_response: { ...aiResult.ai_response, test_run: testRun }
+  };
+}
+
+/**
+ * Get the latest test run of a submission
+ * @param {Object} fastify - Fastify instance
+ * @param {string} submissionId - Submission UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getTestRun(fastify, submissionId) {
+  const result = await fastify.db.query(
+    'SELECT * FROM submission_test_runs WHERE submission_id = $1',
+    [submissionId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove hidden test details from a run shown to a student
+ * @param {Object} run - Test run
+ * @returns {Object}
+ */
+function hideHiddenResults(run) {
+  return {
+    ...run,
+    results: run.results.map(result => (result.visibility === 'hidden'
+      ? { name: result.name, visibility: 'hidden', status: result.passed ? 'passed' : 'failed', passed: result.passed }
+      : result))
+  };
+}
+
+/**
+ * List an assignment's test cases
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.visibleOnly=false] - Only tests shown to students
+ * @returns {Promise<Array<Object>>}
+ */
+async function listTestCases(fastify, assignmentId, { visibleOnly = false } = {}) {
+  const result = await fastify.db.query(
+    `SELECT * FROM assignment_test_cases
+     WHERE assignment_id = $1 ${visibleOnly ? "AND visibility = 'visible'" : ''}
+     ORDER BY sort_order ASC, created_at ASC`,
+    [assignmentId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Get a test case
+ * @param {Object} fastify - Fastify instance
+ * @param {string} testCaseId - Test case UUID
+ * @returns {Promise<Object|null>}
+ */
+async function getTestCaseById(fastify, testCaseId) {
+  const result = await fastify.db.query(
+    'SELECT * FROM assignment_test_cases WHERE id = $1',
+    [testCaseId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Add a test case to an assignment
+ * @param {Object} fastify - Fastify instance
+ * @param {string} assignmentId - Assignment UUID
+ * @param {Object} fields - Test case fields (see TEST_CASE_FIELDS)
+ * @param {string} userId - Instructor adding the test
+ * @returns {Promise<Object>} Created test case
+ */
+async function createTestCase(fastify, assignmentId, fields, userId) {
+  const result = await fastify.db.query(
+    `INSERT INTO assignment_test_cases
+       (assignment_id, name, visibility, input, expected_output, weight, time_limit_ms, sort_order, created_by)
+     VALUES ($1, $2, COALESCE($3, 'visible'), COALESCE($4, ''), $5, COALESCE($6, 1), COALESCE($7, 5000), COALESCE($8, 0), $9)
+     RETURNING *`,
+    [
+      assignmentId, fields.name, fields.visibility ?? null, fields.input ?? null, fields.expected_output,
+      fields.weight ?? null, fields.time_limit_ms ?? null, fields.sort_order ?? null, userId
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Update a test case's fields
+ * @param {Object} fastify - Fastify instance
+ * @param {string} testCaseId - Test case UUID
+ * @param {Object} fields - Fields to change
+ * @returns {Promise<Object|null>} Updated test case
+ */
+async function updateTestCase(fastify, testCaseId, fields) {
+  const updates = [];
+  const values = [];
+
+  for (const field of TEST_CASE_FIELDS) {
+    if (fields[field] !== undefined) {
+      values.push(fields[field]);
+      updates.push(`${field} = $${values.length}`);
+    }
+  }
+
+  if (updates.length === 0) {
+    return getTestCaseById(fastify, testCaseId);
+  }
+
+  values.push(testCaseId);
+  const result = await fastify.db.query(
+    `UPDATE assignment_test_cases SET ${updates.join(', ')}
+     WHERE id = $${values.length}
+     RETURNING *`,
+    values
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a test case
+ * @param {Object} fastify - Fastify instance
+ * @param {string} testCaseId - Test case UUID
+ * @returns {Promise<boolean>} Whether a row was deleted
+ */
+async function deleteTestCase(fastify, testCaseId) {
+  const result = await fastify.db.query(
+    'DELETE FROM assignment_test_cases WHERE id = $1',
+    [testCaseId]
+  );
+
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  TEST_CRITERION,
+  outputsMatch,
+  resolveProgram,
+  runTests,
+  runSubmissionTests,
+  applyTestRun,
+  combineResult,
+  getTestRun,
+  hideHiddenResults,
+  listTestCases,
+  getTestCaseById,
+  createTestCase,
+  updateTestCase,
+  deleteTestCase
+};
@@ -0,0 +1,119 @@
+/**
+ * Unit Tests for Accommodation Service
+ */
+
+const accommodationService = require('../../src/services/accommodation-service');
+
+describe('Accommodation Service', () => {
+  const assignment = {
+    id: 'assignment-1',
+    due_date: '2026-03-01T12:00:00.000Z',
+    time_limit_minutes: 40,
+    max_resubmissions: 2
+  };
+
+  describe('mergeAccommodations', () => {
+    it('should return null without accommodations', () => {
+      expect(accommodationService.mergeAccommodations([])).toBeNull();
+    });
+
+    it('should prefer assignment fields and fall back to course-wide ones', () => {
+      const merged = accommodationService.mergeAccommodations([
+        { course_id: 'course-1', assignment_id: null, extension_minutes: 1440, time_limit_multiplier: 1.5, extra_attempts: null },
+        { course_id: null, assignment_id: 'assignment-1', extension_minutes: 60, time_limit_multiplier: null, extra_attempts: 1 }
+      ]);
+
+      expect(merged).toEqual({
+        due_date_override: null,
+        extension_minutes: 60,
+        time_limit_multiplier: 1.5,
+        extra_attempts: 1
+      });
+    });
+  });
+
+  describe('applyAccommodation', () => {
+    it('should return the assignment settings without an accommodation', () => {
+      const effective = accommodationService.applyAccommodation(assignment, null);
+
+      expect(effective.dueDate.toISOString()).toBe(assignment.due_date);
+      expect(effective.timeLimitMinutes).toBe(40);
+      expect(effective.maxResubmissions).toBe(2);
+    });
+
+    it('should extend the due date, time limit and attempts', () => {
+      const effective = accommodationService.applyAccommodation(assignment, {
+        extension_minutes: 2 * 24 * 60,
+        time_limit_multiplier: 1.25,
+        extra_attempts: 2
+      });
+
+      expect(effective.dueDate.toISOString()).toBe('2026-03-03T12:00:00.000Z');
+      expect(effective.timeLimitMinutes).toBe(50);
+      expect(effective.maxResubmissions).toBe(4);
+    });
+
+    it('should use a due date override instead of the extension', () => {
+      const effective = accommodationService.applyAccommodation(assignment, {
+        due_date_override: '2026-03-10T09:00:00.000Z',
+        extension_minutes: 60
+      });
+
+      expect(effective.dueDate.toISOString()).toBe('2026-03-10T09:00:00.000Z');
+    });
+
+    it('should keep untimed quizzes untimed', () => {
+      const effective = accommodationService.applyAccommodation(
+        { ...assignment, time_limit_minutes: null },
+        { time_limit_multiplier: 2 }
+      );
+
+      expect(effective.timeLimitMinutes).toBeNull();
+    });
+  });
+
+  describe('checkTimedAttempt', () => {
+    const now = new Date('2026-03-01T10:30:00Z');
+    const started = { status: 'draft', quiz_started_at: '2026-03-01T10:00:00Z' };
+
+    it('should refuse timed quizzes that were never started', () => {
+      expect(accommodationService.checkTimedAttempt(null, 45, now)).toBe('QUIZ_NOT_STARTED');
+      expect(accommodationService.checkTimedAttempt({ status: 'graded', quiz_started_at: '2026-02-01T10:00:00Z' }, 45, now)).toBe('QUIZ_NOT_STARTED');
+    });
+
+    it('should apply the student time limit to started attempts', () => {
+      expect(accommodationService.checkTimedAttempt(started, 45, now)).toBeNull();
+      expect(accommodationService.checkTimedAttempt(started, 20, now)).toBe('QUIZ_TIME_EXPIRED');
+    });
+
+    it('should not require a start for untimed quizzes', () => {
+      expect(accommodationService.checkTimedAttempt(null, null, now)).toBeNull();
+    });
+  });
+
+  describe('getEffectiveSettings', () => {
+    it('should look up the student accommodations for the assignment', async () => {
+      const mockFastify = {
+        db: {
+          query: jest.fn().mockResolvedValue({
+            rows: [{ course_id: 'course-1', assignment_id: null, extra_attempts: 3 }]
+          })
+        }
+      };
+
+      const effective = await accommodationService.getEffectiveSettings(mockFastify, 'student-1', assignment);
+
+      expect(mockFastify.db.query).toHaveBeenCalledWith(expect.any(String), ['student-1', 'assignment-1']);
+      expect(effective.maxResubmissions).toBe(5);
+    });
+
+    it('should skip the lookup without a student', async () => {
+      const mockFastify = { db: { query: jest.fn() } };
+
+      const effective = await accommodationService.getEffectiveSettings(mockFastify, undefined, assignment);
+
+      expect(mockFastify.db.query).not.toHaveBeenCalled();
+      expect(effective.accommodation).toBeNull();
+    });
+  });
+});
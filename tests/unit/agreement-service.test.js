@@ -0,0 +1,145 @@
+/**
+ * Agreement Service Unit Tests
+ */
+
+const agreementService = require('../../src/services/agreement-service');
+
+describe('Agreement Service', () => {
+  const row = (overrides = {}) => ({
+    grade_id: 'grade-1',
+    submission_id: 'submission-1',
+    assignment_id: 'assignment-1',
+    assignment_title: 'Lab 1',
+    student_name: 'Student One',
+    instructor_id: 'instructor-1',
+    instructor_name: 'Dr. Smith',
+    overridden: true,
+    points_possible: '100.00',
+    ai_points: '80.00',
+    human_points: '70.00',
+    ai_rubric_scores: {
+      accuracy: { score: 50, max_points: 60 },
+      clarity: { score: 30, max_points: 40 }
+    },
+    human_rubric_scores: {
+      accuracy: { score: 40, max_points: 60 },
+      clarity: { score: 30, max_points: 40 }
+    },
+    ...overrides
+  });
+
+  describe('quadraticWeightedKappa', () => {
+    const pairs = (ai, human, max = 4) => ai.map((score, i) => ({ ai: score, human: human[i], max }));
+
+    it('should be 1 for perfect agreement and -1 for reversed ratings', () => {
+      expect(agreementService.quadraticWeightedKappa(pairs([0, 1, 2, 3, 4], [0, 1, 2, 3, 4]))).toBe(1);
+      expect(agreementService.quadraticWeightedKappa(pairs([0, 1, 2, 3, 4], [4, 3, 2, 1, 0]))).toBe(-1);
+    });
+
+    it('should penalize large disagreements more than small ones', () => {
+      const close = agreementService.quadraticWeightedKappa(pairs([0, 1, 2, 3, 4], [1, 1, 2, 3, 3]));
+      const far = agreementService.quadraticWeightedKappa(pairs([0, 1, 2, 3, 4], [4, 1, 2, 3, 0]));
+
+      expect(close).toBeGreaterThan(far);
+      expect(close).toBeLessThan(1);
+    });
+
+    it('should band scores out of more than ten points', () => {
+      // 81 and 84 out of 100 fall in the same band
+      expect(agreementService.quadraticWeightedKappa(pairs([81, 20], [84, 20], 100))).toBe(1);
+    });
+
+    it('should handle no pairs and a single shared category', () => {
+      expect(agreementService.quadraticWeightedKappa([])).toBeNull();
+      expect(agreementService.quadraticWeightedKappa(pairs([2, 2], [2, 2]))).toBe(1);
+    });
+  });
+
+  describe('summarize', () => {
+    it('should report error and bias in points and percent', () => {
+      const summary = agreementService.summarize([
+        { ai: 8, human: 6, max: 10 },
+        { ai: 40, human: 44, max: 50 },
+        { ai: 9, human: 9, max: 10 }
+      ]);
+
+      expect(summary.count).toBe(3);
+      expect(summary.mae).toBe(2);
+      expect(summary.mae_percent).toBe(9.33);
+      expect(summary.bias).toBe(-0.67);
+      expect(summary.bias_percent).toBe(4);
+      expect(summary.bias_direction).toBe('ai_higher');
+    });
+
+    it('should report no bias within one percent', () => {
+      expect(agreementService.summarize([{ ai: 50.5, human: 50, max: 100 }]).bias_direction).toBe('none');
+      expect(agreementService.summarize([]).mae).toBeNull();
+    });
+  });
+
+  describe('buildComparisons', () => {
+    it('should pair AI and instructor criterion scores', () => {
+      const [comparison] = agreementService.buildComparisons([row()]);
+
+      expect(comparison).toMatchObject({ ai: 80, human: 70, max: 100 });
+      expect(comparison.criteria).toEqual([
+        { name: 'accuracy', ai: 50, human: 40, max: 60 },
+        { name: 'clarity', ai: 30, human: 30, max: 40 }
+      ]);
+    });
+
+    it('should skip criteria the instructor did not re-score', () => {
+      const [comparison] = agreementService.buildComparisons([row({
+        human_rubric_scores: { accuracy: { score: 50, max_points: 60 }, clarity: { score: 30, max_points: 40 } }
+      })]);
+
+      expect(comparison.criteria).toEqual([]);
+    });
+  });
+
+  describe('buildReport', () => {
+    const comparisons = agreementService.buildComparisons([
+      row(),
+      row({ grade_id: 'grade-2', student_name: 'Student Two', ai_points: '90.00', human_points: '90.00' }),
+      row({
+        grade_id: 'grade-3',
+        assignment_id: 'assignment-2',
+        assignment_title: 'Lab 2',
+        instructor_id: 'instructor-2',
+        instructor_name: 'Dr. Jones',
+        ai_points: '20.00',
+        human_points: '50.00',
+        ai_rubric_scores: null,
+        human_rubric_scores: null
+      })
+    ]);
+
+    it('should group by assignment, criterion and instructor', () => {
+      const report = agreementService.buildReport(comparisons);
+
+      expect(report.overall.count).toBe(3);
+      expect(report.by_assignment.map(r => [r.assignment_title, r.count])).toEqual([['Lab 1', 2], ['Lab 2', 1]]);
+      expect(report.by_criterion.map(r => [r.criterion, r.count])).toEqual([['accuracy', 2], ['clarity', 2]]);
+      expect(report.by_instructor.map(r => [r.instructor_name, r.mae])).toEqual([['Dr. Smith', 5], ['Dr. Jones', 30]]);
+    });
+
+    it('should list the largest disagreements first', () => {
+      const report = agreementService.buildReport(comparisons, { limit: 5 });
+
+      expect(report.largest_disagreements.map(r => r.difference)).toEqual([-30, 10]);
+      expect(report.largest_disagreements[1].criteria).toEqual([
+        { criterion: 'accuracy', ai: 50, instructor: 40, max_points: 60 }
+      ]);
+    });
+
+    it('should flatten into CSV rows', () => {
+      const report = agreementService.buildReport(comparisons);
+
+      const summary = agreementService.toCsvRows(report, 'summary');
+      expect(summary.rows.map(r => r.scope)).toEqual(['overall', 'assignment', 'assignment', 'criterion', 'criterion', 'instructor', 'instructor']);
+
+      const disagreements = agreementService.toCsvRows(report, 'disagreements');
+      expect(disagreements.rows[1].criteria).toBe('accuracy: 50 vs 40');
+    });
+  });
+});
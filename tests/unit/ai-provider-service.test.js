@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for AI Provider Service
+ */
+
+const aiProviderService = require('../../src/services/ai-provider-service');
+const openaiService = require('../../src/services/openai-service');
+
+describe('AI Provider Service', () => {
+  afterEach(() => {
+    aiProviderService.resetProviders();
+  });
+
+  describe('resolveProviderName', () => {
+    it('should prefer the first valid override', () => {
+      expect(aiProviderService.resolveProviderName('openai_compatible', 'openai')).toBe('openai_compatible');
+    });
+
+    it('should skip empty and unknown overrides', () => {
+      expect(aiProviderService.resolveProviderName(null, 'unknown', 'openai')).toBe('openai');
+    });
+
+    it('should fall back to the deployment default', () => {
+      expect(aiProviderService.resolveProviderName(null, undefined)).toBe('fixture');
+    });
+  });
+
+  describe('getProvider', () => {
+    it('should cache provider instances', () => {
+      expect(aiProviderService.getProvider('fixture')).toBe(aiProviderService.getProvider('fixture'));
+    });
+
+    it('should require a base URL for openai_compatible', () => {
+      const previous = process.env.AI_COMPATIBLE_BASE_URL;
+      delete process.env.AI_COMPATIBLE_BASE_URL;
+
+      expect(() => aiProviderService.getProvider('openai_compatible')).toThrow('AI_COMPATIBLE_BASE_URL');
+
+      if (previous !== undefined) process.env.AI_COMPATIBLE_BASE_URL = previous;
+    });
+  });
+
+  describe('fixture provider', () => {
+    const rubric = {
+      accuracy: { max_points: 60, description: 'Correct content' },
+      clarity: { max_points: 40, description: 'Clear writing' }
+    };
+
+    it('should grade submissions deterministically', async () => {
+      const params = {
+        studentAnswer: 'Photosynthesis converts sunlight into chemical energy',
+        referenceAnswer: 'Photosynthesis converts sunlight, water and carbon dioxide into chemical energy',
+        rubric,
+        totalPoints: 100,
+        provider: 'fixture'
+      };
+
+      const first = await openaiService.gradeSubmission(params);
+      const second = await openaiService.gradeSubmission(params);
+
+      expect(first.score).toBe(second.score);
+      expect(first.rubric_scores).toEqual(second.rubric_scores);
+      expect(first.ai_response.provider).toBe('fixture');
+    });
+
+    it('should keep criterion scores within their maximum', async () => {
+      const result = await openaiService.gradeSubmission({
+        studentAnswer: 'Answer text',
+        referenceAnswer: 'Answer text',
+        rubric,
+        totalPoints: 100,
+        provider: 'fixture'
+      });
+
+      expect(result.rubric_scores.accuracy.score).toBeLessThanOrEqual(60);
+      expect(result.rubric_scores.clarity.score).toBeLessThanOrEqual(40);
+      expect(result.score).toBeLessThanOrEqual(100);
+    });
+
+    it('should award full points for a matching short answer', async () => {
+      const result = await openaiService.gradeShortAnswer({
+        question: 'What is the capital of France?',
+        studentAnswer: 'Paris',
+        referenceAnswer: 'Paris',
+        points: 5,
+        provider: 'fixture'
+      });
+
+      expect(result.score).toBe(5);
+      expect(result.is_correct).toBe(true);
+    });
+
+    it('should grade long submissions criterion by criterion', async () => {
+      const section = (heading, sentence) => `## ${heading}\n${Array(300).fill(sentence).join(' ')}\n`;
+      const studentAnswer = section('Accuracy of results', 'The measured content is correct.') +
+        section('Discussion', 'The writing is clear and organised.') +
+        section('Appendix', 'Raw data tables follow.');
+
+      const result = await openaiService.gradeSubmission({
+        studentAnswer,
+        referenceAnswer: 'The measured content is correct.',
+        rubric,
+        totalPoints: 100,
+        provider: 'fixture'
+      });
+
+      expect(result.ai_response.mode).toBe('chunked');
+      expect(result.ai_response.chunks.length).toBeGreaterThan(1);
+      expect(result.rubric_scores.accuracy.chunks.length).toBeGreaterThan(0);
+      expect(result.rubric_scores.accuracy.score).toBeLessThanOrEqual(60);
+      expect(result.score).toBeLessThanOrEqual(100);
+      expect(result.feedback).toBeTruthy();
+    });
+  });
+});
@@ -0,0 +1,358 @@
+/**
+ * AI Response Validation Service Unit Tests
+ */
+
+const aiResponseService = require('../../src/services/ai-response-service');
+const aiProviderService = require('../../src/services/ai-provider-service');
+const openaiService = require('../../src/services/openai-service');
+
+describe('AI Response Validation Service', () => {
+  const rubric = {
+    accuracy: { max_points: 60, description: 'Correct content' },
+    clarity: { max_points: 40, description: 'Clear writing' }
+  };
+
+  const submissionResponse = (overrides = {}) => ({
+    overall_score: 80,
+    percentage: 80,
+    rubric_scores: {
+      accuracy: { score: 50, max_points: 60, feedback: 'Mostly correct' },
+      clarity: { score: 30, max_points: 40, feedback: 'Readable' }
+    },
+    strengths: ['Good examples'],
+    areas_for_improvement: [],
+    overall_feedback: 'Solid work.',
+    suggestions: [],
+    ...overrides
+  });
+
+  describe('validateSubmissionResponse', () => {
+    it('should accept a consistent response unchanged', () => {
+      const outcome = aiResponseService.validateSubmissionResponse(submissionResponse(), { rubric, totalPoints: 100 });
+
+      expect(outcome.errors).toEqual([]);
+      expect(outcome.corrections).toEqual([]);
+      expect(outcome.value.overall_score).toBe(80);
+    });
+
+    it('should clamp criterion scores and recompute the overall score', () => {
+      const outcome = aiResponseService.validateSubmissionResponse(submissionResponse({
+        overall_score: 95,
+        rubric_scores: {
+          accuracy: { score: 70, max_points: 60, feedback: 'Excellent' },
+          clarity: { score: 30, max_points: 50, feedback: 'Readable' }
+        }
+      }), { rubric, totalPoints: 100 });
+
+      expect(outcome.errors).toEqual([]);
+      expect(outcome.value.rubric_scores.accuracy.score).toBe(60);
+      expect(outcome.value.rubric_scores.clarity.max_points).toBe(40);
+      expect(outcome.value.overall_score).toBe(90);
+      expect(outcome.value.percentage).toBe(90);
+      expect(outcome.corrections.map(c => c.field)).toEqual(
+        expect.arrayContaining(['rubric_scores.accuracy.score', 'rubric_scores.clarity.max_points', 'overall_score', 'percentage'])
+      );
+    });
+
+    it('should scale criterion points to the assignment total', () => {
+      const outcome = aiResponseService.validateSubmissionResponse(submissionResponse({ overall_score: 40 }), { rubric, totalPoints: 50 });
+
+      expect(outcome.value.overall_score).toBe(40);
+      expect(outcome.corrections.map(c => c.field)).not.toContain('overall_score');
+    });
+
+    it('should rename near-miss criteria and drop unknown ones', () => {
+      const outcome = aiResponseService.validateSubmissionResponse(submissionResponse({
+        rubric_scores: {
+          Accuracy: { score: 50, max_points: 60, feedback: 'Mostly correct' },
+          clarity: { score: 30, max_points: 40, feedback: 'Readable' },
+          creativity: { score: 10, max_points: 10, feedback: 'Original' }
+        }
+      }), { rubric, totalPoints: 100 });
+
+      expect(outcome.errors).toEqual([]);
+      expect(Object.keys(outcome.value.rubric_scores)).toEqual(['accuracy', 'clarity']);
+      expect(outcome.corrections.map(c => c.message)).toEqual(
+        expect.arrayContaining(['Criterion renamed to "accuracy"', 'Criterion not in the rubric removed'])
+      );
+    });
+
+    it('should report missing criteria and unusable scores as errors', () => {
+      const outcome = aiResponseService.validateSubmissionResponse(submissionResponse({
+        rubric_scores: { accuracy: { score: 'high', max_points: 60 } }
+      }), { rubric, totalPoints: 100 });
+
+      expect(outcome.value).toBeNull();
+      expect(outcome.errors).toEqual([
+        'rubric_scores is missing criterion "clarity"',
+        'rubric_scores.accuracy.score must be a number'
+      ]);
+    });
+
+    it('should check the overall score range for free-text rubrics', () => {
+      const outcome = aiResponseService.validateSubmissionResponse(
+        submissionResponse({ overall_score: 120, rubric_scores: {} }),
+        { rubric: 'Grade on accuracy and clarity', totalPoints: 100 }
+      );
+
+      expect(outcome.errors).toEqual(['overall_score must be between 0 and 100']);
+    });
+
+    it('should reject responses that are not objects', () => {
+      expect(aiResponseService.validateSubmissionResponse(null, { rubric, totalPoints: 100 }).errors)
+        .toEqual(['Response is not a JSON object']);
+    });
+
+    it('should keep evidence quotes found verbatim with their offsets', () => {
+      const studentAnswer = 'Plants absorb light.\nChlorophyll converts it into glucose.';
+      const outcome = aiResponseService.validateSubmissionResponse(submissionResponse({
+        rubric_scores: {
+          accuracy: {
+            score: 50,
+            max_points: 60,
+            feedback: 'Mostly correct',
+            evidence: [{ quote: ' Chlorophyll converts it into glucose. ' }, { quote: 'Chlorophyll makes oxygen' }]
+          },
+          clarity: { score: 30, max_points: 40, feedback: 'Readable', evidence: ['Plants absorb light.'] }
+        }
+      }), { rubric, totalPoints: 100, studentAnswer });
+
+      const { accuracy, clarity } = outcome.value.rubric_scores;
+      expect(accuracy.evidence).toEqual([{ quote: 'Chlorophyll converts it into glucose.', start: 21, end: 58 }]);
+      expect(studentAnswer.slice(accuracy.evidence[0].start, accuracy.evidence[0].end)).toBe(accuracy.evidence[0].quote);
+      expect(clarity.evidence).toEqual([{ quote: 'Plants absorb light.', start: 0, end: 20 }]);
+      expect(outcome.corrections).toEqual([expect.objectContaining({
+        field: 'rubric_scores.accuracy.evidence',
+        message: 'Quotes not found verbatim in the submission removed'
+      })]);
+    });
+  });
+
+  describe('validateDraftFeedbackResponse', () => {
+    it('should keep only the hints and drop scores', () => {
+      const outcome = aiResponseService.validateDraftFeedbackResponse({
+        criteria: { accuracy: { hint: 'Explain where the glucose goes.', score: 40 }, clarity: { hint: 'Use shorter sentences.' } },
+        overall_hint: 'Start with the accuracy hint.',
+        overall_score: 70
+      }, { rubric });
+
+      expect(outcome.value).toEqual({
+        criteria: { accuracy: { hint: 'Explain where the glucose goes.' }, clarity: { hint: 'Use shorter sentences.' } },
+        overall_hint: 'Start with the accuracy hint.'
+      });
+      expect(outcome.corrections.map(c => c.field)).toEqual(['criteria.accuracy', 'overall_score']);
+    });
+
+    it('should ask again when a hint states a score', () => {
+      const outcome = aiResponseService.validateDraftFeedbackResponse({
+        criteria: { accuracy: { hint: 'This would get about 45/60.' }, clarity: { hint: 'Clear.' } },
+        overall_hint: 'Good start.'
+      }, { rubric });
+
+      expect(outcome.errors).toEqual(['criteria.accuracy.hint must not give a score']);
+    });
+  });
+
+  describe('validateRubricDraftResponse', () => {
+    const levels = max => [
+      { label: 'Developing', points: Math.round(max / 2), description: 'Partly there.' },
+      { label: 'Excellent', points: max, description: 'Fully there.' }
+    ];
+
+    it('should scale allocations to the total points and order levels', () => {
+      const outcome = aiResponseService.validateRubricDraftResponse({
+        criteria: {
+          'Thesis Clarity': { max_points: 30, description: 'Clear thesis.', levels: levels(30) },
+          evidence: { max_points: 30, description: 'Relevant evidence.', levels: levels(30) }
+        }
+      }, { totalPoints: 50 });
+
+      expect(Object.keys(outcome.value.criteria)).toEqual(['thesis_clarity', 'evidence']);
+      expect(outcome.value.criteria.thesis_clarity.max_points + outcome.value.criteria.evidence.max_points).toBe(50);
+      expect(outcome.value.criteria.thesis_clarity.levels.map(level => level.label)).toEqual(['Excellent', 'Developing']);
+      expect(outcome.value.criteria.thesis_clarity.levels[0].points).toBe(outcome.value.criteria.thesis_clarity.max_points);
+      expect(outcome.corrections.map(c => c.message)).toContain('Points scaled so the criteria add up to 50');
+    });
+
+    it('should ask again when criteria lack levels or points', () => {
+      const outcome = aiResponseService.validateRubricDraftResponse({
+        criteria: {
+          accuracy: { max_points: 60, description: 'Correct content.' },
+          clarity: { max_points: 'forty', description: 'Clear writing.', levels: levels(40) }
+        }
+      }, { totalPoints: 100 });
+
+      expect(outcome.value).toBeNull();
+      expect(outcome.errors).toEqual(['criteria.clarity.max_points must be a positive number']);
+    });
+  });
+
+  describe('validateCriterionScoreResponse', () => {
+    it('should verify evidence against the full submission, not the excerpt labels', () => {
+      const studentAnswer = '# Method\nWe heated the sample to 80 degrees.';
+      const outcome = aiResponseService.validateCriterionScoreResponse({
+        score: 4,
+        feedback: 'Clear method',
+        evidence: [{ quote: '[Section 1 of 2: Method]' }, { quote: 'heated the sample to 80 degrees' }]
+      }, { maxPoints: 5, studentAnswer });
+
+      expect(outcome.value.evidence).toEqual([{ quote: 'heated the sample to 80 degrees', start: 12, end: 43 }]);
+    });
+  });
+
+  describe('validateShortAnswerResponse', () => {
+    it('should clamp the score and derive is_correct from it', () => {
+      const outcome = aiResponseService.validateShortAnswerResponse({ score: 130, is_correct: false, feedback: 'Right' });
+
+      expect(outcome.value.score).toBe(100);
+      expect(outcome.value.is_correct).toBe(true);
+      expect(outcome.corrections).toHaveLength(2);
+    });
+
+    it('should require a numeric score', () => {
+      expect(aiResponseService.validateShortAnswerResponse({ score: 'full', feedback: 'Right' }).errors)
+        .toEqual(['score must be a number']);
+    });
+  });
+
+  describe('validateEssayResponse', () => {
+    const criteriaScores = {
+      content_accuracy: { score: 30, feedback: 'Accurate' },
+      completeness: { score: 20, feedback: 'Complete' },
+      clarity_organization: { score: 15, feedback: 'Clear' },
+      critical_thinking: { score: 10, feedback: 'Some analysis' }
+    };
+
+    it('should recompute the percentage from the criteria', () => {
+      const outcome = aiResponseService.validateEssayResponse({
+        score_percentage: 90,
+        criteria_scores: criteriaScores,
+        overall_feedback: 'Good essay.'
+      });
+
+      expect(outcome.value.score_percentage).toBe(75);
+      expect(outcome.value.strengths).toEqual([]);
+      expect(outcome.corrections.map(c => c.field)).toEqual(['score_percentage']);
+    });
+
+    it('should report missing criteria', () => {
+      const { critical_thinking, ...partial } = criteriaScores;
+      const outcome = aiResponseService.validateEssayResponse({ score_percentage: 65, criteria_scores: partial, overall_feedback: 'Good essay.' });
+
+      expect(outcome.errors).toEqual(['criteria_scores is missing criterion "critical_thinking"']);
+    });
+  });
+
+  describe('scaleRubricScore', () => {
+    const criteria = [{ name: 'accuracy', maxPoints: 6 }, { name: 'functionality', maxPoints: 4 }];
+
+    it('should scale rubric points to the assignment and count only rubric criteria', () => {
+      const scores = { accuracy: { score: 3, max_points: 6 }, functionality: { score: 4, max_points: 4 }, extra: { score: 5 } };
+
+      expect(aiResponseService.scaleRubricScore(criteria, scores, 100)).toBe(70);
+    });
+
+    it('should count a score out of other points as its share of the criterion', () => {
+      const scores = { accuracy: { score: 3, max_points: 6 }, functionality: { score: 20, max_points: 40 } };
+
+      expect(aiResponseService.scaleRubricScore(criteria, scores, 100)).toBe(50);
+      expect(aiResponseService.scaleRubricScore([{ name: 'accuracy', maxPoints: 0 }], scores, 100)).toBeNull();
+    });
+  });
+
+  describe('mergeValidations', () => {
+    it('should prefix fields and report the strongest status', () => {
+      const merged = aiResponseService.mergeValidations([
+        { prefix: 'rubric_scores.accuracy', validation: { status: 'reconciled', corrections: [{ field: 'score', from: 70, to: 60 }] } },
+        { prefix: 'rubric_scores.clarity', validation: { status: 'repaired', corrections: [], repair_errors: ['score must be a number'] } }
+      ]);
+
+      expect(merged.status).toBe('repaired');
+      expect(merged.corrections[0].field).toBe('rubric_scores.accuracy.score');
+      expect(merged.repair_errors).toEqual(['rubric_scores.clarity: score must be a number']);
+    });
+  });
+
+  describe('repair re-prompt', () => {
+    const scriptedProvider = (contents) => {
+      const requests = [];
+      return {
+        requests,
+        provider: {
+          name: 'scripted',
+          models: { grading: 'scripted', fast: 'scripted' },
+          async complete(request) {
+            requests.push(request);
+            return { content: contents[requests.length - 1], model: 'scripted', usage: {} };
+          }
+        }
+      };
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not repeat provider calls that fail permanently', async () => {
+      const requests = [];
+      jest.spyOn(aiProviderService, 'getProvider').mockReturnValue({
+        name: 'scripted',
+        models: { grading: 'scripted', fast: 'scripted' },
+        async complete(request) {
+          requests.push(request);
+          throw Object.assign(new Error('Invalid API key'), { status: 401 });
+        }
+      });
+
+      await expect(openaiService.gradeSubmission({ studentAnswer: 'Answer', rubric, totalPoints: 100 }))
+        .rejects.toThrow('Invalid API key');
+      expect(requests).toHaveLength(1);
+      expect(openaiService.isTransientError(Object.assign(new Error('Slow down'), { status: 429 }))).toBe(true);
+      expect(openaiService.isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+      expect(openaiService.isTransientError(new Error('Submission already graded'))).toBe(false);
+    });
+
+    it('should ask once for a corrected response and record the repair', async () => {
+      const { provider, requests } = scriptedProvider([
+        'not json',
+        JSON.stringify(submissionResponse())
+      ]);
+      jest.spyOn(aiProviderService, 'getProvider').mockReturnValue(provider);
+
+      const result = await openaiService.gradeSubmission({ studentAnswer: 'Answer', rubric, totalPoints: 100 });
+
+      expect(requests).toHaveLength(2);
+      expect(requests[1].messages.slice(-2).map(m => m.role)).toEqual(['assistant', 'user']);
+      expect(requests[1].messages[requests[1].messages.length - 1].content).toContain('Response is not a JSON object');
+      expect(result.score).toBe(80);
+      expect(result.ai_response.validation).toEqual({
+        status: 'repaired',
+        corrections: [],
+        repair_errors: ['Response is not a JSON object']
+      });
+    });
+
+    it('should fail when the repaired response is still invalid', async () => {
+      const { provider, requests } = scriptedProvider([
+        JSON.stringify(submissionResponse({ rubric_scores: {} })),
+        JSON.stringify(submissionResponse({ rubric_scores: {} }))
+      ]);
+      jest.spyOn(aiProviderService, 'getProvider').mockReturnValue(provider);
+
+      await expect(openaiService.gradeSubmission({ studentAnswer: 'Answer', rubric, totalPoints: 100 }))
+        .rejects.toThrow('Invalid AI response: rubric_scores is missing criterion "accuracy"');
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should reconcile without re-prompting', async () => {
+      const { provider, requests } = scriptedProvider([JSON.stringify(submissionResponse({ overall_score: 99 }))]);
+      jest.spyOn(aiProviderService, 'getProvider').mockReturnValue(provider);
+
+      const result = await openaiService.gradeSubmission({ studentAnswer: 'Answer', rubric, totalPoints: 100 });
+
+      expect(requests).toHaveLength(1);
+      expect(result.score).toBe(80);
+      expect(result.ai_response.validation.status).toBe('reconciled');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * AI Usage Service Unit Tests
+ */
+
+const aiUsageService = require('../../src/services/ai-usage-service');
+const openaiService = require('../../src/services/openai-service');
+const aiProviderService = require('../../src/services/ai-provider-service');
+
+describe('AI Usage Service', () => {
+  afterEach(() => {
+    delete process.env.AI_MODEL_PRICES;
+    jest.restoreAllMocks();
+  });
+
+  describe('getModelPrice', () => {
+    it('should use the price of the longest matching base model', () => {
+      expect(aiUsageService.getModelPrice('gpt-4o-mini-2024-07-18')).toEqual({ prompt: 0.15, completion: 0.6 });
+      expect(aiUsageService.getModelPrice('gpt-4-turbo-preview')).toEqual({ prompt: 10, completion: 30 });
+      expect(aiUsageService.getModelPrice('llama-3-70b-instruct')).toBeNull();
+    });
+
+    it('should apply AI_MODEL_PRICES overrides', () => {
+      process.env.AI_MODEL_PRICES = '{"llama-3-70b-instruct": {"prompt": 0.1, "completion": 0.2}}';
+
+      expect(aiUsageService.getModelPrice('llama-3-70b-instruct')).toEqual({ prompt: 0.1, completion: 0.2 });
+    });
+  });
+
+  describe('estimateCost', () => {
+    it('should price prompt and completion tokens separately', () => {
+      expect(aiUsageService.estimateCost('gpt-4o', 1000000, 100000)).toBe(3.5);
+      expect(aiUsageService.estimateCost('unknown-model', 1000, 1000)).toBeNull();
+    });
+  });
+
+  describe('createRecorder', () => {
+    it('should record the call with its cost and context', async () => {
+      const fastify = { db: { query: jest.fn().mockResolvedValue({ rows: [] }) } };
+      const recorder = aiUsageService.createRecorder(fastify, { assignmentId: 'assignment-1', submissionId: 'submission-1', userId: 'user-1' });
+
+      await recorder.record({
+        provider: 'openai',
+        model: 'gpt-4o-mini',
+        task: 'submission',
+        usage: { prompt_tokens: 2000, completion_tokens: 500 },
+        latencyMs: 1234.4
+      });
+
+      expect(fastify.db.query.mock.calls[0][1]).toEqual([
+        'openai', 'gpt-4o-mini', 'submission', 'grading', 'success', 2000, 500, 0.0006, 1234, null,
+        null, 'assignment-1', 'submission-1', 'user-1'
+      ]);
+    });
+
+    it('should not fail the call when recording fails', async () => {
+      const fastify = { db: { query: jest.fn().mockRejectedValue(new Error('connection lost')) } };
+
+      await expect(aiUsageService.createRecorder(fastify).record({ provider: 'fixture' })).resolves.toBeUndefined();
+    });
+  });
+
+  describe('budgets', () => {
+    it('should report a monthly budget that has been used', () => {
+      const status = aiUsageService.summarizeBudget(
+        { id: 'course-1', ai_budget_usd: '50.00', ai_budget_period: 'month', ai_budget_action: 'block', spent: '50.0042' },
+        new Date('2026-12-15T10:00:00Z')
+      );
+
+      expect(status).toMatchObject({ budget: 50, spent: 50.0042, remaining: 0, exceeded: true, action: 'block' });
+      expect(status.resets_at).toBe('2027-01-01T00:00:00.000Z');
+    });
+
+    it('should reject grading once the budget is used', async () => {
+      const db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ course_id: 'course-1' }] })
+          .mockResolvedValueOnce({ rows: [{ id: 'course-1', ai_budget_usd: '10.00', ai_budget_period: 'term', ai_budget_action: 'queue', spent: '12.5' }] })
+      };
+
+      await expect(aiUsageService.assertWithinBudget(db, 'assignment-1')).rejects.toMatchObject({
+        code: 'AI_BUDGET_EXCEEDED',
+        action: 'queue'
+      });
+    });
+
+    it('should allow grading without a budget', async () => {
+      const db = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ course_id: 'course-1' }] })
+          .mockResolvedValueOnce({ rows: [{ id: 'course-1', ai_budget_usd: null, ai_budget_period: 'month', ai_budget_action: 'queue', spent: '80' }] })
+      };
+
+      const status = await aiUsageService.assertWithinBudget(db, 'assignment-1');
+
+      expect(status).toMatchObject({ budget: null, remaining: null, exceeded: false });
+    });
+  });
+
+  describe('estimateSubmissionTokens', () => {
+    it('should estimate one call per criterion for long submissions', () => {
+      const short = aiUsageService.estimateSubmissionTokens({ prompt: 'x'.repeat(4000), content: 'Short answer', criteriaCount: 3 });
+      const long = aiUsageService.estimateSubmissionTokens({ prompt: '', content: 'word '.repeat(40000), criteriaCount: 3 });
+
+      expect(short).toEqual({ prompt_tokens: 1000, completion_tokens: 600 });
+      expect(long.prompt_tokens).toBeGreaterThan(3 * 4500);
+      expect(long.completion_tokens).toBe(3 * 200 + 600);
+    });
+  });
+
+  describe('recording provider calls', () => {
+    it('should record each grading call, including re-prompts', async () => {
+      const provider = aiProviderService.getProvider('fixture');
+      const complete = provider.complete.bind(provider);
+      jest.spyOn(provider, 'complete')
+        .mockResolvedValueOnce({ content: '{"overall_score": "high"}', model: 'fixture', usage: { prompt_tokens: 900, completion_tokens: 20 } })
+        .mockImplementation(complete);
+      const usageRecorder = { record: jest.fn() };
+
+      await openaiService.gradeSubmission({
+        studentAnswer: 'My answer', rubric: { accuracy: { max_points: 10 } }, totalPoints: 10, provider: 'fixture', usageRecorder
+      });
+
+      expect(usageRecorder.record).toHaveBeenCalledTimes(2);
+      expect(usageRecorder.record.mock.calls[0][0]).toMatchObject({
+        provider: 'fixture', model: 'fixture', task: 'submission', usage: { prompt_tokens: 900, completion_tokens: 20 }
+      });
+    });
+
+    it('should record failed calls', async () => {
+      jest.spyOn(aiProviderService.getProvider('fixture'), 'complete').mockRejectedValue(new Error('Rate limit exceeded'));
+      const usageRecorder = { record: jest.fn() };
+
+      await expect(openaiService.generateCriterionFeedback('clarity', 'Work', 3, 5, { provider: 'fixture', usageRecorder }))
+        .rejects.toThrow('Rate limit exceeded');
+
+      expect(usageRecorder.record.mock.calls[0][0]).toMatchObject({ task: 'criterion_feedback', error: expect.any(Error) });
+    });
+  });
+});
@@ -124,7 +124,9 @@ describe('Anonymization Service', () => {
           version: 1,
           submitted_at: new Date().toISOString(),
           grade: {
-            score: 85,
+            points_earned: 127.5,
+            points_possible: 150,
+            percentage: 85,
             rubric_scores: { thesis: { points: 20 } },
             graded_at: new Date().toISOString(),
             graded_by: null
@@ -147,7 +149,9 @@ describe('Anonymization Service', () => {
       expect(dataset[0].submission_hash).toBeDefined();
       expect(dataset[0].student_hash).toBeDefined();
       expect(dataset[0].word_count).toBeGreaterThan(0);
-      expect(dataset[0].grade.score).toBe(85);
+      expect(dataset[0].grade.points_earned).toBe(127.5);
+      expect(dataset[0].grade.points_possible).toBe(150);
+      expect(dataset[0].grade.percentage).toBe(85);
       expect(dataset[1].grade).toBeNull();
     });
   });
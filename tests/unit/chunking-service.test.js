@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Chunking Service
+ */
+
+const chunkingService = require('../../src/services/chunking-service');
+
+describe('Chunking Service', () => {
+  const paragraph = (topic, count) => Array.from({ length: count }, (_, i) => `Sentence ${i} about ${topic}.`).join(' ');
+
+  const report = [
+    'Abstract',
+    paragraph('the summary of titration findings', 5),
+    '',
+    '1. Introduction',
+    paragraph('acid base background theory', 20),
+    '',
+    '## Methods',
+    paragraph('burette pipette procedure apparatus', 40),
+    '',
+    'Results:',
+    paragraph('measured volumes concentration data table', 40),
+    '',
+    'Conclusion',
+    paragraph('overall conclusion future work', 10)
+  ].join('\n');
+
+  describe('estimateTokens', () => {
+    it('should estimate four characters per token', () => {
+      expect(chunkingService.estimateTokens('12345678')).toBe(2);
+      expect(chunkingService.estimateTokens('')).toBe(0);
+    });
+  });
+
+  describe('splitSections', () => {
+    it('should split at Markdown, numbered and report headings', () => {
+      const headings = chunkingService.splitSections(report).map(section => section.heading);
+
+      expect(headings).toEqual(['Abstract', '1. Introduction', 'Methods', 'Results', 'Conclusion']);
+    });
+
+    it('should keep the sections contiguous', () => {
+      const sections = chunkingService.splitSections(report);
+
+      expect(sections[0].start).toBe(0);
+      expect(sections[sections.length - 1].end).toBe(report.length);
+      sections.slice(1).forEach((section, i) => expect(section.start).toBe(sections[i].end));
+    });
+  });
+
+  describe('chunkText', () => {
+    it('should respect the chunk size and cover the whole text', () => {
+      const chunks = chunkingService.chunkText(report, { maxTokens: 200 });
+
+      expect(chunks.length).toBeGreaterThan(3);
+      chunks.forEach(chunk => expect(chunk.tokens).toBeLessThanOrEqual(200));
+      expect(chunks.map(chunk => chunk.text).join('')).toBe(report);
+    });
+
+    it('should pack small sections together', () => {
+      const chunks = chunkingService.chunkText('# A\nshort\n# B\nalso short\n', { maxTokens: 200 });
+
+      expect(chunks).toHaveLength(1);
+      expect(chunks[0].heading).toBe('A');
+    });
+  });
+
+  describe('selectChunks', () => {
+    it('should pick the chunks relevant to a criterion within the budget', () => {
+      const chunks = chunkingService.chunkText(report, { maxTokens: 200 });
+      const selected = chunkingService.selectChunks(chunks, {
+        name: 'methodology',
+        description: 'Reproducible procedure describing the apparatus (burette, pipette)'
+      }, { maxTokens: 250 });
+
+      expect(selected.length).toBeGreaterThan(0);
+      expect(selected.reduce((sum, chunk) => sum + chunk.tokens, 0)).toBeLessThanOrEqual(250);
+      selected.forEach(chunk => expect(chunk.text).toContain('burette'));
+    });
+
+    it('should always return at least one chunk', () => {
+      const chunks = chunkingService.chunkText(report, { maxTokens: 200 });
+
+      expect(chunkingService.selectChunks(chunks, { name: 'zzz', description: '' }, { maxTokens: 1 })).toHaveLength(1);
+    });
+  });
+});
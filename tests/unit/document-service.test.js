@@ -0,0 +1,158 @@
+/**
+ * Unit Tests for Document Service
+ */
+
+const zlib = require('zlib');
+const documentService = require('../../src/services/document-service');
+
+/**
+ * Build a ZIP archive with deflated entries
+ */
+function buildZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, content] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name);
+    const data = zlib.deflateRawSync(Buffer.from(content));
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuffer, data);
+    centrals.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+describe('Document Service', () => {
+  describe('detectFormat', () => {
+    it('should map extensions to formats', () => {
+      expect(documentService.detectFormat('/api/v1/files/u1/report.DOCX')).toBe('docx');
+      expect(documentService.detectFormat('analysis.ipynb')).toBe('notebook');
+      expect(documentService.detectFormat('README.md')).toBe('markdown');
+      expect(documentService.detectFormat('solution.py')).toBe('code');
+      expect(documentService.detectFormat('archive.zip')).toBeNull();
+    });
+  });
+
+  describe('extractDocx', () => {
+    it('should extract paragraphs and headings', async () => {
+      const documentXml = `<?xml version="1.0"?><w:document><w:body>
+        <w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>Lab Report</w:t></w:r></w:p>
+        <w:p><w:r><w:t xml:space="preserve">Yield was </w:t></w:r><w:r><w:t>92% &amp; pure</w:t></w:r></w:p>
+        <w:p></w:p>
+      </w:body></w:document>`;
+
+      const result = await documentService.extractDocument(
+        buildZip({ '[Content_Types].xml': '<Types/>', 'word/document.xml': documentXml }),
+        'report.docx'
+      );
+
+      expect(result.format).toBe('docx');
+      expect(result.text).toBe('# Lab Report\n\nYield was 92% & pure');
+      expect(result.structure.headings).toEqual([{ level: 1, text: 'Lab Report' }]);
+    });
+
+    it('should reject files that are not Word documents', () => {
+      expect(() => documentService.extractDocx(Buffer.from('plain text'))).toThrow('Not a valid ZIP archive');
+    });
+  });
+
+  describe('extractNotebook', () => {
+    const notebook = {
+      metadata: { kernelspec: { language: 'python' } },
+      cells: [
+        { cell_type: 'markdown', source: ['# Question 1\n', 'Compute the mean.'] },
+        {
+          cell_type: 'code',
+          source: 'import numpy as np\nprint(np.mean([1, 2, 3]))',
+          outputs: [{ output_type: 'stream', name: 'stdout', text: ['2.0\n'] }]
+        },
+        {
+          cell_type: 'code',
+          source: 'df.plot()',
+          outputs: [
+            { output_type: 'display_data', data: { 'image/png': 'iVBOR...' } },
+            { output_type: 'error', ename: 'NameError', evalue: "name 'df' is not defined", traceback: [] }
+          ]
+        },
+        { cell_type: 'code', source: '', outputs: [] }
+      ]
+    };
+
+    it('should split markdown cells, code cells and outputs', () => {
+      const result = documentService.extractNotebook(Buffer.from(JSON.stringify(notebook)));
+
+      expect(result.language).toBe('python');
+      expect(result.structure.markdown_cells).toBe(1);
+      expect(result.structure.code_cells).toBe(3);
+      expect(result.structure.cells[1].outputs).toEqual([{ type: 'stream', text: '2.0' }]);
+      expect(result.text).toBe([
+        '[Markdown cell 1]\n# Question 1\nCompute the mean.',
+        '[Code cell 2]\n```python\nimport numpy as np\nprint(np.mean([1, 2, 3]))\n```',
+        '[Output of cell 2]\n2.0',
+        '[Code cell 3]\n```python\ndf.plot()\n```',
+        '[Output of cell 3]\n[image output]',
+        "[Output of cell 3 (error)]\nNameError: name 'df' is not defined"
+      ].join('\n\n'));
+    });
+
+    it('should reject invalid notebooks', () => {
+      expect(() => documentService.extractNotebook('{"nbformat": 4}')).toThrow('no cells');
+      expect(() => documentService.extractNotebook('not json')).toThrow('invalid JSON');
+    });
+  });
+
+  describe('extractMarkdown', () => {
+    it('should list sections outside code blocks', () => {
+      const result = documentService.extractMarkdown('# Intro\ntext\n```\n# not a heading\n```\n## Results\n');
+
+      expect(result.structure.sections).toEqual([
+        { level: 1, heading: 'Intro' },
+        { level: 2, heading: 'Results' }
+      ]);
+      expect(result.structure.code_blocks).toBe(1);
+    });
+  });
+
+  describe('extractDocument', () => {
+    it('should keep code with its language', async () => {
+      const result = await documentService.extractDocument(Buffer.from('def f():\r\n    return 1\r\n'), 'hw1.py');
+
+      expect(result).toEqual({
+        format: 'code',
+        language: 'python',
+        text: 'def f():\n    return 1',
+        structure: { language: 'python', lines: 2 }
+      });
+    });
+
+    it('should reject unsupported files', async () => {
+      await expect(documentService.extractDocument(Buffer.from('x'), 'photo.png')).rejects.toThrow('Unsupported');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Draft Feedback Service Unit Tests
+ */
+
+const draftFeedbackService = require('../../src/services/draft-feedback-service');
+const aiProviderService = require('../../src/services/ai-provider-service');
+const aiUsageService = require('../../src/services/ai-usage-service');
+
+describe('Draft Feedback Service', () => {
+  const settings = { enabled: true, maxAttempts: 3, cooldownMinutes: 30 };
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  const draft = (overrides = {}) => ({
+    id: 'submission-1',
+    status: 'draft',
+    content: 'Photosynthesis turns light into chemical energy.',
+    student_id: 'student-1',
+    assignment_id: 'assignment-1',
+    assignment_description: 'Explain photosynthesis.',
+    draft_feedback_enabled: true,
+    draft_feedback_max_attempts: 3,
+    draft_feedback_cooldown_minutes: 30,
+    course_id: 'course-1',
+    rubric_criteria: { accuracy: { max_points: 6 }, clarity: { max_points: 4 } },
+    ...overrides
+  });
+
+  // Database whose draft_feedback_requests hold the given usage
+  const mockFastify = (usage = { used: '0', last_requested_at: null }) => {
+    const db = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('COUNT(*) as used')) return { rows: [usage] };
+        if (sql.includes('INSERT INTO draft_feedback_requests')) return { rows: [{ id: 'request-1' }] };
+        return { rows: [], rowCount: 1 };
+      })
+    };
+    db.transaction = jest.fn(callback => callback(db));
+    return { db };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(aiUsageService, 'assertWithinBudget').mockResolvedValue(null);
+    jest.spyOn(aiProviderService, 'getProviderForAssignment').mockResolvedValue('fixture');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('summarizeAttempts', () => {
+    it('should report the cooldown after a recent check', () => {
+      const attempts = draftFeedbackService.summarizeAttempts(settings, {
+        used: '1', last_requested_at: new Date('2026-10-19T11:45:00Z')
+      }, now);
+
+      expect(attempts).toEqual({
+        used: 1, limit: 3, remaining: 2, cooldown_minutes: 30, next_available_at: '2026-10-19T12:15:00.000Z'
+      });
+    });
+
+    it('should be available once the cooldown has passed', () => {
+      const attempts = draftFeedbackService.summarizeAttempts(settings, {
+        used: '3', last_requested_at: new Date('2026-10-19T10:00:00Z')
+      }, now);
+
+      expect(attempts.next_available_at).toBeNull();
+      expect(attempts.remaining).toBe(0);
+    });
+  });
+
+  describe('checkDraft', () => {
+    it('should return criterion hints without a score and log the check', async () => {
+      const fastify = mockFastify();
+
+      const feedback = await draftFeedbackService.checkDraft(fastify, draft(), { userId: 'user-1' });
+
+      expect(Object.keys(feedback.criteria)).toEqual(['accuracy', 'clarity']);
+      expect(feedback.criteria.accuracy).toEqual({ hint: expect.any(String) });
+      expect(feedback).not.toHaveProperty('score');
+      expect(feedback.request_id).toBe('request-1');
+      const [sql, params] = fastify.db.query.mock.calls.find(([query]) => query.includes("status = 'completed'"));
+      expect(sql).toContain('UPDATE draft_feedback_requests');
+      expect(JSON.parse(params[1]).overall_hint).toEqual(expect.any(String));
+    });
+
+    it('should refuse once the attempts are used', async () => {
+      const fastify = mockFastify({ used: '3', last_requested_at: new Date('2026-10-01T00:00:00Z') });
+
+      await expect(draftFeedbackService.checkDraft(fastify, draft())).rejects.toMatchObject({ code: 'DRAFT_FEEDBACK_LIMIT' });
+      expect(fastify.db.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO draft_feedback_requests'))).toBe(false);
+    });
+
+    it('should refuse during the cooldown', async () => {
+      const fastify = mockFastify({ used: '1', last_requested_at: new Date() });
+
+      await expect(draftFeedbackService.checkDraft(fastify, draft())).rejects.toMatchObject({
+        code: 'DRAFT_FEEDBACK_COOLDOWN',
+        attempts: expect.objectContaining({ remaining: 2 })
+      });
+    });
+
+    it('should refuse when the instructor has not enabled it', async () => {
+      const fastify = mockFastify();
+
+      await expect(draftFeedbackService.checkDraft(fastify, draft({ draft_feedback_enabled: false })))
+        .rejects.toMatchObject({ code: 'DRAFT_FEEDBACK_DISABLED' });
+      expect(fastify.db.query).not.toHaveBeenCalled();
+    });
+
+    it('should mark the check failed so it does not use an attempt', async () => {
+      const fastify = mockFastify();
+      jest.spyOn(aiProviderService, 'getProvider').mockReturnValue({
+        name: 'failing',
+        models: { grading: 'failing', fast: 'failing' },
+        complete: jest.fn().mockRejectedValue(new Error('Rate limit exceeded'))
+      });
+
+      await expect(draftFeedbackService.checkDraft(fastify, draft())).rejects.toThrow('Rate limit exceeded');
+
+      const [, params] = fastify.db.query.mock.calls.find(([sql]) => sql.includes("status = 'failed'"));
+      expect(params).toEqual(['request-1', expect.stringContaining('Rate limit exceeded')]);
+    });
+  });
+});
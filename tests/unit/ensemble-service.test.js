@@ -0,0 +1,146 @@
+/**
+ * Ensemble Grading Service Unit Tests
+ */
+
+const ensembleService = require('../../src/services/ensemble-service');
+const openaiService = require('../../src/services/openai-service');
+
+describe('Ensemble Grading Service', () => {
+  const rubric = {
+    accuracy: { max_points: 60, description: 'Correct content' },
+    clarity: { max_points: 40, description: 'Clear writing' }
+  };
+
+  const sample = (accuracy, clarity, provider = 'openai') => ({
+    score: accuracy + clarity,
+    percentage: accuracy + clarity,
+    rubric_scores: {
+      accuracy: { score: accuracy, max_points: 60, feedback: `Accuracy ${accuracy}` },
+      clarity: { score: clarity, max_points: 40, feedback: `Clarity ${clarity}` }
+    },
+    feedback: `Overall ${accuracy + clarity}`,
+    strengths: [],
+    areas_for_improvement: [],
+    suggestions: [],
+    ai_response: { provider, model: 'model', validation: { status: 'valid', corrections: [] } }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('median', () => {
+    it('should take the middle value, or the mean of the two middle values', () => {
+      expect(ensembleService.median([3, 1, 2])).toBe(2);
+      expect(ensembleService.median([4, 1, 3, 2])).toBe(2.5);
+    });
+  });
+
+  describe('getEnsembleConfig', () => {
+    it('should fall back to the deployment defaults', () => {
+      expect(ensembleService.getEnsembleConfig({ ensemble_samples: null, ensemble_providers: null, review_confidence_threshold: null }))
+        .toEqual({ samples: 1, providers: [], threshold: 0.7 });
+      expect(ensembleService.getEnsembleConfig({ ensemble_samples: 3, review_confidence_threshold: '0.85' }))
+        .toEqual({ samples: 3, providers: [], threshold: 0.85 });
+    });
+  });
+
+  describe('planSamples', () => {
+    it('should repeat the assignment provider or use each listed provider once', () => {
+      expect(ensembleService.planSamples({ samples: 3, providers: [] }, 'openai')).toEqual(['openai', 'openai', 'openai']);
+      expect(ensembleService.planSamples({ samples: 3, providers: ['openai', 'openai_compatible'] }, 'openai'))
+        .toEqual(['openai', 'openai_compatible']);
+    });
+  });
+
+  describe('combineSamples', () => {
+    it('should take the median of each criterion', () => {
+      const result = ensembleService.combineSamples(
+        [sample(50, 30), sample(40, 36), sample(54, 32)],
+        { rubric, totalPoints: 100 }
+      );
+
+      expect(result.rubric_scores.accuracy).toMatchObject({ score: 50, feedback: 'Accuracy 50' });
+      expect(result.rubric_scores.clarity).toMatchObject({ score: 32, feedback: 'Clarity 32' });
+      expect(result.score).toBe(82);
+      expect(result.feedback).toBe('Overall 80');
+      expect(result.ai_response.ensemble.samples).toHaveLength(3);
+    });
+
+    it('should derive confidence from the spread of the samples', () => {
+      const agreeing = ensembleService.combineSamples([sample(50, 30), sample(50, 30)], { rubric, totalPoints: 100 });
+      // Ranges of 14 + 6 points out of 100 -> spread 0.2
+      const disagreeing = ensembleService.combineSamples([sample(40, 30), sample(54, 36)], { rubric, totalPoints: 100 });
+
+      expect(agreeing.confidence).toBe(1);
+      expect(disagreeing.ai_response.ensemble.spread).toBe(0.2);
+      expect(disagreeing.confidence).toBe(0.6);
+    });
+
+    it('should scale the score to the assignment total', () => {
+      const result = ensembleService.combineSamples([sample(60, 40), sample(60, 40)], { rubric, totalPoints: 50 });
+
+      expect(result.score).toBe(50);
+      expect(result.percentage).toBe(100);
+    });
+
+    it('should use the overall score for free-text rubrics', () => {
+      const result = ensembleService.combineSamples(
+        [{ ...sample(50, 30), rubric_scores: {} }, { ...sample(40, 30), rubric_scores: {} }, { ...sample(45, 30), rubric_scores: {} }],
+        { rubric: 'Grade on accuracy', totalPoints: 100 }
+      );
+
+      expect(result.score).toBe(75);
+      expect(result.confidence).toBe(0.8);
+    });
+  });
+
+  describe('gradeEnsemble', () => {
+    const params = { studentAnswer: 'Answer', rubric, totalPoints: 100, provider: 'openai' };
+
+    it('should grade once without a confidence by default', async () => {
+      const spy = jest.spyOn(openaiService, 'gradeSubmission').mockResolvedValue(sample(50, 30));
+
+      const result = await ensembleService.gradeEnsemble(params, { samples: 1, providers: [], threshold: 0.7 });
+
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(result.confidence).toBeNull();
+    });
+
+    it('should lower the confidence for failed samples', async () => {
+      jest.spyOn(openaiService, 'gradeSubmission')
+        .mockResolvedValueOnce(sample(50, 30))
+        .mockRejectedValueOnce(new Error('Rate limited'))
+        .mockResolvedValueOnce(sample(50, 30));
+
+      const result = await ensembleService.gradeEnsemble(params, { samples: 3, providers: [], threshold: 0.7 });
+
+      expect(result.confidence).toBe(0.667);
+      expect(result.ai_response.ensemble.failed).toEqual([{ provider: 'openai', error: 'Rate limited' }]);
+      expect(ensembleService.isLowConfidence(result.confidence, 0.7)).toBe(true);
+    });
+
+    it('should grade with each listed provider', async () => {
+      const spy = jest.spyOn(openaiService, 'gradeSubmission').mockImplementation(async ({ provider }) => sample(50, 30, provider));
+
+      await ensembleService.gradeEnsemble(params, { samples: 1, providers: ['openai', 'fixture'], threshold: 0.7 });
+
+      expect(spy.mock.calls.map(([call]) => call.provider)).toEqual(['openai', 'fixture']);
+    });
+
+    it('should fail when every sample fails', async () => {
+      jest.spyOn(openaiService, 'gradeSubmission').mockRejectedValue(new Error('Grading failed: timeout'));
+
+      await expect(ensembleService.gradeEnsemble(params, { samples: 2, providers: [], threshold: 0.7 }))
+        .rejects.toThrow('Grading failed: timeout');
+    });
+  });
+
+  describe('isLowConfidence', () => {
+    it('should never hold single-sample grades', () => {
+      expect(ensembleService.isLowConfidence(null, 0.7)).toBe(false);
+      expect(ensembleService.isLowConfidence(0.69, 0.7)).toBe(true);
+      expect(ensembleService.isLowConfidence(0.7, 0.7)).toBe(false);
+    });
+  });
+});
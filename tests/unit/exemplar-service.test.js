@@ -0,0 +1,123 @@
+/**
+ * Exemplar Service Unit Tests
+ */
+
+const exemplarService = require('../../src/services/exemplar-service');
+const openaiService = require('../../src/services/openai-service');
+const aiProviderService = require('../../src/services/ai-provider-service');
+
+describe('Exemplar Service', () => {
+  const exemplar = (id, level, overrides = {}) => ({
+    id,
+    level,
+    submission_id: `submission-${id}`,
+    student_id: `student-${id}`,
+    content: `Answer of exemplar ${id}`,
+    points_earned: 80,
+    points_possible: 100,
+    feedback: 'Good work',
+    rubric_scores: {
+      accuracy: { score: 50, max_points: 60, feedback: 'Mostly correct' },
+      clarity: { score: 30, max_points: 40, feedback: '' }
+    },
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('anonymizeText', () => {
+    it('should replace the student\'s identifiers and redact other PII', () => {
+      const text = 'By Jane Doe (S1234567, jane.doe@uni.edu). Jane thanks Dr. Smith at smith@uni.edu.';
+
+      expect(exemplarService.anonymizeText(text, { name: 'Jane Doe', studentNumber: 'S1234567', email: 'jane.doe@uni.edu' }))
+        .toBe('By [STUDENT] ([STUDENT], [STUDENT]). [STUDENT] thanks Dr. Smith at [EMAIL_REDACTED].');
+    });
+
+    it('should only replace whole words', () => {
+      expect(exemplarService.anonymizeText('Al wrote an algorithm', { name: 'Al' })).toBe('[STUDENT] wrote an algorithm');
+    });
+  });
+
+  describe('exemplarsForSubmission', () => {
+    it('should leave out the submission itself and the same student\'s work', () => {
+      const exemplars = [exemplar('a', 'high'), exemplar('b', 'low'), exemplar('c', 'mid', { student_id: 'student-x' })];
+
+      const usable = exemplarService.exemplarsForSubmission(exemplars, { id: 'submission-a', student_id: 'student-x' });
+
+      expect(usable.map(e => e.id)).toEqual(['b']);
+    });
+  });
+
+  describe('formatExemplars', () => {
+    it('should render exemplars with their rubric scores, alternating levels', () => {
+      const { text, used } = exemplarService.formatExemplars([
+        exemplar('a', 'high'), exemplar('b', 'high'), exemplar('c', 'low'), exemplar('d', 'mid')
+      ]);
+
+      expect(used).toEqual([
+        { id: 'a', level: 'high' }, { id: 'd', level: 'mid' }, { id: 'c', level: 'low' }, { id: 'b', level: 'high' }
+      ]);
+      expect(text).toContain('## Graded Examples');
+      expect(text).toContain('### Example 1 (high): 80/100 points');
+      expect(text).toContain('- accuracy: 50/60 (Mostly correct)\n- clarity: 30/40\n');
+      expect(text).toContain('Answer of exemplar d');
+    });
+
+    it('should cap the examples to the token budget', () => {
+      const long = 'word '.repeat(4000);
+      const { text, used } = exemplarService.formatExemplars(
+        [exemplar('a', 'high', { content: long }), exemplar('b', 'mid', { content: long }), exemplar('c', 'low', { content: long })],
+        { maxTokens: 500 }
+      );
+
+      // 500 tokens leave room for two examples of 250 tokens each
+      expect(used.map(e => e.id)).toEqual(['a', 'b']);
+      expect(text.length).toBeLessThan(600 * 4);
+      expect(text).toContain('[truncated]');
+    });
+
+    it('should render nothing without exemplars', () => {
+      expect(exemplarService.formatExemplars([])).toEqual({ text: '', used: [] });
+    });
+  });
+
+  describe('addExemplar', () => {
+    const fastify = rows => ({ db: { query: jest.fn().mockResolvedValue({ rows }) } });
+
+    it('should reject submissions the instructor has not graded', async () => {
+      const db = fastify([{ id: 'submission-1', content: 'Answer', grade_id: 'grade-1', graded_by: null, reviewed_by: null }]);
+
+      await expect(exemplarService.addExemplar(db, 'assignment-1', { submission_id: 'submission-1', level: 'high' }, 'user-1'))
+        .rejects.toMatchObject({ code: 'NOT_INSTRUCTOR_GRADED' });
+      expect(db.db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject submissions of other assignments', async () => {
+      await expect(exemplarService.addExemplar(fastify([]), 'assignment-1', { submission_id: 'submission-1', level: 'high' }, 'user-1'))
+        .rejects.toMatchObject({ code: 'SUBMISSION_NOT_FOUND' });
+    });
+  });
+
+  describe('grading with exemplars', () => {
+    it('should include the examples in the prompt and record them', async () => {
+      const provider = aiProviderService.getProvider('fixture');
+      const complete = jest.spyOn(provider, 'complete');
+
+      const result = await openaiService.gradeSubmission({
+        studentAnswer: 'My answer',
+        rubric: { accuracy: { max_points: 60 }, clarity: { max_points: 40 } },
+        totalPoints: 100,
+        provider: 'fixture',
+        exemplars: [exemplar('a', 'high', { content: 'Reach me at 555-123-4567' })]
+      });
+
+      const prompt = complete.mock.calls[0][0].messages[1].content;
+      expect(prompt).toContain('### Example 1 (high): 80/100 points');
+      expect(prompt).toContain('Reach me at [PHONE_REDACTED]');
+      expect(prompt.indexOf('## Graded Examples')).toBeLessThan(prompt.indexOf('## Student Submission'));
+      expect(result.ai_response.exemplars).toEqual([{ id: 'a', level: 'high' }]);
+    });
+  });
+});
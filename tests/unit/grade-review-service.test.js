@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Grade Review Service
+ */
+
+const gradeReviewService = require('../../src/services/grade-review-service');
+
+describe('Grade Review Service', () => {
+  describe('getInitialStatus', () => {
+    it('should publish immediately when review is not required', () => {
+      expect(gradeReviewService.getInitialStatus(false)).toBe('published');
+    });
+
+    it('should hold AI grades as drafts when review is required', () => {
+      expect(gradeReviewService.getInitialStatus(true)).toBe('draft');
+    });
+
+    it('should treat instructor-entered grades as reviewed', () => {
+      expect(gradeReviewService.getInitialStatus(true, true)).toBe('reviewed');
+    });
+  });
+
+  describe('isVisibleToStudent', () => {
+    it('should show published grades', () => {
+      expect(gradeReviewService.isVisibleToStudent({ status: 'published' })).toBe(true);
+    });
+
+    it('should hide drafts and retracted grades', () => {
+      expect(gradeReviewService.isVisibleToStudent({ status: 'draft' })).toBe(false);
+      expect(gradeReviewService.isVisibleToStudent({ status: 'retracted' })).toBe(false);
+    });
+
+    it('should show reviewed grades once their release time has passed', () => {
+      const past = new Date(Date.now() - 60000).toISOString();
+      const future = new Date(Date.now() + 60000).toISOString();
+
+      expect(gradeReviewService.isVisibleToStudent({ status: 'reviewed', release_at: past })).toBe(true);
+      expect(gradeReviewService.isVisibleToStudent({ status: 'reviewed', release_at: future })).toBe(false);
+      expect(gradeReviewService.isVisibleToStudent({ status: 'reviewed', release_at: null })).toBe(false);
+    });
+  });
+
+  describe('applyStudentVisibility', () => {
+    const row = (overrides = {}) => ({
+      id: 'submission-1',
+      points_earned: 42,
+      points_possible: 150,
+      percentage: 28,
+      feedback: 'Well argued',
+      rubric_scores: { thesis: { score: 20, feedback: 'Clear thesis' } },
+      ai_response: { raw: true },
+      confidence: 0.9,
+      grade_status: 'published',
+      grade_release_at: null,
+      show_feedback_to_students: true,
+      ...overrides
+    });
+
+    it('should hide the points of an unpublished grade', () => {
+      const result = gradeReviewService.applyStudentVisibility(row({ grade_status: 'draft' }));
+
+      expect(result.points_earned).toBeNull();
+      expect(result.percentage).toBeNull();
+      expect(result.feedback).toBeNull();
+      expect(result.rubric_scores).toBeNull();
+      expect(result.grade_released).toBe(false);
+    });
+
+    it('should hide feedback but keep scores when feedback is disabled', () => {
+      const result = gradeReviewService.applyStudentVisibility(row({ show_feedback_to_students: false }));
+
+      expect(result.points_earned).toBe(42);
+      expect(result.percentage).toBe(28);
+      expect(result.feedback).toBeNull();
+      expect(result.rubric_scores).toEqual({ thesis: { score: 20 } });
+    });
+
+    it('should never expose internal grading fields', () => {
+      const result = gradeReviewService.applyStudentVisibility(row());
+
+      expect(result.ai_response).toBeUndefined();
+      expect(result.confidence).toBeUndefined();
+      expect(result.grade_status).toBeUndefined();
+      expect(result.feedback).toBe('Well argued');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for Grade Revision Service
+ */
+
+const gradeRevisionService = require('../../src/services/grade-revision-service');
+
+describe('Grade Revision Service', () => {
+  let mockClient;
+  let mockFastify;
+
+  const grade = {
+    id: 'grade-1',
+    points_earned: 120.5,
+    points_possible: 150,
+    feedback: 'Solid analysis',
+    rubric_scores: { thesis: { score: 40 } },
+    late_penalty_percent: 10
+  };
+
+  beforeEach(() => {
+    mockClient = {
+      query: jest.fn().mockResolvedValue({ rows: [{ id: 'revision-new', revision_number: 3 }] })
+    };
+    mockFastify = {
+      db: {
+        query: jest.fn(),
+        transaction: jest.fn((callback) => callback(mockClient))
+      }
+    };
+  });
+
+  describe('recordRevision', () => {
+    it('should store the grade values with author and reason', async () => {
+      await gradeRevisionService.recordRevision(mockClient, grade, {
+        source: 'override',
+        userId: 'instructor-1',
+        reason: 'Missed the second argument'
+      });
+
+      const [sql, params] = mockClient.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO grade_revisions');
+      expect(params).toEqual([
+        'grade-1',
+        'override',
+        120.5,
+        150,
+        'Solid analysis',
+        JSON.stringify(grade.rubric_scores),
+        'Missed the second argument',
+        null,
+        'instructor-1',
+        10
+      ]);
+    });
+
+    it('should reject unknown sources', async () => {
+      await expect(
+        gradeRevisionService.recordRevision(mockClient, grade, { source: 'guess' })
+      ).rejects.toThrow('Invalid revision source');
+      expect(mockClient.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revertToRevision', () => {
+    it('should return null when the revision belongs to another grade', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await gradeRevisionService.revertToRevision(mockFastify, 'grade-1', 'revision-x', {
+        userId: 'instructor-1'
+      });
+
+      expect(result).toBeNull();
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restore the revision values and record a revert revision', async () => {
+      const target = { ...grade, id: 'revision-1', grade_id: 'grade-1', revision_number: 1, points_earned: 90 };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [target] })
+        .mockResolvedValueOnce({ rows: [{ ...grade, points_earned: 90 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'revision-3', revision_number: 3, source: 'revert' }] });
+
+      const result = await gradeRevisionService.revertToRevision(mockFastify, 'grade-1', 'revision-1', {
+        userId: 'instructor-1'
+      });
+
+      const [updateSql, updateParams] = mockClient.query.mock.calls[1];
+      expect(updateSql).toContain('UPDATE grades');
+      expect(updateParams[0]).toBe(90);
+
+      const [, revisionParams] = mockClient.query.mock.calls[2];
+      expect(revisionParams[1]).toBe('revert');
+      expect(revisionParams[6]).toBe('Reverted to revision 1');
+      expect(revisionParams[7]).toBe('revision-1');
+
+      expect(result.grade.points_earned).toBe(90);
+      expect(result.revision.revision_number).toBe(3);
+    });
+
+    it('should restore the late penalty of the revision', async () => {
+      const target = { ...grade, id: 'revision-1', grade_id: 'grade-1', revision_number: 1, late_penalty_percent: 20 };
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [target] })
+        .mockResolvedValueOnce({ rows: [{ ...grade, late_penalty_percent: 20 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'revision-3', revision_number: 3, source: 'revert' }] });
+
+      await gradeRevisionService.revertToRevision(mockFastify, 'grade-1', 'revision-1', { userId: 'instructor-1' });
+
+      const [updateSql, updateParams] = mockClient.query.mock.calls[1];
+      expect(updateSql).toContain('late_penalty_percent = COALESCE($7, late_penalty_percent)');
+      expect(updateParams[6]).toBe(20);
+
+      const [, revisionParams] = mockClient.query.mock.calls[2];
+      expect(revisionParams[9]).toBe(20);
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Grading Cache Service Unit Tests
+ */
+
+const gradingCacheService = require('../../src/services/grading-cache-service');
+const ensembleService = require('../../src/services/ensemble-service');
+const metricsService = require('../../src/services/metrics-service');
+
+describe('Grading Cache Service', () => {
+  const ensemble = { samples: 1, providers: [], threshold: 0.7 };
+  const params = {
+    studentAnswer: 'Photosynthesis converts light into chemical energy.',
+    rubric: { accuracy: { max_points: 6 }, clarity: { max_points: 4 } },
+    referenceAnswer: 'Light energy is converted to chemical energy.',
+    totalPoints: 10,
+    provider: 'fixture',
+    promptTemplate: { id: null, task: 'submission', version: 0, system_prompt: 'S', user_prompt: '{{student_submission}}' }
+  };
+
+  beforeEach(() => {
+    metricsService.gradingCache = { hits: 0, misses: 0, bypassed: 0 };
+  });
+
+  afterEach(() => {
+    delete process.env.AI_GRADING_CACHE;
+    jest.restoreAllMocks();
+  });
+
+  describe('buildCacheKey', () => {
+    it('should ignore formatting-only differences and key order', () => {
+      const key = gradingCacheService.buildCacheKey(params, ensemble);
+      const reformatted = gradingCacheService.buildCacheKey({
+        ...params,
+        studentAnswer: `\r\n${params.studentAnswer}   \r\n`,
+        rubric: { clarity: { max_points: 4 }, accuracy: { max_points: 6 } },
+        usageRecorder: { record: jest.fn() }
+      }, ensemble);
+
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(reformatted).toBe(key);
+    });
+
+    it('should change with the submission, reference answer and prompt version', () => {
+      const key = gradingCacheService.buildCacheKey(params, ensemble);
+
+      expect(gradingCacheService.buildCacheKey({ ...params, studentAnswer: 'Plants eat sunlight.' }, ensemble)).not.toBe(key);
+      expect(gradingCacheService.buildCacheKey({ ...params, referenceAnswer: 'Glucose is produced.' }, ensemble)).not.toBe(key);
+      expect(gradingCacheService.buildCacheKey({ ...params, promptTemplate: { ...params.promptTemplate, id: 'template-2', version: 2 } }, ensemble)).not.toBe(key);
+      expect(gradingCacheService.buildCacheKey(params, { ...ensemble, samples: 3 })).not.toBe(key);
+    });
+  });
+
+  describe('gradeWithCache', () => {
+    it('should return the cached result without grading', async () => {
+      const cachedAt = new Date('2026-10-01T12:00:00Z');
+      const db = {
+        query: jest.fn().mockResolvedValue({
+          rows: [{ result: { score: 8, feedback: 'Good', ai_response: { model: 'fixture' }, confidence: null }, created_at: cachedAt }]
+        })
+      };
+      const gradeEnsemble = jest.spyOn(ensembleService, 'gradeEnsemble');
+
+      const result = await gradingCacheService.gradeWithCache(db, params, ensemble);
+
+      expect(gradeEnsemble).not.toHaveBeenCalled();
+      expect(result.score).toBe(8);
+      expect(result.ai_response.cache).toEqual({ hit: true, key: gradingCacheService.buildCacheKey(params, ensemble), cached_at: cachedAt });
+      expect(metricsService.getSummary().gradingCache).toMatchObject({ hits: 1, misses: 0, hitRate: '100.00%' });
+    });
+
+    it('should grade and store the result on a miss', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const result = await gradingCacheService.gradeWithCache(db, params, ensemble);
+
+      const [sql, values] = db.query.mock.calls[1];
+      expect(sql).toContain('INSERT INTO grading_result_cache');
+      expect(JSON.parse(values[1]).score).toBe(result.score);
+      expect(values[2]).toEqual(['fixture:fixture']);
+      expect(metricsService.gradingCache).toEqual({ hits: 0, misses: 1, bypassed: 0 });
+    });
+
+    it('should skip the lookup when bypassing the cache', async () => {
+      const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      await gradingCacheService.gradeWithCache(db, params, ensemble, { bypass: true });
+
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(db.query.mock.calls[0][0]).toContain('INSERT INTO grading_result_cache');
+      expect(metricsService.gradingCache.bypassed).toBe(1);
+    });
+
+    it('should not touch the cache when it is turned off', async () => {
+      process.env.AI_GRADING_CACHE = 'false';
+      const db = { query: jest.fn() };
+
+      const result = await gradingCacheService.gradeWithCache(db, params, ensemble);
+
+      expect(db.query).not.toHaveBeenCalled();
+      expect(result.score).toEqual(expect.any(Number));
+    });
+  });
+});
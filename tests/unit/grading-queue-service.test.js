@@ -0,0 +1,171 @@
+/**
+ * Unit Tests for Grading Queue Service
+ */
+
+const gradingQueueService = require('../../src/services/grading-queue-service');
+const gradingService = require('../../src/services/grading-service');
+
+jest.mock('../../src/services/grading-service');
+
+describe('Grading Queue Service', () => {
+  let mockFastify;
+
+  const leasedItem = (overrides = {}) => ({
+    id: 'item-1',
+    job_id: 'job-1',
+    submission_id: 'submission-1',
+    attempts: 1,
+    max_attempts: 3,
+    locked_by: 'worker-1',
+    force: false,
+    ...overrides
+  });
+
+  // Parameters of the item update issued by processItem
+  const itemUpdate = () => {
+    const call = mockFastify.db.query.mock.calls.find(([sql]) => sql.includes('UPDATE grading_job_items'));
+    const [, params] = call;
+    return { status: params[2], gradeId: params[3], error: params[4], retryInSeconds: params[5] };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFastify = {
+      db: {
+        query: jest.fn().mockResolvedValue({ rows: [], rowCount: 1 }),
+        transaction: jest.fn()
+      }
+    };
+  });
+
+  describe('getRetryDelaySeconds', () => {
+    it('should back off exponentially', () => {
+      const first = gradingQueueService.getRetryDelaySeconds(1);
+      const second = gradingQueueService.getRetryDelaySeconds(2);
+      const third = gradingQueueService.getRetryDelaySeconds(3);
+
+      expect(second).toBe(first * 2);
+      expect(third).toBe(first * 4);
+    });
+
+    it('should cap the delay at one hour', () => {
+      expect(gradingQueueService.getRetryDelaySeconds(50)).toBe(3600);
+    });
+  });
+
+  describe('processItem', () => {
+    it('should complete the item with the grade ID', async () => {
+      gradingService.gradeSubmissionById.mockResolvedValue({ grade: { id: 'grade-1' } });
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem());
+
+      expect(status).toBe('completed');
+      expect(itemUpdate()).toMatchObject({ status: 'completed', gradeId: 'grade-1' });
+    });
+
+    it('should pass the job force flag as regrade', async () => {
+      gradingService.gradeSubmissionById.mockResolvedValue({ grade: { id: 'grade-1' } });
+
+      await gradingQueueService.processItem(mockFastify, leasedItem({ force: true }));
+
+      expect(gradingService.gradeSubmissionById).toHaveBeenCalledWith(mockFastify, 'submission-1', { regrade: true });
+    });
+
+    it('should re-queue with backoff while attempts remain', async () => {
+      gradingService.gradeSubmissionById.mockRejectedValue(new Error('Rate limit exceeded'));
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem({ attempts: 1 }));
+
+      expect(status).toBe('queued');
+      expect(itemUpdate()).toMatchObject({
+        status: 'queued',
+        error: 'Rate limit exceeded',
+        retryInSeconds: gradingQueueService.getRetryDelaySeconds(1)
+      });
+    });
+
+    it('should fail the item on its last attempt', async () => {
+      gradingService.gradeSubmissionById.mockRejectedValue(new Error('Rate limit exceeded'));
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem({ attempts: 3 }));
+
+      expect(status).toBe('failed');
+      expect(itemUpdate().status).toBe('failed');
+    });
+
+    it('should not retry permanent errors', async () => {
+      gradingService.gradeSubmissionById.mockRejectedValue(new Error('Submission not found'));
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem({ attempts: 1 }));
+
+      expect(status).toBe('failed');
+    });
+
+    it('should skip submissions that were graded meanwhile', async () => {
+      gradingService.gradeSubmissionById.mockRejectedValue(new Error('Submission already graded'));
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem());
+
+      expect(status).toBe('skipped');
+    });
+
+    it('should skip scanned submissions waiting for OCR', async () => {
+      const error = new Error('The submitted PDF is image-based; waiting for OCR and instructor review');
+      error.code = 'OCR_PENDING';
+      gradingService.gradeSubmissionById.mockRejectedValue(error);
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem({ attempts: 1 }));
+
+      expect(status).toBe('skipped');
+      // Not repeated in place: that would request OCR again
+      expect(gradingService.gradeSubmissionById).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry when OCR failed', async () => {
+      const error = new Error('OCR of the scanned PDF failed: No text was recognized in the PDF');
+      error.code = 'OCR_FAILED';
+      gradingService.gradeSubmissionById.mockRejectedValue(error);
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem({ attempts: 1 }));
+
+      expect(status).toBe('failed');
+    });
+
+    it('should hold items of a course over its AI budget without using an attempt', async () => {
+      const error = new Error("The course's AI budget of $50.00 per month has been used");
+      error.code = 'AI_BUDGET_EXCEEDED';
+      error.action = 'queue';
+      gradingService.gradeSubmissionById.mockRejectedValue(error);
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem({ attempts: 3 }));
+
+      expect(status).toBe('queued');
+      expect(itemUpdate()).toMatchObject({ status: 'queued', retryInSeconds: 3600 });
+      const [sql, params] = mockFastify.db.query.mock.calls.find(([query]) => query.includes('UPDATE grading_job_items'));
+      expect(sql).toContain('attempts - 1');
+      expect(params[6]).toBe(true);
+    });
+
+    it('should fail items of a course whose AI budget blocks grading', async () => {
+      const error = new Error("The course's AI budget of $50.00 per month has been used");
+      error.code = 'AI_BUDGET_EXCEEDED';
+      error.action = 'block';
+      gradingService.gradeSubmissionById.mockRejectedValue(error);
+
+      const status = await gradingQueueService.processItem(mockFastify, leasedItem({ attempts: 1 }));
+
+      expect(status).toBe('failed');
+    });
+
+    it('should check whether the job is complete', async () => {
+      gradingService.gradeSubmissionById.mockResolvedValue({ grade: { id: 'grade-1' } });
+
+      await gradingQueueService.processItem(mockFastify, leasedItem());
+
+      const lastCall = mockFastify.db.query.mock.calls[mockFastify.db.query.mock.calls.length - 1];
+      expect(lastCall[0]).toContain("status = 'completed'");
+      expect(lastCall[1]).toEqual(['job-1']);
+    });
+  });
+});
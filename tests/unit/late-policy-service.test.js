@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for Late Policy Service
+ */
+
+const latePolicyService = require('../../src/services/late-policy-service');
+
+describe('Late Policy Service', () => {
+  const dueDate = new Date('2026-03-01T12:00:00Z');
+  const minutesAfterDue = (minutes) => new Date(dueDate.getTime() + minutes * 60000);
+
+  describe('calculatePenaltyPercent', () => {
+    const policy = { grace_minutes: 15, deduction_percent: 10, deduction_interval: 'day', max_deduction_percent: 30 };
+
+    it('should not deduct inside the grace period', () => {
+      expect(latePolicyService.calculatePenaltyPercent(policy, 15)).toBe(0);
+    });
+
+    it('should deduct per started day after the grace period', () => {
+      expect(latePolicyService.calculatePenaltyPercent(policy, 16)).toBe(10);
+      expect(latePolicyService.calculatePenaltyPercent(policy, 15 + 24 * 60 + 1)).toBe(20);
+    });
+
+    it('should deduct per started hour', () => {
+      const hourly = { ...policy, grace_minutes: 0, deduction_percent: 2, deduction_interval: 'hour' };
+      expect(latePolicyService.calculatePenaltyPercent(hourly, 90)).toBe(4);
+    });
+
+    it('should cap the deduction', () => {
+      expect(latePolicyService.calculatePenaltyPercent(policy, 10 * 24 * 60)).toBe(30);
+    });
+
+    it('should not deduct without a policy', () => {
+      expect(latePolicyService.calculatePenaltyPercent(null, 10 * 24 * 60)).toBe(0);
+    });
+  });
+
+  describe('resolvePolicy', () => {
+    it('should prefer the assignment policy and fill in defaults', () => {
+      const resolved = latePolicyService.resolvePolicy({ deduction_percent: 5 }, { deduction_percent: 20 });
+
+      expect(resolved.deduction_percent).toBe(5);
+      expect(resolved.deduction_interval).toBe('day');
+      expect(resolved.max_deduction_percent).toBe(100);
+    });
+
+    it('should fall back to the course policy', () => {
+      expect(latePolicyService.resolvePolicy(null, { deduction_percent: 20 }).deduction_percent).toBe(20);
+      expect(latePolicyService.resolvePolicy(null, null)).toBeNull();
+    });
+  });
+
+  describe('evaluateSubmission', () => {
+    const policy = { deduction_percent: 10, cutoff_hours: 48 };
+
+    it('should accept on-time submissions without a penalty', () => {
+      const result = latePolicyService.evaluateSubmission({ dueDate, policy, submittedAt: minutesAfterDue(-5) });
+
+      expect(result).toEqual({ accepted: true, isLate: false, minutesLate: 0, penaltyPercent: 0 });
+    });
+
+    it('should accept anything when there is no due date', () => {
+      const result = latePolicyService.evaluateSubmission({ dueDate: null, allowLate: false, policy });
+
+      expect(result.accepted).toBe(true);
+      expect(result.isLate).toBe(false);
+    });
+
+    it('should record lateness and the penalty', () => {
+      const result = latePolicyService.evaluateSubmission({ dueDate, policy, submittedAt: minutesAfterDue(30 * 60) });
+
+      expect(result.accepted).toBe(true);
+      expect(result.isLate).toBe(true);
+      expect(result.minutesLate).toBe(30 * 60);
+      expect(result.penaltyPercent).toBe(20);
+    });
+
+    it('should refuse submissions after the cutoff', () => {
+      const result = latePolicyService.evaluateSubmission({ dueDate, policy, submittedAt: minutesAfterDue(49 * 60) });
+
+      expect(result.accepted).toBe(false);
+      expect(result.code).toBe('SUBMISSION_CUTOFF_PASSED');
+    });
+
+    it('should refuse late submissions when the assignment does not allow them', () => {
+      const result = latePolicyService.evaluateSubmission({
+        dueDate,
+        allowLate: false,
+        policy: null,
+        submittedAt: minutesAfterDue(1)
+      });
+
+      expect(result.accepted).toBe(false);
+      expect(result.code).toBe('LATE_SUBMISSION_NOT_ALLOWED');
+    });
+
+    it('should honour the grace period when late submissions are not allowed', () => {
+      const result = latePolicyService.evaluateSubmission({
+        dueDate,
+        allowLate: false,
+        policy: { grace_minutes: 10 },
+        submittedAt: minutesAfterDue(5)
+      });
+
+      expect(result.accepted).toBe(true);
+      expect(result.isLate).toBe(true);
+      expect(result.penaltyPercent).toBe(0);
+    });
+  });
+});
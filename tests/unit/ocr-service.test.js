@@ -0,0 +1,134 @@
+/**
+ * Unit Tests for OCR Service
+ */
+
+const fs = require('fs').promises;
+
+jest.mock('pdf-parse', () => ({
+  PDFParse: jest.fn().mockImplementation(() => ({
+    getScreenshot: jest.fn().mockResolvedValue({
+      pages: [
+        { pageNumber: 1, data: new Uint8Array([1]) },
+        { pageNumber: 2, data: new Uint8Array([2]) }
+      ],
+      total: 2
+    }),
+    destroy: jest.fn().mockResolvedValue()
+  }))
+}));
+
+const mockRecognize = jest.fn();
+jest.mock('tesseract.js', () => ({
+  createWorker: jest.fn().mockImplementation(async () => ({
+    recognize: mockRecognize,
+    terminate: jest.fn().mockResolvedValue()
+  }))
+}));
+
+const ocrService = require('../../src/services/ocr-service');
+
+describe('OCR Service', () => {
+  describe('summarizePages', () => {
+    it('should join page text and summarize confidence', () => {
+      const summary = ocrService.summarizePages([
+        { page: 1, text: 'Moles of NaCl = 0.5', confidence: 90 },
+        { page: 2, text: '', confidence: 20 },
+        { page: 3, text: 'Answer: 29.2 g', confidence: 70 }
+      ]);
+
+      expect(summary.text).toBe('Moles of NaCl = 0.5\n\nAnswer: 29.2 g');
+      expect(summary.meanConfidence).toBe(60);
+      expect(summary.minConfidence).toBe(20);
+    });
+
+    it('should handle no pages', () => {
+      expect(ocrService.summarizePages([])).toEqual({ text: '', meanConfidence: null, minConfidence: null });
+    });
+  });
+
+  describe('shouldAutoApprove', () => {
+    it('should always require review without a threshold', () => {
+      expect(ocrService.shouldAutoApprove({ text: 'x', meanConfidence: 99 }, null)).toBe(false);
+    });
+
+    it('should approve confident results at or above the threshold', () => {
+      expect(ocrService.shouldAutoApprove({ text: 'x', meanConfidence: 85 }, 85)).toBe(true);
+      expect(ocrService.shouldAutoApprove({ text: 'x', meanConfidence: 84.9 }, 85)).toBe(false);
+      expect(ocrService.shouldAutoApprove({ text: '', meanConfidence: 95 }, 85)).toBe(false);
+    });
+  });
+
+  describe('processItem', () => {
+    let mockFastify;
+
+    const leasedItem = (overrides = {}) => ({
+      id: 'ocr-1',
+      submission_id: 'submission-1',
+      attempts: 1,
+      max_attempts: 3,
+      locked_by: 'worker-1',
+      ...overrides
+    });
+
+    // Parameters of the OCR record update issued by processItem
+    const ocrUpdate = () => {
+      const call = mockFastify.db.query.mock.calls.find(([sql]) => sql.includes('UPDATE submission_ocr'));
+      return call[1];
+    };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(fs, 'readFile').mockResolvedValue(Buffer.from('%PDF-1.4'));
+
+      mockFastify = {
+        db: {
+          query: jest.fn().mockImplementation(async (sql) => {
+            if (sql.includes('SELECT pdf_url')) {
+              return { rows: [{ pdf_url: '/api/v1/files/user-1/scan.pdf' }] };
+            }
+            return { rows: [], rowCount: 1 };
+          })
+        }
+      };
+    });
+
+    afterEach(() => {
+      fs.readFile.mockRestore();
+    });
+
+    it('should store the text with per-page confidence', async () => {
+      mockRecognize
+        .mockResolvedValueOnce({ data: { text: 'Page one\n', confidence: 91.234 } })
+        .mockResolvedValueOnce({ data: { text: 'Page two', confidence: 62 } });
+
+      const status = await ocrService.processItem(mockFastify, leasedItem());
+
+      expect(status).toBe('completed');
+      const params = ocrUpdate();
+      expect(JSON.parse(params[2])).toEqual([
+        { page: 1, text: 'Page one', confidence: 91.23 },
+        { page: 2, text: 'Page two', confidence: 62 }
+      ]);
+      expect(params[3]).toBe('Page one\n\nPage two');
+      expect(params[5]).toBe(62);
+    });
+
+    it('should re-queue when nothing was recognized and attempts remain', async () => {
+      mockRecognize.mockResolvedValue({ data: { text: '  ', confidence: 0 } });
+
+      const status = await ocrService.processItem(mockFastify, leasedItem({ attempts: 1 }));
+
+      expect(status).toBe('queued');
+      expect(ocrUpdate()[2]).toBe('queued');
+    });
+
+    it('should fail on the last attempt', async () => {
+      mockRecognize.mockRejectedValue(new Error('recognition crashed'));
+
+      const status = await ocrService.processItem(mockFastify, leasedItem({ attempts: 3 }));
+
+      expect(status).toBe('failed');
+      expect(ocrUpdate()[3]).toBe('recognition crashed');
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit Tests for Regrade Request Service
+ */
+
+const regradeRequestService = require('../../src/services/regrade-request-service');
+
+describe('Regrade Request Service', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  describe('isFilingOpen', () => {
+    const publishedDaysAgo = (days, windowDays) => ({
+      published_at: new Date(Date.now() - days * DAY_MS).toISOString(),
+      graded_at: new Date(Date.now() - (days + 1) * DAY_MS).toISOString(),
+      regrade_window_days: windowDays
+    });
+
+    it('should allow requests inside the window', () => {
+      expect(regradeRequestService.isFilingOpen(publishedDaysAgo(2, 7))).toBe(true);
+    });
+
+    it('should refuse requests after the window', () => {
+      expect(regradeRequestService.isFilingOpen(publishedDaysAgo(8, 7))).toBe(false);
+    });
+
+    it('should treat a null window as no deadline', () => {
+      expect(regradeRequestService.isFilingOpen(publishedDaysAgo(365, null))).toBe(true);
+      expect(regradeRequestService.getFilingDeadline(publishedDaysAgo(1, null))).toBeNull();
+    });
+
+    it('should refuse all requests when the window is zero', () => {
+      expect(regradeRequestService.isFilingOpen(publishedDaysAgo(0, 0))).toBe(false);
+    });
+
+    it('should start the window at publication rather than grading', () => {
+      const grade = publishedDaysAgo(3, 7);
+      const deadline = regradeRequestService.getFilingDeadline(grade);
+
+      expect(deadline.getTime()).toBe(new Date(grade.published_at).getTime() + 7 * DAY_MS);
+    });
+  });
+
+  describe('hasCriterion', () => {
+    it('should match criteria from the grade or the rubric', () => {
+      const grade = {
+        rubric_scores: { thesis: { score: 18 } },
+        rubric_criteria: { evidence: { max_points: 25 } }
+      };
+
+      expect(regradeRequestService.hasCriterion(grade, 'thesis')).toBe(true);
+      expect(regradeRequestService.hasCriterion(grade, 'evidence')).toBe(true);
+      expect(regradeRequestService.hasCriterion(grade, 'grammar')).toBe(false);
+    });
+  });
+
+  describe('resolveRequest', () => {
+    let mockClient;
+    let mockFastify;
+
+    const pendingRequest = {
+      id: 'request-1',
+      grade_id: 'grade-1',
+      requested_points: 45,
+      grade_points: 40,
+      points_possible: 50
+    };
+
+    beforeEach(() => {
+      mockClient = { query: jest.fn() };
+      mockFastify = {
+        db: {
+          transaction: jest.fn((callback) => callback(mockClient))
+        }
+      };
+    });
+
+    it('should reject unknown actions', async () => {
+      await expect(
+        regradeRequestService.resolveRequest(mockFastify, 'request-1', { action: 'ignore', userId: 'instructor-1' })
+      ).rejects.toThrow('Invalid resolution action');
+    });
+
+    it('should return null when the request is no longer pending', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await regradeRequestService.resolveRequest(mockFastify, 'request-1', {
+        action: 'reject',
+        userId: 'instructor-1'
+      });
+
+      expect(result).toBeNull();
+    });
+
+    it('should leave the grade unchanged when rejecting', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [pendingRequest] })
+        .mockResolvedValueOnce({ rows: [{ id: 'request-1', status: 'rejected' }] });
+
+      const result = await regradeRequestService.resolveRequest(mockFastify, 'request-1', {
+        action: 'reject',
+        userId: 'instructor-1',
+        note: 'Rubric applied correctly'
+      });
+
+      expect(mockClient.query).toHaveBeenCalledTimes(2);
+      expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('UPDATE grades'))).toBe(false);
+      expect(result.revision).toBeNull();
+    });
+
+    it('should apply the requested points and record a revision when accepting', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({ rows: [pendingRequest] })
+        .mockResolvedValueOnce({ rows: [{ id: 'grade-1', points_earned: 45, points_possible: 50 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'revision-2' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'request-1', status: 'accepted' }] });
+
+      const result = await regradeRequestService.resolveRequest(mockFastify, 'request-1', {
+        action: 'accept',
+        userId: 'instructor-1'
+      });
+
+      const [, gradeParams] = mockClient.query.mock.calls[1];
+      expect(gradeParams[0]).toBe(45);
+
+      const [revisionSql, revisionParams] = mockClient.query.mock.calls[2];
+      expect(revisionSql).toContain('INSERT INTO grade_revisions');
+      expect(revisionParams[1]).toBe('regrade_request');
+
+      const [, requestParams] = mockClient.query.mock.calls[3];
+      expect(requestParams[0]).toBe('accepted');
+      expect(requestParams[3]).toBe(40);
+      expect(requestParams[4]).toBe(45);
+      expect(requestParams[5]).toBe('revision-2');
+      expect(result.grade.points_earned).toBe(45);
+    });
+
+    it('should set the criterion score and recompute the points when accepting a criterion request', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({
+          rows: [{
+            ...pendingRequest,
+            criterion: 'clarity',
+            requested_points: 8,
+            rubric_scores: { accuracy: { score: 30, max_points: 40 }, clarity: { score: 5, max_points: 10, feedback: 'Wordy' } },
+            rubric_criteria: { accuracy: { max_points: 40 }, clarity: { max_points: 10 } }
+          }]
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'grade-1', points_earned: 38, points_possible: 50 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'revision-2' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'request-1', status: 'accepted' }] });
+
+      await regradeRequestService.resolveRequest(mockFastify, 'request-1', { action: 'accept', userId: 'instructor-1' });
+
+      const [, gradeParams] = mockClient.query.mock.calls[1];
+      expect(gradeParams[0]).toBe(38);
+      expect(JSON.parse(gradeParams[1])).toEqual({
+        accuracy: { score: 30, max_points: 40 },
+        clarity: { score: 8, max_points: 10, feedback: 'Wordy' }
+      });
+    });
+
+    it('should scale the criterion scores to the points of the assignment', async () => {
+      mockClient.query
+        .mockResolvedValueOnce({
+          rows: [{
+            ...pendingRequest,
+            criterion: 'clarity',
+            requested_points: 4,
+            grade_points: 75,
+            points_possible: 100,
+            rubric_scores: {
+              accuracy: { score: 3, max_points: 4 },
+              clarity: { score: 3, max_points: 4 },
+              // Scored by the tests on the assignment's scale, not the rubric's
+              functionality: { score: 15, max_points: 20 },
+              style: { score: 2, max_points: 2 }
+            },
+            rubric_criteria: { accuracy: { max_points: 4 }, clarity: { max_points: 4 }, functionality: { max_points: 2 } }
+          }]
+        })
+        .mockResolvedValueOnce({ rows: [{ id: 'grade-1', points_earned: 85, points_possible: 100 }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'revision-2' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'request-1', status: 'accepted' }] });
+
+      await regradeRequestService.resolveRequest(mockFastify, 'request-1', { action: 'accept', userId: 'instructor-1' });
+
+      // (3 + 4 + 1.5) of 10 rubric points; style is not on the rubric
+      const [, gradeParams] = mockClient.query.mock.calls[1];
+      expect(gradeParams[0]).toBe(85);
+    });
+
+    it('should refuse points outside the grade before updating it', async () => {
+      mockClient.query.mockResolvedValueOnce({ rows: [pendingRequest] });
+
+      await expect(
+        regradeRequestService.resolveRequest(mockFastify, 'request-1', { action: 'adjust', userId: 'instructor-1', pointsEarned: 60 })
+      ).rejects.toMatchObject({ code: 'INVALID_SCORE' });
+      expect(mockClient.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getCriterionMaxPoints', () => {
+    it('should prefer the rubric over the grade', () => {
+      const grade = { rubric_scores: { clarity: { score: 5, max_points: 12 } }, rubric_criteria: { clarity: { max_points: 10 } } };
+
+      expect(regradeRequestService.getCriterionMaxPoints(grade, 'clarity')).toBe(10);
+      expect(regradeRequestService.getCriterionMaxPoints(grade, 'grammar')).toBeNull();
+    });
+  });
+});
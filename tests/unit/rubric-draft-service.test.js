@@ -0,0 +1,92 @@
+/**
+ * Rubric Draft Service Unit Tests
+ */
+
+const rubricDraftService = require('../../src/services/rubric-draft-service');
+const aiProviderService = require('../../src/services/ai-provider-service');
+const aiUsageService = require('../../src/services/ai-usage-service');
+
+describe('Rubric Draft Service', () => {
+  const assignment = (overrides = {}) => ({
+    id: 'assignment-1',
+    course_id: 'course-1',
+    title: 'Photosynthesis Essay',
+    description: 'Explain how plants turn light into chemical energy.',
+    question_text_extracted: null,
+    reference_text_extracted: 'Light reactions produce ATP and NADPH used by the Calvin cycle.',
+    reference_answer: null,
+    total_points: 40,
+    assignment_type: 'standard',
+    code_language: null,
+    ...overrides
+  });
+
+  const mockFastify = () => {
+    const db = {
+      query: jest.fn(async (sql) => {
+        if (sql.includes('INSERT INTO rubrics')) return { rows: [{ id: 'rubric-1' }] };
+        return { rows: [], rowCount: 1 };
+      })
+    };
+    db.transaction = jest.fn(callback => callback(db));
+    return { db };
+  };
+
+  beforeEach(() => {
+    jest.spyOn(aiUsageService, 'assertWithinBudget').mockResolvedValue(null);
+    jest.spyOn(aiProviderService, 'getProviderForAssignment').mockResolvedValue('fixture');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('draftRubric', () => {
+    it('should draft criteria with levels adding up to the assignment total without saving', async () => {
+      const fastify = mockFastify();
+
+      const draft = await rubricDraftService.draftRubric(fastify, assignment(), { userId: 'user-1' });
+
+      expect(draft.rubric).toMatchObject({ name: 'Photosynthesis Essay Rubric', type: 'essay', total_points: 40 });
+      expect(rubricDraftService.checkPoints(draft.rubric)).toEqual([]);
+      for (const criterion of Object.values(draft.rubric.criteria)) {
+        expect(criterion.levels.length).toBeGreaterThanOrEqual(2);
+      }
+      expect(draft.sources).toEqual(['description', 'reference_text_extracted']);
+      expect(fastify.db.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO rubrics'))).toBe(false);
+    });
+
+    it('should refuse an assignment with nothing to draft from', async () => {
+      await expect(rubricDraftService.draftRubric(mockFastify(), assignment({
+        description: '', reference_text_extracted: null
+      }))).rejects.toMatchObject({ code: 'RUBRIC_SOURCES_MISSING' });
+    });
+  });
+
+  describe('saveRubric', () => {
+    const rubric = {
+      name: 'Essay Rubric',
+      total_points: 10,
+      criteria: {
+        accuracy: { max_points: 6, description: 'Correct content.' },
+        clarity: { max_points: 4, description: 'Clear writing.' }
+      }
+    };
+
+    it('should save the rubric and attach it to the assignment', async () => {
+      const fastify = mockFastify();
+
+      const saved = await rubricDraftService.saveRubric(fastify, 'assignment-1', rubric, 'user-1');
+
+      expect(saved.id).toBe('rubric-1');
+      expect(fastify.db.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE assignments SET rubric_id'), ['rubric-1', 'assignment-1']
+      );
+    });
+
+    it('should reject criteria that do not add up to the total', async () => {
+      await expect(rubricDraftService.saveRubric(mockFastify(), 'assignment-1', { ...rubric, total_points: 12 }, 'user-1'))
+        .rejects.toMatchObject({ code: 'RUBRIC_POINTS_MISMATCH' });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for Sandbox Service
+ * Runs real child processes; isolation is off so the tests do not depend on
+ * bubblewrap and user namespaces being available
+ */
+
+process.env.SANDBOX_ISOLATION = 'none';
+
+const sandboxService = require('../../src/services/sandbox-service');
+
+describe('Sandbox Service', () => {
+  it('should run a program with standard input', async () => {
+    const run = await sandboxService.runProgram({
+      language: 'javascript',
+      source: "process.stdin.on('data', d => process.stdout.write(String(d).toUpperCase()))",
+      input: 'hello'
+    });
+
+    expect(run.status).toBe('ok');
+    expect(run.stdout).toBe('HELLO');
+  });
+
+  it('should not pass the server environment to the program', async () => {
+    process.env.SANDBOX_TEST_SECRET = 'secret';
+
+    const run = await sandboxService.runProgram({
+      language: 'javascript',
+      source: 'console.log(process.env.SANDBOX_TEST_SECRET || "none")'
+    });
+
+    delete process.env.SANDBOX_TEST_SECRET;
+    expect(run.stdout.trim()).toBe('none');
+  });
+
+  it('should report runtime errors', async () => {
+    const run = await sandboxService.runProgram({ language: 'javascript', source: 'throw new Error("boom")' });
+
+    expect(run.status).toBe('runtime_error');
+    expect(run.stderr).toContain('boom');
+  });
+
+  it('should stop programs that run too long', async () => {
+    const run = await sandboxService.runProgram({ language: 'javascript', source: 'while (true) {}', timeLimitMs: 500 });
+
+    expect(run.status).toBe('timeout');
+  });
+
+  it('should confine programs to their own directory in bubblewrap', () => {
+    const { command, args, cwd } = sandboxService.buildCommand(sandboxService.LANGUAGES.python, '/tmp/run-1', 2000, 'bwrap');
+    const script = args[args.indexOf('-c') + 1];
+
+    expect(command).toBe('bwrap');
+    expect(args).toEqual(expect.arrayContaining(['--unshare-all', '--die-with-parent', '--uid', '65534']));
+    // The run's directory is the only writable bind; the server's directory is not mounted
+    expect(args.filter(arg => arg === '--bind')).toHaveLength(1);
+    expect(args.slice(args.indexOf('--bind'), args.indexOf('--bind') + 3)).toEqual(['--bind', '/tmp/run-1', '/sandbox']);
+    expect(args).not.toContain(process.cwd());
+    expect(script).toMatch(/ulimit -u \d+/);
+    expect(args[args.length - 1]).toBe('/sandbox/main.py');
+    expect(cwd).toBe('/sandbox');
+  });
+
+  it('should read signals from the exit code of bubblewrap', () => {
+    const { SIGXCPU, SIGKILL } = require('os').constants.signals;
+
+    expect(sandboxService.getExitStatus(128 + SIGXCPU, null, '', 'bwrap')).toBe('timeout');
+    expect(sandboxService.getExitStatus(128 + SIGKILL, null, '', 'bwrap')).toBe('timeout');
+    expect(sandboxService.getExitStatus(1, null, 'Traceback', 'bwrap')).toBe('runtime_error');
+    expect(sandboxService.getExitStatus(0, null, '', 'bwrap')).toBe('ok');
+    // Without bwrap the exit code is the program's own
+    expect(sandboxService.getExitStatus(128 + SIGKILL, null, '', 'none')).toBe('runtime_error');
+    expect(sandboxService.getExitStatus(null, 'SIGXCPU', '', 'none')).toBe('timeout');
+  });
+
+  it('should report programs that run out of memory separately', () => {
+    const { SIGABRT } = require('os').constants.signals;
+
+    expect(sandboxService.getExitStatus(1, null, 'Traceback (most recent call last):\nMemoryError\n', 'bwrap')).toBe('memory_limit');
+    expect(sandboxService.getExitStatus(128 + SIGABRT, null, 'FATAL ERROR: Reached heap limit Allocation failed - JavaScript heap out of memory', 'bwrap'))
+      .toBe('memory_limit');
+  });
+
+  it('should reject unsupported languages', async () => {
+    await expect(sandboxService.runProgram({ language: 'cobol', source: '' })).rejects.toThrow('Unsupported language');
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Unit Tests for Similarity Service
+ */
+
+const similarityService = require('../../src/services/similarity-service');
+
+describe('Similarity Service', () => {
+  const essay = 'The French Revolution began in 1789 when financial crisis and food shortages pushed the Third Estate ' +
+    'to declare itself a National Assembly, and the storming of the Bastille turned political reform into open revolt ' +
+    'against the monarchy and the privileges of the aristocracy.';
+
+  const original = `def average(values):
+    # Mean of a list
+    total = 0
+    for value in values:
+        total += value
+    return total / len(values)
+
+print(average([1, 2, 3]))`;
+
+  const renamed = `def mean(xs):
+    s = 0
+    for x in xs:
+        s += x
+    return s / len(xs)
+
+print(mean([4, 5, 6]))`;
+
+  const unrelated = `import sys
+numbers = sorted(int(line) for line in sys.stdin)
+middle = len(numbers) // 2
+print(numbers[middle] if len(numbers) % 2 else (numbers[middle - 1] + numbers[middle]) / 2)`;
+
+  describe('tokenizeCode', () => {
+    it('should normalize identifiers, literals and drop comments', () => {
+      const tokens = similarityService.tokenizeCode('x = 42  # answer\nprint("hi")');
+
+      expect(tokens.map(t => t.value)).toEqual(['ID', '=', 'NUM', 'ID', '(', 'STR', ')']);
+      expect(tokens[2]).toEqual({ value: 'NUM', start: 4, end: 6 });
+    });
+  });
+
+  describe('fingerprint', () => {
+    it('should produce the same fingerprints for renamed code', () => {
+      const a = similarityService.fingerprintDocument(original, 'code');
+      const b = similarityService.fingerprintDocument(renamed, 'code');
+
+      expect(a.size).toBeGreaterThan(0);
+      expect(Array.from(a.keys())).toEqual(Array.from(b.keys()));
+    });
+
+    it('should return nothing for text shorter than a k-gram', () => {
+      expect(similarityService.fingerprint(similarityService.tokenizeProse('too short'), { k: 5, window: 4 })).toEqual([]);
+    });
+  });
+
+  describe('comparePairs', () => {
+    it('should rank copied code above unrelated code', () => {
+      const pairs = similarityService.comparePairs([
+        { id: 's1', student_id: 'st1', text: original, mode: 'code' },
+        { id: 's2', student_id: 'st2', text: renamed, mode: 'code' },
+        { id: 's3', student_id: 'st3', text: unrelated, mode: 'code' }
+      ]);
+
+      expect(pairs[0].a.id).toBe('s1');
+      expect(pairs[0].b.id).toBe('s2');
+      expect(pairs[0].score).toBe(1);
+      expect(pairs.find(pair => [pair.a.id, pair.b.id].includes('s3'))).toBeUndefined();
+    });
+
+    it('should report matched spans with excerpts', () => {
+      const copied = `In my view, ${essay.replace('1789', 'seventeen eighty-nine')} That is my answer.`;
+      const [pair] = similarityService.comparePairs([
+        { id: 's1', student_id: 'st1', text: essay, mode: 'prose' },
+        { id: 's2', student_id: 'st2', text: copied, mode: 'prose' }
+      ]);
+
+      expect(pair.score).toBeGreaterThan(0.5);
+      const [match] = pair.matches;
+      expect(essay.slice(match.a_start, match.a_end)).toBe(match.excerpt);
+      expect(copied.slice(match.b_start, match.b_end).toLowerCase()).toBe(match.excerpt.toLowerCase());
+    });
+
+    it('should ignore fingerprints from the assignment description', () => {
+      const pairs = similarityService.comparePairs([
+        { id: 's1', student_id: 'st1', text: `${essay} I agree.`, mode: 'prose' },
+        { id: 's2', student_id: 'st2', text: `${essay} I disagree.`, mode: 'prose' }
+      ], { template: `Read the following: ${essay}` });
+
+      expect(pairs).toEqual([]);
+    });
+
+    it('should not compare prior-term submissions with each other or a student with themselves', () => {
+      const pairs = similarityService.comparePairs([
+        { id: 'p1', student_id: 'st1', text: essay, mode: 'prose', prior: true },
+        { id: 'p2', student_id: 'st2', text: essay, mode: 'prose', prior: true },
+        { id: 's1', student_id: 'st1', text: essay, mode: 'prose', prior: false }
+      ]);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].a.id).toBe('s1');
+      expect(pairs[0].b.id).toBe('p2');
+    });
+  });
+
+  describe('analyzeAssignment', () => {
+    it('should flag submissions at the threshold and store their best match', async () => {
+      const mockFastify = {
+        db: {
+          query: jest.fn()
+            .mockResolvedValueOnce({ rows: [{ id: 'a1', title: 'Essay 1', description: '', course_id: null, similarity_threshold: '0.60' }] })
+            .mockResolvedValueOnce({
+              rows: [
+                { id: 's1', student_id: 'st1', student_name: 'Ada', content: essay },
+                { id: 's2', student_id: 'st2', student_name: 'Ben', content: `${essay} Also taxes.` },
+                { id: 's3', student_id: 'st3', student_name: 'Cy', content: null }
+              ]
+            })
+            .mockResolvedValueOnce({ rows: [], rowCount: 2 })
+        }
+      };
+
+      const report = await similarityService.analyzeAssignment(mockFastify, 'a1');
+
+      expect(report.submissions_compared).toBe(2);
+      expect(report.skipped_without_text).toBe(1);
+      expect(report.flagged).toBe(2);
+      expect(report.pairs[0]).toEqual(expect.objectContaining({ flagged: true }));
+      expect(report.pairs[0].a).toEqual(expect.objectContaining({ submission_id: 's1', student_name: 'Ada' }));
+
+      const [sql, params] = mockFastify.db.query.mock.calls[2];
+      expect(sql).toContain('INSERT INTO submission_similarity');
+      expect(params[0]).toEqual(['s1', 's2']);
+      expect(params[2]).toEqual(['s2', 's1']);
+      expect(params[3]).toBe(0.6);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for Test Runner Service
+ */
+
+jest.mock('../../src/services/sandbox-service', () => ({
+  isSupportedLanguage: jest.fn(language => ['python', 'javascript'].includes(language)),
+  runProgram: jest.fn()
+}));
+
+const sandboxService = require('../../src/services/sandbox-service');
+const testRunnerService = require('../../src/services/test-runner-service');
+
+describe('Test Runner Service', () => {
+  const testCases = [
+    { id: 't1', name: 'adds small numbers', visibility: 'visible', input: '1 2\n', expected_output: '3\n', weight: '1', time_limit_ms: 5000 },
+    { id: 't2', name: 'adds negatives', visibility: 'hidden', input: '-1 -2\n', expected_output: '-3', weight: '3', time_limit_ms: 5000 }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('outputsMatch', () => {
+    it('should ignore trailing whitespace and blank lines', () => {
+      expect(testRunnerService.outputsMatch('3  \r\n4\n\n', '3\n4')).toBe(true);
+      expect(testRunnerService.outputsMatch(' 3', '3')).toBe(false);
+    });
+  });
+
+  describe('resolveProgram', () => {
+    it('should use the language of an uploaded code file', () => {
+      const program = testRunnerService.resolveProgram(
+        { source_format: 'code', extracted_structure: { language: 'javascript' } }, 'console.log(1)', 'python'
+      );
+
+      expect(program).toEqual({ language: 'javascript', source: 'console.log(1)' });
+    });
+
+    it('should join the code cells of a notebook', () => {
+      const program = testRunnerService.resolveProgram({
+        source_format: 'notebook',
+        extracted_structure: {
+          language: 'python',
+          cells: [
+            { type: 'code', source: 'x = int(input())' },
+            { type: 'markdown', source: '# Answer' },
+            { type: 'code', source: 'print(x * 2)' }
+          ]
+        }
+      }, '[Code cell 1]...', null);
+
+      expect(program.source).toBe('x = int(input())\n\nprint(x * 2)');
+    });
+
+    it('should use the assignment language for typed code', () => {
+      expect(testRunnerService.resolveProgram({ source_format: null }, 'print(1)', 'python').language).toBe('python');
+    });
+  });
+
+  describe('runTests', () => {
+    it('should score the weighted share of passed tests', async () => {
+      sandboxService.runProgram
+        .mockResolvedValueOnce({ status: 'ok', stdout: '3\n', stderr: '', durationMs: 40 })
+        .mockResolvedValueOnce({ status: 'timeout', stdout: '', stderr: '', durationMs: 5000 });
+
+      const run = await testRunnerService.runTests('python', 'print(sum(map(int, input().split())))', testCases);
+
+      expect(run.passed).toBe(1);
+      expect(run.total).toBe(2);
+      expect(run.score_ratio).toBe(0.25);
+      expect(run.results.map(r => r.status)).toEqual(['passed', 'timeout']);
+      expect(sandboxService.runProgram).toHaveBeenCalledWith(expect.objectContaining({ input: '-1 -2\n', timeLimitMs: 5000 }));
+    });
+  });
+
+  describe('runSubmissionTests', () => {
+    it('should return null without test cases', async () => {
+      const mockFastify = { db: { query: jest.fn().mockResolvedValue({ rows: [] }) } };
+
+      const run = await testRunnerService.runSubmissionTests(mockFastify, { id: 's1', assignment_id: 'a1' }, 'print(1)');
+
+      expect(run).toBeNull();
+      expect(sandboxService.runProgram).not.toHaveBeenCalled();
+    });
+
+    it('should fail every test when there is no runnable code', async () => {
+      const mockFastify = {
+        db: {
+          query: jest.fn()
+            .mockResolvedValueOnce({ rows: testCases })
+            .mockResolvedValueOnce({ rows: [{ code_language: 'python' }] })
+            .mockResolvedValueOnce({ rows: [], rowCount: 1 })
+        }
+      };
+
+      const run = await testRunnerService.runSubmissionTests(
+        mockFastify, { id: 's1', assignment_id: 'a1', source_format: 'docx' }, 'My essay'
+      );
+
+      expect(run.status).toBe('no_code');
+      expect(run.score_ratio).toBe(0);
+      expect(mockFastify.db.query.mock.calls[2][0]).toContain('INSERT INTO submission_test_runs');
+    });
+  });
+
+  describe('applyTestRun', () => {
+    const rubric = {
+      functionality: { max_points: 30, description: 'Works' },
+      code_quality: { max_points: 25, description: 'Clean' },
+      documentation: { max_points: 20, description: 'Docs' },
+      testing: { max_points: 25, description: 'Tests' }
+    };
+    const run = { status: 'completed', passed: 1, total: 2, score_ratio: 0.5, results: [] };
+
+    it('should score functionality and leave the other criteria to the AI', () => {
+      const applied = testRunnerService.applyTestRun(rubric, 50, run);
+
+      expect(Object.keys(applied.rubric)).toEqual(['code_quality', 'documentation', 'testing']);
+      expect(applied.totalPoints).toBe(35);
+      expect(applied.functionality).toEqual(expect.objectContaining({ name: 'functionality', score: 7.5, max_points: 15 }));
+      expect(applied.testSummary).toContain('already been scored');
+    });
+
+    it('should only add context when the rubric has no functionality criterion', () => {
+      const applied = testRunnerService.applyTestRun({ clarity: { max_points: 10 } }, 10, run);
+
+      expect(applied.functionality).toBeNull();
+      expect(applied.totalPoints).toBe(10);
+      expect(applied.testSummary).toContain('1 of 2 passed');
+    });
+
+    it('should combine the AI result with the test score', () => {
+      const applied = testRunnerService.applyTestRun(rubric, 50, run);
+      const result = testRunnerService.combineResult({
+        score: 28,
+        rubric_scores: { code_quality: { score: 10, max_points: 12.5 } },
+        feedback: 'Good',
+        ai_response: { overall_score: 28 }
+      }, applied);
+
+      expect(result.score).toBe(35.5);
+      expect(result.percentage).toBe(71);
+      expect(result.rubric_scores.functionality.score).toBe(7.5);
+      expect(result.ai_response.test_run).toEqual({ passed: 1, total: 2, score_ratio: 0.5 });
+    });
+  });
+
+  describe('hideHiddenResults', () => {
+    it('should strip output of hidden tests', () => {
+      const run = testRunnerService.hideHiddenResults({
+        results: [
+          { name: 'visible', visibility: 'visible', status: 'failed', passed: false, stdout: '4' },
+          { name: 'secret', visibility: 'hidden', status: 'runtime_error', passed: false, stdout: 'x', stderr: 'trace' }
+        ]
+      });
+
+      expect(run.results[0].stdout).toBe('4');
+      expect(run.results[1]).toEqual({ name: 'secret', visibility: 'hidden', status: 'failed', passed: false });
+    });
+  });
+});